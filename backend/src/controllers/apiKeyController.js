@@ -0,0 +1,179 @@
+const { ApiKey, API_KEY_SCOPES } = require('../models/ApiKey');
+const { User } = require('../models/User');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/tenant');
+
+// Get API keys with filtering
+const getApiKeys = catchAsync(async (req, res, next) => {
+    const filter = tenantFilter(req.user, {}, 'institution');
+    if (req.query.owner) filter.owner = req.query.owner;
+    if (req.query.revoked === 'true') filter.revokedAt = { $ne: null };
+    if (req.query.revoked === 'false') filter.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(filter)
+        .populate('owner', 'username email role')
+        .populate('institution', 'name')
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            apiKeys,
+            scopes: Object.values(API_KEY_SCOPES)
+        }
+    });
+});
+
+// Get single API key
+const getApiKey = catchAsync(async (req, res, next) => {
+    const apiKey = await ApiKey.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'))
+        .populate('owner', 'username email role')
+        .populate('institution', 'name')
+        .populate('createdBy', 'username email')
+        .populate('revokedBy', 'username email');
+
+    if (!apiKey) {
+        return next(new AppError('API key not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            apiKey
+        }
+    });
+});
+
+// Mint a new API key
+const createApiKey = catchAsync(async (req, res, next) => {
+    const { name, ownerId, scopes, expiresAt } = req.body;
+
+    // Keys act as their owner, who must be in the caller's institution
+    const owner = ownerId ? await User.findOne(tenantFilter(req.user, { _id: ownerId }, 'institution')) : req.user;
+
+    if (!owner || !owner.isActive) {
+        return next(new AppError('API key owner must be an active user', 400));
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return next(new AppError('Expiry date must be in the future', 400));
+    }
+
+    const apiKey = new ApiKey({
+        name,
+        owner: owner._id,
+        institution: owner.institution,
+        scopes,
+        expiresAt,
+        createdBy: req.user._id
+    });
+    const key = apiKey.generateKey();
+    await apiKey.save();
+
+    logger.info(`API key created: ${apiKey.name} (${apiKey.prefix}) for ${owner.email} by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'API key created successfully. Store the key now, it will not be shown again.',
+        data: {
+            apiKey,
+            key
+        }
+    });
+});
+
+// Update name, scopes or expiry
+const updateApiKey = catchAsync(async (req, res, next) => {
+    const allowedFields = ['name', 'scopes', 'expiresAt'];
+    const updates = {};
+
+    allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const apiKey = await ApiKey.findOneAndUpdate(tenantFilter(req.user, { _id: req.params.id }, 'institution'), updates, {
+        new: true,
+        runValidators: true
+    });
+
+    if (!apiKey) {
+        return next(new AppError('API key not found', 404));
+    }
+
+    logger.info(`API key updated: ${apiKey.name} (${apiKey.prefix}) by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'API key updated successfully',
+        data: {
+            apiKey
+        }
+    });
+});
+
+// Replace the key's secret; the previous key stops working immediately
+const rotateApiKey = catchAsync(async (req, res, next) => {
+    const apiKey = await ApiKey.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'));
+
+    if (!apiKey) {
+        return next(new AppError('API key not found', 404));
+    }
+
+    if (apiKey.revokedAt) {
+        return next(new AppError('Revoked API keys cannot be rotated', 400));
+    }
+
+    const previousPrefix = apiKey.prefix;
+    const key = apiKey.generateKey();
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+
+    logger.info(`API key rotated: ${apiKey.name} (${previousPrefix} -> ${apiKey.prefix}) by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'API key rotated. Store the new key now, it will not be shown again.',
+        data: {
+            apiKey,
+            key
+        }
+    });
+});
+
+// Revoke an API key
+const revokeApiKey = catchAsync(async (req, res, next) => {
+    const apiKey = await ApiKey.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'));
+
+    if (!apiKey) {
+        return next(new AppError('API key not found', 404));
+    }
+
+    if (apiKey.revokedAt) {
+        return next(new AppError('API key has already been revoked', 400));
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    logger.info(`API key revoked: ${apiKey.name} (${apiKey.prefix}) by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: {
+            apiKey
+        }
+    });
+});
+
+module.exports = {
+    getApiKeys,
+    getApiKey,
+    createApiKey,
+    updateApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
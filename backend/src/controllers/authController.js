@@ -1,19 +1,27 @@
 const { User, USER_ROLES } = require('../models/User');
+const { Institution } = require('../models/Institution');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
-const jwt = require('jsonwebtoken');
+const mailService = require('../services/mailService');
+const { DELIVERY_STATUS } = require('../models/EmailDelivery');
+const { SESSION_REVOKE_REASONS } = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const siweService = require('../services/siweService');
+const roleSyncService = require('../services/roleSyncService');
+const permissionService = require('../services/permissionService');
 const crypto = require('crypto');
+const { tenantFilter } = require('../utils/tenant');
 
-// Sign JWT token
-const signToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-    });
-};
+// Password reset links stay valid for this long
+const PASSWORD_RESET_EXPIRES_MINUTES = 10;
+
+// Start a session and send its access and refresh tokens
+const createSendToken = async (user, statusCode, req, res, message = 'Success', extras = {}) => {
+    const { accessToken: token, refreshToken } = await sessionService.create(user, req);
 
-// Create and send JWT token
-const createSendToken = (user, statusCode, res, message = 'Success') => {
-    const token = signToken(user._id);
+    // Tells the client to send the user to two-factor setup before anything else works
+    const twoFactorSetupRequired = !user.twoFactor.enabled && await twoFactorService.isRequiredFor(user);
     
     const cookieOptions = {
         expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
@@ -31,27 +39,42 @@ const createSendToken = (user, statusCode, res, message = 'Success') => {
         success: true,
         message,
         token,
+        refreshToken,
+        twoFactorSetupRequired,
+        ...extras,
         data: {
             user
         }
     });
 };
 
+// Finish a first-factor login: issue tokens, or a challenge when the user has two-factor enabled
+const completeLogin = async (user, req, res, message) => {
+    if (user.twoFactor.enabled) {
+        return res.status(200).json({
+            success: true,
+            message: 'Enter your two-factor code to finish signing in',
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.createLoginChallenge(user)
+        });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    await createSendToken(user, 200, req, res, message);
+};
+
 // Register new user
 const register = catchAsync(async (req, res, next) => {
-    const { username, email, password, role, walletAddress, profile } = req.body;
+    const { username, email, password, walletAddress, profile } = req.body;
 
     // Validate required fields
     if (!username || !email || !password || !profile) {
         return next(new AppError('Please provide username, email, password, and profile', 400));
     }
 
-    // Validate role
-    const allowedRoles = Object.values(USER_ROLES);
-    if (role && !allowedRoles.includes(role)) {
-        return next(new AppError('Invalid user role', 400));
-    }
-
     // Check if user already exists
     const existingUserQuery = [
         { email },
@@ -71,14 +94,18 @@ const register = catchAsync(async (req, res, next) => {
         return next(new AppError('User with this email, username, or wallet address already exists', 400));
     }
 
-    // Create new user
+    // Anyone can claim an email domain, so joining its institution waits for an admin's approval
+    const institution = await Institution.findByEmailDomain(email);
+
+    // Self-registered users start as creators; admins grant other roles with updateUserRole
     const userData = {
         username,
         email,
         password,
-        role: role || USER_ROLES.CREATOR,
+        role: USER_ROLES.CREATOR,
         profile,
-        permissions: getDefaultPermissions(role || USER_ROLES.CREATOR)
+        permissions: permissionService.defaultPermissions(USER_ROLES.CREATOR),
+        requestedInstitution: institution ? institution._id : undefined
     };
     
     // Add wallet address only if provided and not placeholder
@@ -88,9 +115,9 @@ const register = catchAsync(async (req, res, next) => {
     
     const newUser = await User.create(userData);
 
-    logger.info(`New user registered: ${email} (${newUser.role})`);
+    logger.info(`New user registered: ${email} (${newUser.role})${institution ? `, awaiting approval to join ${institution.name}` : ''}`);
 
-    createSendToken(newUser, 201, res, 'User registered successfully');
+    await createSendToken(newUser, 201, req, res, 'User registered successfully');
 });
 
 // Login user
@@ -105,27 +132,54 @@ const login = catchAsync(async (req, res, next) => {
     // Check if user exists and password is correct
     const user = await User.findByCredentials(email, password);
 
-    // Update last login
+    logger.info(`User logged in: ${email}${user.twoFactor.enabled ? ' (awaiting two-factor code)' : ''}`);
+
+    await completeLogin(user, req, res, 'Login successful');
+});
+
+// Second login step: exchange the challenge token and a two-factor code for a session
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+        return next(new AppError('Please provide the login challenge and a two-factor code', 400));
+    }
+
+    const userId = twoFactorService.verifyLoginChallenge(challengeToken);
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+        return next(new AppError('Your account has been deactivated. Please contact support.', 401));
+    }
+
+    const { method, remainingRecoveryCodes } = await twoFactorService.verify(user, code);
+
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
 
-    logger.info(`User logged in: ${email}`);
+    logger.info(`Two-factor login completed: ${user.email} (${method})`);
 
-    createSendToken(user, 200, res, 'Login successful');
+    await createSendToken(user, 200, req, res, 'Login successful', method === 'recovery' ? { remainingRecoveryCodes } : {});
+});
+
+// Issue a single-use nonce for a Sign-In With Ethereum message
+const getNonce = catchAsync(async (req, res, next) => {
+    const siweFields = await siweService.issueNonce({ chainId: req.query.chainId, ip: req.ip });
+
+    res.status(200).json({
+        success: true,
+        data: siweFields
+    });
 });
 
 // Wallet-based login
 const walletLogin = catchAsync(async (req, res, next) => {
-    // User is already set by validateWalletSignature middleware
+    // User is already set by validateWalletSignature middleware from the signed message
     const user = req.user;
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
-
     logger.info(`Wallet login: ${user.walletAddress}`);
 
-    createSendToken(user, 200, res, 'Wallet login successful');
+    await completeLogin(user, req, res, 'Wallet login successful');
 });
 
 // Get current user
@@ -133,7 +187,7 @@ const getMe = catchAsync(async (req, res, next) => {
     const user = await User.findById(req.user.id).populate({
         path: 'permissions',
         select: 'name description'
-    });
+    }).populate('institution', 'name slug domain logo').populate('customRole', 'name');
 
     res.status(200).json({
         success: true,
@@ -200,23 +254,103 @@ const updatePassword = catchAsync(async (req, res, next) => {
     user.password = password;
     await user.save();
 
+    // Other devices have to log in with the new password
+    await sessionService.revokeAll(user._id, SESSION_REVOKE_REASONS.PASSWORD_CHANGED);
+
     logger.info(`Password updated for user: ${user.email}`);
 
-    createSendToken(user, 200, res, 'Password updated successfully');
+    await createSendToken(user, 200, req, res, 'Password updated successfully');
 });
 
 // Logout user
-const logout = (req, res) => {
+const logout = catchAsync(async (req, res, next) => {
+    await sessionService.revoke(req.authSession, SESSION_REVOKE_REASONS.LOGOUT);
+
     res.cookie('jwt', 'loggedout', {
         expires: new Date(Date.now() + 10 * 1000),
         httpOnly: true
     });
 
+    logger.info(`User logged out: ${req.user.email} (session ${req.authSession._id})`);
+
     res.status(200).json({
         success: true,
         message: 'Logged out successfully'
     });
-};
+});
+
+// Exchange a refresh token for a new access and refresh token
+const refreshToken = catchAsync(async (req, res, next) => {
+    if (!req.body.refreshToken) {
+        return next(new AppError('Please provide a refresh token', 400));
+    }
+
+    const { user, accessToken, refreshToken: nextRefreshToken } = await sessionService.refresh(req.body.refreshToken, req);
+
+    res.status(200).json({
+        success: true,
+        message: 'Token refreshed',
+        token: accessToken,
+        refreshToken: nextRefreshToken,
+        data: {
+            user
+        }
+    });
+});
+
+// Get the current user's active sessions
+const getSessions = catchAsync(async (req, res, next) => {
+    const sessions = await sessionService.listActive(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            sessions: sessions.map(session => ({
+                ...session.toJSON(),
+                current: session._id.equals(req.authSession._id)
+            }))
+        }
+    });
+});
+
+// Revoke one of the current user's sessions
+const revokeSession = catchAsync(async (req, res, next) => {
+    const session = await sessionService.findActive(req.params.id, req.user._id);
+
+    if (!session) {
+        return next(new AppError('Session not found', 404));
+    }
+
+    await sessionService.revoke(session, SESSION_REVOKE_REASONS.REVOKED);
+
+    logger.info(`Session ${session._id} revoked by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully'
+    });
+});
+
+// Revoke all of the current user's sessions, or all but the current one
+const revokeAllSessions = catchAsync(async (req, res, next) => {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+
+    const revoked = await sessionService.revokeAll(
+        req.user._id,
+        SESSION_REVOKE_REASONS.REVOKED,
+        exceptCurrent ? req.authSession._id : undefined
+    );
+
+    logger.info(`${revoked} session(s) revoked by ${req.user.email}${exceptCurrent ? ' (kept current)' : ''}`);
+
+    res.status(200).json({
+        success: true,
+        message: exceptCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+        data: {
+            revoked
+        }
+    });
+});
 
 // Forgot password
 const forgotPassword = catchAsync(async (req, res, next) => {
@@ -238,18 +372,26 @@ const forgotPassword = catchAsync(async (req, res, next) => {
     
     // Hash token and save to user
     user.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    user.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+    user.passwordResetExpires = Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000;
 
     await user.save({ validateBeforeSave: false });
 
     logger.info(`Password reset requested for: ${email}`);
 
-    // In production, send email with reset link
-    // For now, return token in response (remove in production)
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+    const delivery = await mailService.sendPasswordReset(user, resetUrl, PASSWORD_RESET_EXPIRES_MINUTES);
+
+    if (delivery.status !== DELIVERY_STATUS.SENT) {
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        return next(new AppError('There was an error sending the email. Please try again later.', 500));
+    }
+
     res.status(200).json({
         success: true,
-        message: 'Password reset token sent to email',
-        resetToken: process.env.NODE_ENV === 'development' ? resetToken : undefined
+        message: 'Password reset token sent to email'
     });
 });
 
@@ -286,9 +428,12 @@ const resetPassword = catchAsync(async (req, res, next) => {
     
     await user.save();
 
+    await sessionService.revokeAll(user._id, SESSION_REVOKE_REASONS.PASSWORD_CHANGED);
+
     logger.info(`Password reset completed for: ${user.email}`);
 
-    createSendToken(user, 200, res, 'Password reset successful');
+    // A reset link only proves access to the mailbox, so the second factor is still asked for
+    await completeLogin(user, req, res, 'Password reset successful');
 });
 
 // Admin: Get all users
@@ -298,8 +443,11 @@ const getAllUsers = catchAsync(async (req, res, next) => {
     const role = req.query.role;
     const status = req.query.status;
 
-    // Build filter
-    const filter = {};
+    // Build filter; institution admins only see their own users, or those asking to join
+    const tenantField = status === 'pending' ? 'requestedInstitution' : 'institution';
+    const filter = tenantFilter(req.user, {}, tenantField);
+    if (req.query.institutionId && req.user.isSuperAdmin) filter[tenantField] = req.query.institutionId;
+    if (status === 'pending' && !(tenantField in filter)) filter.requestedInstitution = { $exists: true };
     if (role) filter.role = role;
     if (status === 'active') filter.isActive = true;
     if (status === 'inactive') filter.isActive = false;
@@ -309,6 +457,7 @@ const getAllUsers = catchAsync(async (req, res, next) => {
     
     const users = await User.find(filter)
         .select('-password')
+        .populate('institution requestedInstitution', 'name slug')
         .skip(skip)
         .limit(limit)
         .sort({ createdAt: -1 });
@@ -339,17 +488,17 @@ const updateUserRole = catchAsync(async (req, res, next) => {
         return next(new AppError('Please provide a valid role', 400));
     }
 
-    const user = await User.findById(id);
+    const user = await User.findOne(tenantFilter(req.user, { _id: id }, 'institution'));
     if (!user) {
         return next(new AppError('User not found', 404));
     }
 
-    user.role = role;
-    user.permissions = getDefaultPermissions(role);
-    await user.save();
+    await permissionService.changeUserRole(user, role, req.user, req.ip);
 
     logger.info(`User role updated: ${user.email} -> ${role} by ${req.user.email}`);
 
+    roleSyncService.onUserChanged(user);
+
     res.status(200).json({
         success: true,
         message: 'User role updated successfully',
@@ -368,16 +517,27 @@ const updateUserStatus = catchAsync(async (req, res, next) => {
         return next(new AppError('Please provide valid status (true/false)', 400));
     }
 
-    const user = await User.findById(id);
+    const user = await User.findOne(tenantFilter(req.user, { _id: id }, 'institution'));
     if (!user) {
         return next(new AppError('User not found', 404));
     }
 
+    const wasActive = user.isActive;
     user.isActive = isActive;
     await user.save();
 
     logger.info(`User status updated: ${user.email} -> ${isActive ? 'active' : 'inactive'} by ${req.user.email}`);
 
+    roleSyncService.onUserChanged(user);
+
+    if (wasActive && !isActive) {
+        await sessionService.revokeAll(user._id, SESSION_REVOKE_REASONS.ACCOUNT_DEACTIVATED);
+
+        mailService.notifyAccountDeactivated(user).catch(error => {
+            logger.error(`Deactivation notification failed for ${user.email}:`, error);
+        });
+    }
+
     res.status(200).json({
         success: true,
         message: 'User status updated successfully',
@@ -387,36 +547,107 @@ const updateUserStatus = catchAsync(async (req, res, next) => {
     });
 });
 
-// Helper function to get default permissions based on role
-const getDefaultPermissions = (role) => {
-    const permissionMap = {
-        [USER_ROLES.CREATOR]: ['create_certificates'],
-        [USER_ROLES.VERIFIER]: ['verify_certificates', 'view_all_certificates'],
-        [USER_ROLES.ISSUER]: ['issue_certificates', 'view_all_certificates'],
-        [USER_ROLES.ADMIN]: [
-            'create_certificates',
-            'verify_certificates', 
-            'issue_certificates',
-            'view_all_certificates',
-            'manage_users',
-            'system_admin'
-        ]
-    };
+// Super-admin: Move a user to another institution or change super-admin status
+const updateUserInstitution = catchAsync(async (req, res, next) => {
+    const { id } = req.params;
+    const { institutionId, isSuperAdmin } = req.body;
 
-    return permissionMap[role] || [];
-};
+    if (institutionId === undefined && typeof isSuperAdmin !== 'boolean') {
+        return next(new AppError('Please provide an institution or super-admin status', 400));
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    if (institutionId !== undefined) {
+        if (institutionId && !(await Institution.exists({ _id: institutionId }))) {
+            return next(new AppError('Institution not found', 404));
+        }
+        user.institution = institutionId || undefined;
+        user.requestedInstitution = undefined;
+
+        // Custom roles belong to the institution the user is leaving
+        if (user.customRole) {
+            await permissionService.detachCustomRole(user, req.user, req.ip);
+        }
+    }
+
+    if (typeof isSuperAdmin === 'boolean') {
+        if (!isSuperAdmin && user._id.toString() === req.user._id.toString()) {
+            return next(new AppError('You cannot remove your own super-admin status', 400));
+        }
+        user.isSuperAdmin = isSuperAdmin;
+    }
+
+    await user.save();
+    await user.populate('institution', 'name slug');
+
+    logger.info(`User institution updated: ${user.email} -> ${user.institution ? user.institution.name : 'none'}${user.isSuperAdmin ? ' (super-admin)' : ''} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'User institution updated successfully',
+        data: {
+            user
+        }
+    });
+});
+
+// Admin: Approve or decline a user's request to join the institution of their email domain
+const reviewInstitutionRequest = catchAsync(async (req, res, next) => {
+    const { approved } = req.body;
+
+    if (typeof approved !== 'boolean') {
+        return next(new AppError('Please specify whether the request is approved or declined', 400));
+    }
+
+    const user = await User.findOne(tenantFilter(req.user, { _id: req.params.id }, 'requestedInstitution'));
+
+    if (!user || !user.requestedInstitution) {
+        return next(new AppError('No pending institution request for this user', 404));
+    }
+
+    const institution = user.requestedInstitution;
+    if (approved) {
+        user.institution = institution;
+    }
+    user.requestedInstitution = undefined;
+
+    await user.save({ validateBeforeSave: false });
+    await user.populate('institution', 'name slug');
+
+    logger.info(`Institution request ${approved ? 'approved' : 'declined'}: ${user.email} -> ${institution} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: `Institution request ${approved ? 'approved' : 'declined'} successfully`,
+        data: {
+            user
+        }
+    });
+});
 
 module.exports = {
     register,
     login,
+    verifyTwoFactorLogin,
+    getNonce,
     walletLogin,
     getMe,
     updateMe,
     updatePassword,
     logout,
+    refreshToken,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
     forgotPassword,
     resetPassword,
     getAllUsers,
     updateUserRole,
+    updateUserInstitution,
+    reviewInstitutionRequest,
     updateUserStatus
 };
\ No newline at end of file
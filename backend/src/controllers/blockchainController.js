@@ -1,7 +1,16 @@
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const blockchainService = require('../services/blockchainService');
-const { Certificate } = require('../models/Certificate');
+const certificateSyncService = require('../services/certificateSyncService');
+const chainOutboxService = require('../services/chainOutboxService');
+const chainIndexerService = require('../services/chainIndexerService');
+const roleSyncService = require('../services/roleSyncService');
+const { Certificate, CERTIFICATE_STATUS, SYNC_STATUS, ANCHOR_MODES } = require('../models/Certificate');
+const { ChainTransaction, CHAIN_TX_STATUS } = require('../models/ChainTransaction');
+const { RoleDiscrepancy } = require('../models/RoleDiscrepancy');
+const { OnChainEvent } = require('../models/OnChainEvent');
+const { ChainDivergence } = require('../models/ChainDivergence');
 const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/tenant');
 
 // Deploy contract (admin only)
 const deployContract = catchAsync(async (req, res, next) => {
@@ -44,77 +53,81 @@ const getContractInfo = catchAsync(async (req, res, next) => {
     }
 });
 
-// Anchor certificate to blockchain
+// Queue a certificate for anchoring; the transaction outbox sends and confirms it
 const anchorCertificate = catchAsync(async (req, res, next) => {
     const { id } = req.params;
 
-    const certificate = await Certificate.findById(id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: id }));
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
     }
 
     // Check if already anchored
-    if (certificate.blockchain.transactionHash) {
+    if (certificate.isAnchored()) {
         return res.status(200).json({
             success: true,
             message: 'Certificate already anchored to blockchain',
             data: {
                 certificateId: certificate.certificateId,
+                anchorMode: certificate.blockchain.anchorMode,
+                onChainId: certificate.blockchain.onChainId,
+                merkleRoot: certificate.blockchain.merkle?.root,
                 transactionHash: certificate.blockchain.transactionHash,
                 blockNumber: certificate.blockchain.blockNumber
             }
         });
     }
 
-    try {
-        // Create certificate on blockchain
-        const blockchainResult = await blockchainService.createCertificateOnChain(
-            certificate.blockchain.certificateHash,
-            certificate.ipfs.cid,
-            {
-                certificateId: certificate.certificateId,
-                recipient: certificate.recipient.name,
-                institution: certificate.institution.name,
-                subject: certificate.course.subject
-            }
-        );
+    const queued = await certificateSyncService.syncCertificate(certificate._id, req.user._id);
+    const transactions = await chainOutboxService.getOpenTransactions(certificate._id);
 
-        // Update certificate with blockchain information
-        certificate.blockchain.transactionHash = blockchainResult.transactionHash;
-        certificate.blockchain.blockNumber = blockchainResult.blockNumber;
-        certificate.blockchain.contractAddress = process.env.CONTRACT_ADDRESS;
+    logger.info(`Certificate queued for anchoring: ${certificate.certificateId} by ${req.user.email}`);
 
-        await certificate.save();
+    res.status(202).json({
+        success: true,
+        message: 'Certificate queued for anchoring to blockchain',
+        data: {
+            certificateId: queued.certificateId,
+            syncStatus: queued.blockchain.syncStatus,
+            transactions
+        }
+    });
+});
 
-        // Add to history
-        await certificate.addHistoryEntry(
-            'anchored', 
-            req.user._id, 
-            `Anchored to blockchain: ${blockchainResult.transactionHash}`
-        );
+// Retry mirroring a certificate's workflow status to the blockchain
+const syncCertificate = catchAsync(async (req, res, next) => {
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
 
-        logger.info(`Certificate anchored to blockchain: ${certificate.certificateId}, TX: ${blockchainResult.transactionHash}`);
+    const synced = await certificateSyncService.syncCertificate(certificate._id, req.user._id);
+    const transactions = await chainOutboxService.getOpenTransactions(certificate._id);
+    const confirmed = synced.blockchain.syncStatus === SYNC_STATUS.CONFIRMED;
 
-        res.status(200).json({
-            success: true,
-            message: 'Certificate anchored to blockchain successfully',
-            data: {
-                certificateId: certificate.certificateId,
-                blockchainResult
-            }
-        });
+    logger.info(`Certificate sync requested: ${certificate.certificateId} by ${req.user.email}, result: ${synced.blockchain.syncStatus}`);
 
-    } catch (error) {
-        logger.error('Failed to anchor certificate:', error);
-        return next(new AppError('Failed to anchor certificate to blockchain', 500));
-    }
+    res.status(confirmed ? 200 : 202).json({
+        success: true,
+        message: confirmed
+            ? 'Certificate synchronized with blockchain'
+            : 'Certificate synchronization queued',
+        data: {
+            certificateId: synced.certificateId,
+            onChainId: synced.blockchain.onChainId,
+            syncStatus: synced.blockchain.syncStatus,
+            syncError: synced.blockchain.syncError,
+            transactions: synced.blockchain.transactions,
+            queued: transactions
+        }
+    });
 });
 
 // Get certificate blockchain information
 const getCertificateBlockchainInfo = catchAsync(async (req, res, next) => {
     const { id } = req.params;
 
-    const certificate = await Certificate.findById(id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: id }));
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
     }
@@ -126,7 +139,14 @@ const getCertificateBlockchainInfo = catchAsync(async (req, res, next) => {
             blockNumber: certificate.blockchain.blockNumber,
             contractAddress: certificate.blockchain.contractAddress,
             network: certificate.blockchain.network,
-            isAnchored: !!certificate.blockchain.transactionHash
+            onChainId: certificate.blockchain.onChainId,
+            anchorMode: certificate.blockchain.anchorMode,
+            merkle: certificate.blockchain.anchorMode === ANCHOR_MODES.MERKLE ? certificate.blockchain.merkle : undefined,
+            syncStatus: certificate.blockchain.syncStatus,
+            syncError: certificate.blockchain.syncError,
+            lastSyncedAt: certificate.blockchain.lastSyncedAt,
+            transactions: certificate.blockchain.transactions,
+            isAnchored: certificate.isAnchored()
         };
 
         // If anchored, get additional blockchain data
@@ -135,8 +155,8 @@ const getCertificateBlockchainInfo = catchAsync(async (req, res, next) => {
                 const txInfo = await blockchainService.getTransactionInfo(certificate.blockchain.transactionHash);
                 blockchainInfo.transactionInfo = txInfo;
 
-                // Verify hash exists on chain
-                const hashVerification = await blockchainService.verifyHashOnChain(certificate.blockchain.certificateHash);
+                // Verify hash exists on chain, directly or under its Merkle root
+                const hashVerification = await blockchainService.verifyCertificateAnchor(certificate);
                 blockchainInfo.hashVerification = hashVerification;
 
             } catch (error) {
@@ -157,20 +177,25 @@ const getCertificateBlockchainInfo = catchAsync(async (req, res, next) => {
     }
 });
 
-// Batch anchor certificates
+// Queue several certificates for anchoring in batch calls to the registry, or under one Merkle root
 const batchAnchorCertificates = catchAsync(async (req, res, next) => {
-    const { certificateIds } = req.body;
+    const { certificateIds, mode = ANCHOR_MODES.DIRECT } = req.body;
 
     if (!certificateIds || !Array.isArray(certificateIds)) {
         return next(new AppError('Please provide an array of certificate IDs', 400));
     }
 
+    if (!Object.values(ANCHOR_MODES).includes(mode)) {
+        return next(new AppError(`Anchoring mode must be one of: ${Object.values(ANCHOR_MODES).join(', ')}`, 400));
+    }
+
     const results = [];
     const errors = [];
+    const eligible = [];
 
     for (const certId of certificateIds) {
         try {
-            const certificate = await Certificate.findById(certId);
+            const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: certId }));
             
             if (!certificate) {
                 errors.push({
@@ -180,37 +205,26 @@ const batchAnchorCertificates = catchAsync(async (req, res, next) => {
                 continue;
             }
 
-            if (certificate.blockchain.transactionHash) {
+            // A Merkle root cannot be updated, so only final, issued content goes under one
+            if (mode === ANCHOR_MODES.MERKLE && certificate.status !== CERTIFICATE_STATUS.ISSUED) {
+                errors.push({
+                    certificateId: certificate.certificateId,
+                    error: 'Only issued certificates can be anchored under a Merkle root'
+                });
+                continue;
+            }
+
+            if (certificate.isAnchored()) {
                 results.push({
                     certificateId: certificate.certificateId,
                     status: 'already_anchored',
+                    anchorMode: certificate.blockchain.anchorMode,
                     transactionHash: certificate.blockchain.transactionHash
                 });
                 continue;
             }
 
-            // Anchor to blockchain
-            const blockchainResult = await blockchainService.createCertificateOnChain(
-                certificate.blockchain.certificateHash,
-                certificate.ipfs.cid,
-                {
-                    certificateId: certificate.certificateId,
-                    recipient: certificate.recipient.name,
-                    institution: certificate.institution.name
-                }
-            );
-
-            // Update certificate
-            certificate.blockchain.transactionHash = blockchainResult.transactionHash;
-            certificate.blockchain.blockNumber = blockchainResult.blockNumber;
-            await certificate.save();
-
-            results.push({
-                certificateId: certificate.certificateId,
-                status: 'anchored',
-                transactionHash: blockchainResult.transactionHash,
-                blockNumber: blockchainResult.blockNumber
-            });
+            eligible.push(certificate);
 
         } catch (error) {
             errors.push({
@@ -220,31 +234,115 @@ const batchAnchorCertificates = catchAsync(async (req, res, next) => {
         }
     }
 
-    logger.info(`Batch anchoring completed by ${req.user.email}: ${results.length} anchored, ${errors.length} failed`);
+    let transactions;
+    let skipped;
 
-    res.status(200).json({
+    if (mode === ANCHOR_MODES.MERKLE) {
+        const queuedRoot = await chainOutboxService.enqueueMerkle(eligible, req.user._id);
+        transactions = queuedRoot.transaction ? [queuedRoot.transaction] : [];
+        skipped = queuedRoot.skipped;
+    } else {
+        ({ transactions, skipped } = await chainOutboxService.enqueueBatch(eligible, req.user._id));
+    }
+
+    const transactionFor = (certificate) => transactions.find(transaction =>
+        String(transaction.certificate) === String(certificate._id) ||
+        transaction.certificates.some(id => String(id) === String(certificate._id))
+    );
+
+    for (const certificate of eligible) {
+        const transaction = transactionFor(certificate);
+
+        results.push({
+            certificateId: certificate.certificateId,
+            status: transaction ? 'queued' : 'already_queued',
+            transaction: transaction ? transaction._id : undefined
+        });
+
+        // Queue any later workflow operations behind the creation; Merkle-anchored workflows stay off-chain
+        if (mode === ANCHOR_MODES.DIRECT) {
+            await certificateSyncService.syncCertificate(certificate._id, req.user._id);
+        }
+    }
+
+    const queued = eligible.length - skipped.length;
+
+    logger.info(`Batch anchoring (${mode}) queued by ${req.user.email}: ${queued} certificate(s) in ${transactions.length} transaction(s), ${errors.length} failed`);
+
+    res.status(202).json({
         success: true,
-        message: `Batch anchoring completed: ${results.length}/${certificateIds.length} successful`,
+        message: `Batch anchoring queued: ${queued} certificate(s) in ${transactions.length} transaction(s)`,
         data: {
+            mode,
             total: certificateIds.length,
-            anchored: results.length,
+            queued,
+            alreadyQueued: skipped.length,
+            alreadyAnchored: results.length - eligible.length,
             failed: errors.length,
+            transactions: transactions.map(transaction => ({
+                id: transaction._id,
+                certificates: transaction.isBatch ? transaction.certificates.length : 1,
+                merkleRoot: transaction.merkleRoot
+            })),
             results,
             errors: errors.length > 0 ? errors : undefined
         }
     });
 });
 
-// Verify hash on blockchain
+// Get a batch anchoring transaction with its certificates and the gas it saved
+const getBatchAnchor = catchAsync(async (req, res, next) => {
+    const transaction = await ChainTransaction.findOne(tenantFilter(req.user, {
+        _id: req.params.id,
+        'certificates.0': { $exists: true }
+    })).populate('certificates', 'certificateId title blockchain.onChainId blockchain.syncStatus');
+
+    if (!transaction) {
+        return next(new AppError('Batch transaction not found', 404));
+    }
+
+    const gasUsed = transaction.gasUsed ? Number(transaction.gasUsed) : null;
+    const individualEstimate = transaction.individualGasEstimate ? Number(transaction.individualGasEstimate) : null;
+    const gasSaved = transaction.gasSaved ? Number(transaction.gasSaved) : null;
+
+    res.status(200).json({
+        success: true,
+        data: {
+            transaction,
+            gas: {
+                used: gasUsed,
+                individualEstimate,
+                saved: gasSaved,
+                savedPercent: gasSaved !== null && individualEstimate
+                    ? Math.round((gasSaved / individualEstimate) * 1000) / 10
+                    : null
+            }
+        }
+    });
+});
+
+// Verify hash on blockchain, as a registry entry or under a Merkle root
 const verifyHashOnBlockchain = catchAsync(async (req, res, next) => {
     const { hash } = req.params;
+    const { root, proof } = req.query;
 
     if (!hash) {
         return next(new AppError('Certificate hash is required', 400));
     }
 
     try {
-        const verification = await blockchainService.verifyHashOnChain(hash);
+        let verification;
+        const certificate = await Certificate.findOne({ 'blockchain.certificateHash': hash });
+
+        if (root) {
+            // A proof presented by the caller, e.g. one taken from a shared certificate
+            const inclusion = await blockchainService.verifyMerkleInclusion(root, hash, proof ? proof.split(',') : []);
+            verification = blockchainService.withValidity(inclusion, certificate);
+        } else {
+            verification = certificate
+                ? await blockchainService.verifyCertificateAnchor(certificate)
+                : await blockchainService.verifyHashOnChain(hash);
+        }
         
         res.status(200).json({
             success: true,
@@ -277,7 +375,7 @@ const getTransactionInfo = catchAsync(async (req, res, next) => {
 
     } catch (error) {
         logger.error('Failed to get transaction info:', error);
-        return next(new AppError('Failed to retrieve transaction information', 500));
+        return next(error instanceof AppError ? error : new AppError('Failed to retrieve transaction information', 500));
     }
 });
 
@@ -301,13 +399,21 @@ const getNetworkStatus = catchAsync(async (req, res, next) => {
 // Get contract statistics
 const getContractStats = catchAsync(async (req, res, next) => {
     try {
+        const scope = tenantFilter(req.user);
+
         const stats = {
             contractAddress: process.env.CONTRACT_ADDRESS,
-            totalCertificatesInDB: await Certificate.countDocuments(),
+            totalCertificatesInDB: await Certificate.countDocuments(scope),
             anchoredCertificates: await Certificate.countDocuments({
+                ...scope,
                 'blockchain.transactionHash': { $exists: true, $ne: null }
             }),
+            merkleAnchoredCertificates: await Certificate.countDocuments({
+                ...scope,
+                'blockchain.merkle.anchoredAt': { $ne: null }
+            }),
             pendingAnchoring: await Certificate.countDocuments({
+                ...scope,
                 'blockchain.transactionHash': { $exists: false }
             })
         };
@@ -315,6 +421,9 @@ const getContractStats = catchAsync(async (req, res, next) => {
         // Get network status
         const networkStatus = await blockchainService.getNetworkStatus();
         stats.network = networkStatus;
+        stats.paused = networkStatus.connected
+            ? await blockchainService.isPaused().catch(() => null)
+            : null;
 
         res.status(200).json({
             success: true,
@@ -350,7 +459,8 @@ const estimateGasFees = catchAsync(async (req, res, next) => {
 
     } catch (error) {
         logger.error('Failed to estimate gas:', error);
-        return next(new AppError('Gas estimation failed', 500));
+        // Reverts come back as the registry's reason, e.g. an invalid status for the operation
+        return next(error instanceof AppError ? error : new AppError('Gas estimation failed', 500));
     }
 });
 
@@ -371,16 +481,246 @@ const getCurrentGasPrices = catchAsync(async (req, res, next) => {
     }
 });
 
+// Get on-chain role discrepancies, open ones by default
+const getRoleDiscrepancies = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = tenantFilter(req.user);
+    if (req.query.resolved !== 'true') filter.resolvedAt = null;
+    if (req.query.role) filter.role = req.query.role;
+
+    const skip = (page - 1) * limit;
+
+    const [discrepancies, total] = await Promise.all([
+        RoleDiscrepancy.find(filter)
+            .populate('user', 'email role isActive profile.firstName profile.lastName')
+            .populate('resolvedBy', 'email')
+            .sort({ detectedAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        RoleDiscrepancy.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            discrepancies,
+            sync: {
+                enabled: roleSyncService.enabled,
+                running: roleSyncService.running,
+                lastScan: roleSyncService.lastScan
+            },
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+// Compare app roles with on-chain roles now instead of waiting for the job
+const scanRoleDiscrepancies = catchAsync(async (req, res, next) => {
+    if (roleSyncService.running) {
+        return next(new AppError('A role scan is already running', 409));
+    }
+
+    roleSyncService.running = true;
+    try {
+        const summary = await roleSyncService.scan();
+
+        logger.info(`On-chain role scan run by ${req.user.email}: ${summary.open} open discrepancy(ies)`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Role scan completed',
+            data: summary
+        });
+    } finally {
+        roleSyncService.running = false;
+    }
+});
+
+// Apply the expected on-chain state for one discrepancy
+const fixRoleDiscrepancy = catchAsync(async (req, res, next) => {
+    const discrepancy = await RoleDiscrepancy.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!discrepancy) {
+        return next(new AppError('Discrepancy not found', 404));
+    }
+
+    await roleSyncService.fix(discrepancy, req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Discrepancy resolved',
+        data: {
+            discrepancy
+        }
+    });
+});
+
+// Apply the expected on-chain state for every open discrepancy in scope
+const fixAllRoleDiscrepancies = catchAsync(async (req, res, next) => {
+    const result = await roleSyncService.fixAll(tenantFilter(req.user), req.user);
+
+    logger.info(`On-chain role discrepancies fixed by ${req.user.email}: ${result.fixed} fixed, ${result.failed.length} failed`);
+
+    res.status(200).json({
+        success: true,
+        message: `${result.fixed} discrepancy(ies) resolved${result.failed.length ? `, ${result.failed.length} failed` : ''}`,
+        data: result
+    });
+});
+
+// Get outbox transactions, by default those that failed, are retrying or look stuck
+const getChainTransactions = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = tenantFilter(req.user);
+    if (req.query.status === 'stuck') {
+        Object.assign(filter, chainOutboxService.stuckFilter());
+    } else if (req.query.status) {
+        filter.status = req.query.status;
+    } else {
+        Object.assign(filter, chainOutboxService.problemFilter());
+    }
+    if (req.query.certificate) filter.certificate = req.query.certificate;
+
+    const skip = (page - 1) * limit;
+
+    const [transactions, total, counts] = await Promise.all([
+        ChainTransaction.find(filter)
+            .populate('certificate', 'certificateId title status')
+            .populate('certificates', 'certificateId')
+            .populate('resubmittedBy', 'email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        ChainTransaction.countDocuments(filter),
+        ChainTransaction.aggregate([
+            { $match: tenantFilter(req.user) },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ])
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            transactions,
+            summary: Object.fromEntries(counts.map(entry => [entry._id, entry.count])),
+            outbox: {
+                confirmations: chainOutboxService.confirmations,
+                maxAttempts: chainOutboxService.maxAttempts,
+                stuckAfterMs: chainOutboxService.stuckAfter
+            },
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+// Retry a failed transaction, or speed up one that is stuck in the mempool
+const resubmitChainTransaction = catchAsync(async (req, res, next) => {
+    const transaction = await chainOutboxService.resubmit(req.params.id, tenantFilter(req.user), req.user);
+
+    logger.info(`Blockchain transaction ${transaction._id} (${transaction.action}) resubmitted by ${req.user.email}: ${transaction.status}`);
+
+    res.status(200).json({
+        success: true,
+        message: transaction.status === CHAIN_TX_STATUS.SUBMITTED
+            ? 'Transaction re-sent with higher fees'
+            : 'Transaction queued for another attempt',
+        data: {
+            transaction
+        }
+    });
+});
+
+// Report how the indexed chain events compare with the database, open divergences by default
+const getReconciliationReport = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const scope = tenantFilter(req.user);
+    const filter = { ...scope };
+    if (req.query.resolved !== 'true') filter.resolvedAt = null;
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const skip = (page - 1) * limit;
+
+    const [divergences, total, openByKind, eventCounts, indexer] = await Promise.all([
+        ChainDivergence.find(filter)
+            .populate('certificate', 'certificateId title status blockchain.syncStatus')
+            .populate('event', 'name actor blockNumber transactionHash')
+            .sort({ detectedAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        ChainDivergence.countDocuments(filter),
+        ChainDivergence.aggregate([
+            { $match: { ...scope, resolvedAt: null } },
+            { $group: { _id: '$kind', count: { $sum: 1 } } }
+        ]),
+        OnChainEvent.aggregate([
+            { $match: scope },
+            { $group: { _id: { name: '$name', removed: '$removed' }, count: { $sum: 1 } } }
+        ]),
+        chainIndexerService.getStatus()
+    ]);
+
+    const events = { total: 0, removed: 0, byName: {} };
+    for (const { _id, count } of eventCounts) {
+        if (_id.removed) {
+            events.removed += count;
+        } else {
+            events.total += count;
+            events.byName[_id.name] = count;
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            indexer,
+            events,
+            openDivergences: Object.fromEntries(openByKind.map(entry => [entry._id, entry.count])),
+            divergences,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
 module.exports = {
     deployContract,
     getContractInfo,
     anchorCertificate,
+    syncCertificate,
     getCertificateBlockchainInfo,
     batchAnchorCertificates,
+    getBatchAnchor,
     verifyHashOnBlockchain,
     getTransactionInfo,
     getNetworkStatus,
     getContractStats,
     estimateGasFees,
-    getCurrentGasPrices
+    getCurrentGasPrices,
+    getRoleDiscrepancies,
+    scanRoleDiscrepancies,
+    fixRoleDiscrepancy,
+    fixAllRoleDiscrepancies,
+    getChainTransactions,
+    resubmitChainTransaction,
+    getReconciliationReport
 };
\ No newline at end of file
@@ -1,8 +1,21 @@
-const { Certificate, CERTIFICATE_STATUS, CERTIFICATE_TYPES } = require('../models/Certificate');
+const { Certificate, CERTIFICATE_STATUS, CERTIFICATE_TYPES, SYNC_STATUS } = require('../models/Certificate');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const ipfsService = require('../services/ipfsService');
 const encryptionService = require('../utils/encryption');
+const certificateSyncService = require('../services/certificateSyncService');
+const pdfService = require('../services/pdfService');
+const mailService = require('../services/mailService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const credentialService = require('../services/credentialService');
+const badgeService = require('../services/badgeService');
+const workflowPolicyService = require('../services/workflowPolicyService');
+const { tenantFilter, resolveTenant, assignTenant, isSuperAdmin } = require('../utils/tenant');
+
+// Fields a reissue may correct without sending the new version back through verification
+const INSTANT_REISSUE_FIELDS = ['description'];
 
 // Get all certificates with filtering and pagination
 const getAllCertificates = catchAsync(async (req, res, next) => {
@@ -13,8 +26,9 @@ const getAllCertificates = catchAsync(async (req, res, next) => {
     const institution = req.query.institution;
     const subject = req.query.subject;
 
-    // Build filter
-    const filter = {};
+    // Build filter, limited to the caller's institution
+    const filter = tenantFilter(req.user);
+    if (req.query.institutionId && isSuperAdmin(req.user)) filter.institutionId = req.query.institutionId;
     if (status) filter.status = status;
     if (type) filter.type = type;
     if (institution) filter['institution.name'] = new RegExp(institution, 'i');
@@ -55,7 +69,7 @@ const getAllCertificates = catchAsync(async (req, res, next) => {
 
 // Get single certificate
 const getCertificate = catchAsync(async (req, res, next) => {
-    const certificate = await Certificate.findById(req.params.id)
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }))
         .populate('creator', 'username email profile.firstName profile.lastName')
         .populate('verifier.userId', 'username email profile.firstName profile.lastName')
         .populate('issuer.userId', 'username email profile.firstName profile.lastName');
@@ -74,10 +88,30 @@ const getCertificate = catchAsync(async (req, res, next) => {
         return next(new AppError('You do not have permission to view this certificate', 403));
     }
 
+    const versions = await Certificate.getVersionChain(certificate);
+
     res.status(200).json({
         success: true,
         data: {
-            certificate
+            certificate,
+            versions
+        }
+    });
+});
+
+// Get the workflow actions the caller can take and the separation-of-duties rules that apply
+const getCertificateWorkflow = catchAsync(async (req, res, next) => {
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }))
+        .populate('approvals.userId', 'username email profile.firstName profile.lastName');
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            workflow: await workflowPolicyService.describe(certificate, req.user)
         }
     });
 });
@@ -89,16 +123,24 @@ const createCertificate = catchAsync(async (req, res, next) => {
         type,
         description,
         recipient,
-        institution,
         course,
-        metadata
+        metadata,
+        expiryDate
     } = req.body;
 
+    // Certificates belong to the creator's institution, which also supplies the name
+    const tenant = await resolveTenant(req.user, req.body.institutionId);
+    const { institutionId, institution } = assignTenant({ institution: req.body.institution }, tenant);
+
     // Validate required fields
     if (!title || !recipient || !institution || !course) {
         return next(new AppError('Please provide all required certificate information', 400));
     }
 
+    if (expiryDate && new Date(expiryDate) <= new Date()) {
+        return next(new AppError('Expiry date must be in the future', 400));
+    }
+
     // Generate certificate hash
     const certificateData = {
         title,
@@ -134,6 +176,7 @@ const createCertificate = catchAsync(async (req, res, next) => {
         type: type || 'academic',
         description,
         recipient,
+        institutionId,
         institution,
         course,
         creator: req.user._id,
@@ -146,11 +189,17 @@ const createCertificate = catchAsync(async (req, res, next) => {
             encryptionKey: encryptionPassword,
             isEncrypted: true
         },
-        metadata
+        metadata,
+        expiryDate
     });
 
     // Add to history
     await certificate.addHistoryEntry('created', req.user._id, 'Certificate created');
+    webhookService.emit(WEBHOOK_EVENTS.CREATED, certificate, { actor: req.user });
+
+    notificationService.certificateAwaitingVerification(certificate, req.user._id).catch(error => {
+        logger.error(`Verification notification failed for ${certificate.certificateId}:`, error);
+    });
 
     logger.info(`Certificate created: ${certificate.certificateId} by ${req.user.email}`);
 
@@ -165,7 +214,7 @@ const createCertificate = catchAsync(async (req, res, next) => {
 
 // Update certificate (only before verification)
 const updateCertificate = catchAsync(async (req, res, next) => {
-    const certificate = await Certificate.findById(req.params.id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
 
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
@@ -176,8 +225,8 @@ const updateCertificate = catchAsync(async (req, res, next) => {
         return next(new AppError('Cannot update certificate after verification', 400));
     }
 
-    // Fields that can be updated
-    const allowedFields = ['title', 'description', 'recipient', 'institution', 'course', 'metadata'];
+    // Fields that can be updated; the institution always comes from the tenant
+    const allowedFields = ['title', 'description', 'recipient', 'course', 'metadata', 'expiryDate'];
     const filteredBody = {};
 
     Object.keys(req.body).forEach(key => {
@@ -186,14 +235,28 @@ const updateCertificate = catchAsync(async (req, res, next) => {
         }
     });
 
-    const updatedCertificate = await Certificate.findByIdAndUpdate(
-        req.params.id,
+    // Approvals were given for the previous content, so verifiers have to approve the edit again
+    const clearedApprovals = certificate.approvals.length;
+    if (clearedApprovals > 0) {
+        filteredBody.approvals = [];
+    }
+
+    const updatedCertificate = await Certificate.findOneAndUpdate(
+        { _id: certificate._id, status: CERTIFICATE_STATUS.PENDING },
         filteredBody,
         { new: true, runValidators: true }
     );
 
+    if (!updatedCertificate) {
+        return next(new AppError('Cannot update certificate after verification', 400));
+    }
+
     // Add to history
-    await updatedCertificate.addHistoryEntry('updated', req.user._id, 'Certificate updated');
+    const details = clearedApprovals > 0
+        ? `Certificate updated; ${clearedApprovals} approval(s) cleared`
+        : 'Certificate updated';
+    await updatedCertificate.addHistoryEntry('updated', req.user._id, details);
+    webhookService.emit(WEBHOOK_EVENTS.UPDATED, updatedCertificate, { actor: req.user });
 
     logger.info(`Certificate updated: ${certificate.certificateId} by ${req.user.email}`);
 
@@ -208,7 +271,7 @@ const updateCertificate = catchAsync(async (req, res, next) => {
 
 // Delete certificate (only if pending)
 const deleteCertificate = catchAsync(async (req, res, next) => {
-    const certificate = await Certificate.findById(req.params.id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
 
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
@@ -244,7 +307,7 @@ const verifyCertificate = catchAsync(async (req, res, next) => {
         return next(new AppError('Please specify whether certificate is approved or rejected', 400));
     }
 
-    const certificate = await Certificate.findById(req.params.id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
 
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
@@ -254,27 +317,89 @@ const verifyCertificate = catchAsync(async (req, res, next) => {
         return next(new AppError('Certificate has already been verified', 400));
     }
 
-    // Update certificate status
-    certificate.status = approved ? CERTIFICATE_STATUS.APPROVED : CERTIFICATE_STATUS.REJECTED;
-    certificate.verifier = {
-        userId: req.user._id,
-        verifiedAt: new Date(),
-        comments: comments || ''
-    };
+    const policy = await workflowPolicyService.getPolicy(certificate.institutionId);
+    workflowPolicyService.assertCanVerify(policy, req.user, certificate);
+
+    // Types with a quorum stay pending until enough distinct verifiers approved
+    const required = workflowPolicyService.requiredApprovals(policy, certificate.type);
+    const approvalCount = certificate.approvals.length + 1;
+    const decided = !approved || approvalCount >= required;
+
+    const update = {};
+    if (approved) {
+        update.$push = {
+            approvals: {
+                userId: req.user._id,
+                approvedAt: new Date(),
+                comments: comments || ''
+            }
+        };
+    }
+    if (decided) {
+        update.$set = {
+            status: approved ? CERTIFICATE_STATUS.APPROVED : CERTIFICATE_STATUS.REJECTED,
+            verifier: {
+                userId: req.user._id,
+                verifiedAt: new Date(),
+                comments: comments || ''
+            },
+            'blockchain.syncStatus': SYNC_STATUS.PENDING
+        };
+    }
 
-    await certificate.save();
+    // Apply the approval and any status change together, and only to the state the policy was checked against
+    const updated = await Certificate.findOneAndUpdate(
+        {
+            _id: certificate._id,
+            status: CERTIFICATE_STATUS.PENDING,
+            approvals: { $size: certificate.approvals.length }
+        },
+        update,
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        return next(new AppError('Certificate was changed by someone else, please reload and try again', 409));
+    }
+
+    if (!decided) {
+        const progress = `Approval ${approvalCount} of ${required}`;
+        await updated.addHistoryEntry('verified', req.user._id, comments ? `${progress}: ${comments}` : progress);
+
+        logger.info(`Certificate approval recorded: ${updated.certificateId} by ${req.user.email} (${approvalCount}/${required})`);
+
+        return res.status(200).json({
+            success: true,
+            message: `Approval recorded (${approvalCount} of ${required})`,
+            data: {
+                certificate: updated
+            }
+        });
+    }
 
     // Add to history
     const action = approved ? 'approved' : 'rejected';
-    await certificate.addHistoryEntry(action, req.user._id, comments || '');
+    await updated.addHistoryEntry(action, req.user._id, comments || '');
+    webhookService.emit(approved ? WEBHOOK_EVENTS.APPROVED : WEBHOOK_EVENTS.REJECTED, updated, { actor: req.user, details: comments });
+
+    // Mirror the decision to CertificateRegistry
+    certificateSyncService.scheduleSync(updated._id);
+
+    // Hand over to issuers, or back to the creator on rejection
+    const notification = approved
+        ? notificationService.certificateAwaitingIssuance(updated, req.user._id)
+        : notificationService.certificateRejected(updated);
+    notification.catch(error => {
+        logger.error(`Verification outcome notification failed for ${updated.certificateId}:`, error);
+    });
 
-    logger.info(`Certificate ${action}: ${certificate.certificateId} by ${req.user.email}`);
+    logger.info(`Certificate ${action}: ${updated.certificateId} by ${req.user.email}`);
 
     res.status(200).json({
         success: true,
         message: `Certificate ${action} successfully`,
         data: {
-            certificate
+            certificate: updated
         }
     });
 });
@@ -283,7 +408,7 @@ const verifyCertificate = catchAsync(async (req, res, next) => {
 const issueCertificate = catchAsync(async (req, res, next) => {
     const { comments } = req.body;
 
-    const certificate = await Certificate.findById(req.params.id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
 
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
@@ -293,33 +418,75 @@ const issueCertificate = catchAsync(async (req, res, next) => {
         return next(new AppError('Certificate must be approved before issuance', 400));
     }
 
-    // Update certificate status
-    certificate.status = CERTIFICATE_STATUS.ISSUED;
-    certificate.issuer = {
-        userId: req.user._id,
-        issuedAt: new Date(),
-        comments: comments || ''
+    if (certificate.expiryDate && certificate.expiryDate <= new Date()) {
+        return next(new AppError('Certificate expiry date has already passed', 400));
+    }
+
+    const policy = await workflowPolicyService.getPolicy(certificate.institutionId);
+    workflowPolicyService.assertCanIssue(policy, req.user, certificate);
+
+    const issuedAt = new Date();
+    const update = {
+        status: CERTIFICATE_STATUS.ISSUED,
+        issuer: {
+            userId: req.user._id,
+            issuedAt,
+            comments: comments || ''
+        },
+        'verification.isVerified': true,
+        'blockchain.syncStatus': SYNC_STATUS.PENDING
     };
 
-    // Generate verification code
-    certificate.verification.isVerified = true;
+    // Start the validity period for types that expire
+    const expiryDate = certificate.applyDefaultExpiry(issuedAt);
+    if (expiryDate) update.expiryDate = expiryDate;
 
-    await certificate.save();
+    // Issue only if the certificate is still in the approved state the policy was checked against
+    let updated = await Certificate.findOneAndUpdate(
+        { _id: certificate._id, status: CERTIFICATE_STATUS.APPROVED },
+        { $set: update },
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        return next(new AppError('Certificate was changed by someone else, please reload and try again', 409));
+    }
+
+    // The save hook generates the verification code of newly issued certificates
+    if (!updated.verification.verificationCode) {
+        updated = await updated.save();
+    }
 
     // Add to history
-    await certificate.addHistoryEntry('issued', req.user._id, comments || '');
+    await updated.addHistoryEntry('issued', req.user._id, comments || '');
+    webhookService.emit(WEBHOOK_EVENTS.ISSUED, updated, { actor: req.user, details: comments });
+
+    // Record issuance on CertificateRegistry
+    certificateSyncService.scheduleSync(updated._id);
+
+    // A corrected version replaces the one it supersedes only once it is issued
+    await supersedePredecessor(updated, req.user);
+
+    // Generate PDF certificate (can be regenerated on download if this fails)
+    let pdfBuffer = null;
+    try {
+        ({ buffer: pdfBuffer } = await pdfService.generateCertificatePdf(updated));
+    } catch (error) {
+        logger.warn(`PDF generation failed for ${updated.certificateId}: ${error.message}`);
+    }
 
-    // TODO: Interact with blockchain to record issuance
-    // TODO: Generate PDF certificate
-    // TODO: Send notification to recipient
+    // Notify recipient; delivery outcome is recorded for admins
+    mailService.notifyCertificateIssued(updated, pdfBuffer).catch(error => {
+        logger.error(`Issuance notification failed for ${updated.certificateId}:`, error);
+    });
 
-    logger.info(`Certificate issued: ${certificate.certificateId} by ${req.user.email}`);
+    logger.info(`Certificate issued: ${updated.certificateId} by ${req.user.email}`);
 
     res.status(200).json({
         success: true,
         message: 'Certificate issued successfully',
         data: {
-            certificate
+            certificate: updated
         }
     });
 });
@@ -332,7 +499,7 @@ const revokeCertificate = catchAsync(async (req, res, next) => {
         return next(new AppError('Please provide reason for revocation', 400));
     }
 
-    const certificate = await Certificate.findById(req.params.id);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
 
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
@@ -345,11 +512,21 @@ const revokeCertificate = catchAsync(async (req, res, next) => {
     // Update certificate status
     certificate.status = CERTIFICATE_STATUS.REVOKED;
     certificate.verification.isVerified = false;
+    certificate.blockchain.syncStatus = SYNC_STATUS.PENDING;
 
     await certificate.save();
 
     // Add to history
     await certificate.addHistoryEntry('revoked', req.user._id, reason);
+    webhookService.emit(WEBHOOK_EVENTS.REVOKED, certificate, { actor: req.user, details: reason });
+
+    // Record revocation on CertificateRegistry
+    certificateSyncService.scheduleSync(certificate._id);
+
+    // Notify recipient
+    mailService.notifyCertificateRevoked(certificate, reason).catch(error => {
+        logger.error(`Revocation notification failed for ${certificate.certificateId}:`, error);
+    });
 
     logger.info(`Certificate revoked: ${certificate.certificateId} by ${req.user.email}, reason: ${reason}`);
 
@@ -362,6 +539,323 @@ const revokeCertificate = catchAsync(async (req, res, next) => {
     });
 });
 
+// Renew an issued or expired certificate as a linked successor
+const renewCertificate = catchAsync(async (req, res, next) => {
+    const { expiryDate, comments } = req.body;
+
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    if (![CERTIFICATE_STATUS.ISSUED, CERTIFICATE_STATUS.EXPIRED].includes(certificate.status)) {
+        return next(new AppError('Only issued or expired certificates can be renewed', 400));
+    }
+
+    if (certificate.renewal && certificate.renewal.renewedBy) {
+        return next(new AppError('Certificate has already been renewed', 400));
+    }
+
+    if (expiryDate && new Date(expiryDate) <= new Date()) {
+        return next(new AppError('Expiry date must be in the future', 400));
+    }
+
+    const { tags, templateId, customFields } = certificate.metadata || {};
+
+    // Successor goes through the normal verify and issue workflow
+    const successor = await createSingleCertificate({
+        certificateId: Certificate.generateCertificateId(),
+        title: certificate.title,
+        type: certificate.type,
+        description: certificate.description,
+        recipient: certificate.recipient.toObject(),
+        institutionId: certificate.institutionId,
+        institution: certificate.institution.toObject(),
+        course: certificate.course.toObject(),
+        metadata: { tags, templateId, customFields, source: 'renewal' },
+        expiryDate,
+        renewal: { renewalOf: certificate._id }
+    }, req.user);
+
+    certificate.renewal.renewedBy = successor._id;
+    certificate.renewal.renewedAt = new Date();
+    await certificate.save();
+
+    await successor.addHistoryEntry('created', req.user._id, 'Certificate created');
+    await successor.addHistoryEntry('renewed', req.user._id, `Renewal of ${certificate.certificateId}${comments ? `: ${comments}` : ''}`);
+    await certificate.addHistoryEntry('renewed', req.user._id, `Renewed as ${successor.certificateId}${comments ? `: ${comments}` : ''}`);
+    webhookService.emit(WEBHOOK_EVENTS.CREATED, successor, { actor: req.user });
+    webhookService.emit(WEBHOOK_EVENTS.RENEWED, certificate, { actor: req.user, details: `Renewed as ${successor.certificateId}` });
+
+    notificationService.certificateAwaitingVerification(successor, req.user._id).catch(error => {
+        logger.error(`Verification notification failed for ${successor.certificateId}:`, error);
+    });
+
+    logger.info(`Certificate renewed: ${certificate.certificateId} -> ${successor.certificateId} by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Renewal certificate created successfully',
+        data: {
+            certificate: successor,
+            renewalOf: certificate.certificateId
+        }
+    });
+});
+
+// Reissue an issued certificate as a new version with corrections
+const reissueCertificate = catchAsync(async (req, res, next) => {
+    const { changes = {}, reason } = req.body;
+
+    if (!reason) {
+        return next(new AppError('Please provide reason for reissue', 400));
+    }
+
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    if (certificate.status !== CERTIFICATE_STATUS.ISSUED) {
+        return next(new AppError('Only issued certificates can be reissued', 400));
+    }
+
+    // Fields that can be amended; the institution always comes from the tenant
+    const allowedFields = ['title', 'description', 'recipient', 'course', 'metadata', 'expiryDate'];
+    const invalidFields = Object.keys(changes).filter(key => !allowedFields.includes(key));
+
+    if (invalidFields.length > 0) {
+        return next(new AppError(`Fields cannot be amended: ${invalidFields.join(', ')}`, 400));
+    }
+
+    const openSuccessor = await Certificate.exists({
+        supersedes: certificate._id,
+        status: { $in: [CERTIFICATE_STATUS.PENDING, CERTIFICATE_STATUS.APPROVED] }
+    });
+
+    if (openSuccessor) {
+        return next(new AppError('A new version of this certificate is already awaiting verification', 400));
+    }
+
+    // Only wording that is not part of the certified content can be corrected without a new verification
+    let instant = Object.keys(changes).every(key => INSTANT_REISSUE_FIELDS.includes(key));
+
+    if (instant) {
+        const policy = await workflowPolicyService.getPolicy(certificate.institutionId);
+
+        // Carried-over approvals must still meet the current quorum, otherwise the new version is verified again
+        const required = workflowPolicyService.requiredApprovals(policy, certificate.type);
+        instant = workflowPolicyService.approverIds(certificate).length >= required;
+
+        if (instant) {
+            workflowPolicyService.assertCanIssue(policy, req.user, certificate);
+        }
+    }
+
+    const merge = (field) => ({ ...certificate[field].toObject(), ...changes[field] });
+
+    const successorData = {
+        certificateId: Certificate.generateCertificateId(),
+        title: changes.title || certificate.title,
+        type: certificate.type,
+        description: changes.description !== undefined ? changes.description : certificate.description,
+        recipient: merge('recipient'),
+        institutionId: certificate.institutionId,
+        institution: certificate.institution.toObject(),
+        course: merge('course'),
+        metadata: { ...certificate.metadata.toObject(), ...changes.metadata, source: 'reissue' },
+        expiryDate: changes.expiryDate !== undefined ? changes.expiryDate : certificate.expiryDate,
+        version: certificate.version + 1,
+        supersedes: certificate._id
+    };
+
+    if (instant) {
+        Object.assign(successorData, {
+            status: CERTIFICATE_STATUS.ISSUED,
+            verifier: certificate.verifier,
+            approvals: certificate.approvals,
+            issuer: {
+                userId: req.user._id,
+                issuedAt: new Date(),
+                comments: reason
+            },
+            verification: { isVerified: true }
+        });
+    }
+
+    const successor = await createSingleCertificate(successorData, req.user);
+    await successor.addHistoryEntry('reissued', req.user._id, `Supersedes ${certificate.certificateId}: ${reason}`);
+
+    if (instant) {
+        await supersedePredecessor(successor, req.user);
+        certificateSyncService.scheduleSync(successor._id);
+
+        let pdfBuffer = null;
+        try {
+            ({ buffer: pdfBuffer } = await pdfService.generateCertificatePdf(successor));
+        } catch (error) {
+            logger.warn(`PDF generation failed for ${successor.certificateId}: ${error.message}`);
+        }
+
+        mailService.notifyCertificateIssued(successor, pdfBuffer).catch(error => {
+            logger.error(`Issuance notification failed for ${successor.certificateId}:`, error);
+        });
+    } else {
+        // Corrected content goes through verification; the old version stays valid until the new one is issued
+        webhookService.emit(WEBHOOK_EVENTS.CREATED, successor, { actor: req.user });
+
+        notificationService.certificateAwaitingVerification(successor, req.user._id).catch(error => {
+            logger.error(`Verification notification failed for ${successor.certificateId}:`, error);
+        });
+    }
+
+    logger.info(`Certificate reissued: ${certificate.certificateId} -> ${successor.certificateId} (v${successor.version}, ${successor.status}) by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: instant ? 'Certificate reissued successfully' : 'New certificate version created and awaiting verification',
+        data: {
+            certificate: successor,
+            versions: await Certificate.getVersionChain(successor)
+        }
+    });
+});
+
+// Get all versions of a certificate
+const getCertificateVersions = catchAsync(async (req, res, next) => {
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    const canView =
+        certificate.creator.toString() === req.user._id.toString() ||
+        req.user.permissions.includes('view_all_certificates') ||
+        req.user.role === 'admin';
+
+    if (!canView) {
+        return next(new AppError('You do not have permission to view this certificate', 403));
+    }
+
+    const versions = await Certificate.getVersionChain(certificate);
+
+    res.status(200).json({
+        success: true,
+        results: versions.length,
+        data: {
+            versions
+        }
+    });
+});
+
+// Download certificate PDF
+const downloadCertificate = catchAsync(async (req, res, next) => {
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    const canView =
+        certificate.creator.toString() === req.user._id.toString() ||
+        req.user.permissions.includes('view_all_certificates') ||
+        req.user.role === 'admin';
+
+    if (!canView) {
+        return next(new AppError('You do not have permission to view this certificate', 403));
+    }
+
+    if (![CERTIFICATE_STATUS.ISSUED, CERTIFICATE_STATUS.REVOKED].includes(certificate.status)) {
+        return next(new AppError('Only issued certificates can be downloaded', 400));
+    }
+
+    const buffer = await pdfService.getCertificatePdf(certificate);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${certificate.certificateId}.pdf"`);
+
+    res.status(200).send(buffer);
+});
+
+// Export certificate as a W3C Verifiable Credential
+const exportCredential = catchAsync(async (req, res, next) => {
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    const canView =
+        certificate.creator.toString() === req.user._id.toString() ||
+        req.user.permissions.includes('view_all_certificates') ||
+        req.user.role === 'admin';
+
+    if (!canView) {
+        return next(new AppError('You do not have permission to view this certificate', 403));
+    }
+
+    const credential = await credentialService.issueCredential(certificate);
+
+    logger.info(`Verifiable credential exported: ${certificate.certificateId} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            credential
+        }
+    });
+});
+
+// Export certificate as an Open Badges 3.0 credential, optionally baked into an image
+const exportBadge = catchAsync(async (req, res, next) => {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!['json', 'png', 'svg'].includes(format)) {
+        return next(new AppError('Badge format must be json, png or svg', 400));
+    }
+
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!certificate) {
+        return next(new AppError('Certificate not found', 404));
+    }
+
+    const canView =
+        certificate.creator.toString() === req.user._id.toString() ||
+        req.user.permissions.includes('view_all_certificates') ||
+        req.user.role === 'admin';
+
+    if (!canView) {
+        return next(new AppError('You do not have permission to view this certificate', 403));
+    }
+
+    const credential = await badgeService.issueBadge(certificate);
+
+    logger.info(`Open Badge exported (${format}): ${certificate.certificateId} by ${req.user.email}`);
+
+    if (format === 'png') {
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Disposition', `attachment; filename="${certificate.certificateId}-badge.png"`);
+        return res.status(200).send(await badgeService.bakePng(certificate, credential));
+    }
+
+    if (format === 'svg') {
+        res.setHeader('Content-Type', 'image/svg+xml');
+        res.setHeader('Content-Disposition', `attachment; filename="${certificate.certificateId}-badge.svg"`);
+        return res.status(200).send(badgeService.bakeSvg(certificate, credential));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            credential
+        }
+    });
+});
+
 // Batch create certificates
 const batchCreateCertificates = catchAsync(async (req, res, next) => {
     const { certificates: certificateDataArray } = req.body;
@@ -374,18 +868,20 @@ const batchCreateCertificates = catchAsync(async (req, res, next) => {
         return next(new AppError('Batch size cannot exceed 100 certificates', 400));
     }
 
+    const tenant = await resolveTenant(req.user, req.body.institutionId);
     const createdCertificates = [];
     const errors = [];
 
     for (let i = 0; i < certificateDataArray.length; i++) {
         try {
-            const certData = certificateDataArray[i];
+            const certData = assignTenant(certificateDataArray[i], tenant);
             
             // Set creator and process each certificate
             req.body = certData;
             
             const result = await createSingleCertificate(certData, req.user);
             createdCertificates.push(result);
+            webhookService.emit(WEBHOOK_EVENTS.CREATED, result, { actor: req.user });
 
         } catch (error) {
             errors.push({
@@ -396,6 +892,12 @@ const batchCreateCertificates = catchAsync(async (req, res, next) => {
         }
     }
 
+    if (createdCertificates.length > 0) {
+        notificationService.certificatesAwaitingVerification(createdCertificates.length, req.user._id, 'a batch request', tenant && tenant._id).catch(error => {
+            logger.error('Batch verification notification failed:', error);
+        });
+    }
+
     logger.info(`Batch certificate creation: ${createdCertificates.length} created, ${errors.length} failed by ${req.user.email}`);
 
     res.status(200).json({
@@ -437,6 +939,33 @@ const createSingleCertificate = async (certData, user) => {
     });
 };
 
+// Helper function to revoke the version an issued certificate supersedes
+const supersedePredecessor = async (successor, user) => {
+    if (!successor.supersedes) return null;
+
+    const predecessor = await Certificate.findById(successor.supersedes);
+
+    if (!predecessor || predecessor.status !== CERTIFICATE_STATUS.ISSUED) {
+        logger.warn(`Version ${successor.certificateId} issued but its predecessor is no longer issued`);
+        return null;
+    }
+
+    predecessor.status = CERTIFICATE_STATUS.REVOKED;
+    predecessor.verification.isVerified = false;
+    predecessor.supersededBy = successor._id;
+    predecessor.blockchain.syncStatus = SYNC_STATUS.PENDING;
+    await predecessor.save();
+
+    await predecessor.addHistoryEntry('revoked', user._id, 'superseded');
+    webhookService.emit(WEBHOOK_EVENTS.REVOKED, predecessor, { actor: user, details: 'superseded' });
+    webhookService.emit(WEBHOOK_EVENTS.REISSUED, successor, { actor: user, details: `Supersedes ${predecessor.certificateId}` });
+
+    // Record the revocation on CertificateRegistry
+    certificateSyncService.scheduleSync(predecessor._id);
+
+    return predecessor;
+};
+
 // Get certificates by status
 const getCertificatesByStatus = catchAsync(async (req, res, next) => {
     const { status } = req.params;
@@ -447,7 +976,7 @@ const getCertificatesByStatus = catchAsync(async (req, res, next) => {
         return next(new AppError('Invalid certificate status', 400));
     }
 
-    const certificates = await Certificate.findByStatus(status, 'creator verifier.userId issuer.userId');
+    const certificates = await Certificate.findByStatus(status, 'creator verifier.userId issuer.userId', tenantFilter(req.user));
     
     // Apply pagination
     const skip = (page - 1) * limit;
@@ -475,14 +1004,15 @@ const getCertificatesByCreator = catchAsync(async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
 
     const skip = (page - 1) * limit;
+    const filter = tenantFilter(req.user, { creator: creatorId });
 
-    const certificates = await Certificate.find({ creator: creatorId })
+    const certificates = await Certificate.find(filter)
         .populate('creator', 'username email profile.firstName profile.lastName')
         .skip(skip)
         .limit(limit)
         .sort({ createdAt: -1 });
 
-    const total = await Certificate.countDocuments({ creator: creatorId });
+    const total = await Certificate.countDocuments(filter);
 
     res.status(200).json({
         success: true,
@@ -505,8 +1035,8 @@ const searchCertificates = catchAsync(async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
 
-    // Build search query
-    const searchQuery = {};
+    // Build search query, limited to the caller's institution
+    const searchQuery = tenantFilter(req.user);
 
     if (q) {
         searchQuery.$or = [
@@ -556,12 +1086,15 @@ const searchCertificates = catchAsync(async (req, res, next) => {
 const verifyCertificatePublic = catchAsync(async (req, res, next) => {
     const { verificationCode } = req.params;
 
-    const certificate = await Certificate.findByVerificationCode(verificationCode);
+    const found = await Certificate.findByVerificationCode(verificationCode);
 
-    if (!certificate) {
+    if (!found) {
         return next(new AppError('Invalid verification code or certificate not found', 404));
     }
 
+    // Codes of superseded versions resolve to the current version
+    const certificate = await Certificate.findLatestVersion(found);
+
     // Return public information only
     const publicData = {
         certificateId: certificate.certificateId,
@@ -570,7 +1103,10 @@ const verifyCertificatePublic = catchAsync(async (req, res, next) => {
         institution: certificate.institution,
         course: certificate.course,
         status: certificate.status,
+        validity: certificate.getValidityStatus(),
         issuedAt: certificate.issuer.issuedAt,
+        expiryDate: certificate.expiryDate,
+        version: certificate.version,
         verificationCode: certificate.verification.verificationCode,
         isVerified: certificate.verification.isVerified
     };
@@ -578,14 +1114,18 @@ const verifyCertificatePublic = catchAsync(async (req, res, next) => {
     res.status(200).json({
         success: true,
         data: {
-            certificate: publicData
+            certificate: publicData,
+            redirectedFrom: certificate === found ? null : found.certificateId
         }
     });
 });
 
 // Get certificate statistics (admin only)
 const getCertificateStats = catchAsync(async (req, res, next) => {
+    const scope = tenantFilter(req.user);
+
     const stats = await Certificate.aggregate([
+        { $match: scope },
         {
             $group: {
                 _id: '$status',
@@ -595,6 +1135,7 @@ const getCertificateStats = catchAsync(async (req, res, next) => {
     ]);
 
     const typeStats = await Certificate.aggregate([
+        { $match: scope },
         {
             $group: {
                 _id: '$type',
@@ -603,8 +1144,9 @@ const getCertificateStats = catchAsync(async (req, res, next) => {
         }
     ]);
 
-    const totalCertificates = await Certificate.countDocuments();
+    const totalCertificates = await Certificate.countDocuments(scope);
     const totalThisMonth = await Certificate.countDocuments({
+        ...scope,
         createdAt: { 
             $gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1) 
         }
@@ -642,9 +1184,9 @@ const getCertificateTrends = catchAsync(async (req, res, next) => {
 
     const trends = await Certificate.aggregate([
         {
-            $match: {
+            $match: tenantFilter(req.user, {
                 createdAt: { $gte: startDate }
-            }
+            })
         },
         {
             $group: {
@@ -671,12 +1213,19 @@ const getCertificateTrends = catchAsync(async (req, res, next) => {
 module.exports = {
     getAllCertificates,
     getCertificate,
+    getCertificateWorkflow,
     createCertificate,
     updateCertificate,
     deleteCertificate,
     verifyCertificate,
     issueCertificate,
     revokeCertificate,
+    renewCertificate,
+    reissueCertificate,
+    getCertificateVersions,
+    downloadCertificate,
+    exportCredential,
+    exportBadge,
     batchCreateCertificates,
     getCertificatesByStatus,
     getCertificatesByCreator,
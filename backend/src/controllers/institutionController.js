@@ -0,0 +1,112 @@
+const { Institution } = require('../models/Institution');
+const { Certificate } = require('../models/Certificate');
+const { User } = require('../models/User');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { tenantFilter, sameTenant, isSuperAdmin } = require('../utils/tenant');
+
+// Get institutions; admins only see their own
+const getInstitutions = catchAsync(async (req, res, next) => {
+    const filter = tenantFilter(req.user, {}, '_id');
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+
+    const institutions = await Institution.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            institutions
+        }
+    });
+});
+
+// Get single institution with its signing keys and usage counts
+const getInstitution = catchAsync(async (req, res, next) => {
+    const institution = await Institution.findById(req.params.id)
+        .populate('signingKeys', 'did type isActive revokedAt createdAt')
+        .populate('createdBy', 'username email');
+
+    if (!institution || !sameTenant(req.user, institution, '_id')) {
+        return next(new AppError('Institution not found', 404));
+    }
+
+    const [users, certificates] = await Promise.all([
+        User.countDocuments({ institution: institution._id }),
+        Certificate.countDocuments({ institutionId: institution._id })
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            institution,
+            stats: {
+                users,
+                certificates
+            }
+        }
+    });
+});
+
+// Super-admin: Create an institution
+const createInstitution = catchAsync(async (req, res, next) => {
+    const { name, slug, domain, logo, contactEmail, onChainAddress } = req.body;
+
+    const institution = await Institution.create({
+        name,
+        slug,
+        domain,
+        logo,
+        contactEmail,
+        onChainAddress,
+        createdBy: req.user._id
+    });
+
+    logger.info(`Institution created: ${institution.name} (${institution.slug}) by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Institution created successfully',
+        data: {
+            institution
+        }
+    });
+});
+
+// Update an institution; identity and state are reserved for super-admins
+const updateInstitution = catchAsync(async (req, res, next) => {
+    const allowedFields = isSuperAdmin(req.user)
+        ? ['name', 'slug', 'domain', 'logo', 'contactEmail', 'onChainAddress', 'isActive']
+        : ['logo', 'contactEmail', 'onChainAddress'];
+
+    const restricted = Object.keys(req.body).filter(key => !allowedFields.includes(key));
+    if (restricted.length > 0) {
+        return next(new AppError(`Fields cannot be updated: ${restricted.join(', ')}`, 403));
+    }
+
+    const institution = await Institution.findById(req.params.id);
+
+    if (!institution || !sameTenant(req.user, institution, '_id')) {
+        return next(new AppError('Institution not found', 404));
+    }
+
+    institution.set(req.body);
+    await institution.save();
+
+    logger.info(`Institution updated: ${institution.name} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Institution updated successfully',
+        data: {
+            institution
+        }
+    });
+});
+
+module.exports = {
+    getInstitutions,
+    getInstitution,
+    createInstitution,
+    updateInstitution
+};
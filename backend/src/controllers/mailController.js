@@ -0,0 +1,81 @@
+const { EmailDelivery } = require('../models/EmailDelivery');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const mailService = require('../services/mailService');
+const logger = require('../utils/logger');
+const { tenantFilter } = require('../utils/tenant');
+
+// Get email deliveries with filtering and pagination
+const getDeliveries = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = tenantFilter(req.user);
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.template) filter.template = req.query.template;
+    if (req.query.to) filter.to = req.query.to.toLowerCase();
+    if (req.query.certificate) filter.certificate = req.query.certificate;
+
+    const skip = (page - 1) * limit;
+
+    const [deliveries, total] = await Promise.all([
+        EmailDelivery.find(filter)
+            .populate('certificate', 'certificateId title')
+            .populate('user', 'username email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        EmailDelivery.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            deliveries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+// Get single email delivery
+const getDelivery = catchAsync(async (req, res, next) => {
+    const delivery = await EmailDelivery.findOne(tenantFilter(req.user, { _id: req.params.id }))
+        .populate('certificate', 'certificateId title')
+        .populate('user', 'username email');
+
+    if (!delivery) {
+        return next(new AppError('Delivery not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            delivery
+        }
+    });
+});
+
+// Retry a failed or bounced email
+const retryDelivery = catchAsync(async (req, res, next) => {
+    const delivery = await mailService.retryDelivery(req.params.id, tenantFilter(req.user));
+
+    logger.info(`Email delivery ${delivery._id} retried by ${req.user.email}: ${delivery.status}`);
+
+    res.status(200).json({
+        success: true,
+        message: `Email ${delivery.status}`,
+        data: {
+            delivery
+        }
+    });
+});
+
+module.exports = {
+    getDeliveries,
+    getDelivery,
+    retryDelivery
+};
@@ -0,0 +1,94 @@
+const { Notification } = require('../models/Notification');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const notificationService = require('../services/notificationService');
+
+// Get the current user's notifications with pagination
+const getNotifications = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Notification.countDocuments(filter),
+        notificationService.getUnreadCount(req.user._id)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            notifications,
+            unreadCount,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+// Open a Server-Sent Events stream of new notifications
+const streamNotifications = catchAsync(async (req, res, next) => {
+    await notificationService.subscribe(req.user, req, res);
+});
+
+// Mark a single notification as read
+const markAsRead = catchAsync(async (req, res, next) => {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+        return next(new AppError('Notification not found', 404));
+    }
+
+    if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+    }
+
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+    notificationService.push(req.user._id.toString(), 'unread', { unreadCount });
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: {
+            notification,
+            unreadCount
+        }
+    });
+});
+
+// Mark all of the current user's notifications as read
+const markAllAsRead = catchAsync(async (req, res, next) => {
+    const result = await Notification.updateMany(
+        { recipient: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+
+    notificationService.push(req.user._id.toString(), 'unread', { unreadCount: 0 });
+
+    res.status(200).json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: {
+            updated: result.modifiedCount,
+            unreadCount: 0
+        }
+    });
+});
+
+module.exports = {
+    getNotifications,
+    streamNotifications,
+    markAsRead,
+    markAllAsRead
+};
@@ -0,0 +1,173 @@
+const { User, USER_ROLES, PERMISSIONS } = require('../models/User');
+const { Role } = require('../models/Role');
+const { AuditLog } = require('../models/AuditLog');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const permissionService = require('../services/permissionService');
+const { tenantFilter, resolveTenant } = require('../utils/tenant');
+
+// Get custom roles along with the built-in roles and every permission
+const getRoles = catchAsync(async (req, res, next) => {
+    const roles = await Role.find(tenantFilter(req.user, {}, 'institution'))
+        .populate('institution', 'name')
+        .sort({ name: 1 })
+        .lean();
+
+    // How many users hold each role
+    const counts = await User.aggregate([
+        { $match: { customRole: { $in: roles.map(role => role._id) } } },
+        { $group: { _id: '$customRole', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            roles: roles.map(role => ({ ...role, userCount: countByRole.get(String(role._id)) || 0 })),
+            builtInRoles: Object.values(USER_ROLES).map(name => ({
+                name,
+                permissions: permissionService.defaultPermissions(name)
+            })),
+            permissions: Object.values(PERMISSIONS)
+        }
+    });
+});
+
+// Define a custom role
+const createRole = catchAsync(async (req, res, next) => {
+    const institution = await resolveTenant(req.user, req.body.institutionId);
+
+    const role = await permissionService.createRole(
+        req.body,
+        institution ? institution._id : undefined,
+        req.user,
+        req.ip
+    );
+
+    res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: {
+            role
+        }
+    });
+});
+
+// Change a custom role's description or permissions
+const updateRole = catchAsync(async (req, res, next) => {
+    const role = await Role.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'));
+
+    if (!role) {
+        return next(new AppError('Role not found', 404));
+    }
+
+    const { affectedUsers } = await permissionService.updateRole(role, req.body, req.user, req.ip);
+
+    res.status(200).json({
+        success: true,
+        message: `Role updated successfully${affectedUsers ? `, ${affectedUsers} user(s) affected` : ''}`,
+        data: {
+            role
+        }
+    });
+});
+
+// Delete a custom role nobody holds
+const deleteRole = catchAsync(async (req, res, next) => {
+    const role = await Role.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'));
+
+    if (!role) {
+        return next(new AppError('Role not found', 404));
+    }
+
+    await permissionService.deleteRole(role, req.user, req.ip);
+
+    res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+    });
+});
+
+// Get a user's role, overrides and effective permissions
+const getUserPermissions = catchAsync(async (req, res, next) => {
+    const user = await User.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'))
+        .select('username email role customRole permissionOverrides permissions institution')
+        .populate('customRole', 'name permissions');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            user
+        }
+    });
+});
+
+// Assign a custom role and grant or revoke individual permissions
+const updateUserPermissions = catchAsync(async (req, res, next) => {
+    const user = await User.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'));
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    const { customRole, granted, revoked } = req.body;
+    await permissionService.updateUserAccess(user, { customRole, granted, revoked }, req.user, req.ip);
+    await user.populate('customRole', 'name permissions');
+
+    res.status(200).json({
+        success: true,
+        message: 'User permissions updated successfully',
+        data: {
+            user
+        }
+    });
+});
+
+// Get the audit trail of role and permission changes
+const getAuditLog = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = tenantFilter(req.user, {}, 'institution');
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.targetUser) filter.targetUser = req.query.targetUser;
+    if (req.query.targetRole) filter.targetRole = req.query.targetRole;
+
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+            .populate('targetUser', 'username email')
+            .populate('targetRole', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            entries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+module.exports = {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    getUserPermissions,
+    updateUserPermissions,
+    getAuditLog
+};
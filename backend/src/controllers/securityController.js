@@ -0,0 +1,269 @@
+const { User, USER_ROLES } = require('../models/User');
+const { CERTIFICATE_TYPES } = require('../models/Certificate');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const twoFactorService = require('../services/twoFactorService');
+const workflowPolicyService = require('../services/workflowPolicyService');
+const sessionService = require('../services/sessionService');
+const { tenantOf, tenantFilter } = require('../utils/tenant');
+
+// Get the current user's two-factor status
+const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+    const { enabled, enabledAt } = req.user.twoFactor;
+
+    res.status(200).json({
+        success: true,
+        data: {
+            enabled,
+            enabledAt,
+            required: await twoFactorService.isRequiredFor(req.user),
+            recoveryCodesRemaining: enabled ? await twoFactorService.countRecoveryCodes(req.user) : 0
+        }
+    });
+});
+
+// Start two-factor enrollment and return the provisioning QR code
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then enter a code to confirm',
+        data: enrollment
+    });
+});
+
+// Confirm enrollment with a code from the authenticator app
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+    if (!req.body.code) {
+        return next(new AppError('Please provide a code from your authenticator app', 400));
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+
+    // Enrolling proves the second factor, so count it as a fresh confirmation
+    await sessionService.markReauthenticated(req.authSession);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+// Turn two-factor authentication off, unless the user's role requires it
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+    if (!req.user.twoFactor.enabled) {
+        return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    if (await twoFactorService.isRequiredFor(req.user)) {
+        return next(new AppError('Your role requires two-factor authentication, so it cannot be turned off', 403));
+    }
+
+    await twoFactorService.disable(req.user);
+
+    logger.info(`Two-factor authentication disabled by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+});
+
+// Replace the current user's recovery codes
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user);
+
+    logger.info(`Recovery codes regenerated by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'New recovery codes generated. The old ones no longer work.',
+        data: {
+            recoveryCodes
+        }
+    });
+});
+
+// Confirm identity again before a sensitive action: a two-factor code if enabled, otherwise the password
+const reauthenticate = catchAsync(async (req, res, next) => {
+    const { password, code } = req.body;
+
+    if (req.user.twoFactor.enabled) {
+        if (!code) {
+            return next(new AppError('Please provide a two-factor code', 400));
+        }
+
+        await twoFactorService.verify(req.user, code);
+    } else {
+        if (!password) {
+            return next(new AppError('Please provide your password', 400));
+        }
+
+        if (!(await req.user.correctPassword(password))) {
+            return next(new AppError('Password is incorrect', 401));
+        }
+    }
+
+    const session = await sessionService.markReauthenticated(req.authSession);
+
+    res.status(200).json({
+        success: true,
+        message: 'Identity confirmed',
+        data: {
+            reauthenticatedAt: session.reauthenticatedAt
+        }
+    });
+});
+
+// Admin: Get the security policy of the caller's institution; super-admins may pick one
+const getSecurityPolicy = catchAsync(async (req, res, next) => {
+    const institutionId = req.user.isSuperAdmin && req.query.institutionId !== undefined
+        ? req.query.institutionId || null
+        : tenantOf(req.user);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            policy: await twoFactorService.getPolicy(institutionId),
+            roles: Object.values(USER_ROLES)
+        }
+    });
+});
+
+// Admin: Update the security policy of the caller's institution; super-admins may pick one
+const updateSecurityPolicy = catchAsync(async (req, res, next) => {
+    const { twoFactorRequiredRoles, reauthMaxAgeMinutes } = req.body;
+    const institutionId = req.user.isSuperAdmin && req.body.institutionId !== undefined
+        ? req.body.institutionId || null
+        : tenantOf(req.user);
+
+    if (!institutionId && !req.user.isSuperAdmin) {
+        return next(new AppError('Only super-admins can change the platform security policy', 403));
+    }
+
+    const updates = {};
+
+    if (twoFactorRequiredRoles !== undefined) {
+        if (!Array.isArray(twoFactorRequiredRoles)) {
+            return next(new AppError('twoFactorRequiredRoles must be an array of roles', 400));
+        }
+        updates.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+
+    if (reauthMaxAgeMinutes !== undefined) {
+        updates.reauthMaxAgeMinutes = reauthMaxAgeMinutes;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return next(new AppError('Please provide policy fields to update', 400));
+    }
+
+    const policy = await twoFactorService.updatePolicy(institutionId, updates, req.user);
+
+    logger.info(`Security policy ${institutionId ? `of institution ${institutionId}` : '(platform)'} updated by ${req.user.email}: 2FA required for [${policy.twoFactorRequiredRoles.join(', ')}], re-auth ${policy.reauthMaxAgeMinutes}m`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Security policy updated successfully',
+        data: {
+            policy
+        }
+    });
+});
+
+// Admin: Get the separation-of-duties policy of the caller's institution
+const getWorkflowPolicy = catchAsync(async (req, res, next) => {
+    const institutionId = req.user.isSuperAdmin && req.query.institutionId !== undefined
+        ? req.query.institutionId || null
+        : tenantOf(req.user);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            policy: await workflowPolicyService.getPolicy(institutionId),
+            certificateTypes: Object.values(CERTIFICATE_TYPES)
+        }
+    });
+});
+
+// Admin: Update the separation-of-duties policy of the caller's institution; super-admins may pick one
+const updateWorkflowPolicy = catchAsync(async (req, res, next) => {
+    const { creatorCannotVerify, verifierCannotIssue, approvalQuorums } = req.body;
+    const institutionId = req.user.isSuperAdmin && req.body.institutionId !== undefined
+        ? req.body.institutionId || null
+        : tenantOf(req.user);
+
+    if (!institutionId && !req.user.isSuperAdmin) {
+        return next(new AppError('Only super-admins can change the platform workflow policy', 403));
+    }
+
+    const updates = {};
+
+    if (typeof creatorCannotVerify === 'boolean') updates.creatorCannotVerify = creatorCannotVerify;
+    if (typeof verifierCannotIssue === 'boolean') updates.verifierCannotIssue = verifierCannotIssue;
+
+    if (approvalQuorums !== undefined) {
+        if (!Array.isArray(approvalQuorums)) {
+            return next(new AppError('approvalQuorums must be an array of { type, approvals }', 400));
+        }
+
+        const types = approvalQuorums.map(quorum => quorum.type);
+        if (new Set(types).size !== types.length) {
+            return next(new AppError('Each certificate type can have only one quorum', 400));
+        }
+
+        updates.approvalQuorums = approvalQuorums.map(({ type, approvals }) => ({ type, approvals }));
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return next(new AppError('Please provide policy fields to update', 400));
+    }
+
+    const policy = await workflowPolicyService.updatePolicy(institutionId, updates, req.user);
+
+    logger.info(`Workflow policy ${institutionId ? `of institution ${institutionId}` : '(platform)'} updated by ${req.user.email}: creator cannot verify ${policy.creatorCannotVerify}, verifier cannot issue ${policy.verifierCannotIssue}, quorums [${policy.approvalQuorums.map(q => `${q.type}:${q.approvals}`).join(', ')}]`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Workflow policy updated successfully',
+        data: {
+            policy
+        }
+    });
+});
+
+// Admin: Reset a user's two-factor authentication when they lost their device and recovery codes
+const resetUserTwoFactor = catchAsync(async (req, res, next) => {
+    const user = await User.findOne(tenantFilter(req.user, { _id: req.params.id }, 'institution'));
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    await twoFactorService.disable(user);
+
+    logger.info(`Two-factor authentication of ${user.email} reset by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset. The user will be asked to set it up again if their role requires it.'
+    });
+});
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    reauthenticate,
+    getSecurityPolicy,
+    updateSecurityPolicy,
+    getWorkflowPolicy,
+    updateWorkflowPolicy,
+    resetUserTwoFactor
+};
@@ -0,0 +1,186 @@
+const { CertificateTemplate } = require('../models/CertificateTemplate');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const pdfService = require('../services/pdfService');
+const logger = require('../utils/logger');
+const { isSuperAdmin, tenantFilter, resolveTenant } = require('../utils/tenant');
+
+// Fields that can be set on a template; the institution always comes from the tenant
+const TEMPLATE_FIELDS = ['name', 'description', 'isDefault', 'logo', 'layout', 'fonts', 'fields', 'qrCode', 'isActive'];
+
+// Get all templates
+const getAllTemplates = catchAsync(async (req, res, next) => {
+    const filter = {};
+    if (req.query.institution && isSuperAdmin(req.user)) filter.institutionId = req.query.institution;
+    if (req.query.active) filter.isActive = req.query.active === 'true';
+
+    const templates = await CertificateTemplate.find(tenantFilter(req.user, filter))
+        .select('-logo.data')
+        .populate('institutionId', 'name')
+        .sort({ institutionId: 1, name: 1 });
+
+    res.status(200).json({
+        success: true,
+        results: templates.length,
+        data: {
+            templates
+        }
+    });
+});
+
+// Get single template
+const getTemplate = catchAsync(async (req, res, next) => {
+    const template = await CertificateTemplate.findOne(tenantFilter(req.user, { _id: req.params.id }))
+        .populate('institutionId', 'name');
+
+    if (!template) {
+        return next(new AppError('Template not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            template
+        }
+    });
+});
+
+// Create template
+const createTemplate = catchAsync(async (req, res, next) => {
+    const templateData = filterTemplateBody(req.body);
+
+    if (!templateData.name) {
+        return next(new AppError('Please provide a template name', 400));
+    }
+
+    // Only super-admins create platform-wide templates, by leaving the institution unset
+    const tenant = await resolveTenant(req.user, req.body.institutionId);
+    if (!tenant && !isSuperAdmin(req.user)) {
+        return next(new AppError('You must belong to an institution to create templates', 403));
+    }
+
+    const institutionId = tenant ? tenant._id : null;
+
+    if (templateData.isDefault) {
+        await clearDefault(req.user, institutionId);
+    }
+
+    const template = await CertificateTemplate.create({
+        ...templateData,
+        institutionId: institutionId || undefined,
+        createdBy: req.user._id
+    });
+
+    logger.info(`Certificate template created: ${template.name} by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: {
+            template
+        }
+    });
+});
+
+// Update template
+const updateTemplate = catchAsync(async (req, res, next) => {
+    const template = await CertificateTemplate.findOne(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!template) {
+        return next(new AppError('Template not found', 404));
+    }
+
+    const templateData = filterTemplateBody(req.body);
+
+    if (templateData.isDefault) {
+        await clearDefault(req.user, template.institutionId, template._id);
+    }
+
+    template.set(templateData);
+    await template.save();
+
+    logger.info(`Certificate template updated: ${template.name} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Template updated successfully',
+        data: {
+            template
+        }
+    });
+});
+
+// Delete template
+const deleteTemplate = catchAsync(async (req, res, next) => {
+    const template = await CertificateTemplate.findOneAndDelete(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!template) {
+        return next(new AppError('Template not found', 404));
+    }
+
+    logger.info(`Certificate template deleted: ${template.name} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Template deleted successfully'
+    });
+});
+
+// Render a template with sample data
+const previewTemplate = catchAsync(async (req, res, next) => {
+    const template = await CertificateTemplate.findOne(tenantFilter(req.user, { _id: req.params.id }))
+        .populate('institutionId', 'name');
+
+    if (!template) {
+        return next(new AppError('Template not found', 404));
+    }
+
+    const sampleCertificate = {
+        certificateId: 'CERT-PREVIEW',
+        title: 'Certificate of Completion',
+        type: 'academic',
+        recipient: { name: 'Jane Doe', studentId: 'STU001' },
+        institution: { name: template.institutionId ? template.institutionId.name : 'Sample University', department: 'Computer Science' },
+        course: { subject: 'Blockchain Fundamentals', grade: 'A', credits: 3, completionDate: new Date() },
+        issuer: { issuedAt: new Date() },
+        verification: { verificationCode: 'PREVIEW' },
+        verificationUrl: `${process.env.FRONTEND_URL}/verify/PREVIEW`,
+        metadata: {}
+    };
+
+    const buffer = await pdfService.renderCertificate(sampleCertificate, template);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="template-preview.pdf"`);
+
+    res.status(200).send(buffer);
+});
+
+// Helper to whitelist template fields
+const filterTemplateBody = (body) => {
+    const filtered = {};
+
+    Object.keys(body).forEach(key => {
+        if (TEMPLATE_FIELDS.includes(key)) {
+            filtered[key] = body[key];
+        }
+    });
+
+    return filtered;
+};
+
+// Helper to keep a single default template per institution
+const clearDefault = (user, institutionId, exceptId = null) => {
+    const filter = { institutionId: institutionId || null, isDefault: true };
+    if (exceptId) filter._id = { $ne: exceptId };
+
+    return CertificateTemplate.updateMany(tenantFilter(user, filter), { isDefault: false });
+};
+
+module.exports = {
+    getAllTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    previewTemplate
+};
@@ -1,10 +1,9 @@
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const csvParsingService = require('../services/csvParsingService');
-const { Certificate } = require('../models/Certificate');
+const uploadJobService = require('../services/uploadJobService');
+const { Upload, UPLOAD_STATUS, UPLOAD_SOURCES, ROW_STATUS } = require('../models/Upload');
 const logger = require('../utils/logger');
-const encryptionService = require('../utils/encryption');
-const ipfsService = require('../services/ipfsService');
-const path = require('path');
+const { tenantOf, tenantFilter, sameTenant } = require('../utils/tenant');
 
 // Upload and parse CSV file
 const uploadCSV = catchAsync(async (req, res, next) => {
@@ -16,22 +15,8 @@ const uploadCSV = catchAsync(async (req, res, next) => {
         // Parse the CSV file
         const parseResult = await csvParsingService.parseFile(req.file);
         
-        // Create upload session for tracking
-        const uploadSession = {
-            uploadId: generateUploadId(),
-            fileName: req.file.originalname,
-            fileSize: req.file.size,
-            totalRows: parseResult.totalRows,
-            validRows: parseResult.validRows,
-            invalidRows: parseResult.invalidRows,
-            uploadedBy: req.user._id,
-            uploadedAt: new Date(),
-            status: 'processed',
-            parseResult
-        };
-
-        // Store upload session in database (you might want to create an Upload model)
-        // For now, we'll return the results directly
+        // Store upload record for history and status tracking
+        const upload = await Upload.fromParseResult(parseResult, req.file, UPLOAD_SOURCES.CSV, req.user._id, tenantOf(req.user));
 
         logger.info(`CSV uploaded and parsed: ${req.file.originalname} by ${req.user.email}, ${parseResult.validRows} valid rows`);
 
@@ -39,7 +24,7 @@ const uploadCSV = catchAsync(async (req, res, next) => {
             success: true,
             message: 'CSV file processed successfully',
             data: {
-                uploadId: uploadSession.uploadId,
+                uploadId: upload.uploadId,
                 summary: {
                     fileName: req.file.originalname,
                     totalRows: parseResult.totalRows,
@@ -68,18 +53,7 @@ const uploadExcel = catchAsync(async (req, res, next) => {
         // Parse the Excel file
         const parseResult = await csvParsingService.parseFile(req.file);
         
-        const uploadSession = {
-            uploadId: generateUploadId(),
-            fileName: req.file.originalname,
-            fileSize: req.file.size,
-            totalRows: parseResult.totalRows,
-            validRows: parseResult.validRows,
-            invalidRows: parseResult.invalidRows,
-            uploadedBy: req.user._id,
-            uploadedAt: new Date(),
-            status: 'processed',
-            parseResult
-        };
+        const upload = await Upload.fromParseResult(parseResult, req.file, UPLOAD_SOURCES.EXCEL, req.user._id, tenantOf(req.user));
 
         logger.info(`Excel uploaded and parsed: ${req.file.originalname} by ${req.user.email}, ${parseResult.validRows} valid rows`);
 
@@ -87,7 +61,7 @@ const uploadExcel = catchAsync(async (req, res, next) => {
             success: true,
             message: 'Excel file processed successfully',
             data: {
-                uploadId: uploadSession.uploadId,
+                uploadId: upload.uploadId,
                 summary: {
                     fileName: req.file.originalname,
                     totalRows: parseResult.totalRows,
@@ -121,10 +95,11 @@ const uploadBatchFiles = catchAsync(async (req, res, next) => {
         
         try {
             const parseResult = await csvParsingService.parseFile(file);
+            const upload = await Upload.fromParseResult(parseResult, file, UPLOAD_SOURCES.BATCH, req.user._id, tenantOf(req.user));
             
             results.push({
                 fileName: file.originalname,
-                uploadId: generateUploadId(),
+                uploadId: upload.uploadId,
                 summary: {
                     totalRows: parseResult.totalRows,
                     validRows: parseResult.validRows,
@@ -159,115 +134,64 @@ const uploadBatchFiles = catchAsync(async (req, res, next) => {
     });
 });
 
-// Create certificates from uploaded data
+// Queue certificate creation for a parsed upload
 const createCertificatesFromUpload = catchAsync(async (req, res, next) => {
-    const { uploadData, batchId } = req.body;
+    const { uploadId } = req.params;
 
-    if (!uploadData || !Array.isArray(uploadData)) {
-        return next(new AppError('Invalid upload data provided', 400));
-    }
+    const upload = await Upload.findOne({ uploadId, uploadedBy: req.user._id });
 
-    const createdCertificates = [];
-    const failedCertificates = [];
+    if (!upload) {
+        return next(new AppError('Upload not found', 404));
+    }
 
-    for (let i = 0; i < uploadData.length; i++) {
-        const certData = uploadData[i];
-        
-        try {
-            // Transform upload data to certificate format
-            const certificateData = {
-                title: `Certificate - ${certData.subject}`,
-                type: certData.certificateType || 'academic',
-                recipient: {
-                    studentId: certData.studentId,
-                    name: certData.name,
-                    email: certData.email,
-                    walletAddress: certData.walletAddress
-                },
-                institution: {
-                    name: certData.institution,
-                    department: certData.department
-                },
-                course: {
-                    subject: certData.subject,
-                    grade: certData.grade,
-                    credits: certData.credits,
-                    duration: certData.duration,
-                    completionDate: certData.completionDate
-                },
-                metadata: {
-                    batchId: batchId || generateBatchId(),
-                    uploadIndex: i,
-                    source: 'csv_upload'
-                }
-            };
-
-            // Generate certificate hash
-            const certificateHash = encryptionService.generateCertificateHash(certificateData);
-
-            // Encrypt certificate data
-            const encryptionPassword = encryptionService.generateSecurePassword();
-            const encryptedCertificate = encryptionService.encryptCertificate(
-                certificateData, 
-                encryptionPassword
-            );
-
-            // Upload to IPFS
-            const ipfsResult = await ipfsService.uploadJSON(encryptedCertificate, {
-                name: `certificate-${certificateHash}`,
-                keyvalues: {
-                    certificateId: certificateHash,
-                    type: 'encrypted-certificate',
-                    creator: req.user.email,
-                    batchId: batchId || generateBatchId()
-                }
-            });
+    if ([UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.PROCESSING].includes(upload.status)) {
+        return next(new AppError('Certificate creation is already in progress for this upload', 409));
+    }
 
-            // Create certificate record
-            const certificate = await Certificate.create({
-                ...certificateData,
-                creator: req.user._id,
-                blockchain: {
-                    certificateHash,
-                    network: 'Ganache'
-                },
-                ipfs: {
-                    cid: ipfsResult.cid,
-                    encryptionKey: encryptionPassword,
-                    isEncrypted: true
-                }
-            });
+    if (upload.status === UPLOAD_STATUS.CERTIFICATES_CREATED) {
+        return next(new AppError('Certificates have already been created for this upload', 400));
+    }
 
-            await certificate.addHistoryEntry('created', req.user._id, 'Certificate created from upload');
+    if (upload.summary.validRows === 0) {
+        return next(new AppError('Upload has no valid rows to create certificates from', 400));
+    }
 
-            createdCertificates.push({
-                certificateId: certificate.certificateId,
-                studentId: certData.studentId,
-                name: certData.name,
-                subject: certData.subject
-            });
+    // Claim the upload in one conditional update so concurrent commits cannot queue it twice;
+    // rows that failed on a previous attempt are retried
+    const queued = await Upload.findOneAndUpdate(
+        {
+            _id: upload._id,
+            status: { $in: [UPLOAD_STATUS.PARSED, UPLOAD_STATUS.PARTIALLY_FAILED, UPLOAD_STATUS.FAILED] }
+        },
+        {
+            $set: {
+                status: UPLOAD_STATUS.QUEUED,
+                batchId: upload.batchId || req.body.batchId || generateBatchId(),
+                'job.queuedAt': new Date(),
+                'job.attempts': 0,
+                'rows.$[failed].outcome': { status: ROW_STATUS.PENDING }
+            },
+            $unset: { 'job.finishedAt': 1, 'job.error': 1 }
+        },
+        { new: true, arrayFilters: [{ 'failed.outcome.status': ROW_STATUS.FAILED }] }
+    );
 
-        } catch (error) {
-            failedCertificates.push({
-                index: i,
-                studentId: certData.studentId,
-                name: certData.name,
-                error: error.message
-            });
-        }
+    if (!queued) {
+        return next(new AppError('Certificate creation is already in progress for this upload', 409));
     }
 
-    logger.info(`Certificates created from upload by ${req.user.email}: ${createdCertificates.length} created, ${failedCertificates.length} failed`);
+    uploadJobService.enqueue(queued._id);
 
-    res.status(200).json({
+    logger.info(`Certificate creation queued for upload ${upload.uploadId} by ${req.user.email}: ${upload.summary.validRows} rows`);
+
+    res.status(202).json({
         success: true,
-        message: 'Certificates created from upload data',
+        message: 'Certificate creation queued',
         data: {
-            created: createdCertificates.length,
-            failed: failedCertificates.length,
-            batchId: batchId || generateBatchId(),
-            certificates: createdCertificates,
-            errors: failedCertificates.length > 0 ? failedCertificates : undefined
+            uploadId: queued.uploadId,
+            batchId: queued.batchId,
+            status: queued.status,
+            statusUrl: `/api/upload/status/${upload.uploadId}`
         }
     });
 });
@@ -331,26 +255,46 @@ const validateFile = catchAsync(async (req, res, next) => {
 
 // Get upload history for user
 const getUploadHistory = catchAsync(async (req, res, next) => {
-    // This would query an Upload model if implemented
-    // For now, return placeholder data
-    
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    
-    // Placeholder implementation
-    const history = [];
+    const status = req.query.status;
+
+    if (status && !Object.values(UPLOAD_STATUS).includes(status)) {
+        return next(new AppError(`Status must be one of: ${Object.values(UPLOAD_STATUS).join(', ')}`, 400));
+    }
+
+    // Build filter, limited to the caller's institution
+    const filter = tenantFilter(req.user);
+    if (status) filter.status = status;
+
+    // Admins can see every upload of their institution, everyone else only their own
+    if (req.user.role !== 'admin') {
+        filter.uploadedBy = req.user._id;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const uploads = await Upload.find(filter)
+        .select('-rowErrors')
+        .populate('uploadedBy', 'username email profile.firstName profile.lastName')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 });
+
+    const total = await Upload.countDocuments(filter);
     
     res.status(200).json({
         success: true,
         message: 'Upload history retrieved',
+        results: uploads.length,
         pagination: {
             page,
             limit,
-            total: history.length,
-            pages: Math.ceil(history.length / limit)
+            total,
+            pages: Math.ceil(total / limit)
         },
         data: {
-            uploads: history
+            uploads
         }
     });
 });
@@ -358,27 +302,47 @@ const getUploadHistory = catchAsync(async (req, res, next) => {
 // Get upload status by ID
 const getUploadStatus = catchAsync(async (req, res, next) => {
     const { uploadId } = req.params;
-    
-    // This would query an Upload model if implemented
-    // For now, return placeholder data
-    
-    const status = {
-        uploadId,
-        status: 'completed',
-        message: 'Upload processing completed'
-    };
+
+    const upload = await Upload.findOne({ uploadId })
+        .select('+rows')
+        .populate('uploadedBy', 'username email profile.firstName profile.lastName');
+
+    if (!upload) {
+        return next(new AppError('Upload not found', 404));
+    }
+
+    const canView =
+        (upload.uploadedBy && upload.uploadedBy._id.equals(req.user._id)) ||
+        (req.user.role === 'admin' && sameTenant(req.user, upload));
+
+    if (!canView) {
+        return next(new AppError('You do not have permission to view this upload', 403));
+    }
+
+    // Report per-row outcomes of certificate creation that need attention
+    const failedRows = upload.rows
+        .filter(row => row.outcome.status === ROW_STATUS.FAILED)
+        .map(row => ({
+            rowIndex: row.rowIndex,
+            studentId: row.data.studentId,
+            name: row.data.name,
+            error: row.outcome.error,
+            processedAt: row.outcome.processedAt
+        }));
+
+    const uploadData = upload.toJSON();
+    delete uploadData.rows;
     
     res.status(200).json({
         success: true,
-        data: status
+        data: {
+            upload: uploadData,
+            failedRows
+        }
     });
 });
 
 // Helper functions
-const generateUploadId = () => {
-    return `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-};
-
 const generateBatchId = () => {
     return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
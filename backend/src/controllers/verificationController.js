@@ -1,9 +1,18 @@
-const { Certificate, CERTIFICATE_STATUS } = require('../models/Certificate');
+const { Certificate, CERTIFICATE_STATUS, ANCHOR_MODES } = require('../models/Certificate');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const ipfsService = require('../services/ipfsService');
 const encryptionService = require('../utils/encryption');
 const QRCode = require('qrcode');
+const credentialService = require('../services/credentialService');
+const blockchainService = require('../services/blockchainService');
+const { tenantFilter } = require('../utils/tenant');
+
+// Maximum codes plus hashes accepted by one bulk verification request
+const BULK_VERIFY_LIMITS = {
+    anonymous: parseInt(process.env.BULK_VERIFY_LIMIT) || 100,
+    apiKey: parseInt(process.env.BULK_VERIFY_API_KEY_LIMIT) || 1000
+};
 
 // Verify certificate by verification code (public endpoint)
 const verifyCertificateByCode = catchAsync(async (req, res, next) => {
@@ -13,9 +22,9 @@ const verifyCertificateByCode = catchAsync(async (req, res, next) => {
         return next(new AppError('Verification code is required', 400));
     }
 
-    const certificate = await Certificate.findByVerificationCode(verificationCode);
+    const found = await Certificate.findByVerificationCode(verificationCode);
 
-    if (!certificate) {
+    if (!found) {
         return res.status(404).json({
             success: false,
             verified: false,
@@ -24,9 +33,19 @@ const verifyCertificateByCode = catchAsync(async (req, res, next) => {
         });
     }
 
-    // Check if certificate is issued and verified
-    const isVerified = certificate.status === CERTIFICATE_STATUS.ISSUED && 
-                      certificate.verification.isVerified;
+    // Codes of superseded versions resolve to the current version
+    const certificate = await Certificate.findLatestVersion(found);
+    const redirectedFrom = certificate === found ? null : {
+        certificateId: found.certificateId,
+        verificationCode: found.verification.verificationCode,
+        version: found.version
+    };
+
+    await certificate.populate('renewal.renewedBy', 'certificateId status');
+
+    // Check if certificate is issued, unexpired and verified
+    const validity = certificate.getValidityStatus();
+    const isVerified = validity === 'valid' && certificate.verification.isVerified;
 
     // Prepare public certificate data
     const publicData = {
@@ -48,22 +67,34 @@ const verifyCertificateByCode = catchAsync(async (req, res, next) => {
             completionDate: certificate.course.completionDate
         },
         status: certificate.status,
+        validity,
         issuedAt: certificate.issuer?.issuedAt,
+        expiryDate: certificate.expiryDate,
+        renewedBy: certificate.renewal?.renewedBy?.certificateId,
+        version: certificate.version,
         verificationCode: certificate.verification.verificationCode,
         blockchain: {
             certificateHash: certificate.blockchain.certificateHash,
-            network: certificate.blockchain.network
+            network: certificate.blockchain.network,
+            onChainId: certificate.blockchain.onChainId,
+            syncStatus: certificate.blockchain.syncStatus,
+            transactionHash: certificate.blockchain.transactionHash,
+            ...publicAnchor(certificate)
         }
     };
 
+    const onChain = await verifyOnChain(certificate);
+
     logger.info(`Certificate verification attempted: ${verificationCode}, result: ${isVerified}`);
 
     res.status(200).json({
         success: true,
         verified: isVerified,
-        message: isVerified ? 'Certificate is valid and verified' : 'Certificate found but not verified',
+        message: isVerified ? 'Certificate is valid and verified' : getValidityMessage(certificate, validity),
         data: {
             certificate: publicData,
+            redirectedFrom,
+            onChain,
             verificationTimestamp: new Date().toISOString()
         }
     });
@@ -90,25 +121,32 @@ const verifyCertificateByHash = catchAsync(async (req, res, next) => {
         });
     }
 
-    const isVerified = certificate.status === CERTIFICATE_STATUS.ISSUED;
+    const validity = certificate.getValidityStatus();
+    const isVerified = validity === 'valid';
 
     // Return minimal public data for hash verification
     const publicData = {
         certificateHash: certificate.blockchain.certificateHash,
         status: certificate.status,
+        validity,
         isVerified,
         recipient: certificate.recipient.name,
         institution: certificate.institution.name,
         subject: certificate.course.subject,
-        issuedAt: certificate.issuer?.issuedAt
+        issuedAt: certificate.issuer?.issuedAt,
+        expiryDate: certificate.expiryDate,
+        blockchain: publicAnchor(certificate)
     };
 
+    const onChain = await verifyOnChain(certificate);
+
     res.status(200).json({
         success: true,
         verified: isVerified,
-        message: isVerified ? 'Certificate hash is valid' : 'Certificate exists but not issued',
+        message: isVerified ? 'Certificate hash is valid' : getValidityMessage(certificate, validity),
         data: {
             certificate: publicData,
+            onChain,
             verificationTimestamp: new Date().toISOString()
         }
     });
@@ -123,6 +161,14 @@ const bulkVerifyCertificates = catchAsync(async (req, res, next) => {
         return next(new AppError('Please provide verification codes or certificate hashes', 400));
     }
 
+    // Integrations with a verification:bulk key may send larger batches
+    const maxItems = req.apiKey ? BULK_VERIFY_LIMITS.apiKey : BULK_VERIFY_LIMITS.anonymous;
+    const itemCount = (verificationCodes || []).length + (certificateHashes || []).length;
+
+    if (itemCount > maxItems) {
+        return next(new AppError(`Bulk verification is limited to ${maxItems} items per request${req.apiKey ? '' : '; use an API key with the verification:bulk scope for larger batches'}`, 400));
+    }
+
     const results = [];
 
     // Verify by codes
@@ -130,16 +176,16 @@ const bulkVerifyCertificates = catchAsync(async (req, res, next) => {
         for (const code of verificationCodes) {
             try {
                 const certificate = await Certificate.findByVerificationCode(code);
-                const isVerified = certificate && 
-                                  certificate.status === CERTIFICATE_STATUS.ISSUED && 
-                                  certificate.verification.isVerified;
+                const validity = certificate ? certificate.getValidityStatus() : 'not_found';
+                const isVerified = validity === 'valid' && certificate.verification.isVerified;
 
                 results.push({
                     type: 'verificationCode',
                     identifier: code,
                     verified: isVerified,
                     certificateId: certificate?.certificateId || null,
-                    status: certificate?.status || 'not_found'
+                    status: certificate?.status || 'not_found',
+                    validity
                 });
             } catch (error) {
                 results.push({
@@ -159,14 +205,15 @@ const bulkVerifyCertificates = catchAsync(async (req, res, next) => {
                 const certificate = await Certificate.findOne({
                     'blockchain.certificateHash': hash
                 });
-                const isVerified = certificate && certificate.status === CERTIFICATE_STATUS.ISSUED;
+                const validity = certificate ? certificate.getValidityStatus() : 'not_found';
 
                 results.push({
                     type: 'certificateHash',
                     identifier: hash,
-                    verified: isVerified,
+                    verified: validity === 'valid',
                     certificateId: certificate?.certificateId || null,
-                    status: certificate?.status || 'not_found'
+                    status: certificate?.status || 'not_found',
+                    validity
                 });
             } catch (error) {
                 results.push({
@@ -216,11 +263,42 @@ const verifyByQRCode = catchAsync(async (req, res, next) => {
     }
 });
 
+// Verify a presented W3C Verifiable Credential (public endpoint)
+const verifyCredential = catchAsync(async (req, res, next) => {
+    const credential = req.body.credential || req.body;
+
+    if (!credential || Object.keys(credential).length === 0) {
+        return next(new AppError('Please provide a verifiable credential', 400));
+    }
+
+    const result = await credentialService.verifyCredential(credential);
+
+    logger.info(`Verifiable credential verification attempted: ${result.certificate?.certificateId || 'unknown'}, result: ${result.valid}`);
+
+    res.status(200).json({
+        success: true,
+        verified: result.valid,
+        message: result.valid ? 'Credential is valid' : 'Credential could not be verified',
+        data: {
+            checks: result.checks,
+            errors: result.errors,
+            certificate: result.certificate ? {
+                certificateId: result.certificate.certificateId,
+                title: result.certificate.title,
+                status: result.certificate.status,
+                validity: result.certificate.getValidityStatus(),
+                verificationCode: result.certificate.verification.verificationCode
+            } : null,
+            verificationTimestamp: new Date().toISOString()
+        }
+    });
+});
+
 // Validate certificate integrity (protected endpoint)
 const validateCertificateIntegrity = catchAsync(async (req, res, next) => {
     const { certificateId } = req.params;
 
-    const certificate = await Certificate.findById(certificateId);
+    const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: certificateId }));
 
     if (!certificate) {
         return next(new AppError('Certificate not found', 404));
@@ -275,7 +353,7 @@ const verifyIPFSData = catchAsync(async (req, res, next) => {
         const ipfsData = await ipfsService.getData(cid);
         
         // Check if CID exists in our database
-        const certificate = await Certificate.findOne({ 'ipfs.cid': cid });
+        const certificate = await Certificate.findOne(tenantFilter(req.user, { 'ipfs.cid': cid }));
 
         const verificationResult = {
             cid,
@@ -317,16 +395,22 @@ const getVerificationStats = catchAsync(async (req, res, next) => {
             startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     }
 
+    const scope = tenantFilter(req.user);
+
     const stats = {
         period,
-        totalCertificates: await Certificate.countDocuments(),
-        issuedCertificates: await Certificate.countDocuments({ status: CERTIFICATE_STATUS.ISSUED }),
-        pendingCertificates: await Certificate.countDocuments({ status: CERTIFICATE_STATUS.PENDING }),
-        rejectedCertificates: await Certificate.countDocuments({ status: CERTIFICATE_STATUS.REJECTED }),
+        totalCertificates: await Certificate.countDocuments(scope),
+        issuedCertificates: await Certificate.countDocuments({ ...scope, status: CERTIFICATE_STATUS.ISSUED }),
+        pendingCertificates: await Certificate.countDocuments({ ...scope, status: CERTIFICATE_STATUS.PENDING }),
+        rejectedCertificates: await Certificate.countDocuments({ ...scope, status: CERTIFICATE_STATUS.REJECTED }),
+        revokedCertificates: await Certificate.countDocuments({ ...scope, status: CERTIFICATE_STATUS.REVOKED }),
+        expiredCertificates: await Certificate.countDocuments({ ...scope, status: CERTIFICATE_STATUS.EXPIRED }),
         recentlyCreated: await Certificate.countDocuments({
+            ...scope,
             createdAt: { $gte: startDate }
         }),
         recentlyIssued: await Certificate.countDocuments({
+            ...scope,
             'issuer.issuedAt': { $gte: startDate }
         })
     };
@@ -345,8 +429,8 @@ const getAuditLog = catchAsync(async (req, res, next) => {
     const action = req.query.action;
     const certificateId = req.query.certificateId;
 
-    // Build match criteria
-    const matchCriteria = {};
+    // Build match criteria, limited to the caller's institution
+    const matchCriteria = tenantFilter(req.user);
     if (action) matchCriteria['history.action'] = action;
     if (certificateId) matchCriteria.certificateId = certificateId;
 
@@ -412,7 +496,7 @@ const batchValidateCertificates = catchAsync(async (req, res, next) => {
 
     for (const certId of certificateIds) {
         try {
-            const certificate = await Certificate.findById(certId);
+            const certificate = await Certificate.findOne(tenantFilter(req.user, { _id: certId }));
             
             if (!certificate) {
                 validationResults.push({
@@ -457,6 +541,31 @@ const batchValidateCertificates = catchAsync(async (req, res, next) => {
     });
 });
 
+// How the certificate is anchored, with the Merkle proof anyone can check against the on-chain root
+const publicAnchor = (certificate) => {
+    const { anchorMode, merkle } = certificate.blockchain;
+
+    if (anchorMode !== ANCHOR_MODES.MERKLE) {
+        return { anchorMode };
+    }
+
+    return {
+        anchorMode,
+        merkle: {
+            root: merkle.root,
+            proof: merkle.proof,
+            leafIndex: merkle.leafIndex,
+            anchoredAt: merkle.anchoredAt
+        }
+    };
+};
+
+// Check an anchored certificate against the chain; null while it is not anchored yet
+const verifyOnChain = async (certificate) => {
+    if (!certificate.isAnchored()) return null;
+    return blockchainService.verifyCertificateAnchor(certificate);
+};
+
 // Helper functions for validation
 const validateIPFSIntegrity = async (certificate) => {
     try {
@@ -530,6 +639,22 @@ const validateEncryptionIntegrity = async (certificate) => {
     }
 };
 
+// Explain why a found certificate does not verify
+const getValidityMessage = (certificate, validity) => {
+    switch (validity) {
+        case 'revoked':
+            return 'Certificate has been revoked';
+        case 'superseded':
+            return 'Certificate has been superseded by a newer version';
+        case 'expired':
+            return `Certificate expired on ${certificate.expiryDate.toISOString().split('T')[0]}`;
+        case 'not_issued':
+            return 'Certificate exists but not issued';
+        default:
+            return 'Certificate found but not verified';
+    }
+};
+
 const validateWorkflowIntegrity = (certificate) => {
     const issues = [];
     
@@ -559,6 +684,7 @@ module.exports = {
     verifyCertificateByHash,
     bulkVerifyCertificates,
     verifyByQRCode,
+    verifyCredential,
     validateCertificateIntegrity,
     verifyIPFSData,
     getVerificationStats,
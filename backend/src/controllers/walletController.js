@@ -0,0 +1,66 @@
+const { catchAsync } = require('../middleware/errorHandler');
+const walletLinkService = require('../services/walletLinkService');
+
+// Get the current user's linked wallet and link history
+const getWallet = catchAsync(async (req, res, next) => {
+    const history = await walletLinkService.history(req.user._id);
+    const activeLink = history.find(link => link.isActive);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            walletAddress: req.user.walletAddress || null,
+            // Wallets set at registration were never proven by a signature
+            verified: Boolean(activeLink && activeLink.address === req.user.walletAddress),
+            history
+        }
+    });
+});
+
+// Issue a challenge for the wallet the user wants to link
+const getWalletChallenge = catchAsync(async (req, res, next) => {
+    const challenge = await walletLinkService.issueChallenge(req.user, {
+        chainId: req.query.chainId,
+        ip: req.ip
+    });
+
+    res.status(200).json({
+        success: true,
+        data: challenge
+    });
+});
+
+// Link or replace the wallet that signed the challenge
+const linkWallet = catchAsync(async (req, res, next) => {
+    const link = await walletLinkService.link(req.user, {
+        message: req.body.message,
+        signature: req.body.signature,
+        ip: req.ip
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Wallet linked successfully',
+        data: {
+            walletAddress: link.address,
+            link
+        }
+    });
+});
+
+// Unlink the current user's wallet
+const unlinkWallet = catchAsync(async (req, res, next) => {
+    await walletLinkService.unlink(req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Wallet unlinked successfully'
+    });
+});
+
+module.exports = {
+    getWallet,
+    getWalletChallenge,
+    linkWallet,
+    unlinkWallet
+};
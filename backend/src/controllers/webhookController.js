@@ -0,0 +1,224 @@
+const { Webhook } = require('../models/Webhook');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+const { tenantFilter, resolveTenant } = require('../utils/tenant');
+
+// Get all webhooks
+const getWebhooks = catchAsync(async (req, res, next) => {
+    const webhooks = await Webhook.find(tenantFilter(req.user))
+        .populate('createdBy', 'username email')
+        .populate('institutionId', 'name')
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            webhooks
+        }
+    });
+});
+
+// Get single webhook
+const getWebhook = catchAsync(async (req, res, next) => {
+    const webhook = await Webhook.findOne(tenantFilter(req.user, { _id: req.params.id }))
+        .populate('createdBy', 'username email')
+        .populate('institutionId', 'name');
+
+    if (!webhook) {
+        return next(new AppError('Webhook not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            webhook
+        }
+    });
+});
+
+// Register a webhook endpoint
+const createWebhook = catchAsync(async (req, res, next) => {
+    const { name, url, events, description, isActive } = req.body;
+
+    // Only super-admins register platform-wide webhooks, by leaving the institution unset
+    const tenant = await resolveTenant(req.user, req.body.institutionId);
+    if (!tenant && !req.user.isSuperAdmin) {
+        return next(new AppError('You must belong to an institution to register webhooks', 403));
+    }
+
+    const secret = webhookService.generateSecret();
+
+    const webhook = await Webhook.create({
+        name,
+        url,
+        events,
+        description,
+        isActive,
+        secret,
+        institutionId: tenant ? tenant._id : undefined,
+        createdBy: req.user._id
+    });
+
+    logger.info(`Webhook registered: ${webhook.url} (${webhook.events.join(', ')}) by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully. Store the signing secret now, it will not be shown again.',
+        data: {
+            webhook,
+            secret
+        }
+    });
+});
+
+// Update webhook endpoint, event filter or state
+const updateWebhook = catchAsync(async (req, res, next) => {
+    const allowedFields = ['name', 'url', 'events', 'description', 'isActive'];
+    const updates = {};
+
+    allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const webhook = await Webhook.findOneAndUpdate(tenantFilter(req.user, { _id: req.params.id }), updates, {
+        new: true,
+        runValidators: true
+    });
+
+    if (!webhook) {
+        return next(new AppError('Webhook not found', 404));
+    }
+
+    logger.info(`Webhook updated: ${webhook.url} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: {
+            webhook
+        }
+    });
+});
+
+// Delete webhook
+const deleteWebhook = catchAsync(async (req, res, next) => {
+    const webhook = await Webhook.findOneAndDelete(tenantFilter(req.user, { _id: req.params.id }));
+
+    if (!webhook) {
+        return next(new AppError('Webhook not found', 404));
+    }
+
+    logger.info(`Webhook deleted: ${webhook.url} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Webhook deleted successfully'
+    });
+});
+
+// Replace the signing secret
+const rotateSecret = catchAsync(async (req, res, next) => {
+    const secret = webhookService.generateSecret();
+
+    const webhook = await Webhook.findOneAndUpdate(tenantFilter(req.user, { _id: req.params.id }), { secret }, { new: true });
+
+    if (!webhook) {
+        return next(new AppError('Webhook not found', 404));
+    }
+
+    logger.info(`Webhook secret rotated: ${webhook.url} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Signing secret rotated. Store the new secret now, it will not be shown again.',
+        data: {
+            webhook,
+            secret
+        }
+    });
+});
+
+// Get deliveries with filtering and pagination
+const getDeliveries = catchAsync(async (req, res, next) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = tenantFilter(req.user);
+    if (req.params.id) filter.webhook = req.params.id;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+    if (req.query.certificate) filter.certificate = req.query.certificate;
+
+    const skip = (page - 1) * limit;
+
+    const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+            .select('-payload')
+            .populate('webhook', 'name url')
+            .populate('certificate', 'certificateId title')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            deliveries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+// Get single delivery including its payload
+const getDelivery = catchAsync(async (req, res, next) => {
+    const delivery = await WebhookDelivery.findOne(tenantFilter(req.user, { _id: req.params.deliveryId }))
+        .populate('webhook', 'name url')
+        .populate('certificate', 'certificateId title');
+
+    if (!delivery) {
+        return next(new AppError('Delivery not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            delivery
+        }
+    });
+});
+
+// Send a delivery's payload again
+const redeliver = catchAsync(async (req, res, next) => {
+    const delivery = await webhookService.redeliver(req.params.deliveryId, tenantFilter(req.user));
+
+    logger.info(`Webhook delivery ${req.params.deliveryId} redelivered as ${delivery._id} by ${req.user.email}: ${delivery.status}`);
+
+    res.status(200).json({
+        success: true,
+        message: `Redelivery ${delivery.status}`,
+        data: {
+            delivery
+        }
+    });
+});
+
+module.exports = {
+    getWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateSecret,
+    getDeliveries,
+    getDelivery,
+    redeliver
+};
@@ -24,12 +24,26 @@ try {
     const { errorHandler } = require('./middleware/errorHandler');
     console.log('Error handler loaded');
 
+    const uploadJobService = require('./services/uploadJobService');
+    const expiryService = require('./services/expiryService');
+    const webhookService = require('./services/webhookService');
+    const roleSyncService = require('./services/roleSyncService');
+    const chainOutboxService = require('./services/chainOutboxService');
+    const chainIndexerService = require('./services/chainIndexerService');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const certificateRoutes = require('./routes/certificates');
 const uploadRoutes = require('./routes/upload');
 const verificationRoutes = require('./routes/verification');
 const blockchainRoutes = require('./routes/blockchain');
+const templateRoutes = require('./routes/templates');
+const mailRoutes = require('./routes/mail');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/apiKeys');
+const institutionRoutes = require('./routes/institutions');
+const roleRoutes = require('./routes/roles');
 
 // Initialize Express app
 const app = express();
@@ -42,8 +56,8 @@ app.use(helmet());
 app.use(cors({
     origin: [process.env.FRONTEND_URL || 'http://localhost:3000', 'http://localhost:3000'],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Body parsing middleware
@@ -84,6 +98,13 @@ app.use('/api/certificates', certificateRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/verification', verificationRoutes);
 app.use('/api/blockchain', blockchainRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/mail', mailRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/institutions', institutionRoutes);
+app.use('/api/roles', roleRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -116,6 +137,24 @@ async function startServer() {
         try {
             await connectDB();
             logger.info('📊 MongoDB connected successfully');
+
+            // Resume upload jobs interrupted by a previous shutdown
+            await uploadJobService.resumePendingJobs();
+
+            // Expire certificates whose validity period has ended
+            expiryService.start();
+
+            // Retry webhook deliveries that failed or were cut off by a restart
+            webhookService.start();
+
+            // Detect drift between app roles and on-chain roles, if role sync is enabled
+            roleSyncService.start();
+
+            // Send queued on-chain operations, including any left over from a previous run
+            chainOutboxService.start();
+
+            // Follow registry events and flag certificates whose chain state diverges
+            chainIndexerService.start();
         } catch (error) {
             logger.warn('⚠️  MongoDB connection failed, running without database:', error.message);
             logger.info('📝 Note: User authentication will not work without MongoDB');
@@ -1,7 +1,14 @@
 const jwt = require('jsonwebtoken');
 const { User, USER_ROLES } = require('../models/User');
+const { ApiKey } = require('../models/ApiKey');
 const { AppError, catchAsync } = require('./errorHandler');
 const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const siweService = require('../services/siweService');
+
+// Routes a user who must enroll in two-factor authentication can still reach to do so
+const TWO_FACTOR_SETUP_PATHS = /^\/api\/auth\/(me|logout|2fa|sessions)(\/|\?|$)/;
 
 // Middleware to protect routes - verify JWT token
 const authenticate = catchAsync(async (req, res, next) => {
@@ -37,9 +44,27 @@ const authenticate = catchAsync(async (req, res, next) => {
         if (currentUser.changedPasswordAfter(decoded.iat)) {
             return next(new AppError('User recently changed password! Please log in again.', 401));
         }
+
+        // 6) Check the session was not logged out or revoked
+        const session = decoded.sid && await sessionService.findActive(decoded.sid, currentUser._id);
+        if (!session) {
+            return next(new AppError('Your session has ended. Please log in again.', 401));
+        }
+        
+        // 7) Check the user has two-factor authentication if their role requires it
+        if (!currentUser.twoFactor.enabled
+            && !TWO_FACTOR_SETUP_PATHS.test(req.originalUrl)
+            && await twoFactorService.isRequiredFor(currentUser)) {
+            return next(new AppError(
+                'Your role requires two-factor authentication. Set it up in Settings to continue.',
+                403,
+                'TWO_FACTOR_SETUP_REQUIRED'
+            ));
+        }
         
-        // 6) Grant access to protected route
+        // 8) Grant access to protected route
         req.user = currentUser;
+        req.authSession = session;
         
         // Log successful authentication
         logger.info(`User authenticated: ${currentUser.email} (${currentUser.role})`);
@@ -77,18 +102,54 @@ const requirePermissions = (...permissions) => {
             return next(new AppError('Authentication required.', 401));
         }
         
-        const hasPermission = permissions.every(permission => 
-            req.user.permissions.includes(permission)
+        // The stored set already reflects the user's role, custom role and individual overrides
+        const missing = permissions.filter(permission =>
+            !(req.user.permissions || []).includes(permission)
         );
         
-        if (!hasPermission) {
-            return next(new AppError('Insufficient permissions to perform this action', 403));
+        if (missing.length > 0) {
+            return next(new AppError(`Insufficient permissions to perform this action (requires ${missing.join(', ')})`, 403));
         }
         
         next();
     };
 };
 
+// Middleware to restrict routes to super-admins, who manage every institution
+const requireSuperAdmin = (req, res, next) => {
+    if (!req.user) {
+        return next(new AppError('Authentication required.', 401));
+    }
+
+    if (!req.user.isSuperAdmin) {
+        return next(new AppError('Only super-admins can perform this action', 403));
+    }
+
+    next();
+};
+
+// Middleware requiring the user to have confirmed their identity recently, for sensitive actions
+const requireRecentAuth = catchAsync(async (req, res, next) => {
+    if (!req.user) {
+        return next(new AppError('Authentication required.', 401));
+    }
+    
+    // API keys have no interactive user to prompt and skip session and 2FA checks, so they cannot do this
+    if (req.apiKey) {
+        return next(new AppError('This action cannot be performed with an API key. Please sign in to continue.', 403, 'API_KEY_NOT_ALLOWED'));
+    }
+    
+    const policy = await twoFactorService.getPolicy(req.user.institution);
+    const reauthenticatedAt = req.authSession && req.authSession.reauthenticatedAt;
+    const maxAgeMs = policy.reauthMaxAgeMinutes * 60 * 1000;
+    
+    if (!reauthenticatedAt || Date.now() - reauthenticatedAt.getTime() > maxAgeMs) {
+        return next(new AppError('Please confirm your identity to continue.', 403, 'REAUTH_REQUIRED'));
+    }
+    
+    next();
+});
+
 // Middleware to check if user owns the resource or has admin role
 const checkOwnership = (resourceUserField = 'creator') => {
     return (req, res, next) => {
@@ -112,41 +173,25 @@ const checkOwnership = (resourceUserField = 'creator') => {
     };
 };
 
-// Middleware to validate wallet signature (for Web3 authentication)
+// Middleware to validate a Sign-In With Ethereum message (for Web3 authentication)
 const validateWalletSignature = catchAsync(async (req, res, next) => {
-    const { walletAddress, signature, message } = req.body;
+    const { message, signature } = req.body;
     
-    if (!walletAddress || !signature || !message) {
-        return next(new AppError('Wallet address, signature, and message are required', 400));
-    }
+    // Checks the message, its signature and uses up its nonce
+    const { address: walletAddress } = await siweService.verify(message, signature);
     
-    try {
-        const ethers = require('ethers');
-        
-        // Verify the signature
-        const recoveredAddress = ethers.verifyMessage(message, signature);
-        
-        if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
-            return next(new AppError('Invalid wallet signature', 401));
-        }
-        
-        // Check if user exists with this wallet address
-        const user = await User.findOne({ 
-            walletAddress: walletAddress.toLowerCase(),
-            isActive: true 
-        });
-        
-        if (!user) {
-            return next(new AppError('No account found with this wallet address', 404));
-        }
-        
-        req.user = user;
-        next();
-        
-    } catch (error) {
-        logger.error('Wallet signature validation error:', error);
-        return next(new AppError('Failed to validate wallet signature', 400));
+    // Check if user exists with this wallet address
+    const user = await User.findOne({ 
+        walletAddress,
+        isActive: true 
+    });
+    
+    if (!user) {
+        return next(new AppError('No account found with this wallet address', 404));
     }
+    
+    req.user = user;
+    next();
 });
 
 // Middleware to rate limit authentication attempts
@@ -154,7 +199,7 @@ const authRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
     const attempts = new Map();
     
     return (req, res, next) => {
-        const key = req.ip + (req.body.email || req.body.walletAddress || '');
+        const key = req.ip + (req.body.email || '');
         const now = Date.now();
         
         if (!attempts.has(key)) {
@@ -195,39 +240,86 @@ const logAuthEvents = (event) => {
     };
 };
 
-// Optional: Middleware for API key authentication (for service-to-service calls)
+// Middleware for API key authentication (for service-to-service calls)
 const authenticateApiKey = catchAsync(async (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
+    const presented = req.headers['x-api-key'];
     
-    if (!apiKey) {
+    if (!presented) {
         return next(new AppError('API key is required', 401));
     }
     
-    // In production, store API keys in database with proper hashing
-    const validApiKeys = process.env.VALID_API_KEYS ? process.env.VALID_API_KEYS.split(',') : [];
+    const parsed = ApiKey.parseKey(presented);
+    const apiKey = parsed && await ApiKey.findOne({ prefix: parsed.prefix })
+        .select('+keyHash')
+        .populate('owner');
     
-    if (!validApiKeys.includes(apiKey)) {
+    if (!apiKey || !apiKey.matchesSecret(parsed.secret)) {
         return next(new AppError('Invalid API key', 401));
     }
     
-    // Set a service user context
-    req.user = {
-        _id: 'service',
-        role: 'service',
-        email: 'service@system',
-        isService: true
-    };
+    if (apiKey.revokedAt) {
+        return next(new AppError('This API key has been revoked', 401));
+    }
+    
+    if (apiKey.isExpired) {
+        return next(new AppError('This API key has expired', 401));
+    }
+    
+    if (!apiKey.owner || !apiKey.owner.isActive) {
+        return next(new AppError('The account owning this API key is no longer active', 401));
+    }
+    
+    // Requests act as the key's owner, narrowed by the key's scopes
+    req.user = apiKey.owner;
+    req.apiKey = apiKey;
+    
+    ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { usageCount: 1 } }
+    ).catch(error => logger.warn(`Failed to record API key usage for ${apiKey.prefix}:`, error));
+    
+    logger.info(`API key authenticated: ${apiKey.name} (${apiKey.prefix}) for ${apiKey.owner.email}`);
     
     next();
 });
 
+// Middleware accepting either a JWT or an X-API-Key header
+const authenticateUserOrApiKey = (req, res, next) => {
+    if (req.headers['x-api-key']) {
+        return authenticateApiKey(req, res, next);
+    }
+    
+    return authenticate(req, res, next);
+};
+
+// Middleware to check API key scopes; requests authenticated with a JWT pass through
+const requireScopes = (...scopes) => {
+    return (req, res, next) => {
+        if (!req.apiKey) {
+            return next();
+        }
+        
+        const missing = scopes.filter(scope => !req.apiKey.scopes.includes(scope));
+        
+        if (missing.length > 0) {
+            return next(new AppError(`API key is missing required scope: ${missing.join(', ')}`, 403));
+        }
+        
+        next();
+    };
+};
+
 module.exports = {
     authenticate,
     restrictTo,
     requirePermissions,
+    requireSuperAdmin,
+    requireRecentAuth,
     checkOwnership,
     validateWalletSignature,
     authRateLimit,
     logAuthEvents,
-    authenticateApiKey
+    authenticateApiKey,
+    authenticateUserOrApiKey,
+    requireScopes
 };
\ No newline at end of file
@@ -2,9 +2,11 @@ const logger = require('../utils/logger');
 
 // Custom error class
 class AppError extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, errorCode) {
         super(message);
         this.statusCode = statusCode;
+        // Machine-readable reason clients can act on, e.g. REAUTH_REQUIRED
+        this.errorCode = errorCode;
         this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
         this.isOperational = true;
 
@@ -42,6 +44,7 @@ const sendErrorDev = (err, res) => {
         success: false,
         status: err.status,
         error: err,
+        errorCode: err.errorCode,
         message: err.message,
         stack: err.stack
     });
@@ -54,6 +57,7 @@ const sendErrorProd = (err, res) => {
         res.status(err.statusCode).json({
             success: false,
             status: err.status,
+            errorCode: err.errorCode,
             message: err.message
         });
     } 
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Define permission scopes an API key can be granted
+const API_KEY_SCOPES = {
+    CERTIFICATES_READ: 'certificates:read',
+    CERTIFICATES_CREATE: 'certificates:create',
+    CERTIFICATES_UPDATE: 'certificates:update',
+    CERTIFICATES_VERIFY: 'certificates:verify',
+    CERTIFICATES_ISSUE: 'certificates:issue',
+    UPLOADS_READ: 'uploads:read',
+    UPLOADS_CREATE: 'uploads:create',
+    VERIFICATION_BULK: 'verification:bulk'
+};
+
+// Keys look like cm_<prefix>_<secret>; the prefix is stored in clear for lookup
+const KEY_PREFIX = 'cm';
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'API key name is required'],
+        trim: true,
+        maxlength: [100, 'API key name cannot exceed 100 characters']
+    },
+
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // SHA-256 of the secret part; the key itself is only shown once
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    // Requests made with the key act as this user
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'API key owner is required']
+    },
+
+    // Copied from the owner so keys can be listed per institution
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    scopes: {
+        type: [{
+            type: String,
+            enum: Object.values(API_KEY_SCOPES)
+        }],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'Grant at least one scope'
+        }
+    },
+
+    expiresAt: Date,
+
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+
+    rotatedAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+apiKeySchema.index({ owner: 1 });
+apiKeySchema.index({ institution: 1 });
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+// Virtual for whether the key has passed its expiry date
+apiKeySchema.virtual('isExpired').get(function() {
+    return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Virtual for whether the key can authenticate requests
+apiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && !this.isExpired;
+});
+
+// Method to replace the secret, returning the new plaintext key
+apiKeySchema.methods.generateKey = function() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+
+    this.prefix = prefix;
+    this.keyHash = hashSecret(secret);
+
+    return `${KEY_PREFIX}_${prefix}_${secret}`;
+};
+
+// Method to compare a presented secret against the stored hash
+apiKeySchema.methods.matchesSecret = function(secret) {
+    const presented = Buffer.from(hashSecret(secret), 'hex');
+    const stored = Buffer.from(this.keyHash, 'hex');
+
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+// Method to check whether the key grants every given scope
+apiKeySchema.methods.hasScopes = function(scopes) {
+    return scopes.every(scope => this.scopes.includes(scope));
+};
+
+// Static method to split a presented key into its prefix and secret
+apiKeySchema.statics.parseKey = function(key) {
+    const match = /^([a-z]+)_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(key || '');
+
+    if (!match || match[1] !== KEY_PREFIX) return null;
+
+    return { prefix: match[2], secret: match[3] };
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = {
+    ApiKey,
+    API_KEY_SCOPES
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Define the administrative changes that are audited
+const AUDIT_ACTIONS = {
+    USER_ROLE_CHANGED: 'user.role_changed',
+    USER_PERMISSIONS_CHANGED: 'user.permissions_changed',
+    ROLE_CREATED: 'role.created',
+    ROLE_UPDATED: 'role.updated',
+    ROLE_DELETED: 'role.deleted'
+};
+
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: Object.values(AUDIT_ACTIONS),
+        required: true
+    },
+
+    // Who made the change; the email is kept in case the account is removed
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorEmail: String,
+    ip: String,
+
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    // What was changed
+    targetUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    targetRole: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role'
+    },
+
+    // State before and after the change
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+auditLogSchema.index({ institution: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ targetRole: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = {
+    AuditLog,
+    AUDIT_ACTIONS
+};
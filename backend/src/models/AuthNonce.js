@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Define what a signed wallet message may be used for
+const NONCE_PURPOSES = {
+    LOGIN: 'login',
+    WALLET_LINK: 'wallet_link'
+};
+
+const authNonceSchema = new mongoose.Schema({
+    // Random value the wallet signs; EIP-4361 requires at least 8 alphanumeric characters
+    nonce: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    purpose: {
+        type: String,
+        enum: Object.values(NONCE_PURPOSES),
+        default: NONCE_PURPOSES.LOGIN
+    },
+
+    // Account a wallet-link nonce was issued to; only that account can use it
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // The signed message must name the same domain, URI and chain
+    domain: {
+        type: String,
+        required: true
+    },
+    uri: {
+        type: String,
+        required: true
+    },
+    chainId: {
+        type: Number,
+        required: true
+    },
+
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // Set once the nonce has been used; a nonce is only accepted once
+    consumedAt: Date,
+
+    ip: String
+
+}, {
+    timestamps: true
+});
+
+// Expired nonces are removed by MongoDB
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically use up an unexpired nonce, returning it or null
+authNonceSchema.statics.consume = function(nonce, purpose = NONCE_PURPOSES.LOGIN, userId = null) {
+    return this.findOneAndUpdate(
+        {
+            nonce,
+            purpose,
+            user: userId,
+            consumedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { consumedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// Static method to generate a fresh nonce value
+authNonceSchema.statics.generateNonce = function() {
+    return crypto.randomBytes(16).toString('hex');
+};
+
+const AuthNonce = mongoose.model('AuthNonce', authNonceSchema);
+
+module.exports = {
+    AuthNonce,
+    NONCE_PURPOSES
+};
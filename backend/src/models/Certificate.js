@@ -6,7 +6,34 @@ const CERTIFICATE_STATUS = {
     APPROVED: 'approved', 
     REJECTED: 'rejected',
     ISSUED: 'issued',
-    REVOKED: 'revoked'
+    REVOKED: 'revoked',
+    EXPIRED: 'expired'
+};
+
+// Define on-chain sync status
+const SYNC_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed'
+};
+
+// Define on-chain operations mirrored from the workflow
+const CHAIN_ACTIONS = {
+    CREATE: 'create',
+    VERIFY: 'verify',
+    ISSUE: 'issue',
+    REVOKE: 'revoke',
+    EXPIRE: 'expire',
+    // Anchoring under a Merkle root instead of a registry entry of its own
+    ANCHOR_ROOT: 'anchor_root'
+};
+
+// Define how a certificate is anchored on-chain
+const ANCHOR_MODES = {
+    // Own CertificateRegistry entry, with the workflow mirrored on-chain
+    DIRECT: 'direct',
+    // Leaf of a Merkle root anchored for a batch; the workflow stays off-chain
+    MERKLE: 'merkle'
 };
 
 // Define certificate types
@@ -17,6 +44,12 @@ const CERTIFICATE_TYPES = {
     ACHIEVEMENT: 'achievement'
 };
 
+// Default validity period in months for types that expire
+const VALIDITY_PERIODS = {
+    [CERTIFICATE_TYPES.PROFESSIONAL]: parseInt(process.env.PROFESSIONAL_VALIDITY_MONTHS) || 24,
+    [CERTIFICATE_TYPES.TRAINING]: parseInt(process.env.TRAINING_VALIDITY_MONTHS) || 12
+};
+
 const certificateSchema = new mongoose.Schema({
     // Unique identifier for the certificate
     certificateId: {
@@ -92,6 +125,12 @@ const certificateSchema = new mongoose.Schema({
         }
     },
     
+    // Tenant owning the certificate; institution.name is copied from it
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+    
     // Course/Subject information
     course: {
         subject: {
@@ -141,6 +180,16 @@ const certificateSchema = new mongoose.Schema({
         verifiedAt: Date,
         comments: String
     },
+
+    // Approvals from distinct verifiers; types with a quorum need several before approval
+    approvals: [{
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        approvedAt: Date,
+        comments: String
+    }],
     
     issuer: {
         userId: {
@@ -150,6 +199,37 @@ const certificateSchema = new mongoose.Schema({
         issuedAt: Date,
         comments: String
     },
+
+    // Validity period; unset means the certificate never expires
+    expiryDate: Date,
+    expiredAt: Date,
+
+    // Renewal chain
+    renewal: {
+        renewalOf: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Certificate'
+        },
+        renewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Certificate'
+        },
+        renewedAt: Date
+    },
+
+    // Version chain for amended certificates
+    version: {
+        type: Number,
+        default: 1
+    },
+    supersedes: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    supersededBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
     
     // Blockchain and IPFS data
     blockchain: {
@@ -165,7 +245,48 @@ const certificateSchema = new mongoose.Schema({
         network: {
             type: String,
             default: 'Ganache'
-        }
+        },
+        onChainId: Number, // Certificate ID assigned by CertificateRegistry
+        anchorMode: {
+            type: String,
+            enum: Object.values(ANCHOR_MODES),
+            default: ANCHOR_MODES.DIRECT
+        },
+        // Merkle-anchored certificates only: the root, and the proof that the certificate hash is under it
+        merkle: {
+            root: {
+                type: String,
+                index: true
+            },
+            leafIndex: Number,
+            proof: [String],
+            anchoredAt: Date
+        },
+        syncStatus: {
+            type: String,
+            enum: Object.values(SYNC_STATUS)
+        },
+        syncError: String,
+        lastSyncedAt: Date,
+        transactions: [{
+            action: {
+                type: String,
+                enum: Object.values(CHAIN_ACTIONS),
+                required: true
+            },
+            transactionHash: String,
+            blockNumber: Number,
+            status: {
+                type: String,
+                enum: Object.values(SYNC_STATUS),
+                required: true
+            },
+            error: String,
+            timestamp: {
+                type: Date,
+                default: Date.now
+            }
+        }]
     },
     
     // IPFS storage information
@@ -224,6 +345,9 @@ const certificateSchema = new mongoose.Schema({
     // Additional metadata
     metadata: {
         batchId: String, // For batch uploads
+        uploadId: String, // Upload the certificate was created from
+        uploadRowIndex: Number,
+        source: String,
         templateId: String,
         customFields: mongoose.Schema.Types.Mixed,
         tags: [String]
@@ -234,12 +358,12 @@ const certificateSchema = new mongoose.Schema({
         action: {
             type: String,
             required: true,
-            enum: ['created', 'verified', 'approved', 'rejected', 'issued', 'revoked', 'updated']
+            enum: ['created', 'verified', 'approved', 'rejected', 'issued', 'revoked', 'updated', 'anchored', 'expired', 'renewed', 'reissued']
         },
+        // Empty for actions taken by scheduled jobs
         performedBy: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
-            required: true
+            ref: 'User'
         },
         timestamp: {
             type: Date,
@@ -273,6 +397,10 @@ certificateSchema.index({ creator: 1 });
 certificateSchema.index({ createdAt: -1 });
 certificateSchema.index({ 'course.subject': 1 });
 certificateSchema.index({ 'institution.name': 1 });
+certificateSchema.index({ institutionId: 1, status: 1, createdAt: -1 });
+certificateSchema.index({ 'metadata.uploadId': 1, 'metadata.uploadRowIndex': 1 });
+certificateSchema.index({ status: 1, expiryDate: 1 });
+certificateSchema.index({ supersedes: 1 });
 
 // Virtual for certificate URL
 certificateSchema.virtual('certificateUrl').get(function() {
@@ -290,12 +418,18 @@ certificateSchema.virtual('verificationUrl').get(function() {
     return null;
 });
 
-// Pre-save middleware to generate certificate ID
-certificateSchema.pre('save', function(next) {
+// Virtual for expiry, including certificates the expiry job has not reached yet
+certificateSchema.virtual('isExpired').get(function() {
+    if (this.status === CERTIFICATE_STATUS.EXPIRED) return true;
+    return this.status === CERTIFICATE_STATUS.ISSUED &&
+        !!this.expiryDate &&
+        this.expiryDate <= new Date();
+});
+
+// Pre-validate middleware to generate certificate ID (runs before the required check)
+certificateSchema.pre('validate', function(next) {
     if (!this.certificateId) {
-        const timestamp = Date.now().toString(36);
-        const random = Math.random().toString(36).substr(2, 5);
-        this.certificateId = `CERT-${timestamp}-${random}`.toUpperCase();
+        this.certificateId = this.constructor.generateCertificateId();
     }
     next();
 });
@@ -325,17 +459,109 @@ certificateSchema.methods.addHistoryEntry = function(action, performedBy, detail
     return this.save();
 };
 
-// Static method to find by verification code
+// Method to set the expiry date from the type's validity period
+certificateSchema.methods.applyDefaultExpiry = function(fromDate = new Date()) {
+    const months = VALIDITY_PERIODS[this.type];
+
+    if (!this.expiryDate && months) {
+        const expiryDate = new Date(fromDate);
+        expiryDate.setMonth(expiryDate.getMonth() + months);
+        this.expiryDate = expiryDate;
+    }
+
+    return this.expiryDate;
+};
+
+// Method to describe whether the certificate can currently be relied on
+certificateSchema.methods.getValidityStatus = function() {
+    if (this.status === CERTIFICATE_STATUS.REVOKED) return this.supersededBy ? 'superseded' : 'revoked';
+    if (this.isExpired) return 'expired';
+    if (this.status === CERTIFICATE_STATUS.ISSUED) return 'valid';
+    return 'not_issued';
+};
+
+// Method to check whether an on-chain operation has been confirmed
+certificateSchema.methods.hasConfirmedChainAction = function(action) {
+    if (action === CHAIN_ACTIONS.CREATE) {
+        return !!this.blockchain.onChainId;
+    }
+    if (action === CHAIN_ACTIONS.ANCHOR_ROOT) {
+        return !!this.blockchain.merkle?.anchoredAt;
+    }
+    return this.blockchain.transactions.some(tx =>
+        tx.action === action && tx.status === SYNC_STATUS.CONFIRMED
+    );
+};
+
+// Method to check whether the certificate is anchored, by its own entry or under a Merkle root
+certificateSchema.methods.isAnchored = function() {
+    return this.blockchain.anchorMode === ANCHOR_MODES.MERKLE
+        ? this.hasConfirmedChainAction(CHAIN_ACTIONS.ANCHOR_ROOT)
+        : this.hasConfirmedChainAction(CHAIN_ACTIONS.CREATE);
+};
+
+// Static method to generate a certificate ID
+certificateSchema.statics.generateCertificateId = function() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 5);
+    return `CERT-${timestamp}-${random}`.toUpperCase();
+};
+
+// Static method to find by verification code (issued, revoked or expired)
 certificateSchema.statics.findByVerificationCode = function(code) {
     return this.findOne({ 
         'verification.verificationCode': code.toUpperCase(),
-        status: CERTIFICATE_STATUS.ISSUED 
+        status: { $in: [CERTIFICATE_STATUS.ISSUED, CERTIFICATE_STATUS.REVOKED, CERTIFICATE_STATUS.EXPIRED] }
     }).populate('creator verifier.userId issuer.userId', 'username email profile.firstName profile.lastName');
 };
 
+// Static method to follow supersededBy links to the current version
+certificateSchema.statics.findLatestVersion = async function(certificate) {
+    let current = certificate;
+    const seen = new Set([current._id.toString()]);
+
+    while (current.supersededBy && !seen.has(current.supersededBy.toString())) {
+        const next = await this.findById(current.supersededBy);
+        if (!next) break;
+        seen.add(next._id.toString());
+        current = next;
+    }
+
+    return current;
+};
+
+// Static method to list every version of a certificate, oldest first
+certificateSchema.statics.getVersionChain = async function(certificate) {
+    const fields = 'certificateId title version status supersedes supersededBy issuer.issuedAt verification.verificationCode createdAt';
+    const seen = new Set();
+
+    let root = certificate;
+    while (root.supersedes && !seen.has(root.supersedes.toString())) {
+        seen.add(root._id.toString());
+        const previous = await this.findById(root.supersedes).select(fields);
+        if (!previous) break;
+        root = previous;
+    }
+
+    const chain = [];
+    seen.clear();
+
+    let current = await this.findById(root._id).select(fields);
+    while (current && !seen.has(current._id.toString())) {
+        seen.add(current._id.toString());
+        chain.push(current);
+        // A new version awaiting issuance is linked only through its supersedes field
+        current = current.supersededBy
+            ? await this.findById(current.supersededBy).select(fields)
+            : await this.findOne({ supersedes: current._id }).sort({ createdAt: -1 }).select(fields);
+    }
+
+    return chain;
+};
+
 // Static method to find certificates by status
-certificateSchema.statics.findByStatus = function(status, populateFields = '') {
-    return this.find({ status }).populate(populateFields).sort({ createdAt: -1 });
+certificateSchema.statics.findByStatus = function(status, populateFields = '', filter = {}) {
+    return this.find({ ...filter, status }).populate(populateFields).sort({ createdAt: -1 });
 };
 
 const Certificate = mongoose.model('Certificate', certificateSchema);
@@ -343,5 +569,9 @@ const Certificate = mongoose.model('Certificate', certificateSchema);
 module.exports = {
     Certificate,
     CERTIFICATE_STATUS,
-    CERTIFICATE_TYPES
+    CERTIFICATE_TYPES,
+    VALIDITY_PERIODS,
+    SYNC_STATUS,
+    CHAIN_ACTIONS,
+    ANCHOR_MODES
 };
\ No newline at end of file
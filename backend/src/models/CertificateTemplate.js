@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+// Fonts built into the PDF renderer
+const TEMPLATE_FONTS = [
+    'Helvetica',
+    'Helvetica-Bold',
+    'Helvetica-Oblique',
+    'Times-Roman',
+    'Times-Bold',
+    'Times-Italic',
+    'Courier',
+    'Courier-Bold'
+];
+
+const fontSchema = new mongoose.Schema({
+    family: {
+        type: String,
+        enum: TEMPLATE_FONTS,
+        default: 'Helvetica'
+    },
+    size: {
+        type: Number,
+        min: [6, 'Font size must be at least 6'],
+        max: [96, 'Font size cannot exceed 96'],
+        default: 14
+    },
+    color: {
+        type: String,
+        default: '#111827'
+    }
+}, { _id: false });
+
+const certificateTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Certificates of this institution use the template unless one is set explicitly; unset for platform-wide templates
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+
+    // Institution logo, stored as base64 image data
+    logo: {
+        data: String,
+        mimetype: {
+            type: String,
+            enum: ['image/png', 'image/jpeg']
+        },
+        width: {
+            type: Number,
+            default: 90
+        }
+    },
+
+    layout: {
+        size: {
+            type: String,
+            enum: ['A4', 'LETTER'],
+            default: 'A4'
+        },
+        orientation: {
+            type: String,
+            enum: ['landscape', 'portrait'],
+            default: 'landscape'
+        },
+        margin: {
+            type: Number,
+            min: [0, 'Margin cannot be negative'],
+            default: 40
+        },
+        backgroundColor: {
+            type: String,
+            default: '#FFFFFF'
+        },
+        borderColor: {
+            type: String,
+            default: '#1E3A8A'
+        },
+        accentColor: {
+            type: String,
+            default: '#1E3A8A'
+        }
+    },
+
+    fonts: {
+        title: {
+            type: fontSchema,
+            default: () => ({ family: 'Times-Bold', size: 34 })
+        },
+        body: {
+            type: fontSchema,
+            default: () => ({ family: 'Helvetica', size: 14 })
+        }
+    },
+
+    // Text blocks with {{placeholder}} fields, e.g. "Awarded to {{recipient.name}}"
+    fields: [{
+        text: {
+            type: String,
+            required: [true, 'Field text is required'],
+            maxlength: [500, 'Field text cannot exceed 500 characters']
+        },
+        font: {
+            type: String,
+            enum: ['title', 'body'],
+            default: 'body'
+        },
+        size: Number,
+        y: {
+            type: Number,
+            required: [true, 'Field position is required']
+        },
+        x: Number,
+        width: Number,
+        align: {
+            type: String,
+            enum: ['left', 'center', 'right'],
+            default: 'center'
+        }
+    }],
+
+    qrCode: {
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        size: {
+            type: Number,
+            default: 90
+        },
+        position: {
+            type: String,
+            enum: ['bottom-left', 'bottom-right'],
+            default: 'bottom-right'
+        }
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+certificateTemplateSchema.index({ institutionId: 1, isDefault: 1 });
+
+// Static method to pick the template for a certificate
+certificateTemplateSchema.statics.findForCertificate = async function(certificate) {
+    const templateId = certificate.metadata && certificate.metadata.templateId;
+    const institutionId = certificate.institutionId || null;
+
+    // An explicit template must belong to the certificate's institution or be platform-wide
+    if (templateId && mongoose.Types.ObjectId.isValid(templateId)) {
+        const template = await this.findOne({ _id: templateId, institutionId: { $in: [institutionId, null] }, isActive: true });
+        if (template) return template;
+    }
+
+    const institutionTemplate = await this.findOne({
+        institutionId,
+        isActive: true
+    }).sort({ isDefault: -1, updatedAt: -1 });
+
+    if (institutionTemplate) return institutionTemplate;
+
+    return this.findOne({ institutionId: null, isDefault: true, isActive: true }).sort({ updatedAt: -1 });
+};
+
+const CertificateTemplate = mongoose.model('CertificateTemplate', certificateTemplateSchema);
+
+module.exports = {
+    CertificateTemplate,
+    TEMPLATE_FONTS
+};
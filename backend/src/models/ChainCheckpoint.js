@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// How far a chain follower has read, with recent block hashes to notice reorgs
+const chainCheckpointSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    contractAddress: {
+        type: String,
+        lowercase: true
+    },
+
+    // Last block whose events were fully processed
+    blockNumber: {
+        type: Number,
+        default: -1
+    },
+
+    // Hashes of recently processed blocks, newest last
+    recentBlocks: [{
+        _id: false,
+        number: Number,
+        hash: String
+    }],
+
+    lastRunAt: Date,
+    lastError: String,
+
+    lastReorgAt: Date,
+    // Block the follower rolled back to on the last reorg
+    lastReorgBlock: Number,
+    reorgCount: {
+        type: Number,
+        default: 0
+    }
+
+}, {
+    timestamps: true
+});
+
+const ChainCheckpoint = mongoose.model('ChainCheckpoint', chainCheckpointSchema);
+
+module.exports = {
+    ChainCheckpoint
+};
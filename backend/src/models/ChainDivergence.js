@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Define the ways the chain and the database can disagree about a certificate
+const DIVERGENCE_KINDS = {
+    // Statuses differ and the outbox is not about to close the gap
+    STATUS_MISMATCH: 'status_mismatch',
+    // Certificate exists on-chain but not in the database
+    UNKNOWN_CERTIFICATE: 'unknown_certificate',
+    // Database points at an on-chain certificate the chain has no record of
+    MISSING_ON_CHAIN: 'missing_on_chain'
+};
+
+// A certificate whose on-chain state does not match the database
+const chainDivergenceSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: Object.values(DIVERGENCE_KINDS),
+        required: true
+    },
+
+    contractAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    onChainId: Number,
+
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    // Status according to the database, and according to the indexed events
+    expected: String,
+    actual: String,
+
+    // Latest event behind the on-chain status
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OnChainEvent'
+    },
+
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastCheckedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Set once the chain and the database agree again
+    resolvedAt: Date
+
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+chainDivergenceSchema.index({ contractAddress: 1, onChainId: 1, kind: 1, resolvedAt: 1 });
+chainDivergenceSchema.index({ certificate: 1, resolvedAt: 1 });
+chainDivergenceSchema.index({ institutionId: 1, resolvedAt: 1, detectedAt: -1 });
+
+const ChainDivergence = mongoose.model('ChainDivergence', chainDivergenceSchema);
+
+module.exports = {
+    ChainDivergence,
+    DIVERGENCE_KINDS
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { CHAIN_ACTIONS } = require('./Certificate');
+
+// Define outbox transaction status
+const CHAIN_TX_STATUS = {
+    QUEUED: 'queued',
+    SUBMITTED: 'submitted',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    // A batch that reverted and was re-queued as one transaction per certificate
+    SUPERSEDED: 'superseded'
+};
+
+// An on-chain operation recorded before it is sent, so it survives restarts and can be retried
+const chainTransactionSchema = new mongoose.Schema({
+    // Certificate the operation is for; unset for batches
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate',
+        required: function() {
+            return !this.certificates || this.certificates.length === 0;
+        }
+    },
+
+    // Certificates anchored together by one batch creation or Merkle root
+    certificates: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    }],
+
+    // Merkle root anchoring only: root of the tree built over the certificates' hashes
+    merkleRoot: String,
+
+    // Copied from the certificate so the outbox can be scoped per institution
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    action: {
+        type: String,
+        enum: Object.values(CHAIN_ACTIONS),
+        required: true
+    },
+
+    // Contract call, resolved when the transaction is first sent
+    method: String,
+    args: mongoose.Schema.Types.Mixed,
+
+    status: {
+        type: String,
+        enum: Object.values(CHAIN_TX_STATUS),
+        default: CHAIN_TX_STATUS.QUEUED
+    },
+
+    // Nonce and fees of the transaction currently in flight
+    nonce: Number,
+    gasLimit: String,
+    gasPrice: String,
+    maxFeePerGas: String,
+    maxPriorityFeePerGas: String,
+
+    transactionHash: String,
+    // Earlier hashes of the same nonce, replaced to speed the transaction up
+    replacedHashes: [String],
+
+    submittedAt: Date,
+    blockNumber: Number,
+    confirmations: {
+        type: Number,
+        default: 0
+    },
+    gasUsed: String,
+    confirmedAt: Date,
+
+    // Batches only: gas the same certificates would take one by one, and how much the batch saved
+    individualGasEstimate: String,
+    gasSaved: String,
+
+    attempts: [{
+        nonce: Number,
+        transactionHash: String,
+        error: String,
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Failures since the transaction was queued or last resubmitted
+    failures: {
+        type: Number,
+        default: 0
+    },
+
+    // When a queued transaction may be sent; cleared once it is in flight or final
+    nextAttemptAt: Date,
+    // Earlier operations a queued transaction is held back for; it is woken when they confirm and failed with them
+    waitingOn: [{
+        type: String,
+        enum: Object.values(CHAIN_ACTIONS)
+    }],
+    lastError: String,
+    escalatedAt: Date,
+
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resubmittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resubmittedAt: Date
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+chainTransactionSchema.index({ status: 1, nextAttemptAt: 1 });
+chainTransactionSchema.index({ certificate: 1, action: 1, status: 1 });
+chainTransactionSchema.index({ certificate: 1, status: 1, waitingOn: 1 });
+chainTransactionSchema.index({ certificates: 1, status: 1 });
+chainTransactionSchema.index({ merkleRoot: 1 }, { sparse: true });
+chainTransactionSchema.index({ institutionId: 1, status: 1, createdAt: -1 });
+
+// Virtual for batch transactions
+chainTransactionSchema.virtual('isBatch').get(function() {
+    return !!(this.certificates && this.certificates.length > 0);
+});
+
+// Virtual for number of attempts
+chainTransactionSchema.virtual('attemptCount').get(function() {
+    return this.attempts ? this.attempts.length : 0;
+});
+
+const ChainTransaction = mongoose.model('ChainTransaction', chainTransactionSchema);
+
+module.exports = {
+    ChainTransaction,
+    CHAIN_TX_STATUS
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Define delivery status
+const DELIVERY_STATUS = {
+    QUEUED: 'queued',
+    SENT: 'sent',
+    FAILED: 'failed',
+    BOUNCED: 'bounced'
+};
+
+// Define message templates
+const EMAIL_TEMPLATES = {
+    CERTIFICATE_ISSUED: 'certificate_issued',
+    CERTIFICATE_REVOKED: 'certificate_revoked',
+    PASSWORD_RESET: 'password_reset',
+    ACCOUNT_DEACTIVATED: 'account_deactivated'
+};
+
+const emailDeliverySchema = new mongoose.Schema({
+    template: {
+        type: String,
+        enum: Object.values(EMAIL_TEMPLATES),
+        required: [true, 'Email template is required']
+    },
+
+    to: {
+        type: String,
+        required: [true, 'Recipient address is required'],
+        lowercase: true,
+        trim: true
+    },
+
+    subject: String,
+
+    // Values needed to render the message again on retry
+    context: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Messages carrying one-time secrets cannot be re-sent from the record
+    retryable: {
+        type: Boolean,
+        default: true
+    },
+
+    status: {
+        type: String,
+        enum: Object.values(DELIVERY_STATUS),
+        default: DELIVERY_STATUS.QUEUED
+    },
+
+    transport: String,
+    messageId: String,
+
+    attempts: [{
+        status: {
+            type: String,
+            enum: Object.values(DELIVERY_STATUS)
+        },
+        error: String,
+        response: String,
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    lastError: String,
+    sentAt: Date,
+
+    // Related records
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Institution of the certificate or user, so delivery logs can be scoped per institution
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+emailDeliverySchema.index({ status: 1, createdAt: -1 });
+emailDeliverySchema.index({ to: 1 });
+emailDeliverySchema.index({ certificate: 1 });
+emailDeliverySchema.index({ institutionId: 1, createdAt: -1 });
+
+// Virtual for number of attempts
+emailDeliverySchema.virtual('attemptCount').get(function() {
+    return this.attempts ? this.attempts.length : 0;
+});
+
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+
+module.exports = {
+    EmailDelivery,
+    DELIVERY_STATUS,
+    EMAIL_TEMPLATES
+};
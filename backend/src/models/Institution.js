@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const institutionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Institution name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [200, 'Institution name cannot exceed 200 characters']
+    },
+
+    // URL-safe identifier used in links and logs
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+    },
+
+    // Email domain; users registering with it join the institution
+    domain: {
+        type: String,
+        unique: true,
+        sparse: true,
+        lowercase: true,
+        trim: true,
+        match: [/^([a-z0-9-]+\.)+[a-z]{2,}$/, 'Please provide a valid domain']
+    },
+
+    // Institution logo, stored as a URL or base64 data URI
+    logo: String,
+
+    contactEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+
+    // Address the institution issues from on CertificateRegistry
+    onChainAddress: {
+        type: String,
+        lowercase: true,
+        match: [/^0x[a-fA-F0-9]{40}$/, 'Please provide a valid Ethereum address']
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the institution's credential signing keys
+institutionSchema.virtual('signingKeys', {
+    ref: 'InstitutionKey',
+    localField: '_id',
+    foreignField: 'institution'
+});
+
+// Derive the slug from the name when none is given
+institutionSchema.pre('validate', function(next) {
+    if (!this.slug && this.name) {
+        this.slug = this.name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+    next();
+});
+
+// Static method to find the institution owning an email address's domain
+institutionSchema.statics.findByEmailDomain = function(email) {
+    const domain = String(email || '').split('@')[1];
+    if (!domain) return Promise.resolve(null);
+
+    return this.findOne({ domain: domain.toLowerCase(), isActive: true });
+};
+
+const Institution = mongoose.model('Institution', institutionSchema);
+
+module.exports = {
+    Institution
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Define supported key types
+const KEY_TYPES = {
+    ED25519: 'Ed25519'
+};
+
+const institutionKeySchema = new mongoose.Schema({
+    institutionName: {
+        type: String,
+        required: [true, 'Institution name is required'],
+        trim: true
+    },
+
+    // Tenant owning the key; keys created before institutions existed only have a name
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    type: {
+        type: String,
+        enum: Object.values(KEY_TYPES),
+        default: KEY_TYPES.ED25519
+    },
+
+    // did:key identifier derived from the public key, used as the credential issuer
+    did: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    publicKeyMultibase: {
+        type: String,
+        required: true
+    },
+
+    // PKCS#8 private key, encrypted at rest
+    encryptedPrivateKey: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+        select: false
+    },
+
+    // Inactive keys no longer sign but still verify credentials issued earlier
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Set when a key is compromised; credentials signed with it stop verifying
+    revokedAt: Date
+
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+institutionKeySchema.index({ institutionName: 1, isActive: 1 });
+institutionKeySchema.index({ institution: 1, isActive: 1 });
+
+// One active key per institution, so concurrent first exports cannot each create one
+institutionKeySchema.index({ institution: 1 }, {
+    unique: true,
+    partialFilterExpression: { institution: { $exists: true }, isActive: true }
+});
+
+const InstitutionKey = mongoose.model('InstitutionKey', institutionKeySchema);
+
+module.exports = {
+    InstitutionKey,
+    KEY_TYPES
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Define notification types
+const NOTIFICATION_TYPES = {
+    AWAITING_VERIFICATION: 'certificate_awaiting_verification',
+    AWAITING_ISSUANCE: 'certificate_awaiting_issuance',
+    CERTIFICATE_REJECTED: 'certificate_rejected',
+    UPLOAD_COMPLETED: 'upload_completed',
+    CHAIN_TRANSACTION_FAILED: 'chain_transaction_failed'
+};
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Notification recipient is required']
+    },
+
+    type: {
+        type: String,
+        enum: Object.values(NOTIFICATION_TYPES),
+        required: [true, 'Notification type is required']
+    },
+
+    title: {
+        type: String,
+        required: [true, 'Notification title is required'],
+        trim: true
+    },
+
+    message: {
+        type: String,
+        trim: true
+    },
+
+    // Frontend route the notification opens
+    link: String,
+
+    // Related records
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    upload: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Upload'
+    },
+
+    readAt: {
+        type: Date,
+        default: null
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+    return Boolean(this.readAt);
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = {
+    Notification,
+    NOTIFICATION_TYPES
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Define the CertificateRegistry events the indexer follows
+const ON_CHAIN_EVENTS = {
+    CREATED: 'CertificateCreated',
+    VERIFIED: 'CertificateVerified',
+    ISSUED: 'CertificateIssued',
+    REVOKED: 'CertificateRevoked',
+    EXPIRED: 'CertificateExpired'
+};
+
+// A CertificateRegistry event as the indexer saw it
+const onChainEventSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: Object.values(ON_CHAIN_EVENTS),
+        required: true
+    },
+
+    contractAddress: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+
+    onChainId: {
+        type: Number,
+        required: true
+    },
+
+    // Event arguments, with integers as numbers and addresses lowercased
+    args: mongoose.Schema.Types.Mixed,
+
+    // Wallet that triggered the event: creator, verifier, issuer, revoker or caller
+    actor: {
+        type: String,
+        lowercase: true
+    },
+
+    blockNumber: {
+        type: Number,
+        required: true
+    },
+    blockHash: {
+        type: String,
+        required: true
+    },
+    transactionHash: {
+        type: String,
+        required: true
+    },
+    logIndex: {
+        type: Number,
+        required: true
+    },
+
+    // Set when a reorg dropped the block the event was in
+    removed: {
+        type: Boolean,
+        default: false
+    },
+    removedAt: Date,
+
+    // Matching certificate, if the database has one
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    }
+
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+onChainEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+onChainEventSchema.index({ contractAddress: 1, onChainId: 1, blockNumber: 1, logIndex: 1 });
+onChainEventSchema.index({ contractAddress: 1, blockNumber: 1 });
+onChainEventSchema.index({ certificate: 1, blockNumber: 1 });
+
+const OnChainEvent = mongoose.model('OnChainEvent', onChainEventSchema);
+
+module.exports = {
+    OnChainEvent,
+    ON_CHAIN_EVENTS
+};
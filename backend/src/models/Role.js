@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('./User');
+
+// A named set of permissions an institution defines, e.g. a registrar who creates and verifies
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name must be 2-40 lowercase letters, digits, dashes or underscores']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    permissions: [{
+        type: String,
+        enum: Object.values(PERMISSIONS)
+    }],
+
+    // Institution the role belongs to; roles without one are defined by super-admins for users outside any institution
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true
+});
+
+// Role names are unique within an institution
+roleSchema.index({ institution: 1, name: 1 }, { unique: true });
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = {
+    Role
+};
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Define how a discrepancy stopped being open
+const DISCREPANCY_RESOLUTIONS = {
+    FIXED: 'fixed',
+    CLEARED: 'cleared'
+};
+
+// A wallet whose on-chain role does not match what its account's app role calls for
+const roleDiscrepancySchema = new mongoose.Schema({
+    address: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+
+    // Account the address is or was linked to
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    // On-chain role name: creator, verifier, issuer or admin
+    role: {
+        type: String,
+        required: true
+    },
+
+    // Whether the address should hold the role, and whether it does
+    expected: {
+        type: Boolean,
+        required: true
+    },
+    actual: {
+        type: Boolean,
+        required: true
+    },
+
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastCheckedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    resolvedAt: Date,
+    resolution: {
+        type: String,
+        enum: Object.values(DISCREPANCY_RESOLUTIONS)
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    fixTxHash: String,
+    lastError: String
+
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+roleDiscrepancySchema.index({ address: 1, role: 1, resolvedAt: 1 });
+roleDiscrepancySchema.index({ institution: 1, resolvedAt: 1 });
+
+const RoleDiscrepancy = mongoose.model('RoleDiscrepancy', roleDiscrepancySchema);
+
+module.exports = {
+    RoleDiscrepancy,
+    DISCREPANCY_RESOLUTIONS
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { USER_ROLES } = require('./User');
+
+// Defaults used until an admin saves a policy
+const DEFAULT_SECURITY_POLICY = {
+    twoFactorRequiredRoles: [],
+    reauthMaxAgeMinutes: 5
+};
+
+const securityPolicySchema = new mongoose.Schema({
+    // Institution the policy applies to; unset for the platform default
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        unique: true,
+        sparse: true
+    },
+
+    // Roles that cannot use the platform without two-factor authentication
+    twoFactorRequiredRoles: [{
+        type: String,
+        enum: Object.values(USER_ROLES)
+    }],
+
+    // How recently a user must have confirmed their identity for sensitive actions
+    reauthMaxAgeMinutes: {
+        type: Number,
+        min: [1, 'Re-authentication window must be at least 1 minute'],
+        max: [60, 'Re-authentication window cannot exceed 60 minutes'],
+        default: DEFAULT_SECURITY_POLICY.reauthMaxAgeMinutes
+    },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true
+});
+
+// Method to check whether a role must use two-factor authentication
+securityPolicySchema.methods.requiresTwoFactor = function(role) {
+    return this.twoFactorRequiredRoles.includes(role);
+};
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = {
+    SecurityPolicy,
+    DEFAULT_SECURITY_POLICY
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Define why a session was ended
+const SESSION_REVOKE_REASONS = {
+    LOGOUT: 'logout',
+    REVOKED: 'revoked',
+    TOKEN_REUSE: 'token_reuse',
+    PASSWORD_CHANGED: 'password_changed',
+    ACCOUNT_DEACTIVATED: 'account_deactivated'
+};
+
+// Rotated refresh tokens remembered per session for reuse detection
+const TOKEN_HISTORY_LIMIT = 20;
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // SHA-256 of the current refresh token secret
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    // Hashes of secrets already rotated out; presenting one again revokes the session
+    previousTokenHashes: {
+        type: [String],
+        select: false
+    },
+
+    // Device the session was started from
+    userAgent: String,
+    device: {
+        browser: String,
+        os: String
+    },
+    ip: String,
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedIp: String,
+
+    // Last time the user proved their identity in this session, for sensitive actions
+    reauthenticatedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Refresh tokens stop working after this, whatever their rotation
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: Object.values(SESSION_REVOKE_REASONS)
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to set the first refresh token of a new session, returning the plaintext token
+sessionSchema.methods.generateRefreshToken = function() {
+    const secret = generateSecret();
+    this.tokenHash = hashSecret(secret);
+
+    return `${this._id}.${secret}`;
+};
+
+// Method to check whether a presented secret was already rotated out
+sessionSchema.methods.wasRotated = function(secret) {
+    const hash = hashSecret(secret);
+    return (this.previousTokenHashes || []).some(previous => safeEqual(hash, previous));
+};
+
+// Static method to atomically swap an active session's refresh token, so each token is exchanged once
+sessionSchema.statics.rotateToken = async function(sessionId, secret, ip) {
+    const presentedHash = hashSecret(secret);
+    const nextSecret = generateSecret();
+
+    const session = await this.findOneAndUpdate(
+        {
+            _id: sessionId,
+            tokenHash: presentedHash,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                tokenHash: hashSecret(nextSecret),
+                lastUsedAt: new Date(),
+                lastUsedIp: ip
+            },
+            $push: {
+                previousTokenHashes: { $each: [presentedHash], $slice: -TOKEN_HISTORY_LIMIT }
+            }
+        },
+        { new: true }
+    );
+
+    return session ? { session, refreshToken: `${session._id}.${nextSecret}` } : null;
+};
+
+// Static method to split a presented refresh token into session id and secret
+sessionSchema.statics.parseToken = function(token) {
+    const match = /^([0-9a-f]{24})\.([A-Za-z0-9_-]+)$/.exec(token || '');
+
+    if (!match) return null;
+
+    return { sessionId: match[1], secret: match[2] };
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = {
+    Session,
+    SESSION_REVOKE_REASONS
+};
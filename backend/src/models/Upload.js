@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+// Define upload status
+const UPLOAD_STATUS = {
+    PARSED: 'parsed',
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    CERTIFICATES_CREATED: 'certificates_created',
+    PARTIALLY_FAILED: 'partially_failed',
+    // Job stopped by an error or after too many interrupted attempts; it can be committed again
+    FAILED: 'failed'
+};
+
+// Define upload sources
+const UPLOAD_SOURCES = {
+    CSV: 'csv',
+    EXCEL: 'excel',
+    BATCH: 'batch'
+};
+
+// Define per-row certificate creation outcomes
+const ROW_STATUS = {
+    PENDING: 'pending',
+    CREATED: 'created',
+    FAILED: 'failed'
+};
+
+const uploadSchema = new mongoose.Schema({
+    // Public identifier returned to the client
+    uploadId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    source: {
+        type: String,
+        enum: Object.values(UPLOAD_SOURCES),
+        required: [true, 'Upload source is required']
+    },
+
+    // Original file information
+    file: {
+        originalName: {
+            type: String,
+            required: [true, 'File name is required'],
+            trim: true
+        },
+        size: Number,
+        mimetype: String,
+        sheetName: String
+    },
+
+    // Parse summary
+    summary: {
+        totalRows: {
+            type: Number,
+            default: 0,
+            min: [0, 'Total rows cannot be negative']
+        },
+        validRows: {
+            type: Number,
+            default: 0,
+            min: [0, 'Valid rows cannot be negative']
+        },
+        invalidRows: {
+            type: Number,
+            default: 0,
+            min: [0, 'Invalid rows cannot be negative']
+        }
+    },
+
+    // Validated rows, kept so certificates can be created from the upload later
+    rows: {
+        type: [{
+            rowIndex: Number,
+            data: mongoose.Schema.Types.Mixed,
+            outcome: {
+                status: {
+                    type: String,
+                    enum: Object.values(ROW_STATUS),
+                    default: ROW_STATUS.PENDING
+                },
+                certificate: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Certificate'
+                },
+                error: String,
+                processedAt: Date
+            }
+        }],
+        select: false
+    },
+
+    // Rows rejected during parsing
+    rowErrors: [{
+        rowIndex: Number,
+        data: mongoose.Schema.Types.Mixed,
+        error: String
+    }],
+
+    status: {
+        type: String,
+        enum: Object.values(UPLOAD_STATUS),
+        default: UPLOAD_STATUS.PARSED,
+        required: true
+    },
+
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Uploader is required']
+    },
+
+    // Tenant the upload's certificates are created under
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    batchId: String,
+
+    // Background job tracking for certificate creation
+    job: {
+        queuedAt: Date,
+        startedAt: Date,
+        finishedAt: Date,
+        heartbeatAt: Date,
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        processed: {
+            type: Number,
+            default: 0
+        },
+        succeeded: {
+            type: Number,
+            default: 0
+        },
+        failed: {
+            type: Number,
+            default: 0
+        },
+        error: String
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+uploadSchema.index({ uploadedBy: 1, createdAt: -1 });
+uploadSchema.index({ status: 1 });
+
+// Virtual for job progress percentage
+uploadSchema.virtual('progress').get(function() {
+    const total = this.summary ? this.summary.validRows : 0;
+    if (!total || !this.job) {
+        return 0;
+    }
+    return Math.round((this.job.processed / total) * 100);
+});
+
+// Pre-validate middleware to generate upload ID
+uploadSchema.pre('validate', function(next) {
+    if (!this.uploadId) {
+        this.uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    next();
+});
+
+// Static method to build an upload record from a parse result
+uploadSchema.statics.fromParseResult = function(parseResult, file, source, uploadedBy, institutionId) {
+    return this.create({
+        source,
+        file: {
+            originalName: file.originalname,
+            size: file.size,
+            mimetype: file.mimetype,
+            sheetName: parseResult.sheetName
+        },
+        summary: {
+            totalRows: parseResult.totalRows,
+            validRows: parseResult.validRows,
+            invalidRows: parseResult.invalidRows
+        },
+        rows: parseResult.results.map(row => ({
+            rowIndex: row.rowIndex,
+            data: row.data
+        })),
+        rowErrors: parseResult.errors.map(row => ({
+            rowIndex: row.rowIndex,
+            data: row.data,
+            error: row.error
+        })),
+        uploadedBy,
+        institutionId
+    });
+};
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = {
+    Upload,
+    UPLOAD_STATUS,
+    UPLOAD_SOURCES,
+    ROW_STATUS
+};
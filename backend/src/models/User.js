@@ -1,6 +1,5 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 
 // Define user roles
 const USER_ROLES = {
@@ -10,6 +9,24 @@ const USER_ROLES = {
     ADMIN: 'admin'
 };
 
+// Define the permissions checked by requirePermissions
+const PERMISSIONS = {
+    CREATE_CERTIFICATES: 'create_certificates',
+    VERIFY_CERTIFICATES: 'verify_certificates',
+    ISSUE_CERTIFICATES: 'issue_certificates',
+    VIEW_ALL_CERTIFICATES: 'view_all_certificates',
+    MANAGE_USERS: 'manage_users',
+    SYSTEM_ADMIN: 'system_admin'
+};
+
+// Permissions each built-in role starts with
+const ROLE_PERMISSIONS = {
+    [USER_ROLES.CREATOR]: [PERMISSIONS.CREATE_CERTIFICATES],
+    [USER_ROLES.VERIFIER]: [PERMISSIONS.VERIFY_CERTIFICATES, PERMISSIONS.VIEW_ALL_CERTIFICATES],
+    [USER_ROLES.ISSUER]: [PERMISSIONS.ISSUE_CERTIFICATES, PERMISSIONS.VIEW_ALL_CERTIFICATES],
+    [USER_ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
 const userSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -87,16 +104,68 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    // Tenant the user works in; data is scoped to it
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+    // Institution matched by email domain at registration, joined once one of its admins approves
+    requestedInstitution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+    // Platform operators who can work across every institution
+    isSuperAdmin: {
+        type: Boolean,
+        default: false
+    },
+    // TOTP two-factor authentication; the secret is encrypted at rest
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: mongoose.Schema.Types.Mixed,
+            select: false
+        },
+        // Secret of an enrollment that has not been confirmed with a code yet
+        pendingSecret: {
+            type: mongoose.Schema.Types.Mixed,
+            select: false
+        },
+        // SHA-256 hashes of unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Last accepted time step, so a code cannot be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
+    // Custom role whose permissions replace the defaults of the built-in role
+    customRole: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Role'
+    },
+    // Individual permissions granted or revoked on top of the role's
+    permissionOverrides: {
+        granted: [{
+            type: String,
+            enum: Object.values(PERMISSIONS)
+        }],
+        revoked: [{
+            type: String,
+            enum: Object.values(PERMISSIONS)
+        }]
+    },
+    // Effective permissions, recomputed whenever the role or overrides change
     permissions: [{
         type: String,
-        enum: [
-            'create_certificates',
-            'verify_certificates', 
-            'issue_certificates',
-            'view_all_certificates',
-            'manage_users',
-            'system_admin'
-        ]
+        enum: Object.values(PERMISSIONS)
     }]
 }, {
     timestamps: true,
@@ -109,6 +178,8 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ walletAddress: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ institution: 1, role: 1 });
+userSchema.index({ requestedInstitution: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -142,20 +213,6 @@ userSchema.methods.correctPassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
-    const payload = {
-        id: this._id,
-        email: this.email,
-        role: this.role,
-        walletAddress: this.walletAddress
-    };
-    
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-    });
-};
-
 // Instance method to check if password was changed after JWT was issued
 userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
     if (this.passwordChangedAt) {
@@ -185,5 +242,7 @@ const User = mongoose.model('User', userSchema);
 
 module.exports = {
     User,
-    USER_ROLES
+    USER_ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS
 };
\ No newline at end of file
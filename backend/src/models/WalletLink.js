@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Define why a wallet stopped being linked
+const WALLET_UNLINK_REASONS = {
+    REPLACED: 'replaced',
+    UNLINKED: 'unlinked'
+};
+
+// Define the state of the on-chain role that goes with a linked wallet
+const ONCHAIN_ROLE_STATUS = {
+    PENDING: 'pending',
+    GRANTED: 'granted',
+    FAILED: 'failed',
+    REVOKED: 'revoked'
+};
+
+const walletLinkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Lowercase address proven by a signed challenge
+    address: {
+        type: String,
+        required: true,
+        lowercase: true,
+        match: [/^0x[a-f0-9]{40}$/, 'Please provide a valid Ethereum wallet address']
+    },
+    chainId: Number,
+
+    linkedAt: {
+        type: Date,
+        default: Date.now
+    },
+    linkedIp: String,
+
+    // Set when the wallet is replaced or unlinked; the link is active until then
+    unlinkedAt: Date,
+    unlinkReason: {
+        type: String,
+        enum: Object.values(WALLET_UNLINK_REASONS)
+    },
+
+    // On-chain role granted to the address for the user's app role, if enabled
+    onChainRole: {
+        role: String,
+        status: {
+            type: String,
+            enum: Object.values(ONCHAIN_ROLE_STATUS)
+        },
+        grantTxHash: String,
+        revokeTxHash: String,
+        error: String,
+        updatedAt: Date
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+walletLinkSchema.index({ user: 1, linkedAt: -1 });
+walletLinkSchema.index({ address: 1 });
+
+// Virtual for whether the wallet is still linked
+walletLinkSchema.virtual('isActive').get(function() {
+    return !this.unlinkedAt;
+});
+
+// Static method to find the current link of a user
+walletLinkSchema.statics.findActive = function(userId) {
+    return this.findOne({ user: userId, unlinkedAt: null }).sort({ linkedAt: -1 });
+};
+
+const WalletLink = mongoose.model('WalletLink', walletLinkSchema);
+
+module.exports = {
+    WalletLink,
+    WALLET_UNLINK_REASONS,
+    ONCHAIN_ROLE_STATUS
+};
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Define certificate lifecycle events that can be subscribed to
+const WEBHOOK_EVENTS = {
+    CREATED: 'certificate.created',
+    UPDATED: 'certificate.updated',
+    APPROVED: 'certificate.approved',
+    REJECTED: 'certificate.rejected',
+    ISSUED: 'certificate.issued',
+    REVOKED: 'certificate.revoked',
+    ANCHORED: 'certificate.anchored',
+    EXPIRED: 'certificate.expired',
+    RENEWED: 'certificate.renewed',
+    REISSUED: 'certificate.reissued'
+};
+
+// Subscribes an endpoint to every event
+const ALL_EVENTS = '*';
+
+const webhookSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Webhook name is required'],
+        trim: true,
+        maxlength: [100, 'Webhook name cannot exceed 100 characters']
+    },
+
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        validate: {
+            validator: function(value) {
+                try {
+                    const { protocol } = new URL(value);
+                    return protocol === 'https:' || protocol === 'http:';
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'Webhook URL must be a valid http(s) URL'
+        }
+    },
+
+    events: {
+        type: [{
+            type: String,
+            enum: [...Object.values(WEBHOOK_EVENTS), ALL_EVENTS]
+        }],
+        validate: {
+            validator: events => events.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+
+    // Shared secret used to sign payloads, only returned when created or rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+
+    description: {
+        type: String,
+        trim: true
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Institution whose certificate events are sent; unset for platform-wide webhooks
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    },
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: String
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+webhookSchema.index({ isActive: 1, events: 1 });
+webhookSchema.index({ institutionId: 1 });
+
+// Method to check whether the webhook receives an event
+webhookSchema.methods.isSubscribedTo = function(event) {
+    return this.events.includes(ALL_EVENTS) || this.events.includes(event);
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = {
+    Webhook,
+    WEBHOOK_EVENTS,
+    ALL_EVENTS
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Define delivery status
+const WEBHOOK_DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+
+    // Shared by every delivery of the same event so receivers can deduplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+
+    event: {
+        type: String,
+        required: true
+    },
+
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: Object.values(WEBHOOK_DELIVERY_STATUS),
+        default: WEBHOOK_DELIVERY_STATUS.PENDING
+    },
+
+    attempts: [{
+        statusCode: Number,
+        error: String,
+        responseBody: String,
+        duration: Number,
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // When the next attempt is due; cleared once the delivery is final
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    lastError: String,
+
+    // Set when an admin re-sends an earlier delivery
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    },
+
+    // Related records
+    certificate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Certificate'
+    },
+
+    // Copied from the webhook so delivery logs can be scoped per institution
+    institutionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution'
+    }
+
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+webhookDeliverySchema.index({ institutionId: 1, createdAt: -1 });
+
+// Virtual for number of attempts
+webhookDeliverySchema.virtual('attemptCount').get(function() {
+    return this.attempts ? this.attempts.length : 0;
+});
+
+// Virtual for the response code of the latest attempt
+webhookDeliverySchema.virtual('lastStatusCode').get(function() {
+    const last = this.attempts && this.attempts[this.attempts.length - 1];
+    return last ? last.statusCode : undefined;
+});
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = {
+    WebhookDelivery,
+    WEBHOOK_DELIVERY_STATUS
+};
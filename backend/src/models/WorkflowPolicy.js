@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { CERTIFICATE_TYPES } = require('./Certificate');
+
+// Define the separation-of-duties rules; each is reported as the error code of a refused action
+const SOD_RULES = {
+    CREATOR_CANNOT_VERIFY: 'SOD_CREATOR_CANNOT_VERIFY',
+    VERIFIER_CANNOT_ISSUE: 'SOD_VERIFIER_CANNOT_ISSUE',
+    ONE_APPROVAL_PER_VERIFIER: 'SOD_ONE_APPROVAL_PER_VERIFIER'
+};
+
+// Defaults used until an admin saves a policy
+const DEFAULT_WORKFLOW_POLICY = {
+    creatorCannotVerify: true,
+    verifierCannotIssue: true,
+    approvalQuorums: []
+};
+
+const workflowPolicySchema = new mongoose.Schema({
+    // Institution the policy applies to; unset for the platform default
+    institution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Institution',
+        unique: true,
+        sparse: true
+    },
+
+    // Whoever created a certificate may not approve or reject it
+    creatorCannotVerify: {
+        type: Boolean,
+        default: DEFAULT_WORKFLOW_POLICY.creatorCannotVerify
+    },
+
+    // Whoever approved a certificate may not issue it
+    verifierCannotIssue: {
+        type: Boolean,
+        default: DEFAULT_WORKFLOW_POLICY.verifierCannotIssue
+    },
+
+    // Certificate types that need approvals from several distinct verifiers
+    approvalQuorums: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: Object.values(CERTIFICATE_TYPES),
+            required: true
+        },
+        approvals: {
+            type: Number,
+            min: [2, 'A quorum needs at least 2 approvals'],
+            max: [10, 'A quorum cannot exceed 10 approvals'],
+            required: true
+        }
+    }],
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+
+}, {
+    timestamps: true
+});
+
+const WorkflowPolicy = mongoose.model('WorkflowPolicy', workflowPolicySchema);
+
+module.exports = {
+    WorkflowPolicy,
+    DEFAULT_WORKFLOW_POLICY,
+    SOD_RULES
+};
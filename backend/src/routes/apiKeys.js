@@ -0,0 +1,18 @@
+const express = require('express');
+const { authenticate, restrictTo } = require('../middleware/auth');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(authenticate);
+router.use(restrictTo('admin'));
+
+router.get('/', apiKeyController.getApiKeys);
+router.post('/', apiKeyController.createApiKey);
+router.get('/:id', apiKeyController.getApiKey);
+router.patch('/:id', apiKeyController.updateApiKey);
+router.post('/:id/rotate', apiKeyController.rotateApiKey);
+router.post('/:id/revoke', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,18 +1,27 @@
 const express = require('express');
-const { authenticate, restrictTo, validateWalletSignature, authRateLimit, logAuthEvents } = require('../middleware/auth');
+const { authenticate, restrictTo, requirePermissions, requireSuperAdmin, requireRecentAuth, validateWalletSignature, authRateLimit, logAuthEvents } = require('../middleware/auth');
 const authController = require('../controllers/authController');
+const securityController = require('../controllers/securityController');
+const walletController = require('../controllers/walletController');
+const permissionController = require('../controllers/permissionController');
 
 const router = express.Router();
 
-// Apply rate limiting to authentication routes
-router.use(authRateLimit(5, 15 * 60 * 1000)); // 5 attempts per 15 minutes
+// Rate limiting for routes that take credentials; token refreshes get a larger budget
+const credentialRateLimit = authRateLimit(5, 15 * 60 * 1000); // 5 attempts per 15 minutes
+const refreshRateLimit = authRateLimit(30, 15 * 60 * 1000);
+const nonceRateLimit = authRateLimit(30, 15 * 60 * 1000);
+const codeRateLimit = authRateLimit(10, 15 * 60 * 1000); // two-factor codes and re-authentication
 
 // Public routes
-router.post('/register', logAuthEvents('register'), authController.register);
-router.post('/login', logAuthEvents('login'), authController.login);
-router.post('/wallet-login', logAuthEvents('wallet-login'), validateWalletSignature, authController.walletLogin);
-router.post('/forgot-password', logAuthEvents('forgot-password'), authController.forgotPassword);
-router.patch('/reset-password/:token', logAuthEvents('reset-password'), authController.resetPassword);
+router.post('/register', credentialRateLimit, logAuthEvents('register'), authController.register);
+router.post('/login', credentialRateLimit, logAuthEvents('login'), authController.login);
+router.post('/2fa/verify-login', codeRateLimit, logAuthEvents('2fa-login'), authController.verifyTwoFactorLogin);
+router.get('/nonce', nonceRateLimit, authController.getNonce);
+router.post('/wallet-login', credentialRateLimit, logAuthEvents('wallet-login'), validateWalletSignature, authController.walletLogin);
+router.post('/forgot-password', credentialRateLimit, logAuthEvents('forgot-password'), authController.forgotPassword);
+router.patch('/reset-password/:token', credentialRateLimit, logAuthEvents('reset-password'), authController.resetPassword);
+router.post('/refresh', refreshRateLimit, authController.refreshToken);
 
 // Protected routes
 router.use(authenticate); // All routes below require authentication
@@ -22,9 +31,39 @@ router.patch('/update-me', authController.updateMe);
 router.patch('/update-password', authController.updatePassword);
 router.post('/logout', logAuthEvents('logout'), authController.logout);
 
+// Session management
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeAllSessions);
+router.delete('/sessions/:id', authController.revokeSession);
+
+// Two-factor authentication and re-authentication before sensitive actions
+router.get('/2fa', securityController.getTwoFactorStatus);
+router.post('/2fa/setup', securityController.setupTwoFactor);
+router.post('/2fa/enable', codeRateLimit, securityController.enableTwoFactor);
+router.post('/2fa/disable', requireRecentAuth, securityController.disableTwoFactor);
+router.post('/2fa/recovery-codes', requireRecentAuth, securityController.regenerateRecoveryCodes);
+router.post('/reauth', codeRateLimit, logAuthEvents('reauth'), securityController.reauthenticate);
+
+// Linked wallet, proven by signing a challenge
+router.get('/wallet', walletController.getWallet);
+router.get('/wallet/nonce', nonceRateLimit, walletController.getWalletChallenge);
+router.post('/wallet', codeRateLimit, requireRecentAuth, walletController.linkWallet);
+router.delete('/wallet', requireRecentAuth, walletController.unlinkWallet);
+
 // Admin only routes
 router.get('/users', restrictTo('admin'), authController.getAllUsers);
-router.patch('/users/:id/role', restrictTo('admin'), authController.updateUserRole);
-router.patch('/users/:id/status', restrictTo('admin'), authController.updateUserStatus);
+router.patch('/users/:id/role', restrictTo('admin'), requireRecentAuth, authController.updateUserRole);
+router.patch('/users/:id/status', restrictTo('admin'), requireRecentAuth, authController.updateUserStatus);
+router.patch('/users/:id/institution-request', restrictTo('admin'), requireRecentAuth, authController.reviewInstitutionRequest);
+router.get('/users/:id/permissions', restrictTo('admin'), requirePermissions('manage_users'), permissionController.getUserPermissions);
+router.put('/users/:id/permissions', restrictTo('admin'), requirePermissions('manage_users'), requireRecentAuth, permissionController.updateUserPermissions);
+router.delete('/users/:id/2fa', restrictTo('admin'), requireRecentAuth, securityController.resetUserTwoFactor);
+router.get('/security-policy', restrictTo('admin'), securityController.getSecurityPolicy);
+router.put('/security-policy', restrictTo('admin'), requireRecentAuth, securityController.updateSecurityPolicy);
+router.get('/workflow-policy', restrictTo('admin'), securityController.getWorkflowPolicy);
+router.put('/workflow-policy', restrictTo('admin'), requireRecentAuth, securityController.updateWorkflowPolicy);
+
+// Super-admin only routes
+router.patch('/users/:id/institution', requireSuperAdmin, requireRecentAuth, authController.updateUserInstitution);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticate, restrictTo } = require('../middleware/auth');
+const { authenticate, restrictTo, requireRecentAuth } = require('../middleware/auth');
 const blockchainController = require('../controllers/blockchainController');
 
 const router = express.Router();
@@ -13,10 +13,12 @@ router.get('/contract-info', blockchainController.getContractInfo);
 
 // Certificate blockchain operations
 router.post('/certificates/:id/anchor', blockchainController.anchorCertificate);
+router.post('/certificates/:id/sync', restrictTo('admin', 'issuer'), blockchainController.syncCertificate);
 router.get('/certificates/:id/blockchain-info', blockchainController.getCertificateBlockchainInfo);
 
 // Batch blockchain operations
 router.post('/batch/anchor', restrictTo('admin'), blockchainController.batchAnchorCertificates);
+router.get('/batch/anchor/:id', restrictTo('admin'), blockchainController.getBatchAnchor);
 
 // Blockchain verification
 router.get('/verify-hash/:hash', blockchainController.verifyHashOnBlockchain);
@@ -26,6 +28,19 @@ router.get('/transaction/:txHash', blockchainController.getTransactionInfo);
 router.get('/network-status', blockchainController.getNetworkStatus);
 router.get('/contract-stats', restrictTo('admin'), blockchainController.getContractStats);
 
+// On-chain role reconciliation
+router.get('/roles/discrepancies', restrictTo('admin'), blockchainController.getRoleDiscrepancies);
+router.post('/roles/scan', restrictTo('admin'), blockchainController.scanRoleDiscrepancies);
+router.post('/roles/discrepancies/fix', restrictTo('admin'), requireRecentAuth, blockchainController.fixAllRoleDiscrepancies);
+router.post('/roles/discrepancies/:id/fix', restrictTo('admin'), requireRecentAuth, blockchainController.fixRoleDiscrepancy);
+
+// Transaction outbox
+router.get('/transactions', restrictTo('admin'), blockchainController.getChainTransactions);
+router.post('/transactions/:id/resubmit', restrictTo('admin'), requireRecentAuth, blockchainController.resubmitChainTransaction);
+
+// Chain event index compared with the database
+router.get('/reconciliation', restrictTo('admin'), blockchainController.getReconciliationReport);
+
 // Gas estimation and fee management
 router.post('/estimate-gas', blockchainController.estimateGasFees);
 router.get('/gas-prices', blockchainController.getCurrentGasPrices);
@@ -1,29 +1,39 @@
 const express = require('express');
-const { authenticate, restrictTo, requirePermissions, checkOwnership } = require('../middleware/auth');
+const { authenticateUserOrApiKey, restrictTo, requirePermissions, requireScopes, requireRecentAuth, checkOwnership } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
 const certificateController = require('../controllers/certificateController');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require a user session or an API key
+router.use(authenticateUserOrApiKey);
+
+const canRead = requireScopes(API_KEY_SCOPES.CERTIFICATES_READ);
+const canCreate = requireScopes(API_KEY_SCOPES.CERTIFICATES_CREATE);
+const canUpdate = requireScopes(API_KEY_SCOPES.CERTIFICATES_UPDATE);
+const canVerify = requireScopes(API_KEY_SCOPES.CERTIFICATES_VERIFY);
+const canIssue = requireScopes(API_KEY_SCOPES.CERTIFICATES_ISSUE);
 
 // Certificate CRUD operations
 router
     .route('/')
-    .get(certificateController.getAllCertificates)
+    .get(canRead, certificateController.getAllCertificates)
     .post(
+        canCreate,
         requirePermissions('create_certificates'),
         certificateController.createCertificate
     );
 
 router
     .route('/:id')
-    .get(certificateController.getCertificate)
+    .get(canRead, certificateController.getCertificate)
     .patch(
+        canUpdate,
         checkOwnership('creator'),
         certificateController.updateCertificate
     )
     .delete(
+        canUpdate,
         checkOwnership('creator'),
         certificateController.deleteCertificate
     );
@@ -31,39 +41,66 @@ router
 // Certificate workflow routes
 router.patch(
     '/:id/verify',
+    canVerify,
     requirePermissions('verify_certificates'),
     certificateController.verifyCertificate
 );
 
 router.patch(
     '/:id/issue',
+    canIssue,
     requirePermissions('issue_certificates'),
     certificateController.issueCertificate
 );
 
 router.patch(
     '/:id/revoke',
+    canIssue,
     requirePermissions('issue_certificates'),
+    requireRecentAuth,
     certificateController.revokeCertificate
 );
 
+router.post(
+    '/:id/reissue',
+    canIssue,
+    requirePermissions('issue_certificates'),
+    requireRecentAuth,
+    certificateController.reissueCertificate
+);
+
+router.post(
+    '/:id/renew',
+    canIssue,
+    requirePermissions('issue_certificates'),
+    certificateController.renewCertificate
+);
+
+// Certificate documents
+router.get('/:id/download', canRead, certificateController.downloadCertificate);
+router.get('/:id/vc', canRead, certificateController.exportCredential);
+router.get('/:id/badge', canRead, certificateController.exportBadge);
+router.get('/:id/versions', canRead, certificateController.getCertificateVersions);
+router.get('/:id/workflow', canRead, certificateController.getCertificateWorkflow);
+
 // Batch operations
 router.post(
     '/batch/create',
+    canCreate,
     requirePermissions('create_certificates'),
     certificateController.batchCreateCertificates
 );
 
 // Certificate queries
-router.get('/status/:status', certificateController.getCertificatesByStatus);
-router.get('/creator/:creatorId', certificateController.getCertificatesByCreator);
-router.get('/search', certificateController.searchCertificates);
+router.get('/status/:status', canRead, certificateController.getCertificatesByStatus);
+router.get('/creator/:creatorId', canRead, certificateController.getCertificatesByCreator);
+router.get('/search', canRead, certificateController.searchCertificates);
 
 // Certificate verification (public)
-router.get('/verify/:verificationCode', certificateController.verifyCertificatePublic);
+router.get('/verify/:verificationCode', canRead, certificateController.verifyCertificatePublic);
 
 // Certificate analytics (admin only)
-router.get('/analytics/stats', restrictTo('admin'), certificateController.getCertificateStats);
-router.get('/analytics/trends', restrictTo('admin'), certificateController.getCertificateTrends);
+router.get('/analytics/stats', canRead, restrictTo('admin'), certificateController.getCertificateStats);
+router.get('/analytics/trends', canRead, restrictTo('admin'), certificateController.getCertificateTrends);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const { authenticate, restrictTo, requireSuperAdmin } = require('../middleware/auth');
+const institutionController = require('../controllers/institutionController');
+
+const router = express.Router();
+
+// All routes require admin access; admins are limited to their own institution
+router.use(authenticate);
+router.use(restrictTo('admin'));
+
+router.get('/', institutionController.getInstitutions);
+router.post('/', requireSuperAdmin, institutionController.createInstitution);
+router.get('/:id', institutionController.getInstitution);
+router.patch('/:id', institutionController.updateInstitution);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticate, restrictTo } = require('../middleware/auth');
+const mailController = require('../controllers/mailController');
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(authenticate);
+router.use(restrictTo('admin'));
+
+router.get('/deliveries', mailController.getDeliveries);
+router.get('/deliveries/:id', mailController.getDelivery);
+router.post('/deliveries/:id/retry', mailController.retryDelivery);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const notificationController = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router.get('/', notificationController.getNotifications);
+router.get('/stream', notificationController.streamNotifications);
+router.patch('/read-all', notificationController.markAllAsRead);
+router.patch('/:id/read', notificationController.markAsRead);
+
+module.exports = router;
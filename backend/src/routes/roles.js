@@ -0,0 +1,18 @@
+const express = require('express');
+const { authenticate, restrictTo, requirePermissions, requireRecentAuth } = require('../middleware/auth');
+const permissionController = require('../controllers/permissionController');
+
+const router = express.Router();
+
+// All routes require an admin who can manage users
+router.use(authenticate);
+router.use(restrictTo('admin'));
+router.use(requirePermissions('manage_users'));
+
+router.get('/', permissionController.getRoles);
+router.get('/audit', permissionController.getAuditLog);
+router.post('/', requireRecentAuth, permissionController.createRole);
+router.patch('/:id', requireRecentAuth, permissionController.updateRole);
+router.delete('/:id', requireRecentAuth, permissionController.deleteRole);
+
+module.exports = router;
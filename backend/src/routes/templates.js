@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticate, restrictTo } = require('../middleware/auth');
+const templateController = require('../controllers/templateController');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+router
+    .route('/')
+    .get(templateController.getAllTemplates)
+    .post(restrictTo('admin'), templateController.createTemplate);
+
+router
+    .route('/:id')
+    .get(templateController.getTemplate)
+    .patch(restrictTo('admin'), templateController.updateTemplate)
+    .delete(restrictTo('admin'), templateController.deleteTemplate);
+
+router.get('/:id/preview', templateController.previewTemplate);
+
+module.exports = router;
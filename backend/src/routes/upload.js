@@ -1,7 +1,8 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const { authenticate, requirePermissions } = require('../middleware/auth');
+const { authenticateUserOrApiKey, requirePermissions, requireScopes } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
 const uploadController = require('../controllers/uploadController');
 
 const router = express.Router();
@@ -36,12 +37,16 @@ const upload = multer({
     }
 });
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require a user session or an API key
+router.use(authenticateUserOrApiKey);
+
+const canRead = requireScopes(API_KEY_SCOPES.UPLOADS_READ);
+const canCreate = requireScopes(API_KEY_SCOPES.UPLOADS_CREATE);
 
 // File upload routes
 router.post(
     '/csv',
+    canCreate,
     requirePermissions('create_certificates'),
     upload.single('csvFile'),
     uploadController.uploadCSV
@@ -49,6 +54,7 @@ router.post(
 
 router.post(
     '/excel',
+    canCreate,
     requirePermissions('create_certificates'),
     upload.single('excelFile'),
     uploadController.uploadExcel
@@ -56,25 +62,35 @@ router.post(
 
 router.post(
     '/batch',
+    canCreate,
     requirePermissions('create_certificates'),
     upload.array('files', 5),
     uploadController.uploadBatchFiles
 );
 
 // Template and sample file routes
-router.get('/template/csv', uploadController.downloadCSVTemplate);
-router.get('/template/sample', uploadController.downloadSampleCSV);
+router.get('/template/csv', canRead, uploadController.downloadCSVTemplate);
+router.get('/template/sample', canRead, uploadController.downloadSampleCSV);
 
 // File validation routes
 router.post(
     '/validate',
+    canCreate,
     requirePermissions('create_certificates'),
     upload.single('file'),
     uploadController.validateFile
 );
 
+// Create certificates from a parsed upload (runs as a background job)
+router.post(
+    '/:uploadId/commit',
+    canCreate,
+    requirePermissions('create_certificates'),
+    uploadController.createCertificatesFromUpload
+);
+
 // Upload status and history
-router.get('/history', uploadController.getUploadHistory);
-router.get('/status/:uploadId', uploadController.getUploadStatus);
+router.get('/history', canRead, uploadController.getUploadHistory);
+router.get('/status/:uploadId', canRead, uploadController.getUploadStatus);
 
 module.exports = router;
\ No newline at end of file
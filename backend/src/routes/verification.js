@@ -1,13 +1,26 @@
 const express = require('express');
-const { authenticate, restrictTo } = require('../middleware/auth');
+const { authenticate, authenticateApiKey, restrictTo, requireScopes } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
 const verificationController = require('../controllers/verificationController');
 
 const router = express.Router();
 
+// Anonymous callers are allowed; a presented API key must be valid
+const optionalApiKey = (req, res, next) => {
+    if (!req.headers['x-api-key']) return next();
+    return authenticateApiKey(req, res, next);
+};
+
 // Public verification routes (no authentication required)
 router.get('/certificate/:verificationCode', verificationController.verifyCertificateByCode);
 router.get('/hash/:certificateHash', verificationController.verifyCertificateByHash);
-router.post('/bulk-verify', verificationController.bulkVerifyCertificates);
+router.post(
+    '/bulk-verify',
+    optionalApiKey,
+    requireScopes(API_KEY_SCOPES.VERIFICATION_BULK),
+    verificationController.bulkVerifyCertificates
+);
+router.post('/vc', verificationController.verifyCredential);
 
 // QR Code verification
 router.get('/qr/:qrData', verificationController.verifyByQRCode);
@@ -0,0 +1,25 @@
+const express = require('express');
+const { authenticate, restrictTo } = require('../middleware/auth');
+const webhookController = require('../controllers/webhookController');
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(authenticate);
+router.use(restrictTo('admin'));
+
+// Delivery log
+router.get('/deliveries', webhookController.getDeliveries);
+router.get('/deliveries/:deliveryId', webhookController.getDelivery);
+router.post('/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+// Webhook subscriptions
+router.get('/', webhookController.getWebhooks);
+router.post('/', webhookController.createWebhook);
+router.get('/:id', webhookController.getWebhook);
+router.patch('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.post('/:id/rotate-secret', webhookController.rotateSecret);
+router.get('/:id/deliveries', webhookController.getDeliveries);
+
+module.exports = router;
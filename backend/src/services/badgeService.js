@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { CERTIFICATE_STATUS, CERTIFICATE_TYPES } = require('../models/Certificate');
+const credentialService = require('./credentialService');
+const { AppError } = require('../middleware/errorHandler');
+
+const VC_CONTEXT_V2 = 'https://www.w3.org/ns/credentials/v2';
+const OB_CONTEXT = 'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json';
+const OB_SVG_NAMESPACE = 'https://purl.imsglobal.org/ob/v3p0';
+
+// PNG iTXt keyword used by Open Badges 3.0 baking
+const PNG_BAKING_KEYWORD = 'openbadgecredential';
+
+// Open Badges achievementType for each certificate type
+const ACHIEVEMENT_TYPES = {
+    [CERTIFICATE_TYPES.ACADEMIC]: 'Course',
+    [CERTIFICATE_TYPES.PROFESSIONAL]: 'Certification',
+    [CERTIFICATE_TYPES.TRAINING]: 'CertificateOfCompletion',
+    [CERTIFICATE_TYPES.ACHIEVEMENT]: 'Award'
+};
+
+class BadgeService {
+    // Build and sign an Open Badges 3.0 AchievementCredential
+    async issueBadge(certificate) {
+        if (certificate.status !== CERTIFICATE_STATUS.ISSUED) {
+            throw new AppError(`Only issued certificates can be exported as badges (status: ${certificate.status})`, 400);
+        }
+
+        const { key, privateKey } = await credentialService.getSigningKey(certificate.institution.name, certificate.institutionId);
+        const credential = this.buildAchievementCredential(certificate, key);
+
+        return credentialService.signCredential(credential, key, privateKey);
+    }
+
+    // Map a certificate onto an Achievement awarded by the institution's Profile
+    buildAchievementCredential(certificate, key) {
+        const { recipient, course, institution } = certificate;
+
+        const credential = {
+            '@context': [VC_CONTEXT_V2, OB_CONTEXT],
+            id: `${certificate.verificationUrl}#badge`,
+            type: ['VerifiableCredential', 'OpenBadgeCredential'],
+            name: certificate.title,
+            issuer: {
+                id: key.did,
+                type: ['Profile'],
+                name: institution.name,
+                description: institution.department
+            },
+            validFrom: new Date(certificate.issuer.issuedAt).toISOString(),
+            validUntil: certificate.expiryDate ? certificate.expiryDate.toISOString() : undefined,
+            credentialSubject: {
+                type: ['AchievementSubject'],
+                identifier: [recipientIdentifier(recipient)],
+                name: recipient.name,
+                creditsEarned: course.credits,
+                activityEndDate: course.completionDate ? new Date(course.completionDate).toISOString() : undefined,
+                achievement: {
+                    id: achievementId(certificate),
+                    type: ['Achievement'],
+                    achievementType: ACHIEVEMENT_TYPES[certificate.type],
+                    name: certificate.title,
+                    description: certificate.description || `Awarded for completing ${course.subject}`,
+                    criteria: {
+                        narrative: `Successful completion of ${course.subject} at ${institution.name}.`
+                    },
+                    fieldOfStudy: course.subject,
+                    creditsAvailable: course.credits,
+                    tag: certificate.metadata && certificate.metadata.tags && certificate.metadata.tags.length > 0
+                        ? [...certificate.metadata.tags]
+                        : undefined,
+                    creator: {
+                        id: key.did,
+                        type: ['Profile'],
+                        name: institution.name
+                    }
+                }
+            },
+            credentialStatus: credentialService.buildCredentialStatus(certificate)
+        };
+
+        // Round-trip through JSON so the signed bytes match what clients receive
+        return JSON.parse(JSON.stringify(credential));
+    }
+
+    // Embed a signed credential in a PNG badge image
+    async bakePng(certificate, credential) {
+        const image = await QRCode.toBuffer(certificate.verificationUrl, { margin: 2, width: 400 });
+        return insertPngTextChunk(image, PNG_BAKING_KEYWORD, JSON.stringify(credential));
+    }
+
+    // Embed a signed credential in an SVG badge image
+    bakeSvg(certificate, credential) {
+        const title = escapeXml(truncate(certificate.title, 32));
+        const institution = escapeXml(truncate(certificate.institution.name, 40));
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:openbadges="${OB_SVG_NAMESPACE}" width="400" height="400" viewBox="0 0 400 400">
+  <openbadges:credential><![CDATA[${JSON.stringify(credential).replace(/]]>/g, ']]]]><![CDATA[>')}]]></openbadges:credential>
+  <circle cx="200" cy="200" r="190" fill="#1E3A8A"/>
+  <circle cx="200" cy="200" r="170" fill="#FFFFFF"/>
+  <text x="200" y="180" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="22" font-weight="bold" fill="#111827">${title}</text>
+  <text x="200" y="220" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="14" fill="#374151">${institution}</text>
+  <text x="200" y="260" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="12" fill="#6B7280">${escapeXml(certificate.certificateId)}</text>
+</svg>
+`;
+    }
+}
+
+// Hashed recipient identity so the badge does not expose personal data
+const recipientIdentifier = (recipient) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const useEmail = Boolean(recipient.email);
+    const value = useEmail ? recipient.email.toLowerCase() : recipient.studentId;
+
+    return {
+        type: 'IdentityObject',
+        identityType: useEmail ? 'emailAddress' : 'identifier',
+        hashed: true,
+        identityHash: `sha256$${crypto.createHash('sha256').update(value + salt).digest('hex')}`,
+        salt
+    };
+};
+
+// Stable id shared by every certificate for the same course at an institution
+const achievementId = (certificate) => {
+    const digest = crypto.createHash('sha256')
+        .update([certificate.institution.name, certificate.title, certificate.course.subject].join('|'))
+        .digest('hex');
+
+    return `urn:certificate-manager:achievement:${digest.slice(0, 32)}`;
+};
+
+// Insert an iTXt chunk before IEND
+const insertPngTextChunk = (png, keyword, text) => {
+    const data = Buffer.concat([
+        Buffer.from(keyword, 'latin1'),
+        Buffer.from([0, 0, 0]), // null separator, no compression, compression method
+        Buffer.from([0]), // empty language tag
+        Buffer.from([0]), // empty translated keyword
+        Buffer.from(text, 'utf8')
+    ]);
+
+    const type = Buffer.from('iTXt', 'latin1');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([type, data])));
+
+    const iendOffset = png.length - 12;
+    if (png.toString('latin1', iendOffset + 4, iendOffset + 8) !== 'IEND') {
+        throw new AppError('Badge image is not a valid PNG', 500);
+    }
+
+    return Buffer.concat([png.subarray(0, iendOffset), length, type, data, crc, png.subarray(iendOffset)]);
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const escapeXml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const truncate = (value, length) => (value && value.length > length ? `${value.slice(0, length - 1)}…` : value);
+
+// Create singleton instance
+const badgeService = new BadgeService();
+
+module.exports = badgeService;
@@ -1,26 +1,106 @@
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const { AppError } = require('../middleware/errorHandler');
+const { ANCHOR_MODES } = require('../models/Certificate');
+
+// Compiled by Hardhat in the contracts workspace (npm run compile)
+const REGISTRY_ARTIFACT_PATH = process.env.CONTRACT_ARTIFACT_PATH ||
+    path.resolve(__dirname, '../../../contracts/artifacts/contracts/CertificateRegistry.sol/CertificateRegistry.json');
+
+// CertificateRegistry.CertificateStatus names, by index
+const ON_CHAIN_STATUSES = ['pending', 'approved', 'rejected', 'issued', 'revoked', 'expired'];
+
+// API errors for CertificateRegistry's custom errors
+const CONTRACT_ERRORS = {
+    CertificateNotFound: {
+        status: 404,
+        code: 'CHAIN_CERTIFICATE_NOT_FOUND',
+        message: (args) => `Certificate ${args.certificateId} does not exist on-chain`
+    },
+    CertificateAlreadyExists: {
+        status: 409,
+        code: 'CHAIN_CERTIFICATE_EXISTS',
+        message: (args) => `Certificate ${args.certificateHash} is already registered on-chain`
+    },
+    InvalidStatus: {
+        status: 409,
+        code: 'CHAIN_INVALID_STATUS',
+        message: (args) => `Certificate is ${ON_CHAIN_STATUSES[Number(args.current)]} on-chain but the operation requires it to be ${ON_CHAIN_STATUSES[Number(args.required)]}`
+    },
+    IPFSCIDAlreadyUsed: {
+        status: 409,
+        code: 'CHAIN_IPFS_CID_USED',
+        message: (args) => `IPFS CID ${args.cid} is already used by another on-chain certificate`
+    },
+    UnauthorizedAccess: {
+        status: 403,
+        code: 'CHAIN_UNAUTHORIZED',
+        message: (args) => `Wallet ${args.caller} is not allowed to perform this operation on-chain`
+    },
+    InvalidCertificateHash: {
+        status: 400,
+        code: 'CHAIN_INVALID_HASH',
+        message: () => 'Certificate hash must not be empty'
+    },
+    EmptyIPFSCID: {
+        status: 400,
+        code: 'CHAIN_EMPTY_IPFS_CID',
+        message: () => 'IPFS CID must not be empty'
+    },
+    InvalidMerkleRoot: {
+        status: 400,
+        code: 'CHAIN_INVALID_MERKLE_ROOT',
+        message: () => 'Merkle root must not be empty and must cover at least one certificate'
+    },
+    MerkleRootAlreadyAnchored: {
+        status: 409,
+        code: 'CHAIN_MERKLE_ROOT_EXISTS',
+        message: (args) => `Merkle root ${args.root} is already anchored`
+    }
+};
+
+// Revert reasons of the OpenZeppelin modifiers the registry uses, by prefix
+const REVERT_REASONS = [
+    {
+        prefix: 'Pausable: paused',
+        status: 503,
+        code: 'CHAIN_PAUSED',
+        message: 'The certificate registry is paused'
+    },
+    {
+        prefix: 'AccessControl:',
+        status: 403,
+        code: 'CHAIN_ROLE_MISSING',
+        message: 'The service wallet lacks the on-chain role for this operation'
+    }
+];
 
-// Contract ABI - simplified for key functions
-const CERTIFICATE_REGISTRY_ABI = [
-    "function createCertificate(bytes32 _certificateHash, string calldata _ipfsCID, string calldata _metadata) external returns (uint256)",
-    "function verifyCertificate(uint256 _certificateId, bool _approved) external",
-    "function issueCertificate(uint256 _certificateId) external",
-    "function revokeCertificate(uint256 _certificateId, string calldata _reason) external",
-    "function getCertificate(uint256 _certificateId) external view returns (tuple(bytes32 certificateHash, string ipfsCID, uint8 status, address creator, address verifier, address issuer, uint256 createdAt, uint256 verifiedAt, uint256 issuedAt, string metadata))",
-    "function getCertificateIdByHash(bytes32 _certificateHash) external view returns (uint256)",
-    "function verifyCertificateHash(bytes32 _certificateHash) external view returns (bool)",
-    "function getTotalCertificates() external view returns (uint256)",
-    "function hasRole(bytes32 role, address account) external view returns (bool)",
-    "function CREATOR_ROLE() external view returns (bytes32)",
-    "function VERIFIER_ROLE() external view returns (bytes32)",
-    "function ISSUER_ROLE() external view returns (bytes32)",
-    "event CertificateCreated(uint256 indexed certificateId, bytes32 indexed certificateHash, string ipfsCID, address indexed creator)",
-    "event CertificateVerified(uint256 indexed certificateId, address indexed verifier, uint8 status)",
-    "event CertificateIssued(uint256 indexed certificateId, address indexed issuer)"
+// Gas estimates get this much headroom before they are used as a limit
+const GAS_BUFFER_PERCENT = 20n;
+
+// Contract functions estimateGas accepts
+const ESTIMABLE_OPERATIONS = [
+    'createCertificate',
+    'verifyCertificate',
+    'issueCertificate',
+    'revokeCertificate',
+    'expireCertificate',
+    'batchCreateCertificates',
+    'anchorMerkleRoot'
 ];
 
+// Read the registry ABI from the Hardhat artifact; null if the contracts have not been compiled
+const loadRegistryAbi = () => {
+    try {
+        return JSON.parse(fs.readFileSync(REGISTRY_ARTIFACT_PATH, 'utf8')).abi;
+    } catch (error) {
+        logger.error(`❌ CertificateRegistry artifact not readable at ${REGISTRY_ARTIFACT_PATH}; run "npm run compile" in contracts/ or set CONTRACT_ARTIFACT_PATH: ${error.message}`);
+        return null;
+    }
+};
+
 class BlockchainService {
     constructor() {
         this.provider = null;
@@ -50,8 +130,9 @@ class BlockchainService {
             }
 
             // Initialize contract if address is provided
-            if (this.contractAddress && this.wallet) {
-                this.contract = new ethers.Contract(this.contractAddress, CERTIFICATE_REGISTRY_ABI, this.wallet);
+            const abi = this.contractAddress && this.wallet ? loadRegistryAbi() : null;
+            if (abi) {
+                this.contract = new ethers.Contract(this.contractAddress, abi, this.wallet);
                 logger.info(`📄 Certificate Registry contract connected: ${this.contractAddress}`);
             }
 
@@ -90,58 +171,35 @@ class BlockchainService {
     // Create certificate on blockchain
     async createCertificateOnChain(certificateHash, ipfsCID, metadata) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
             logger.info(`Creating certificate on blockchain: ${certificateHash}`);
 
-            // Estimate gas
-            const gasEstimate = await this.contract.estimateGas.createCertificate(
-                certificateHash,
-                ipfsCID,
-                JSON.stringify(metadata)
-            );
-
-            // Create transaction with gas limit
-            const tx = await this.contract.createCertificate(
-                certificateHash,
-                ipfsCID,
-                JSON.stringify(metadata),
-                { gasLimit: gasEstimate.mul(120).div(100) } // 20% buffer
-            );
+            const args = [certificateHash, ipfsCID, JSON.stringify(metadata)];
+            const gasEstimate = await this.contract.createCertificate.estimateGas(...args);
+
+            const tx = await this.contract.createCertificate(...args, { gasLimit: withGasBuffer(gasEstimate) });
 
             logger.info(`Transaction sent: ${tx.hash}`);
 
             // Wait for transaction confirmation
             const receipt = await tx.wait();
-            
-            // Extract certificate ID from events
-            const event = receipt.events?.find(e => e.event === 'CertificateCreated');
-            const certificateId = event?.args?.certificateId?.toNumber();
+            const certificateId = this.parseCreatedCertificates(receipt).get(certificateHash.toLowerCase());
 
             logger.info(`Certificate created on blockchain: ID ${certificateId}, Hash: ${tx.hash}`);
 
-            return {
-                certificateId,
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
-                status: receipt.status
-            };
+            return { certificateId, ...describeReceipt(receipt) };
 
         } catch (error) {
             logger.error('Failed to create certificate on blockchain:', error);
-            throw new AppError('Blockchain transaction failed: ' + error.message, 500);
+            throw this.toAppError(error, 'Blockchain transaction failed');
         }
     }
 
     // Verify certificate on blockchain
     async verifyCertificateOnChain(certificateId, approved) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
             logger.info(`Verifying certificate on blockchain: ${certificateId}, approved: ${approved}`);
 
@@ -150,25 +208,18 @@ class BlockchainService {
 
             logger.info(`Certificate verified on blockchain: ${tx.hash}`);
 
-            return {
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
-                status: receipt.status
-            };
+            return describeReceipt(receipt);
 
         } catch (error) {
             logger.error('Failed to verify certificate on blockchain:', error);
-            throw new AppError('Blockchain verification failed: ' + error.message, 500);
+            throw this.toAppError(error, 'Blockchain verification failed');
         }
     }
 
     // Issue certificate on blockchain
     async issueCertificateOnChain(certificateId) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
             logger.info(`Issuing certificate on blockchain: ${certificateId}`);
 
@@ -177,25 +228,18 @@ class BlockchainService {
 
             logger.info(`Certificate issued on blockchain: ${tx.hash}`);
 
-            return {
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
-                status: receipt.status
-            };
+            return describeReceipt(receipt);
 
         } catch (error) {
             logger.error('Failed to issue certificate on blockchain:', error);
-            throw new AppError('Blockchain issuance failed: ' + error.message, 500);
+            throw this.toAppError(error, 'Blockchain issuance failed');
         }
     }
 
     // Revoke certificate on blockchain
     async revokeCertificateOnChain(certificateId, reason) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
             logger.info(`Revoking certificate on blockchain: ${certificateId}`);
 
@@ -204,59 +248,256 @@ class BlockchainService {
 
             logger.info(`Certificate revoked on blockchain: ${tx.hash}`);
 
-            return {
-                transactionHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                gasUsed: receipt.gasUsed.toString(),
-                status: receipt.status
-            };
+            return describeReceipt(receipt);
 
         } catch (error) {
             logger.error('Failed to revoke certificate on blockchain:', error);
-            throw new AppError('Blockchain revocation failed: ' + error.message, 500);
+            throw this.toAppError(error, 'Blockchain revocation failed');
         }
     }
 
+    // Mark certificate as expired on blockchain
+    async expireCertificateOnChain(certificateId) {
+        try {
+            this.ensureContract();
+
+            logger.info(`Expiring certificate on blockchain: ${certificateId}`);
+
+            const tx = await this.contract.expireCertificate(certificateId);
+            const receipt = await tx.wait();
+
+            logger.info(`Certificate expired on blockchain: ${tx.hash}`);
+
+            return describeReceipt(receipt);
+
+        } catch (error) {
+            logger.error('Failed to expire certificate on blockchain:', error);
+            throw this.toAppError(error, 'Blockchain expiry failed');
+        }
+    }
+
+    // Replace the metadata of an on-chain certificate (admin role)
+    async updateCertificateMetadataOnChain(certificateId, metadata) {
+        try {
+            this.ensureContract();
+
+            const tx = await this.contract.updateCertificateMetadata(certificateId, JSON.stringify(metadata));
+            const receipt = await tx.wait();
+
+            logger.info(`Certificate ${certificateId} metadata updated on blockchain: ${tx.hash}`);
+
+            return describeReceipt(receipt);
+
+        } catch (error) {
+            logger.error('Failed to update certificate metadata on blockchain:', error);
+            throw this.toAppError(error, 'Blockchain metadata update failed');
+        }
+    }
+
+    // Pause or unpause the registry (admin role); creation and workflow calls revert while paused
+    async setPaused(paused) {
+        try {
+            this.ensureContract();
+
+            const tx = paused ? await this.contract.pause() : await this.contract.unpause();
+            const receipt = await tx.wait();
+
+            logger.warn(`Certificate registry ${paused ? 'paused' : 'unpaused'}: ${tx.hash}`);
+
+            return describeReceipt(receipt);
+
+        } catch (error) {
+            logger.error(`Failed to ${paused ? 'pause' : 'unpause'} the certificate registry:`, error);
+            throw this.toAppError(error, `Blockchain ${paused ? 'pause' : 'unpause'} failed`);
+        }
+    }
+
+    async isPaused() {
+        this.ensureContract();
+        return this.contract.paused();
+    }
+
+    // The helpers below send without waiting; the transaction outbox manages nonces, fees and confirmations
+
+    ensureContract() {
+        if (!this.contract) {
+            throw new AppError('Blockchain contract is not initialized', 503);
+        }
+    }
+
+    // Calldata for a contract function
+    encodeCall(method, args) {
+        this.ensureContract();
+        return this.contract.interface.encodeFunctionData(method, args);
+    }
+
+    // Gas the call would use from the service wallet; throws if it would revert
+    async estimateCallGas(data) {
+        this.ensureContract();
+        return this.provider.estimateGas({ from: this.wallet.address, to: this.contractAddress, data });
+    }
+
+    // Next nonce of the service wallet, counting transactions still in the mempool
+    async getPendingNonce() {
+        this.ensureContract();
+        return this.provider.getTransactionCount(this.wallet.address, 'pending');
+    }
+
+    async getFeeData() {
+        return this.provider.getFeeData();
+    }
+
+    // Sign and broadcast a contract call with explicit nonce, gas limit and fees
+    async sendContractCall(request) {
+        this.ensureContract();
+        return this.wallet.sendTransaction({ to: this.contractAddress, ...request });
+    }
+
+    async getReceipt(txHash) {
+        return this.provider.getTransactionReceipt(txHash);
+    }
+
+    // Whether the node still knows a transaction, mined or pending
+    async isTransactionKnown(txHash) {
+        return !!(await this.provider.getTransaction(txHash));
+    }
+
+    async getBlockNumber() {
+        return this.provider.getBlockNumber();
+    }
+
+    // On-chain IDs emitted by createCertificate or batchCreateCertificates, keyed by certificate hash
+    parseCreatedCertificates(receipt) {
+        const created = new Map();
+
+        for (const log of receipt.logs) {
+            try {
+                const parsed = this.contract.interface.parseLog(log);
+                if (parsed && parsed.name === 'CertificateCreated') {
+                    created.set(parsed.args.certificateHash, Number(parsed.args.certificateId));
+                }
+            } catch (error) {
+                // Not one of the registry's events
+            }
+        }
+
+        return created;
+    }
+
+    // Decoded registry events in a block range, in chain order
+    async getRegistryEvents(fromBlock, toBlock) {
+        this.ensureContract();
+
+        const logs = await this.provider.getLogs({ address: this.contractAddress, fromBlock, toBlock });
+        const events = [];
+
+        for (const log of logs) {
+            let parsed = null;
+            try {
+                parsed = this.contract.interface.parseLog(log);
+            } catch (error) {
+                // Not decodable with the registry ABI
+            }
+            if (!parsed) continue;
+
+            events.push({
+                name: parsed.name,
+                args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]])),
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: log.index
+            });
+        }
+
+        return events;
+    }
+
+    // Hash of a block, or null if the chain does not have it (yet)
+    async getBlockHash(blockNumber) {
+        const block = await this.provider.getBlock(blockNumber);
+        return block ? block.hash : null;
+    }
+
+    // Status index of an on-chain certificate (0 pending ... 5 expired)
+    async getOnChainStatus(certificateId) {
+        this.ensureContract();
+        const cert = await this.contract.getCertificate(certificateId);
+        return Number(cert.status);
+    }
+
     // Get certificate from blockchain
     async getCertificateFromChain(certificateId) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
             const cert = await this.contract.getCertificate(certificateId);
             
             return {
                 certificateHash: cert.certificateHash,
                 ipfsCID: cert.ipfsCID,
-                status: cert.status,
+                status: ON_CHAIN_STATUSES[Number(cert.status)],
                 creator: cert.creator,
                 verifier: cert.verifier,
                 issuer: cert.issuer,
-                createdAt: new Date(cert.createdAt.toNumber() * 1000),
-                verifiedAt: cert.verifiedAt.toNumber() > 0 ? new Date(cert.verifiedAt.toNumber() * 1000) : null,
-                issuedAt: cert.issuedAt.toNumber() > 0 ? new Date(cert.issuedAt.toNumber() * 1000) : null,
+                createdAt: toDate(cert.createdAt),
+                verifiedAt: toDate(cert.verifiedAt),
+                issuedAt: toDate(cert.issuedAt),
                 metadata: cert.metadata
             };
 
         } catch (error) {
             logger.error('Failed to get certificate from blockchain:', error);
-            throw new AppError('Failed to retrieve certificate from blockchain', 500);
+            throw this.toAppError(error, 'Failed to retrieve certificate from blockchain');
+        }
+    }
+
+    // Page through on-chain certificate IDs with a status (0 pending ... 5 expired)
+    async getCertificatesByStatus(status, offset = 0, limit = 50) {
+        try {
+            this.ensureContract();
+
+            const [certificateIds, hasMore] = await this.contract.getCertificatesByStatus(status, offset, limit);
+
+            return {
+                certificateIds: certificateIds.map(Number),
+                hasMore
+            };
+
+        } catch (error) {
+            logger.error('Failed to get certificates by status from blockchain:', error);
+            throw this.toAppError(error, 'Failed to retrieve certificates from blockchain');
         }
     }
 
-    // Verify certificate hash exists on blockchain
+    // Get on-chain certificate ID for a hash (0 if not registered)
+    async getCertificateIdByHash(certificateHash) {
+        try {
+            this.ensureContract();
+
+            const certificateId = await this.contract.getCertificateIdByHash(certificateHash);
+            return Number(certificateId);
+
+        } catch (error) {
+            logger.error('Failed to get certificate ID by hash:', error);
+            throw this.toAppError(error, 'Failed to retrieve certificate ID from blockchain');
+        }
+    }
+
+    // Check a certificate hash against its own registry entry; verified follows the on-chain status
     async verifyHashOnChain(certificateHash) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
+
+            const [certificateId, isValid] = await Promise.all([
+                this.contract.getCertificateIdByHash(certificateHash),
+                this.contract.verifyCertificateHash(certificateHash)
+            ]);
 
-            const isValid = await this.contract.verifyCertificateHash(certificateHash);
-            
             return {
                 hash: certificateHash,
-                exists: isValid,
+                mode: ANCHOR_MODES.DIRECT,
+                anchored: certificateId !== 0n,
                 verified: isValid
             };
 
@@ -264,13 +505,79 @@ class BlockchainService {
             logger.error('Failed to verify hash on blockchain:', error);
             return {
                 hash: certificateHash,
-                exists: false,
+                mode: ANCHOR_MODES.DIRECT,
+                anchored: false,
                 verified: false,
-                error: error.message
+                error: this.toAppError(error, 'Blockchain verification failed').message
             };
         }
     }
 
+    // Anchoring details of a Merkle root, or null if it was never anchored
+    async getMerkleAnchor(root) {
+        this.ensureContract();
+        const anchor = await this.contract.merkleRoots(root);
+
+        if (anchor.anchoredAt === 0n) return null;
+
+        return {
+            root,
+            anchorer: anchor.anchorer,
+            leafCount: Number(anchor.leafCount),
+            anchoredAt: new Date(Number(anchor.anchoredAt) * 1000)
+        };
+    }
+
+    // Check a certificate hash is under an anchored Merkle root; inclusion alone says nothing about validity
+    async verifyMerkleInclusion(root, certificateHash, proof) {
+        try {
+            this.ensureContract();
+            const included = await this.contract.verifyMerkleInclusion(root, certificateHash, proof);
+
+            return {
+                hash: certificateHash,
+                mode: ANCHOR_MODES.MERKLE,
+                root,
+                anchored: included,
+                included
+            };
+
+        } catch (error) {
+            logger.error('Failed to verify Merkle inclusion on blockchain:', error);
+            return {
+                hash: certificateHash,
+                mode: ANCHOR_MODES.MERKLE,
+                root,
+                anchored: false,
+                included: false,
+                error: this.toAppError(error, 'Blockchain verification failed').message
+            };
+        }
+    }
+
+    // Verify a certificate against the chain the way it was anchored: its own entry or its Merkle root
+    async verifyCertificateAnchor(certificate) {
+        const { certificateHash, anchorMode, merkle } = certificate.blockchain;
+
+        const anchor = anchorMode === ANCHOR_MODES.MERKLE
+            ? await this.verifyMerkleInclusion(merkle.root, certificateHash, merkle.proof)
+            : await this.verifyHashOnChain(certificateHash);
+
+        return this.withValidity(anchor, certificate);
+    }
+
+    // Anchoring only proves the content existed, and a Merkle root cannot record a revocation, so in both
+    // modes verified means anchored and still valid by the certificate's status (revoked, expired, superseded)
+    withValidity(anchor, certificate) {
+        const validity = certificate ? certificate.getValidityStatus() : 'unknown';
+
+        return {
+            ...anchor,
+            validity,
+            verified: anchor.anchored && validity === 'valid'
+        };
+    }
+
     // Get transaction information
     async getTransactionInfo(txHash) {
         try {
@@ -279,7 +586,12 @@ class BlockchainService {
             }
 
             const tx = await this.provider.getTransaction(txHash);
+            if (!tx) {
+                throw new AppError('Transaction not found', 404);
+            }
+
             const receipt = await this.provider.getTransactionReceipt(txHash);
+            const block = tx.blockNumber != null ? await this.provider.getBlock(tx.blockNumber) : null;
 
             return {
                 hash: txHash,
@@ -290,13 +602,14 @@ class BlockchainService {
                 gasLimit: tx.gasLimit?.toString(),
                 gasUsed: receipt?.gasUsed?.toString(),
                 blockNumber: tx.blockNumber,
-                confirmations: tx.confirmations,
+                confirmations: await tx.confirmations(),
                 status: receipt?.status,
-                timestamp: tx.timestamp ? new Date(tx.timestamp * 1000) : null
+                timestamp: block ? new Date(block.timestamp * 1000) : null
             };
 
         } catch (error) {
             logger.error('Failed to get transaction info:', error);
+            if (error instanceof AppError) throw error;
             throw new AppError('Failed to retrieve transaction information', 500);
         }
     }
@@ -315,19 +628,20 @@ class BlockchainService {
             if (this.provider) {
                 const network = await this.provider.getNetwork();
                 const blockNumber = await this.provider.getBlockNumber();
-                const gasPrice = await this.provider.getGasPrice();
+                const { gasPrice } = await this.provider.getFeeData();
 
                 status.connected = true;
                 status.network = {
                     name: network.name,
-                    chainId: network.chainId
+                    // BigInt in ethers v6, which JSON cannot serialise
+                    chainId: Number(network.chainId)
                 };
                 status.blockNumber = blockNumber;
-                status.gasPrice = gasPrice.toString();
+                status.gasPrice = gasPrice?.toString();
 
                 if (this.wallet) {
-                    const balance = await this.wallet.getBalance();
-                    status.balance = ethers.utils.formatEther(balance);
+                    const balance = await this.provider.getBalance(this.wallet.address);
+                    status.balance = ethers.formatEther(balance);
                 }
             }
 
@@ -345,70 +659,125 @@ class BlockchainService {
     // Estimate gas fees
     async estimateGas(operation, ...args) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
-            let gasEstimate;
-            
-            switch (operation) {
-                case 'createCertificate':
-                    gasEstimate = await this.contract.estimateGas.createCertificate(...args);
-                    break;
-                case 'verifyCertificate':
-                    gasEstimate = await this.contract.estimateGas.verifyCertificate(...args);
-                    break;
-                case 'issueCertificate':
-                    gasEstimate = await this.contract.estimateGas.issueCertificate(...args);
-                    break;
-                default:
-                    throw new Error('Unsupported operation');
+            if (!ESTIMABLE_OPERATIONS.includes(operation)) {
+                throw new AppError(`Unsupported operation: ${operation}`, 400);
             }
 
-            const gasPrice = await this.provider.getGasPrice();
-            const estimatedCost = gasEstimate.mul(gasPrice);
+            const gasEstimate = await this.contract[operation].estimateGas(...args);
+            const { gasPrice } = await this.provider.getFeeData();
+            const estimatedCost = gasEstimate * gasPrice;
 
             return {
                 gasLimit: gasEstimate.toString(),
                 gasPrice: gasPrice.toString(),
                 estimatedCost: estimatedCost.toString(),
-                estimatedCostEth: ethers.utils.formatEther(estimatedCost)
+                estimatedCostEth: ethers.formatEther(estimatedCost)
             };
 
         } catch (error) {
             logger.error('Failed to estimate gas:', error);
-            throw new AppError('Gas estimation failed: ' + error.message, 500);
+            throw this.toAppError(error, 'Gas estimation failed');
         }
     }
 
-    // Check if address has role
+    // Resolve a role name (creator, verifier, issuer, admin) to its on-chain role hash
+    async getRoleHash(role) {
+        switch (role.toLowerCase()) {
+            case 'creator':
+                return this.contract.CREATOR_ROLE();
+            case 'verifier':
+                return this.contract.VERIFIER_ROLE();
+            case 'issuer':
+                return this.contract.ISSUER_ROLE();
+            case 'admin':
+                return this.contract.ADMIN_ROLE();
+            default:
+                throw new Error('Invalid role');
+        }
+    }
+
+    // Check if address has role; failures are thrown rather than read as "no"
     async hasRole(role, address) {
         try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized');
-            }
+            this.ensureContract();
 
-            // Get role hash
-            let roleHash;
-            switch (role.toLowerCase()) {
-                case 'creator':
-                    roleHash = await this.contract.CREATOR_ROLE();
-                    break;
-                case 'verifier':
-                    roleHash = await this.contract.VERIFIER_ROLE();
-                    break;
-                case 'issuer':
-                    roleHash = await this.contract.ISSUER_ROLE();
-                    break;
-                default:
-                    throw new Error('Invalid role');
-            }
+            const roleHash = await this.getRoleHash(role);
 
             return await this.contract.hasRole(roleHash, address);
 
         } catch (error) {
             logger.error('Failed to check role:', error);
-            return false;
+            throw this.toAppError(error, 'Blockchain role check failed');
+        }
+    }
+
+    // Which of the given roles an address holds
+    async getRolesOf(address, roles) {
+        this.ensureContract();
+
+        const held = [];
+        for (const role of roles) {
+            const roleHash = await this.getRoleHash(role);
+            if (await this.contract.hasRole(roleHash, address)) {
+                held.push(role);
+            }
+        }
+
+        return held;
+    }
+
+    // Grant an on-chain role to an address; the service wallet must administer the role
+    async grantRoleOnChain(role, address) {
+        try {
+            this.ensureContract();
+
+            const roleHash = await this.getRoleHash(role);
+
+            if (await this.contract.hasRole(roleHash, address)) {
+                logger.info(`Address ${address} already has on-chain role ${role}`);
+                return { alreadyGranted: true };
+            }
+
+            logger.info(`Granting on-chain role ${role} to ${address}`);
+
+            const tx = await this.contract.grantRole(roleHash, address);
+            const receipt = await tx.wait();
+
+            logger.info(`On-chain role ${role} granted to ${address}: ${tx.hash}`);
+
+            return describeReceipt(receipt);
+
+        } catch (error) {
+            logger.error(`Failed to grant on-chain role ${role} to ${address}:`, error);
+            throw this.toAppError(error, 'Blockchain role grant failed');
+        }
+    }
+
+    // Revoke an on-chain role from an address
+    async revokeRoleOnChain(role, address) {
+        try {
+            this.ensureContract();
+
+            const roleHash = await this.getRoleHash(role);
+
+            if (!(await this.contract.hasRole(roleHash, address))) {
+                return { alreadyRevoked: true };
+            }
+
+            logger.info(`Revoking on-chain role ${role} from ${address}`);
+
+            const tx = await this.contract.revokeRole(roleHash, address);
+            const receipt = await tx.wait();
+
+            logger.info(`On-chain role ${role} revoked from ${address}: ${tx.hash}`);
+
+            return describeReceipt(receipt);
+
+        } catch (error) {
+            logger.error(`Failed to revoke on-chain role ${role} from ${address}:`, error);
+            throw this.toAppError(error, 'Blockchain role revocation failed');
         }
     }
 
@@ -419,12 +788,12 @@ class BlockchainService {
                 throw new Error('Provider not initialized');
             }
 
-            const gasPrice = await this.provider.getGasPrice();
+            const { gasPrice } = await this.provider.getFeeData();
             
             return {
                 standard: gasPrice.toString(),
-                fast: gasPrice.mul(110).div(100).toString(), // 10% higher
-                fastest: gasPrice.mul(120).div(100).toString(), // 20% higher
+                fast: (gasPrice * 110n / 100n).toString(), // 10% higher
+                fastest: (gasPrice * 120n / 100n).toString(), // 20% higher
                 unit: 'wei'
             };
 
@@ -433,8 +802,75 @@ class BlockchainService {
             throw new AppError('Failed to retrieve gas prices', 500);
         }
     }
+
+    // Custom error or revert reason behind a failed call, decoded against the registry ABI
+    parseContractError(error) {
+        if (!error || error.code !== 'CALL_EXCEPTION') return null;
+
+        // Calls through the contract are decoded already; raw estimates and sends only carry the data
+        if (error.revert) return error.revert;
+        if (!error.data || !this.contract) return null;
+
+        try {
+            return this.contract.interface.parseError(error.data);
+        } catch (parseError) {
+            return null;
+        }
+    }
+
+    // Registry error behind a failed call as { message, status, code }, or null if the call did not revert
+    decodeContractError(error) {
+        const revert = this.parseContractError(error);
+        if (!revert) return null;
+
+        if (revert.name === 'Error') {
+            const reason = revert.args[0];
+            const known = REVERT_REASONS.find(entry => reason.startsWith(entry.prefix));
+            return known
+                ? { message: known.message, status: known.status, code: known.code }
+                : { message: `Contract reverted: ${reason}`, status: 500, code: 'CHAIN_REVERTED' };
+        }
+
+        const known = CONTRACT_ERRORS[revert.name];
+        if (!known) {
+            return { message: `Contract reverted with ${revert.name}`, status: 500, code: 'CHAIN_REVERTED' };
+        }
+
+        return { message: known.message(revert.args), status: known.status, code: known.code };
+    }
+
+    // Readable reason for a failed call, for logs and stored transaction errors
+    describeError(error) {
+        return this.decodeContractError(error)?.message || error.shortMessage || error.reason || error.message;
+    }
+
+    // API error for a failed call, keeping the registry's own reason where it gave one
+    toAppError(error, fallbackMessage) {
+        if (error instanceof AppError) return error;
+
+        const decoded = this.decodeContractError(error);
+        if (decoded) {
+            return new AppError(decoded.message, decoded.status, decoded.code);
+        }
+
+        return new AppError(`${fallbackMessage}: ${error.shortMessage || error.message}`, 500);
+    }
 }
 
+// Summary of a mined transaction
+const describeReceipt = (receipt) => ({
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    status: receipt.status
+});
+
+// Gas limit for an estimate, with headroom
+const withGasBuffer = (gasEstimate) => gasEstimate * (100n + GAS_BUFFER_PERCENT) / 100n;
+
+// Contract timestamp in seconds to a date; 0 means never
+const toDate = (seconds) => (seconds > 0n ? new Date(Number(seconds) * 1000) : null);
+
 // Create singleton instance
 const blockchainService = new BlockchainService();
 
@@ -0,0 +1,95 @@
+const { Certificate, CERTIFICATE_STATUS, SYNC_STATUS, CHAIN_ACTIONS, ANCHOR_MODES } = require('../models/Certificate');
+const chainOutboxService = require('./chainOutboxService');
+const logger = require('../utils/logger');
+
+// On-chain operations required to reach each workflow status, in order
+const REQUIRED_ACTIONS = {
+    [CERTIFICATE_STATUS.PENDING]: [CHAIN_ACTIONS.CREATE],
+    [CERTIFICATE_STATUS.APPROVED]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY],
+    [CERTIFICATE_STATUS.REJECTED]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY],
+    [CERTIFICATE_STATUS.ISSUED]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY, CHAIN_ACTIONS.ISSUE],
+    [CERTIFICATE_STATUS.REVOKED]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY, CHAIN_ACTIONS.ISSUE, CHAIN_ACTIONS.REVOKE],
+    [CERTIFICATE_STATUS.EXPIRED]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY, CHAIN_ACTIONS.ISSUE, CHAIN_ACTIONS.EXPIRE]
+};
+
+class CertificateSyncService {
+    constructor() {
+        // Serialises syncs per certificate so concurrent transitions never queue an operation twice
+        this.inFlight = new Map();
+    }
+
+    // Queue a sync without blocking the caller
+    scheduleSync(certificateId, requestedBy) {
+        this.syncCertificate(certificateId, requestedBy).catch(error => {
+            logger.error(`Certificate sync failed: ${certificateId}`, error);
+        });
+    }
+
+    // Mirror the certificate's workflow status to CertificateRegistry
+    syncCertificate(certificateId, requestedBy) {
+        const id = certificateId.toString();
+        const previous = this.inFlight.get(id) || Promise.resolve();
+
+        const current = previous
+            .catch(() => {})
+            .then(() => this.applyPendingActions(id, requestedBy))
+            .finally(() => {
+                if (this.inFlight.get(id) === current) {
+                    this.inFlight.delete(id);
+                }
+            });
+
+        this.inFlight.set(id, current);
+        return current;
+    }
+
+    // Record every on-chain operation the certificate is missing in the transaction outbox
+    async applyPendingActions(id, requestedBy) {
+        const certificate = await Certificate.findById(id);
+
+        if (!certificate) {
+            logger.warn(`Certificate sync skipped, certificate not found: ${id}`);
+            return null;
+        }
+
+        // Merkle-anchored certificates keep their workflow off-chain and only need their root anchored
+        const merkle = certificate.blockchain.anchorMode === ANCHOR_MODES.MERKLE;
+        const actions = (merkle ? [CHAIN_ACTIONS.ANCHOR_ROOT] : REQUIRED_ACTIONS[certificate.status] || [])
+            .filter(action => !certificate.hasConfirmedChainAction(action));
+
+        if (actions.length === 0) {
+            certificate.blockchain.syncStatus = SYNC_STATUS.CONFIRMED;
+            certificate.blockchain.syncError = undefined;
+            certificate.blockchain.lastSyncedAt = new Date();
+            await certificate.save();
+            return certificate;
+        }
+
+        // The root is anchored by the batch transaction that built the tree; a failed one is resubmitted from the outbox
+        if (merkle) {
+            const open = await chainOutboxService.getOpenTransactions(certificate._id);
+            certificate.blockchain.syncStatus = open.length > 0 ? SYNC_STATUS.PENDING : SYNC_STATUS.FAILED;
+            await certificate.save();
+            return certificate;
+        }
+
+        // The outbox sends them in workflow order, so they can all be queued at once
+        for (const action of actions) {
+            await chainOutboxService.enqueue(certificate, action, requestedBy);
+        }
+
+        certificate.blockchain.syncStatus = SYNC_STATUS.PENDING;
+        await certificate.save();
+
+        logger.info(`Certificate ${certificate.certificateId} queued for on-chain ${actions.join(', ')}`);
+
+        chainOutboxService.kick();
+
+        return certificate;
+    }
+}
+
+// Create singleton instance
+const certificateSyncService = new CertificateSyncService();
+
+module.exports = certificateSyncService;
@@ -0,0 +1,392 @@
+const { OnChainEvent, ON_CHAIN_EVENTS } = require('../models/OnChainEvent');
+const { ChainCheckpoint } = require('../models/ChainCheckpoint');
+const { ChainDivergence, DIVERGENCE_KINDS } = require('../models/ChainDivergence');
+const { Certificate, CERTIFICATE_STATUS, SYNC_STATUS } = require('../models/Certificate');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+const CHECKPOINT_NAME = 'certificate-registry';
+
+const INDEXED_EVENTS = Object.values(ON_CHAIN_EVENTS);
+
+// Argument of each event naming the wallet that triggered it
+const ACTOR_ARGS = {
+    [ON_CHAIN_EVENTS.CREATED]: 'creator',
+    [ON_CHAIN_EVENTS.VERIFIED]: 'verifier',
+    [ON_CHAIN_EVENTS.ISSUED]: 'issuer',
+    [ON_CHAIN_EVENTS.REVOKED]: 'revoker',
+    [ON_CHAIN_EVENTS.EXPIRED]: 'caller'
+};
+
+// CertificateRegistry's status after CertificateVerified (1 approved, 2 rejected)
+const APPROVED_ON_CHAIN = 1;
+
+// Statuses a certificate passes through before each status; a chain at one of them is behind, not wrong
+const EARLIER_STATUSES = {
+    [CERTIFICATE_STATUS.PENDING]: [],
+    [CERTIFICATE_STATUS.APPROVED]: [CERTIFICATE_STATUS.PENDING],
+    [CERTIFICATE_STATUS.REJECTED]: [CERTIFICATE_STATUS.PENDING],
+    [CERTIFICATE_STATUS.ISSUED]: [CERTIFICATE_STATUS.PENDING, CERTIFICATE_STATUS.APPROVED],
+    [CERTIFICATE_STATUS.REVOKED]: [CERTIFICATE_STATUS.PENDING, CERTIFICATE_STATUS.APPROVED, CERTIFICATE_STATUS.ISSUED],
+    [CERTIFICATE_STATUS.EXPIRED]: [CERTIFICATE_STATUS.PENDING, CERTIFICATE_STATUS.APPROVED, CERTIFICATE_STATUS.ISSUED]
+};
+
+class ChainIndexerService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.lastSweepAt = 0;
+        this.interval = parseInt(process.env.CHAIN_INDEXER_INTERVAL_MS) || 15 * 1000;
+        this.startBlock = parseInt(process.env.CHAIN_INDEXER_START_BLOCK) || 0;
+        this.batchSize = parseInt(process.env.CHAIN_INDEXER_BATCH_BLOCKS) || 1000;
+        // Blocks a reorg may reach back; a deeper one re-indexes from the start block
+        this.reorgDepth = parseInt(process.env.CHAIN_INDEXER_REORG_DEPTH) || 20;
+        this.sweepInterval = parseInt(process.env.CHAIN_INDEXER_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+    }
+
+    // Follow registry events now and then on a fixed interval
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.timer.unref();
+
+        logger.info(`Chain event indexer scheduled every ${Math.round(this.interval / 1000)}s`);
+
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            if (!blockchainService.contract) return;
+
+            const summary = await this.sync();
+            if (summary.indexed > 0 || summary.rolledBack) {
+                logger.info(`Chain event indexer at block ${summary.blockNumber}: ${summary.indexed} event(s) indexed, ${summary.reconciled} certificate(s) reconciled`);
+            }
+        } catch (error) {
+            logger.error('Chain event indexer failed:', error);
+            await ChainCheckpoint.updateOne({ name: CHECKPOINT_NAME }, { $set: { lastError: error.message } }).catch(() => {});
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Index new events, undoing any the chain reorganised away, and reconcile what they touched
+    async sync() {
+        const checkpoint = await this.loadCheckpoint();
+        const contractAddress = checkpoint.contractAddress;
+        const latest = await blockchainService.getBlockNumber();
+        const touched = new Set();
+
+        const rolledBack = await this.handleReorg(checkpoint, latest, touched);
+
+        let indexed = 0;
+        while (checkpoint.blockNumber < latest) {
+            const fromBlock = checkpoint.blockNumber + 1;
+            const toBlock = Math.min(latest, fromBlock + this.batchSize - 1);
+
+            const events = await blockchainService.getRegistryEvents(fromBlock, toBlock);
+            for (const event of events) {
+                // Merkle roots carry no certificate state; their outbox transactions track them
+                if (!INDEXED_EVENTS.includes(event.name)) continue;
+
+                const stored = await this.storeEvent(event, contractAddress);
+                touched.add(stored.onChainId);
+                indexed++;
+            }
+
+            // Save per batch so a restart resumes where it stopped
+            checkpoint.blockNumber = toBlock;
+            checkpoint.recentBlocks.push({ number: toBlock, hash: await blockchainService.getBlockHash(toBlock) });
+            checkpoint.recentBlocks = checkpoint.recentBlocks.slice(-this.reorgDepth);
+            await checkpoint.save();
+        }
+
+        for (const onChainId of touched) {
+            await this.reconcile(contractAddress, onChainId);
+        }
+
+        if (touched.size > 0 || Date.now() - this.lastSweepAt >= this.sweepInterval) {
+            await this.sweepMissing(contractAddress);
+            this.lastSweepAt = Date.now();
+        }
+
+        checkpoint.lastRunAt = new Date();
+        checkpoint.lastError = undefined;
+        await checkpoint.save();
+
+        return { blockNumber: checkpoint.blockNumber, indexed, rolledBack, reconciled: touched.size };
+    }
+
+    // Checkpoint of the configured contract; a redeployed contract is indexed from the start block
+    async loadCheckpoint() {
+        const contractAddress = blockchainService.contractAddress.toLowerCase();
+        let checkpoint = await ChainCheckpoint.findOne({ name: CHECKPOINT_NAME });
+
+        if (!checkpoint) {
+            checkpoint = new ChainCheckpoint({ name: CHECKPOINT_NAME });
+        }
+
+        if (checkpoint.contractAddress !== contractAddress) {
+            if (checkpoint.contractAddress) {
+                logger.warn(`Registry contract changed from ${checkpoint.contractAddress} to ${contractAddress}, indexing from block ${this.startBlock}`);
+            }
+            checkpoint.contractAddress = contractAddress;
+            checkpoint.blockNumber = this.startBlock - 1;
+            checkpoint.recentBlocks = [];
+            await checkpoint.save();
+        }
+
+        return checkpoint;
+    }
+
+    // Roll the checkpoint back to the newest block the chain still has, marking later events removed
+    async handleReorg(checkpoint, latest, touched) {
+        const recent = checkpoint.recentBlocks;
+        if (recent.length === 0) return false;
+
+        let ancestor = null;
+        for (let i = recent.length - 1; i >= 0; i--) {
+            if (recent[i].number <= latest && await blockchainService.getBlockHash(recent[i].number) === recent[i].hash) {
+                ancestor = recent[i];
+                break;
+            }
+        }
+
+        if (ancestor && ancestor === recent[recent.length - 1]) return false;
+
+        // Nothing in the window survived, e.g. Ganache was restarted: start over
+        const rollbackTo = ancestor ? ancestor.number : this.startBlock - 1;
+        const stale = {
+            contractAddress: checkpoint.contractAddress,
+            removed: false,
+            blockNumber: { $gt: rollbackTo }
+        };
+
+        const onChainIds = await OnChainEvent.distinct('onChainId', stale);
+        onChainIds.forEach(id => touched.add(id));
+        await OnChainEvent.updateMany(stale, { $set: { removed: true, removedAt: new Date() } });
+
+        checkpoint.blockNumber = rollbackTo;
+        checkpoint.recentBlocks = recent.filter(block => block.number <= rollbackTo);
+        checkpoint.lastReorgAt = new Date();
+        checkpoint.lastReorgBlock = rollbackTo;
+        checkpoint.reorgCount += 1;
+        await checkpoint.save();
+
+        logger.warn(`Chain reorganisation detected: rolled back to block ${rollbackTo}, ${onChainIds.length} certificate(s) affected`);
+
+        return true;
+    }
+
+    // Insert an event, or restore it if a reorg removed it and it was mined again
+    storeEvent(event, contractAddress) {
+        const args = plainArgs(event.args);
+
+        return OnChainEvent.findOneAndUpdate(
+            { transactionHash: event.transactionHash, logIndex: event.logIndex },
+            {
+                $set: {
+                    name: event.name,
+                    contractAddress,
+                    onChainId: args.certificateId,
+                    args,
+                    actor: args[ACTOR_ARGS[event.name]],
+                    blockNumber: event.blockNumber,
+                    blockHash: event.blockHash,
+                    removed: false
+                },
+                $unset: { removedAt: 1 }
+            },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    // Compare an on-chain certificate's indexed events with its database record
+    async reconcile(contractAddress, onChainId) {
+        const events = await OnChainEvent.find({ contractAddress, onChainId, removed: false })
+            .sort({ blockNumber: 1, logIndex: 1 });
+
+        const created = events.find(event => event.name === ON_CHAIN_EVENTS.CREATED);
+        const certificate = created
+            ? await Certificate.findOne({ 'blockchain.certificateHash': created.args.certificateHash })
+            : await Certificate.findOne({
+                'blockchain.onChainId': onChainId,
+                'blockchain.contractAddress': addressPattern(contractAddress)
+            });
+
+        const target = { contractAddress, onChainId, certificate };
+
+        if (events.length === 0) {
+            // Every event was reorganised away
+            if (certificate) {
+                return this.flag(DIVERGENCE_KINDS.MISSING_ON_CHAIN, { ...target, expected: certificate.status });
+            }
+            return this.clear(contractAddress, onChainId);
+        }
+
+        const latest = events[events.length - 1];
+        const actual = statusAfter(latest);
+
+        if (!certificate) {
+            return this.flag(DIVERGENCE_KINDS.UNKNOWN_CERTIFICATE, { ...target, actual, event: latest });
+        }
+
+        await OnChainEvent.updateMany(
+            { contractAddress, onChainId, certificate: null },
+            { $set: { certificate: certificate._id, institutionId: certificate.institutionId } }
+        );
+
+        // The outbox is still catching the chain up with the database
+        const lagging = certificate.blockchain.syncStatus !== SYNC_STATUS.CONFIRMED &&
+            EARLIER_STATUSES[certificate.status].includes(actual);
+
+        if (certificate.status === actual || lagging) {
+            return this.clear(contractAddress, onChainId);
+        }
+
+        return this.flag(DIVERGENCE_KINDS.STATUS_MISMATCH, {
+            ...target,
+            expected: certificate.status,
+            actual,
+            event: latest
+        });
+    }
+
+    // Flag anchored certificates the chain has no creation event for
+    async sweepMissing(contractAddress) {
+        const indexed = await OnChainEvent.distinct('onChainId', {
+            contractAddress,
+            name: ON_CHAIN_EVENTS.CREATED,
+            removed: false
+        });
+
+        const missing = await Certificate.find({
+            'blockchain.onChainId': { $ne: null, $nin: indexed },
+            'blockchain.contractAddress': addressPattern(contractAddress)
+        }).select('status institutionId blockchain.onChainId');
+
+        for (const certificate of missing) {
+            await this.flag(DIVERGENCE_KINDS.MISSING_ON_CHAIN, {
+                contractAddress,
+                onChainId: certificate.blockchain.onChainId,
+                certificate,
+                expected: certificate.status
+            });
+        }
+
+        await ChainDivergence.updateMany(
+            {
+                contractAddress,
+                kind: DIVERGENCE_KINDS.MISSING_ON_CHAIN,
+                onChainId: { $in: indexed },
+                resolvedAt: null
+            },
+            { $set: { resolvedAt: new Date(), lastCheckedAt: new Date() } }
+        );
+
+        return missing.length;
+    }
+
+    // Open a divergence, or refresh the open one, and resolve any other kind for the same certificate
+    async flag(kind, { contractAddress, onChainId, certificate, expected, actual, event }) {
+        const now = new Date();
+
+        await this.clear(contractAddress, onChainId, kind);
+
+        const fields = {
+            certificate: certificate ? certificate._id : undefined,
+            institutionId: certificate ? certificate.institutionId : undefined,
+            expected,
+            actual,
+            event: event ? event._id : undefined,
+            lastCheckedAt: now
+        };
+
+        const open = await ChainDivergence.findOne({ contractAddress, onChainId, kind, resolvedAt: null });
+        if (open) {
+            open.set(fields);
+            return open.save();
+        }
+
+        logger.warn(`Chain divergence (${kind}) for on-chain certificate ${onChainId}: database ${expected || 'none'}, chain ${actual || 'none'}`);
+
+        return ChainDivergence.create({ kind, contractAddress, onChainId, ...fields, detectedAt: now });
+    }
+
+    // Resolve open divergences of an on-chain certificate, optionally keeping one kind open
+    clear(contractAddress, onChainId, exceptKind) {
+        const filter = { contractAddress, onChainId, resolvedAt: null };
+        if (exceptKind) filter.kind = { $ne: exceptKind };
+
+        const now = new Date();
+        return ChainDivergence.updateMany(filter, { $set: { resolvedAt: now, lastCheckedAt: now } });
+    }
+
+    // Indexer progress for the reconciliation report
+    async getStatus() {
+        const checkpoint = await ChainCheckpoint.findOne({ name: CHECKPOINT_NAME }).lean();
+
+        let latestBlock = null;
+        try {
+            latestBlock = blockchainService.provider ? await blockchainService.getBlockNumber() : null;
+        } catch (error) {
+            logger.warn('Could not read the latest block for the reconciliation report:', error.message);
+        }
+
+        return {
+            running: this.running,
+            contractAddress: checkpoint ? checkpoint.contractAddress : null,
+            lastIndexedBlock: checkpoint ? checkpoint.blockNumber : null,
+            latestBlock,
+            lag: checkpoint && latestBlock !== null ? Math.max(latestBlock - checkpoint.blockNumber, 0) : null,
+            lastRunAt: checkpoint ? checkpoint.lastRunAt : null,
+            lastError: checkpoint ? checkpoint.lastError : null,
+            lastReorgAt: checkpoint ? checkpoint.lastReorgAt : null,
+            lastReorgBlock: checkpoint ? checkpoint.lastReorgBlock : null,
+            reorgCount: checkpoint ? checkpoint.reorgCount : 0
+        };
+    }
+}
+
+// Event arguments as plain JSON: integers as numbers, addresses lowercased
+const plainArgs = (args) => Object.fromEntries(Object.entries(args).map(([name, value]) => {
+    if (typeof value === 'bigint') return [name, Number(value)];
+    if (typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value)) return [name, value.toLowerCase()];
+    return [name, value];
+}));
+
+// Database status an on-chain certificate is in after an event
+const statusAfter = (event) => {
+    switch (event.name) {
+        case ON_CHAIN_EVENTS.CREATED:
+            return CERTIFICATE_STATUS.PENDING;
+        case ON_CHAIN_EVENTS.VERIFIED:
+            return event.args.status === APPROVED_ON_CHAIN ? CERTIFICATE_STATUS.APPROVED : CERTIFICATE_STATUS.REJECTED;
+        case ON_CHAIN_EVENTS.ISSUED:
+            return CERTIFICATE_STATUS.ISSUED;
+        case ON_CHAIN_EVENTS.REVOKED:
+            return CERTIFICATE_STATUS.REVOKED;
+        case ON_CHAIN_EVENTS.EXPIRED:
+            return CERTIFICATE_STATUS.EXPIRED;
+        default:
+            return null;
+    }
+};
+
+// Certificates store the contract address as configured, which may be checksummed
+const addressPattern = (address) => new RegExp(`^${address}$`, 'i');
+
+// Create singleton instance
+const chainIndexerService = new ChainIndexerService();
+
+module.exports = chainIndexerService;
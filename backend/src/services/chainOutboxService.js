@@ -0,0 +1,990 @@
+const { ChainTransaction, CHAIN_TX_STATUS } = require('../models/ChainTransaction');
+const { Certificate, CERTIFICATE_STATUS, SYNC_STATUS, CHAIN_ACTIONS, ANCHOR_MODES } = require('../models/Certificate');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { AppError } = require('../middleware/errorHandler');
+const blockchainService = require('./blockchainService');
+const webhookService = require('./webhookService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const { buildMerkleTree } = require('../utils/merkle');
+
+// Operations that must be confirmed on-chain before each action can be sent
+const PRIOR_ACTIONS = {
+    [CHAIN_ACTIONS.CREATE]: [],
+    [CHAIN_ACTIONS.VERIFY]: [CHAIN_ACTIONS.CREATE],
+    [CHAIN_ACTIONS.ISSUE]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY],
+    [CHAIN_ACTIONS.REVOKE]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY, CHAIN_ACTIONS.ISSUE],
+    [CHAIN_ACTIONS.EXPIRE]: [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.VERIFY, CHAIN_ACTIONS.ISSUE]
+};
+
+// CertificateRegistry status indexes showing an action already took effect
+const APPLIED_ON_CHAIN = {
+    [CHAIN_ACTIONS.VERIFY]: [1, 2, 3, 4, 5],
+    [CHAIN_ACTIONS.ISSUE]: [3, 4, 5],
+    [CHAIN_ACTIONS.REVOKE]: [4],
+    [CHAIN_ACTIONS.EXPIRE]: [5]
+};
+
+const OPEN_STATUSES = [CHAIN_TX_STATUS.QUEUED, CHAIN_TX_STATUS.SUBMITTED];
+
+// Operations that anchor a certificate; only one may be open at a time
+const ANCHORING_ACTIONS = [CHAIN_ACTIONS.CREATE, CHAIN_ACTIONS.ANCHOR_ROOT];
+
+// CertificateRegistry.batchCreateCertificates accepts at most this many certificates
+const MAX_BATCH_SIZE = 100;
+
+// Transactions for a certificate, on its own or as part of a batch
+const involving = (certificateId) => ({ $or: [{ certificate: certificateId }, { certificates: certificateId }] });
+
+class ChainOutboxService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.rerun = false;
+        // Whether the registry was paused on the last pass, to log the change only once
+        this.paused = false;
+        // Next nonce to hand out within a pass; re-read from the node at the start of every pass
+        this.nextNonce = null;
+        this.interval = parseInt(process.env.CHAIN_OUTBOX_INTERVAL_MS) || 15 * 1000;
+        // Ganache mines a block per transaction, so more than one confirmation only arrives with later traffic
+        this.confirmations = parseInt(process.env.CHAIN_TX_CONFIRMATIONS) || 1;
+        this.maxAttempts = parseInt(process.env.CHAIN_TX_MAX_ATTEMPTS) || 5;
+        this.backoffBase = parseInt(process.env.CHAIN_TX_BACKOFF_BASE_MS) || 30 * 1000;
+        this.stuckAfter = parseInt(process.env.CHAIN_TX_STUCK_AFTER_MS) || 5 * 60 * 1000;
+        this.gasBufferPercent = parseInt(process.env.CHAIN_GAS_BUFFER_PERCENT) || 20;
+        this.feeBumpPercent = parseInt(process.env.CHAIN_FEE_BUMP_PERCENT) || 25;
+        // Keep batches well inside Ganache's default block gas limit
+        this.batchSize = Math.min(parseInt(process.env.CHAIN_BATCH_ANCHOR_SIZE) || 25, MAX_BATCH_SIZE);
+    }
+
+    // Send queued transactions and track confirmations on a fixed interval
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.timer.unref();
+
+        logger.info(`Blockchain transaction outbox scheduled every ${Math.round(this.interval / 1000)}s, ${this.confirmations} confirmation(s) required`);
+
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Process the outbox now rather than on the next tick
+    kick() {
+        this.run();
+    }
+
+    async run() {
+        if (this.running) {
+            this.rerun = true;
+            return;
+        }
+        this.running = true;
+
+        try {
+            if (!blockchainService.contract) return;
+
+            this.nextNonce = null;
+            await this.checkSubmitted();
+
+            // Every send would revert while the registry is paused; hold them rather than use up retries
+            const paused = await blockchainService.isPaused();
+            if (paused !== this.paused) {
+                logger.warn(`Certificate registry ${paused ? 'paused, holding' : 'unpaused, resuming'} queued blockchain transactions`);
+                this.paused = paused;
+            }
+            if (paused) return;
+
+            await this.submitDue();
+        } catch (error) {
+            logger.error('Blockchain transaction outbox failed:', error);
+        } finally {
+            this.running = false;
+
+            if (this.rerun) {
+                this.rerun = false;
+                setImmediate(() => this.run());
+            }
+        }
+    }
+
+    // Record an operation for a certificate unless one is already on its way
+    async enqueue(certificate, action, requestedBy) {
+        const open = await ChainTransaction.findOne({
+            ...involving(certificate._id),
+            action,
+            status: { $in: OPEN_STATUSES }
+        });
+
+        if (open) return open;
+
+        return ChainTransaction.create({
+            certificate: certificate._id,
+            institutionId: certificate.institutionId,
+            action,
+            requestedBy,
+            nextAttemptAt: new Date()
+        });
+    }
+
+    // Queue creation of many certificates as batch calls; those already being anchored are skipped
+    async enqueueBatch(certificates, requestedBy) {
+        const { eligible, skipped } = await this.partitionAnchoring(certificates);
+
+        const transactions = [];
+        for (let i = 0; i < eligible.length; i += this.batchSize) {
+            const chunk = eligible.slice(i, i + this.batchSize);
+
+            // A batch of one gains nothing over a plain creation
+            if (chunk.length === 1) {
+                transactions.push(await this.enqueue(chunk[0], CHAIN_ACTIONS.CREATE, requestedBy));
+                continue;
+            }
+
+            transactions.push(await ChainTransaction.create({
+                certificates: chunk.map(certificate => certificate._id),
+                institutionId: sharedInstitution(chunk),
+                action: CHAIN_ACTIONS.CREATE,
+                requestedBy,
+                nextAttemptAt: new Date()
+            }));
+        }
+
+        if (eligible.length > 0) {
+            await Certificate.updateMany(
+                { _id: { $in: eligible.map(certificate => certificate._id) } },
+                { $set: { 'blockchain.syncStatus': SYNC_STATUS.PENDING } }
+            );
+            this.kick();
+        }
+
+        return { transactions, skipped };
+    }
+
+    // Queue anchoring of many certificates under one Merkle root; those already being anchored are skipped
+    async enqueueMerkle(certificates, requestedBy) {
+        const { eligible, skipped } = await this.partitionAnchoring(certificates);
+
+        if (eligible.length === 0) {
+            return { transaction: null, skipped };
+        }
+
+        const { root, proofs } = buildMerkleTree(eligible.map(certificate => certificate.blockchain.certificateHash));
+
+        const transaction = await ChainTransaction.create({
+            certificates: eligible.map(certificate => certificate._id),
+            institutionId: sharedInstitution(eligible),
+            action: CHAIN_ACTIONS.ANCHOR_ROOT,
+            merkleRoot: root,
+            requestedBy,
+            nextAttemptAt: new Date()
+        });
+
+        // Proofs are stored up front so certificates can be verified as soon as the root is mined
+        for (const [index, certificate] of eligible.entries()) {
+            certificate.blockchain.anchorMode = ANCHOR_MODES.MERKLE;
+            certificate.blockchain.merkle = { root, leafIndex: index, proof: proofs[index] };
+            certificate.blockchain.syncStatus = SYNC_STATUS.PENDING;
+            await certificate.save();
+        }
+
+        this.kick();
+
+        return { transaction, skipped };
+    }
+
+    // Split certificates into those free to anchor and those with an anchoring operation already open
+    async partitionAnchoring(certificates) {
+        const eligible = [];
+        const skipped = [];
+
+        for (const certificate of certificates) {
+            const open = await ChainTransaction.exists({
+                ...involving(certificate._id),
+                action: { $in: ANCHORING_ACTIONS },
+                status: { $in: OPEN_STATUSES }
+            });
+            (open ? skipped : eligible).push(certificate);
+        }
+
+        return { eligible, skipped };
+    }
+
+    // Operations of a certificate that have not reached a final state
+    getOpenTransactions(certificateId) {
+        return ChainTransaction.find({ ...involving(certificateId), status: { $in: OPEN_STATUSES } })
+            .sort({ createdAt: 1 });
+    }
+
+    // Filter for transactions in flight for longer than they should be
+    stuckFilter(now = new Date()) {
+        return { status: CHAIN_TX_STATUS.SUBMITTED, submittedAt: { $lte: new Date(now.getTime() - this.stuckAfter) } };
+    }
+
+    // Filter for transactions that need an admin: failed, retrying, or stuck
+    problemFilter(now = new Date()) {
+        return {
+            $or: [
+                { status: CHAIN_TX_STATUS.FAILED },
+                { status: CHAIN_TX_STATUS.QUEUED, failures: { $gt: 0 } },
+                this.stuckFilter(now)
+            ]
+        };
+    }
+
+    // Poll receipts of everything in flight
+    async checkSubmitted() {
+        const submitted = await ChainTransaction.find({ status: CHAIN_TX_STATUS.SUBMITTED })
+            .sort({ submittedAt: 1 })
+            .limit(100);
+
+        if (submitted.length === 0) return;
+
+        const latestBlock = await blockchainService.getBlockNumber();
+
+        for (const transaction of submitted) {
+            try {
+                await this.checkConfirmation(transaction, latestBlock);
+            } catch (error) {
+                logger.error(`Failed to check blockchain transaction ${transaction.transactionHash}:`, error);
+            }
+        }
+    }
+
+    async checkConfirmation(transaction, latestBlock) {
+        // A sped-up transaction may be mined under any hash it was sent with
+        let receipt = null;
+        for (const hash of [transaction.transactionHash, ...transaction.replacedHashes]) {
+            receipt = await blockchainService.getReceipt(hash);
+            if (receipt) break;
+        }
+
+        const certificate = transaction.isBatch ? null : await Certificate.findById(transaction.certificate);
+
+        if (receipt) {
+            transaction.transactionHash = receipt.hash;
+            transaction.blockNumber = receipt.blockNumber;
+            transaction.gasUsed = receipt.gasUsed.toString();
+
+            if (receipt.status === 0) {
+                return isCreateBatch(transaction)
+                    ? this.splitBatch(transaction, 'Batch transaction reverted')
+                    : this.recordFailure(transaction, certificate, 'Transaction reverted');
+            }
+
+            transaction.confirmations = latestBlock - receipt.blockNumber + 1;
+
+            if (transaction.confirmations >= this.confirmations) {
+                return this.confirm(transaction, certificate, { receipt });
+            }
+
+            return transaction.save();
+        }
+
+        // Gone from the node, e.g. after a Ganache restart; the nonce is free again
+        if (!(await blockchainService.isTransactionKnown(transaction.transactionHash))) {
+            return this.recordFailure(transaction, certificate, 'Transaction was dropped by the node');
+        }
+
+        if (Date.now() - transaction.submittedAt.getTime() >= this.stuckAfter) {
+            await this.speedUp(transaction);
+        }
+    }
+
+    // Send queued transactions whose attempt is due, longest waiting first
+    async submitDue() {
+        const due = await ChainTransaction.find({
+            status: CHAIN_TX_STATUS.QUEUED,
+            nextAttemptAt: { $lte: new Date() }
+        }).sort({ nextAttemptAt: 1, createdAt: 1 }).limit(100);
+
+        for (const transaction of due) {
+            try {
+                await this.submit(transaction);
+            } catch (error) {
+                logger.error(`Failed to submit blockchain transaction ${transaction._id}:`, error);
+            }
+        }
+    }
+
+    async submit(transaction) {
+        if (transaction.action === CHAIN_ACTIONS.ANCHOR_ROOT) {
+            return this.submitMerkleRoot(transaction);
+        }
+
+        if (transaction.isBatch) {
+            return this.submitBatch(transaction);
+        }
+
+        const certificate = await Certificate.findById(transaction.certificate);
+
+        if (!certificate) {
+            transaction.status = CHAIN_TX_STATUS.FAILED;
+            transaction.lastError = 'Certificate no longer exists';
+            transaction.nextAttemptAt = undefined;
+            return transaction.save();
+        }
+
+        // Wait for earlier operations; confirming them wakes this transaction again
+        const missing = PRIOR_ACTIONS[transaction.action]
+            .filter(action => !certificate.hasConfirmedChainAction(action));
+        if (missing.length > 0) {
+            return this.waitForPrior(transaction, certificate, missing);
+        }
+        transaction.waitingOn = [];
+
+        let applied;
+        try {
+            // A crash between sending and recording must not send the operation twice
+            applied = await this.checkAlreadyApplied(transaction, certificate);
+        } catch (error) {
+            transaction.attempts.push({ error: describeError(error) });
+            return this.recordFailure(transaction, certificate, describeError(error));
+        }
+
+        if (applied) {
+            return this.confirm(transaction, certificate, applied);
+        }
+
+        const { method, args } = buildCall(transaction.action, certificate);
+
+        let response;
+        try {
+            response = await this.broadcast(transaction, method, args);
+        } catch (error) {
+            return this.recordFailure(transaction, certificate, describeError(error));
+        }
+
+        certificate.blockchain.transactions.push({
+            action: transaction.action,
+            transactionHash: response.hash,
+            status: SYNC_STATUS.PENDING
+        });
+        certificate.blockchain.syncStatus = SYNC_STATUS.PENDING;
+        await certificate.save();
+
+        logger.info(`Certificate ${certificate.certificateId} ${transaction.action} sent on-chain: ${response.hash} (nonce ${transaction.nonce})`);
+
+        return transaction;
+    }
+
+    // Hold a transaction back until the operations before it confirm, or fail it if one of them failed for good
+    async waitForPrior(transaction, certificate, actions) {
+        const prior = await ChainTransaction.find({
+            ...involving(certificate._id),
+            action: { $in: actions },
+            status: { $in: [...OPEN_STATUSES, CHAIN_TX_STATUS.FAILED] }
+        }).sort({ createdAt: -1 });
+
+        const failed = prior.find(tx => tx.status === CHAIN_TX_STATUS.FAILED);
+        if (failed && !prior.some(tx => OPEN_STATUSES.includes(tx.status))) {
+            return this.failDependent(transaction, certificate, failed);
+        }
+
+        // Off the due list until woken; the late re-check covers prerequisites that were never queued
+        transaction.waitingOn = actions;
+        transaction.nextAttemptAt = new Date(Date.now() + this.stuckAfter);
+        return transaction.save();
+    }
+
+    // Give up on a transaction whose prerequisite failed; resubmitting the prerequisite re-queues it
+    async failDependent(transaction, certificate, prior) {
+        transaction.waitingOn = [prior.action];
+        transaction.lastError = `Waiting on ${prior.action}, which failed: ${prior.lastError}`;
+        return this.escalate(transaction, certificate);
+    }
+
+    // Fail the transactions held back for one that failed for good
+    async failDependents(transaction) {
+        const dependents = await ChainTransaction.find({
+            certificate: { $in: transaction.isBatch ? transaction.certificates : [transaction.certificate] },
+            status: CHAIN_TX_STATUS.QUEUED,
+            waitingOn: transaction.action
+        });
+
+        for (const dependent of dependents) {
+            const certificate = await Certificate.findById(dependent.certificate);
+            await this.failDependent(dependent, certificate, transaction);
+        }
+    }
+
+    // Create a batch of certificates in one call, falling back to one transaction each if the batch would revert
+    async submitBatch(transaction) {
+        const members = await Certificate.find({ _id: { $in: transaction.certificates } });
+        const pending = [];
+
+        try {
+            for (const certificate of members) {
+                if (certificate.hasConfirmedChainAction(CHAIN_ACTIONS.CREATE)) continue;
+
+                // Anchored meanwhile, or by an attempt of this batch that was never recorded
+                const onChainId = await blockchainService.getCertificateIdByHash(certificate.blockchain.certificateHash);
+                if (onChainId) {
+                    await this.applyConfirmation(transaction, certificate, { onChainId });
+                    continue;
+                }
+
+                pending.push(certificate);
+            }
+        } catch (error) {
+            transaction.attempts.push({ error: describeError(error) });
+            return this.recordFailure(transaction, null, describeError(error));
+        }
+
+        if (pending.length === 0) {
+            return this.markConfirmed(transaction);
+        }
+
+        const calls = pending.map(certificate => buildCall(CHAIN_ACTIONS.CREATE, certificate).args);
+        const args = [calls.map(call => call[0]), calls.map(call => call[1]), calls.map(call => call[2])];
+
+        let response;
+        try {
+            transaction.individualGasEstimate = (await this.estimateIndividually(calls)).toString();
+            response = await this.broadcast(transaction, 'batchCreateCertificates', args);
+        } catch (error) {
+            if (isRevert(error)) {
+                return this.splitBatch(transaction, `Batch would revert: ${describeError(error)}`);
+            }
+            return this.recordFailure(transaction, null, describeError(error));
+        }
+
+        await this.markSent(pending, transaction);
+
+        logger.info(`Batch of ${pending.length} certificate creation(s) sent on-chain: ${response.hash} (nonce ${transaction.nonce})`);
+
+        return transaction;
+    }
+
+    // Anchor the root of a Merkle batch; the tree and proofs were stored when it was queued
+    async submitMerkleRoot(transaction) {
+        let anchor;
+        try {
+            // Anchored by an attempt that was never recorded
+            anchor = await blockchainService.getMerkleAnchor(transaction.merkleRoot);
+        } catch (error) {
+            transaction.attempts.push({ error: describeError(error) });
+            return this.recordFailure(transaction, null, describeError(error));
+        }
+
+        if (anchor) {
+            return this.confirm(transaction, null);
+        }
+
+        let response;
+        try {
+            response = await this.broadcast(transaction, 'anchorMerkleRoot', [transaction.merkleRoot, transaction.certificates.length]);
+        } catch (error) {
+            return this.recordFailure(transaction, null, describeError(error));
+        }
+
+        const members = await Certificate.find({ _id: { $in: transaction.certificates } });
+        await this.markSent(members, transaction);
+
+        logger.info(`Merkle root ${transaction.merkleRoot} of ${transaction.certificates.length} certificate(s) sent on-chain: ${response.hash} (nonce ${transaction.nonce})`);
+
+        return transaction;
+    }
+
+    // Add the in-flight entry of a batch transaction to each of its certificates
+    async markSent(certificates, transaction) {
+        for (const certificate of certificates) {
+            certificate.blockchain.transactions.push({
+                action: transaction.action,
+                transactionHash: transaction.transactionHash,
+                status: SYNC_STATUS.PENDING
+            });
+            certificate.blockchain.syncStatus = SYNC_STATUS.PENDING;
+            await certificate.save();
+        }
+    }
+
+    // Gas the certificates would take as separate createCertificate calls; reverts if any of them would
+    async estimateIndividually(calls) {
+        let total = 0n;
+        for (const args of calls) {
+            total += await blockchainService.estimateCallGas(blockchainService.encodeCall('createCertificate', args));
+        }
+        return total;
+    }
+
+    // Give up on a batch and queue each certificate that still needs creating on its own
+    async splitBatch(transaction, reason) {
+        transaction.status = CHAIN_TX_STATUS.SUPERSEDED;
+        transaction.lastError = reason;
+        transaction.nextAttemptAt = undefined;
+        await transaction.save();
+
+        const members = await Certificate.find({ _id: { $in: transaction.certificates } });
+        let requeued = 0;
+
+        for (const certificate of members) {
+            if (certificate.hasConfirmedChainAction(CHAIN_ACTIONS.CREATE)) continue;
+
+            markCertificateTransaction(certificate, transaction, SYNC_STATUS.FAILED, reason);
+            await certificate.save();
+
+            await this.enqueue(certificate, CHAIN_ACTIONS.CREATE, transaction.requestedBy);
+            requeued++;
+        }
+
+        logger.warn(`Batch transaction ${transaction._id} split into ${requeued} individual creation(s): ${reason}`);
+
+        return transaction;
+    }
+
+    // Sign and send a contract call with a managed nonce and estimated gas; failures are left to the caller
+    async broadcast(transaction, method, args) {
+        transaction.method = method;
+        transaction.args = args;
+
+        let nonce;
+        try {
+            const data = blockchainService.encodeCall(method, args);
+            const gasEstimate = await blockchainService.estimateCallGas(data);
+            const gasLimit = gasEstimate * BigInt(100 + this.gasBufferPercent) / 100n;
+            const fees = await this.getFees();
+            nonce = await this.reserveNonce();
+
+            const response = await blockchainService.sendContractCall({ data, nonce, gasLimit, ...fees });
+
+            transaction.status = CHAIN_TX_STATUS.SUBMITTED;
+            transaction.nonce = nonce;
+            transaction.gasLimit = gasLimit.toString();
+            setFees(transaction, fees);
+            transaction.transactionHash = response.hash;
+            transaction.replacedHashes = [];
+            transaction.submittedAt = new Date();
+            transaction.confirmations = 0;
+            transaction.nextAttemptAt = undefined;
+            transaction.lastError = undefined;
+            transaction.attempts.push({ nonce, transactionHash: response.hash });
+            await transaction.save();
+
+            return response;
+
+        } catch (error) {
+            // The reserved nonce was not used; take the next one from the node again
+            this.nextNonce = null;
+            transaction.attempts.push({ nonce, error: describeError(error) });
+            throw error;
+        }
+    }
+
+    // Re-send an in-flight transaction with the same nonce and higher fees
+    async speedUp(transaction) {
+        const fees = bumpFees(transaction, await this.getFees(), this.feeBumpPercent);
+        const data = blockchainService.encodeCall(transaction.method, transaction.args);
+
+        try {
+            const response = await blockchainService.sendContractCall({
+                data,
+                nonce: transaction.nonce,
+                gasLimit: BigInt(transaction.gasLimit),
+                ...fees
+            });
+
+            transaction.replacedHashes.push(transaction.transactionHash);
+            transaction.transactionHash = response.hash;
+            transaction.submittedAt = new Date();
+            setFees(transaction, fees);
+            transaction.attempts.push({ nonce: transaction.nonce, transactionHash: response.hash });
+            await transaction.save();
+
+            logger.warn(`Blockchain transaction ${transaction.replacedHashes[transaction.replacedHashes.length - 1]} stuck, replaced by ${response.hash} (nonce ${transaction.nonce})`);
+
+        } catch (error) {
+            // Usually the original was mined in the meantime; the next receipt check settles it
+            transaction.attempts.push({ nonce: transaction.nonce, error: describeError(error) });
+            transaction.lastError = describeError(error);
+            await transaction.save();
+
+            logger.warn(`Failed to speed up blockchain transaction ${transaction.transactionHash}: ${transaction.lastError}`);
+        }
+
+        return transaction;
+    }
+
+    // Schedule a retry with backoff, or give up and tell the admins
+    async recordFailure(transaction, certificate, message) {
+        transaction.failures += 1;
+        transaction.lastError = message;
+
+        if (transaction.attempts.length > 0 && !transaction.attempts[transaction.attempts.length - 1].error) {
+            transaction.attempts[transaction.attempts.length - 1].error = message;
+        }
+
+        if (transaction.failures >= this.maxAttempts) {
+            // Individual transactions escalate on their own if they keep failing too
+            return isCreateBatch(transaction)
+                ? this.splitBatch(transaction, message)
+                : this.escalate(transaction, certificate);
+        }
+
+        transaction.status = CHAIN_TX_STATUS.QUEUED;
+        transaction.nextAttemptAt = new Date(Date.now() + this.getBackoff(transaction.failures));
+        await transaction.save();
+
+        if (certificate) {
+            markCertificateTransaction(certificate, transaction, SYNC_STATUS.FAILED, message);
+            certificate.blockchain.syncError = message;
+            await certificate.save();
+        }
+
+        if (transaction.isBatch) {
+            await this.markMembers(transaction, SYNC_STATUS.FAILED, message);
+        }
+
+        logger.warn(`Blockchain transaction ${transaction._id} (${transaction.action}) failed (${transaction.failures}/${this.maxAttempts}), retrying: ${message}`);
+
+        return transaction;
+    }
+
+    async escalate(transaction, certificate) {
+        transaction.status = CHAIN_TX_STATUS.FAILED;
+        transaction.nextAttemptAt = undefined;
+        transaction.escalatedAt = new Date();
+        await transaction.save();
+
+        logger.error(`Blockchain transaction for ${transaction.action} of ${transaction.isBatch ? `${transaction.certificates.length} certificates` : transaction.certificate} failed after ${transaction.failures} attempts: ${transaction.lastError}`);
+
+        await this.failDependents(transaction);
+
+        const certificates = transaction.isBatch
+            ? await Certificate.find({ _id: { $in: transaction.certificates } })
+            : [certificate].filter(Boolean);
+
+        if (certificates.length === 0) return transaction;
+
+        for (const member of certificates) {
+            markCertificateTransaction(member, transaction, SYNC_STATUS.FAILED, transaction.lastError);
+            member.blockchain.syncStatus = SYNC_STATUS.FAILED;
+            member.blockchain.syncError = transaction.lastError;
+            await member.save();
+        }
+
+        notificationService.chainTransactionFailed(transaction, certificates).catch(error => {
+            logger.error('Failed to notify admins of a failed blockchain transaction:', error);
+        });
+
+        return transaction;
+    }
+
+    // Record the outcome once the operation has enough confirmations
+    async confirm(transaction, certificate, { receipt, onChainId } = {}) {
+        await this.markConfirmed(transaction);
+
+        if (!transaction.isBatch) {
+            return certificate ? this.applyConfirmation(transaction, certificate, { receipt, onChainId }) : transaction;
+        }
+
+        // Map the IDs a batch creation emitted back to its certificates by hash
+        const created = receipt && transaction.action === CHAIN_ACTIONS.CREATE
+            ? blockchainService.parseCreatedCertificates(receipt)
+            : new Map();
+        const members = await Certificate.find({ _id: { $in: transaction.certificates } });
+
+        for (const member of members) {
+            if (member.hasConfirmedChainAction(transaction.action)) continue;
+
+            await this.applyConfirmation(transaction, member, {
+                receipt,
+                onChainId: created.get(member.blockchain.certificateHash)
+            });
+        }
+
+        return transaction;
+    }
+
+    async markConfirmed(transaction) {
+        transaction.status = CHAIN_TX_STATUS.CONFIRMED;
+        transaction.confirmedAt = new Date();
+        transaction.nextAttemptAt = undefined;
+        transaction.lastError = undefined;
+
+        if (transaction.individualGasEstimate && transaction.gasUsed) {
+            transaction.gasSaved = (BigInt(transaction.individualGasEstimate) - BigInt(transaction.gasUsed)).toString();
+            logger.info(`Batch transaction ${transaction.transactionHash} used ${transaction.gasUsed} gas, ${transaction.gasSaved} less than ${transaction.certificates.length} separate creations`);
+        }
+
+        await transaction.save();
+
+        // Transactions held back for this one are due straight away
+        await ChainTransaction.updateMany(
+            {
+                certificate: { $in: transaction.isBatch ? transaction.certificates : [transaction.certificate] },
+                status: CHAIN_TX_STATUS.QUEUED,
+                waitingOn: transaction.action
+            },
+            { $set: { nextAttemptAt: new Date() }, $pull: { waitingOn: transaction.action } }
+        );
+
+        return transaction;
+    }
+
+    // Record a confirmed operation on one certificate
+    async applyConfirmation(transaction, certificate, { receipt, onChainId } = {}) {
+        markCertificateTransaction(certificate, transaction, SYNC_STATUS.CONFIRMED);
+        const anchoring = ANCHORING_ACTIONS.includes(transaction.action);
+
+        if (transaction.action === CHAIN_ACTIONS.CREATE) {
+            certificate.blockchain.onChainId = onChainId ||
+                await blockchainService.getCertificateIdByHash(certificate.blockchain.certificateHash);
+        }
+
+        if (transaction.action === CHAIN_ACTIONS.ANCHOR_ROOT) {
+            certificate.blockchain.merkle.anchoredAt = new Date();
+        }
+
+        if (anchoring) {
+            certificate.blockchain.contractAddress = blockchainService.contractAddress;
+
+            if (receipt) {
+                certificate.blockchain.transactionHash = receipt.hash;
+                certificate.blockchain.blockNumber = receipt.blockNumber;
+            }
+        }
+
+        const remaining = await ChainTransaction.countDocuments({
+            ...involving(certificate._id),
+            _id: { $ne: transaction._id },
+            status: { $in: OPEN_STATUSES }
+        });
+
+        if (remaining === 0) {
+            certificate.blockchain.syncStatus = SYNC_STATUS.CONFIRMED;
+            certificate.blockchain.syncError = undefined;
+            certificate.blockchain.lastSyncedAt = new Date();
+        }
+
+        if (anchoring) {
+            const under = transaction.merkleRoot ? ` under Merkle root ${transaction.merkleRoot}` : '';
+            await certificate.addHistoryEntry(
+                'anchored',
+                transaction.requestedBy,
+                receipt ? `Anchored to blockchain${under}: ${receipt.hash}` : `Already anchored to blockchain${under}`
+            );
+            webhookService.emit(WEBHOOK_EVENTS.ANCHORED, certificate);
+        } else {
+            await certificate.save();
+        }
+
+        logger.info(`Certificate ${certificate.certificateId} ${transaction.action} confirmed on-chain${receipt ? `: ${receipt.hash}` : ' (already applied)'}`);
+
+        return transaction;
+    }
+
+    // Update the in-flight entry of every certificate in a batch
+    async markMembers(transaction, status, error) {
+        const members = await Certificate.find({ _id: { $in: transaction.certificates } });
+
+        for (const certificate of members) {
+            markCertificateTransaction(certificate, transaction, status, error);
+            certificate.blockchain.syncError = error;
+            await certificate.save();
+        }
+    }
+
+    // Whether the contract already reflects the operation; returns what confirm needs, or null
+    async checkAlreadyApplied(transaction, certificate) {
+        if (transaction.action === CHAIN_ACTIONS.CREATE) {
+            const onChainId = await blockchainService.getCertificateIdByHash(certificate.blockchain.certificateHash);
+            return onChainId ? { onChainId } : null;
+        }
+
+        const status = await blockchainService.getOnChainStatus(certificate.blockchain.onChainId);
+        return APPLIED_ON_CHAIN[transaction.action].includes(status) ? {} : null;
+    }
+
+    // Put a failed or stuck transaction back in line, or speed up one still in flight
+    async resubmit(transactionId, scope, user) {
+        const transaction = await ChainTransaction.findOne({ ...scope, _id: transactionId });
+
+        if (!transaction) {
+            throw new AppError('Transaction not found', 404);
+        }
+
+        if (transaction.status === CHAIN_TX_STATUS.CONFIRMED) {
+            throw new AppError('Transaction is already confirmed', 409);
+        }
+
+        if (transaction.status === CHAIN_TX_STATUS.SUPERSEDED) {
+            throw new AppError('Batch was replaced by individual transactions; resubmit those instead', 409);
+        }
+
+        transaction.resubmittedBy = user._id;
+        transaction.resubmittedAt = new Date();
+
+        if (transaction.status === CHAIN_TX_STATUS.SUBMITTED) {
+            return this.speedUp(transaction);
+        }
+
+        transaction.status = CHAIN_TX_STATUS.QUEUED;
+        transaction.failures = 0;
+        transaction.escalatedAt = undefined;
+        transaction.nextAttemptAt = new Date();
+        await transaction.save();
+
+        const certificateIds = transaction.isBatch ? transaction.certificates : [transaction.certificate];
+
+        // Transactions that failed because they were waiting on this one go back in line too
+        await ChainTransaction.updateMany(
+            { certificate: { $in: certificateIds }, status: CHAIN_TX_STATUS.FAILED, waitingOn: transaction.action },
+            { $set: { status: CHAIN_TX_STATUS.QUEUED, failures: 0, nextAttemptAt: new Date() }, $unset: { escalatedAt: 1 } }
+        );
+
+        await Certificate.updateMany(
+            { _id: { $in: certificateIds } },
+            { $set: { 'blockchain.syncStatus': SYNC_STATUS.PENDING } }
+        );
+
+        this.kick();
+
+        return transaction;
+    }
+
+    // Hand out nonces locally within a pass so consecutive sends do not collide
+    async reserveNonce() {
+        const pending = await blockchainService.getPendingNonce();
+        const nonce = Math.max(pending, this.nextNonce || 0);
+        this.nextNonce = nonce + 1;
+        return nonce;
+    }
+
+    // EIP-1559 fees where the node supports them, a legacy gas price otherwise
+    async getFees() {
+        const feeData = await blockchainService.getFeeData();
+
+        if (feeData.maxFeePerGas != null) {
+            return {
+                maxFeePerGas: feeData.maxFeePerGas,
+                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+            };
+        }
+
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    // Exponential backoff: base, 2x base, 4x base, ...
+    getBackoff(failures) {
+        return this.backoffBase * Math.pow(2, failures - 1);
+    }
+}
+
+// Institution shared by every certificate, or undefined for a mix
+const sharedInstitution = (certificates) => {
+    const institutions = new Set(certificates.map(certificate => String(certificate.institutionId)));
+    return institutions.size === 1 ? certificates[0].institutionId : undefined;
+};
+
+// Batch creations are split into single ones when they cannot go through as a whole
+const isCreateBatch = (transaction) => transaction.isBatch && transaction.action === CHAIN_ACTIONS.CREATE;
+
+// Contract function and arguments for a workflow operation
+const buildCall = (action, certificate) => {
+    const onChainId = certificate.blockchain.onChainId;
+
+    switch (action) {
+        case CHAIN_ACTIONS.CREATE:
+            return {
+                method: 'createCertificate',
+                args: [
+                    certificate.blockchain.certificateHash,
+                    certificate.ipfs.cid,
+                    JSON.stringify({
+                        certificateId: certificate.certificateId,
+                        recipient: certificate.recipient.name,
+                        institution: certificate.institution.name,
+                        subject: certificate.course.subject
+                    })
+                ]
+            };
+
+        case CHAIN_ACTIONS.VERIFY:
+            return {
+                method: 'verifyCertificate',
+                args: [onChainId, certificate.status !== CERTIFICATE_STATUS.REJECTED]
+            };
+
+        case CHAIN_ACTIONS.ISSUE:
+            return { method: 'issueCertificate', args: [onChainId] };
+
+        case CHAIN_ACTIONS.REVOKE:
+            return { method: 'revokeCertificate', args: [onChainId, getRevocationReason(certificate)] };
+
+        case CHAIN_ACTIONS.EXPIRE:
+            return { method: 'expireCertificate', args: [onChainId] };
+
+        default:
+            throw new Error(`Unsupported on-chain action: ${action}`);
+    }
+};
+
+// Find the reason recorded with the latest revocation
+const getRevocationReason = (certificate) => {
+    const entry = [...certificate.history].reverse().find(h => h.action === 'revoked');
+    return entry?.details || 'Revoked';
+};
+
+// Update the certificate's entry for the transaction's latest hash, adding one if it was never sent
+const markCertificateTransaction = (certificate, transaction, status, error) => {
+    const hashes = [transaction.transactionHash, ...transaction.replacedHashes].filter(Boolean);
+    const entry = certificate.blockchain.transactions.find(tx =>
+        tx.action === transaction.action && tx.status === SYNC_STATUS.PENDING && hashes.includes(tx.transactionHash)
+    );
+
+    if (entry) {
+        entry.status = status;
+        entry.transactionHash = transaction.transactionHash;
+        entry.blockNumber = transaction.blockNumber;
+        entry.error = error;
+        return;
+    }
+
+    certificate.blockchain.transactions.push({
+        action: transaction.action,
+        transactionHash: status === SYNC_STATUS.CONFIRMED ? transaction.transactionHash : undefined,
+        blockNumber: status === SYNC_STATUS.CONFIRMED ? transaction.blockNumber : undefined,
+        status,
+        error
+    });
+};
+
+const setFees = (transaction, fees) => {
+    transaction.gasPrice = fees.gasPrice?.toString();
+    transaction.maxFeePerGas = fees.maxFeePerGas?.toString();
+    transaction.maxPriorityFeePerGas = fees.maxPriorityFeePerGas?.toString();
+};
+
+// A replacement must outbid the original, so raise its fees by a percentage and never go below the market
+const bumpFees = (transaction, current, percent) => {
+    const bump = (previous, market) => {
+        const raised = previous ? BigInt(previous) * BigInt(100 + percent) / 100n : 0n;
+        return raised > market ? raised : market;
+    };
+
+    if (current.maxFeePerGas != null) {
+        return {
+            maxFeePerGas: bump(transaction.maxFeePerGas, current.maxFeePerGas),
+            maxPriorityFeePerGas: bump(transaction.maxPriorityFeePerGas, current.maxPriorityFeePerGas)
+        };
+    }
+
+    return { gasPrice: bump(transaction.gasPrice, current.gasPrice) };
+};
+
+// The call itself would fail, as opposed to the node or network
+const isRevert = (error) => error.code === 'CALL_EXCEPTION';
+
+// Short reason for a failed call; registry custom errors are decoded against its ABI
+const describeError = (error) => blockchainService.describeError(error);
+
+// Create singleton instance
+const chainOutboxService = new ChainOutboxService();
+
+module.exports = chainOutboxService;
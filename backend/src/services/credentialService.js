@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const { InstitutionKey } = require('../models/InstitutionKey');
+const { Certificate, CERTIFICATE_STATUS, ANCHOR_MODES } = require('../models/Certificate');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+const VC_CONTEXT_V2 = 'https://www.w3.org/ns/credentials/v2';
+const CREDENTIAL_TYPE = 'CertificateCredential';
+const STATUS_TYPE = 'CertificateManagerStatus';
+const PROOF_TYPE = 'DataIntegrityProof';
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+const PROOF_PURPOSE = 'assertionMethod';
+
+// Multicodec prefix for Ed25519 public keys in did:key identifiers
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+class CredentialService {
+    // Build and sign a W3C Verifiable Credential for an issued certificate
+    async issueCredential(certificate) {
+        if (certificate.status !== CERTIFICATE_STATUS.ISSUED) {
+            throw new AppError('Only issued certificates can be exported as credentials', 400);
+        }
+
+        const { key, privateKey } = await this.getSigningKey(certificate.institution.name, certificate.institutionId);
+        const credential = this.buildCredential(certificate, key);
+
+        return this.signCredential(credential, key, privateKey);
+    }
+
+    // Map a certificate to an unsigned credential document
+    buildCredential(certificate, key) {
+        const { recipient, course, institution, blockchain } = certificate;
+
+        const credential = {
+            '@context': [VC_CONTEXT_V2],
+            id: certificate.verificationUrl,
+            type: ['VerifiableCredential', CREDENTIAL_TYPE],
+            issuer: {
+                id: key.did,
+                name: institution.name
+            },
+            validFrom: toISO(certificate.issuer.issuedAt),
+            validUntil: toISO(certificate.expiryDate),
+            name: certificate.title,
+            credentialSubject: {
+                name: recipient.name,
+                studentId: recipient.studentId,
+                certificate: {
+                    certificateId: certificate.certificateId,
+                    title: certificate.title,
+                    type: certificate.type,
+                    description: certificate.description
+                },
+                course: {
+                    subject: course.subject,
+                    grade: course.grade,
+                    credits: course.credits,
+                    completionDate: toISO(course.completionDate)
+                },
+                institution: {
+                    name: institution.name,
+                    department: institution.department
+                }
+            },
+            credentialStatus: this.buildCredentialStatus(certificate)
+        };
+
+        if (blockchain && blockchain.certificateHash) {
+            credential.evidence = [{
+                type: ['BlockchainAnchor'],
+                certificateHash: blockchain.certificateHash,
+                network: blockchain.network,
+                contractAddress: blockchain.contractAddress,
+                transactionHash: blockchain.transactionHash
+            }];
+
+            // Lets holders prove inclusion against the on-chain root without asking us
+            if (blockchain.anchorMode === ANCHOR_MODES.MERKLE) {
+                credential.evidence[0].merkleRoot = blockchain.merkle.root;
+                credential.evidence[0].merkleProof = blockchain.merkle.proof;
+            }
+        }
+
+        // Round-trip through JSON so the signed bytes match what clients receive
+        return JSON.parse(JSON.stringify(credential));
+    }
+
+    // Status entry resolved against our records when a credential is verified
+    buildCredentialStatus(certificate) {
+        return {
+            id: `${certificate.verificationUrl}#status`,
+            type: STATUS_TYPE,
+            certificateId: certificate.certificateId,
+            verificationCode: certificate.verification.verificationCode
+        };
+    }
+
+    // Attach an eddsa-jcs-2022 Data Integrity proof
+    signCredential(credential, key, privateKey) {
+        const proof = {
+            type: PROOF_TYPE,
+            cryptosuite: CRYPTOSUITE,
+            created: new Date().toISOString(),
+            verificationMethod: verificationMethodFor(key.did),
+            proofPurpose: PROOF_PURPOSE
+        };
+
+        const signature = crypto.sign(null, hashForProof(credential, proof), privateKey);
+
+        return {
+            ...credential,
+            proof: {
+                ...proof,
+                proofValue: `z${encodeBase58(signature)}`
+            }
+        };
+    }
+
+    // Check a presented credential's structure, proof, issuer and revocation status
+    async verifyCredential(credential) {
+        const checks = { structure: false, proof: false, issuer: false, status: false };
+        const errors = [];
+        let certificate = null;
+
+        const structureErrors = validateStructure(credential);
+        if (structureErrors.length > 0) {
+            return { valid: false, checks, errors: structureErrors, certificate };
+        }
+        checks.structure = true;
+
+        const issuerId = typeof credential.issuer === 'string' ? credential.issuer : credential.issuer.id;
+        const { proof, ...unsecured } = credential;
+
+        // Proof: the signature must match the issuer's did:key
+        try {
+            const publicKey = publicKeyFromDid(issuerId);
+            const { proofValue, ...proofOptions } = proof;
+            const signature = decodeBase58(proofValue.slice(1));
+
+            checks.proof = crypto.verify(null, hashForProof(unsecured, proofOptions), publicKey, signature);
+            if (!checks.proof) errors.push('Credential proof signature is invalid');
+        } catch (error) {
+            errors.push(`Credential proof could not be verified: ${error.message}`);
+        }
+
+        // Issuer: the key must be one we issued to an institution
+        const key = await InstitutionKey.findOne({ did: issuerId });
+
+        if (!key) {
+            errors.push('Credential issuer is not a recognised institution');
+        } else if (key.revokedAt) {
+            errors.push('Credential issuer key has been revoked');
+        } else {
+            checks.issuer = true;
+        }
+
+        // Status: the certificate must still be issued
+        const status = credential.credentialStatus;
+        if (!status || status.type !== STATUS_TYPE || !status.certificateId) {
+            errors.push('Credential has no supported credentialStatus');
+        } else {
+            certificate = await Certificate.findOne({ certificateId: status.certificateId });
+
+            if (!certificate) {
+                errors.push('Certificate referenced by the credential was not found');
+            } else if (key && !keyOwnsCertificate(key, certificate)) {
+                errors.push('Certificate was not issued by the credential issuer');
+            } else if (certificate.status === CERTIFICATE_STATUS.REVOKED) {
+                errors.push(certificate.supersededBy
+                    ? 'Certificate has been superseded by a newer version'
+                    : 'Certificate has been revoked');
+            } else if (certificate.isExpired) {
+                errors.push('Certificate has expired');
+            } else if (certificate.status !== CERTIFICATE_STATUS.ISSUED) {
+                errors.push(`Certificate is not issued (status: ${certificate.status})`);
+            } else {
+                checks.status = true;
+            }
+        }
+
+        if (credential.validUntil && new Date(credential.validUntil) < new Date()) {
+            errors.push('Credential has expired');
+        }
+
+        return {
+            valid: errors.length === 0 && Object.values(checks).every(Boolean),
+            checks,
+            errors,
+            certificate
+        };
+    }
+
+    // Get the institution's active signing key, creating one on first use
+    async getSigningKey(institutionName, institutionId) {
+        // Certificates without an institution record fall back to keys looked up by name
+        const owner = institutionId ? { institution: institutionId } : { institutionName };
+        const findActiveKey = () => InstitutionKey.findOne({
+            ...owner,
+            isActive: true,
+            revokedAt: { $exists: false }
+        }).select('+encryptedPrivateKey');
+
+        let key = await findActiveKey();
+
+        if (!key) {
+            // A revoked key must not keep the institution's active slot
+            await InstitutionKey.updateMany({ ...owner, isActive: true, revokedAt: { $exists: true } }, { isActive: false });
+
+            try {
+                key = await this.createSigningKey(institutionName, institutionId);
+            } catch (error) {
+                // Another request created the institution's key first; sign with that one
+                if (error.code !== 11000) throw error;
+                key = await findActiveKey();
+            }
+        }
+
+        const { salt, ...encrypted } = key.encryptedPrivateKey;
+        const der = encryptionService.decrypt(encrypted, deriveKeyEncryptionKey(Buffer.from(salt, 'base64')));
+
+        return {
+            key,
+            privateKey: crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' })
+        };
+    }
+
+    // Generate and store a new Ed25519 key for an institution
+    async createSigningKey(institutionName, institutionId) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+        const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+        const publicKeyMultibase = `z${encodeBase58(Buffer.concat([ED25519_MULTICODEC, rawPublicKey]))}`;
+
+        const salt = encryptionService.generateSalt();
+        const encrypted = encryptionService.encrypt(
+            privateKey.export({ format: 'der', type: 'pkcs8' }),
+            deriveKeyEncryptionKey(salt)
+        );
+
+        const key = await InstitutionKey.create({
+            institutionName,
+            institution: institutionId,
+            did: `did:key:${publicKeyMultibase}`,
+            publicKeyMultibase,
+            encryptedPrivateKey: { ...encrypted, salt: salt.toString('base64') }
+        });
+
+        logger.info(`Credential signing key created for ${institutionName}: ${key.did}`);
+
+        return key;
+    }
+}
+
+// Keys belong to an institution record; keys created before institutions existed only carry its name
+const keyOwnsCertificate = (key, certificate) => (key.institution
+    ? String(key.institution) === String(certificate.institutionId)
+    : key.institutionName === certificate.institution.name);
+
+// Check the fields required before a proof can be evaluated
+const validateStructure = (credential) => {
+    const errors = [];
+
+    if (!credential || typeof credential !== 'object') {
+        return ['Credential must be a JSON object'];
+    }
+
+    const context = credential['@context'];
+    if (!Array.isArray(context) || context[0] !== VC_CONTEXT_V2) {
+        errors.push(`Credential @context must start with ${VC_CONTEXT_V2}`);
+    }
+
+    if (!Array.isArray(credential.type) || !credential.type.includes('VerifiableCredential')) {
+        errors.push('Credential type must include VerifiableCredential');
+    }
+
+    const issuerId = credential.issuer && (typeof credential.issuer === 'string' ? credential.issuer : credential.issuer.id);
+    if (!issuerId || !issuerId.startsWith('did:key:')) {
+        errors.push('Credential issuer must be a did:key identifier');
+    }
+
+    if (!credential.credentialSubject || typeof credential.credentialSubject !== 'object') {
+        errors.push('Credential is missing credentialSubject');
+    }
+
+    const { proof } = credential;
+    if (!proof || typeof proof !== 'object') {
+        errors.push('Credential is missing a proof');
+    } else {
+        if (proof.type !== PROOF_TYPE || proof.cryptosuite !== CRYPTOSUITE) {
+            errors.push(`Proof must be a ${PROOF_TYPE} using ${CRYPTOSUITE}`);
+        }
+        if (proof.proofPurpose !== PROOF_PURPOSE) {
+            errors.push(`Proof purpose must be ${PROOF_PURPOSE}`);
+        }
+        if (issuerId && proof.verificationMethod !== verificationMethodFor(issuerId)) {
+            errors.push('Proof verification method does not belong to the issuer');
+        }
+        if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+            errors.push('Proof value must be base58btc multibase encoded');
+        }
+    }
+
+    return errors;
+};
+
+// eddsa-jcs-2022: sha256(canonical proof config) || sha256(canonical document)
+const hashForProof = (document, proofOptions) => {
+    const proofConfig = { ...proofOptions, '@context': document['@context'] };
+
+    return Buffer.concat([
+        crypto.createHash('sha256').update(canonicalize(proofConfig)).digest(),
+        crypto.createHash('sha256').update(canonicalize(document)).digest()
+    ]);
+};
+
+// JSON Canonicalization Scheme (RFC 8785)
+const canonicalize = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    const members = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+    return `{${members.join(',')}}`;
+};
+
+const verificationMethodFor = (did) => `${did}#${did.slice('did:key:'.length)}`;
+
+// Recover the Ed25519 public key embedded in a did:key identifier
+const publicKeyFromDid = (did) => {
+    const decoded = decodeBase58(did.slice('did:key:z'.length));
+
+    if (decoded.length !== 34 || !decoded.subarray(0, 2).equals(ED25519_MULTICODEC)) {
+        throw new Error('Issuer is not an Ed25519 did:key');
+    }
+
+    return crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: decoded.subarray(2).toString('base64url') },
+        format: 'jwk'
+    });
+};
+
+// Key used to encrypt institution private keys at rest
+const deriveKeyEncryptionKey = (salt) => {
+    const secret = process.env.VC_KEY_SECRET || process.env.JWT_SECRET;
+
+    if (!secret) {
+        throw new AppError('Credential signing is not configured', 500);
+    }
+
+    return encryptionService.deriveKeyFromPassword(secret, salt);
+};
+
+const toISO = (date) => (date ? new Date(date).toISOString() : undefined);
+
+const encodeBase58 = (buffer) => {
+    let value = BigInt(`0x${buffer.toString('hex') || '0'}`);
+    let encoded = '';
+
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        encoded = `1${encoded}`;
+    }
+
+    return encoded;
+};
+
+const decodeBase58 = (encoded) => {
+    let value = 0n;
+
+    for (const char of encoded) {
+        const index = BASE58_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base58 character');
+        value = value * 58n + BigInt(index);
+    }
+
+    let hex = value > 0n ? value.toString(16) : '';
+    if (hex.length % 2) hex = `0${hex}`;
+
+    const leadingZeros = encoded.length - encoded.replace(/^1+/, '').length;
+
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+};
+
+// Create singleton instance
+const credentialService = new CredentialService();
+
+module.exports = credentialService;
@@ -0,0 +1,95 @@
+const { Certificate, CERTIFICATE_STATUS, SYNC_STATUS } = require('../models/Certificate');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const certificateSyncService = require('./certificateSyncService');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+
+class ExpiryService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.interval = parseInt(process.env.EXPIRY_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+    }
+
+    // Check for due certificates now and then on a fixed interval
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.timer.unref();
+
+        logger.info(`Certificate expiry job scheduled every ${Math.round(this.interval / 1000)}s`);
+
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const expired = await this.expireDueCertificates();
+            if (expired > 0) {
+                logger.info(`Certificate expiry job expired ${expired} certificate(s)`);
+            }
+        } catch (error) {
+            logger.error('Certificate expiry job failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Move issued certificates past their expiry date to expired
+    async expireDueCertificates(now = new Date()) {
+        const due = await Certificate.find({
+            status: CERTIFICATE_STATUS.ISSUED,
+            expiryDate: { $lte: now }
+        });
+
+        let expired = 0;
+
+        for (const certificate of due) {
+            try {
+                await this.expireCertificate(certificate);
+                expired++;
+            } catch (error) {
+                logger.error(`Failed to expire certificate ${certificate.certificateId}:`, error);
+            }
+        }
+
+        return expired;
+    }
+
+    async expireCertificate(certificate) {
+        certificate.status = CERTIFICATE_STATUS.EXPIRED;
+        certificate.expiredAt = new Date();
+        certificate.verification.isVerified = false;
+        certificate.blockchain.syncStatus = SYNC_STATUS.PENDING;
+
+        await certificate.save();
+
+        await certificate.addHistoryEntry(
+            'expired',
+            null,
+            `Validity period ended on ${certificate.expiryDate.toISOString()}`
+        );
+        webhookService.emit(WEBHOOK_EVENTS.EXPIRED, certificate);
+
+        // Record expiry on CertificateRegistry
+        certificateSyncService.scheduleSync(certificate._id);
+
+        logger.info(`Certificate expired: ${certificate.certificateId}`);
+
+        return certificate;
+    }
+}
+
+// Create singleton instance
+const expiryService = new ExpiryService();
+
+module.exports = expiryService;
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { EmailDelivery, DELIVERY_STATUS, EMAIL_TEMPLATES } = require('../models/EmailDelivery');
+const { Certificate } = require('../models/Certificate');
+const { renderTemplate } = require('../utils/emailTemplates');
+const pdfService = require('./pdfService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+// Supported transports, selected with MAIL_TRANSPORT
+const MAIL_TRANSPORTS = {
+    SMTP: 'smtp',
+    FILE: 'file',
+    CONSOLE: 'console'
+};
+
+class MailService {
+    constructor() {
+        this.transporter = null;
+        this.transportType = null;
+        this.initialize();
+    }
+
+    initialize() {
+        this.transportType = process.env.MAIL_TRANSPORT ||
+            (process.env.SMTP_HOST ? MAIL_TRANSPORTS.SMTP : MAIL_TRANSPORTS.CONSOLE);
+
+        // Local transports only write messages to logs and disk, which would leave users without their emails
+        if (process.env.NODE_ENV === 'production' && this.transportType !== MAIL_TRANSPORTS.SMTP) {
+            throw new Error(`Mail transport "${this.transportType}" is not available in production; set SMTP_HOST`);
+        }
+
+        this.from = process.env.MAIL_FROM || 'Certificate Manager <no-reply@certificate-manager.local>';
+
+        switch (this.transportType) {
+            case MAIL_TRANSPORTS.SMTP:
+                this.transporter = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER
+                        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                        : undefined
+                });
+                break;
+
+            case MAIL_TRANSPORTS.FILE:
+                // Writes each message as an .eml file for local inspection
+                this.outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '../../logs/mail');
+                this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+                break;
+
+            case MAIL_TRANSPORTS.CONSOLE:
+                this.transporter = nodemailer.createTransport({ jsonTransport: true });
+                break;
+
+            default:
+                throw new Error(`Unsupported mail transport: ${this.transportType}`);
+        }
+
+        logger.info(`Mail service initialized with ${this.transportType} transport`);
+    }
+
+    // Record and send a templated message
+    async sendTemplate(template, to, context, options = {}) {
+        const delivery = await EmailDelivery.create({
+            template,
+            to,
+            context,
+            retryable: !options.secrets,
+            transport: this.transportType,
+            certificate: options.certificateId,
+            user: options.userId,
+            institutionId: options.institutionId
+        });
+
+        await this.deliver(delivery, options);
+        return delivery;
+    }
+
+    // Attempt delivery and record the outcome on the delivery record
+    async deliver(delivery, options = {}) {
+        try {
+            const rendered = renderTemplate(delivery.template, { ...delivery.context, ...options.secrets });
+            const attachments = options.attachments || await this.buildAttachments(delivery);
+
+            delivery.subject = rendered.subject;
+
+            const info = await this.transporter.sendMail({
+                from: this.from,
+                to: delivery.to,
+                subject: rendered.subject,
+                text: rendered.text,
+                html: rendered.html,
+                attachments
+            });
+
+            await this.writeOutput(delivery, info);
+
+            if (info.rejected && info.rejected.length > 0) {
+                delivery.status = DELIVERY_STATUS.BOUNCED;
+                delivery.lastError = `Recipient rejected: ${info.rejected.join(', ')}`;
+            } else {
+                delivery.status = DELIVERY_STATUS.SENT;
+                delivery.lastError = undefined;
+                delivery.sentAt = new Date();
+            }
+
+            delivery.messageId = info.messageId;
+            delivery.attempts.push({
+                status: delivery.status,
+                error: delivery.lastError,
+                response: info.response
+            });
+
+        } catch (error) {
+            // 5xx SMTP replies are permanent failures
+            delivery.status = error.responseCode >= 500
+                ? DELIVERY_STATUS.BOUNCED
+                : DELIVERY_STATUS.FAILED;
+            delivery.lastError = error.message;
+            delivery.attempts.push({
+                status: delivery.status,
+                error: error.message,
+                response: error.response
+            });
+        }
+
+        await delivery.save();
+
+        if (delivery.status === DELIVERY_STATUS.SENT) {
+            logger.info(`Email sent: ${delivery.template} to ${delivery.to}`);
+        } else {
+            logger.warn(`Email ${delivery.status}: ${delivery.template} to ${delivery.to}: ${delivery.lastError}`);
+        }
+
+        return delivery;
+    }
+
+    // Re-send a failed or bounced delivery
+    async retryDelivery(deliveryId, scope = {}) {
+        const delivery = await EmailDelivery.findOne({ ...scope, _id: deliveryId });
+
+        if (!delivery) {
+            throw new AppError('Delivery not found', 404);
+        }
+
+        if (delivery.status === DELIVERY_STATUS.SENT) {
+            throw new AppError('Email has already been delivered', 400);
+        }
+
+        if (!delivery.retryable) {
+            throw new AppError('This email contains a one-time link and cannot be re-sent', 400);
+        }
+
+        return this.deliver(delivery);
+    }
+
+    // Load the attachments a template needs
+    async buildAttachments(delivery) {
+        if (delivery.template !== EMAIL_TEMPLATES.CERTIFICATE_ISSUED || !delivery.certificate) {
+            return [];
+        }
+
+        const certificate = await Certificate.findById(delivery.certificate);
+        if (!certificate) return [];
+
+        return [certificateAttachment(certificate, await pdfService.getCertificatePdf(certificate))];
+    }
+
+    // Persist or log messages produced by the local transports
+    async writeOutput(delivery, info) {
+        // Messages with a one-time link, such as password resets, must not end up in logs or files
+        if (!delivery.retryable && this.transportType !== MAIL_TRANSPORTS.SMTP) {
+            logger.info(`Email to ${delivery.to}: ${delivery.subject} (body withheld, it contains a one-time link)`);
+            return;
+        }
+
+        if (this.transportType === MAIL_TRANSPORTS.FILE) {
+            await fs.promises.mkdir(this.outputDir, { recursive: true });
+            const filename = path.join(this.outputDir, `${Date.now()}-${delivery.template}-${delivery._id}.eml`);
+            await fs.promises.writeFile(filename, info.message);
+            logger.info(`Email written to ${filename}`);
+        } else if (this.transportType === MAIL_TRANSPORTS.CONSOLE) {
+            const message = JSON.parse(info.message);
+            logger.info(`Email to ${delivery.to}: ${message.subject}\n${message.text}`);
+        }
+    }
+
+    // Notify the recipient that their certificate was issued
+    async notifyCertificateIssued(certificate, pdfBuffer = null) {
+        if (!certificate.recipient.email) {
+            logger.info(`No recipient email for ${certificate.certificateId}, skipping issuance notification`);
+            return null;
+        }
+
+        return this.sendTemplate(EMAIL_TEMPLATES.CERTIFICATE_ISSUED, certificate.recipient.email, {
+            ...certificateContext(certificate),
+            verificationUrl: certificate.verificationUrl
+        }, {
+            certificateId: certificate._id,
+            institutionId: certificate.institutionId,
+            attachments: pdfBuffer ? [certificateAttachment(certificate, pdfBuffer)] : undefined
+        });
+    }
+
+    // Notify the recipient that their certificate was revoked
+    async notifyCertificateRevoked(certificate, reason) {
+        if (!certificate.recipient.email) {
+            logger.info(`No recipient email for ${certificate.certificateId}, skipping revocation notification`);
+            return null;
+        }
+
+        return this.sendTemplate(EMAIL_TEMPLATES.CERTIFICATE_REVOKED, certificate.recipient.email, {
+            ...certificateContext(certificate),
+            reason
+        }, {
+            certificateId: certificate._id,
+            institutionId: certificate.institutionId
+        });
+    }
+
+    // Email a password reset link; the link itself is never stored
+    async sendPasswordReset(user, resetUrl, expiresInMinutes) {
+        return this.sendTemplate(EMAIL_TEMPLATES.PASSWORD_RESET, user.email, {
+            name: user.fullName,
+            expiresInMinutes
+        }, {
+            userId: user._id,
+            institutionId: user.institution,
+            secrets: { resetUrl }
+        });
+    }
+
+    // Tell a user their account was deactivated
+    async notifyAccountDeactivated(user) {
+        return this.sendTemplate(EMAIL_TEMPLATES.ACCOUNT_DEACTIVATED, user.email, {
+            name: user.fullName
+        }, {
+            userId: user._id,
+            institutionId: user.institution
+        });
+    }
+}
+
+// Snapshot of certificate fields used by certificate templates
+const certificateContext = (certificate) => ({
+    certificateId: certificate.certificateId,
+    title: certificate.title,
+    recipientName: certificate.recipient.name,
+    institutionName: certificate.institution.name
+});
+
+const certificateAttachment = (certificate, buffer) => ({
+    filename: `${certificate.certificateId}.pdf`,
+    content: buffer,
+    contentType: 'application/pdf'
+});
+
+// Create singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
@@ -0,0 +1,209 @@
+const { Notification, NOTIFICATION_TYPES } = require('../models/Notification');
+const { User } = require('../models/User');
+const { UPLOAD_STATUS } = require('../models/Upload');
+
+class NotificationService {
+    constructor() {
+        // Open event streams per user id, each mapped to the session it was opened under
+        this.clients = new Map();
+        this.heartbeatInterval = parseInt(process.env.NOTIFICATION_HEARTBEAT_MS) || 25 * 1000;
+    }
+
+    // Attach a Server-Sent Events stream for a user; it ends with the session it was opened under
+    async subscribe(user, req, res) {
+        const userId = user._id.toString();
+        const session = req.authSession;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        // Comment lines keep proxies from closing an idle stream; an expired session ends it instead
+        const heartbeat = setInterval(() => {
+            if (session && session.expiresAt <= new Date()) {
+                res.end();
+                return;
+            }
+            res.write(': heartbeat\n\n');
+        }, this.heartbeatInterval);
+
+        const close = () => {
+            clearInterval(heartbeat);
+            this.unsubscribe(userId, res);
+        };
+
+        if (!this.clients.has(userId)) {
+            this.clients.set(userId, new Map());
+        }
+        this.clients.get(userId).set(res, { sessionId: session ? session._id.toString() : null, close });
+
+        req.on('close', close);
+        res.on('close', close);
+
+        res.write('retry: 5000\n\n');
+        writeEvent(res, 'unread', { unreadCount: await this.getUnreadCount(user._id) });
+    }
+
+    // End the streams of a user's revoked sessions: one session, or all but the one kept
+    endSessionStreams(userId, { sessionId, exceptSessionId } = {}) {
+        const streams = this.clients.get(userId.toString());
+        if (!streams) return;
+
+        for (const [res, stream] of streams) {
+            if (sessionId && stream.sessionId !== sessionId.toString()) continue;
+            if (exceptSessionId && stream.sessionId === exceptSessionId.toString()) continue;
+
+            stream.close();
+            res.end();
+        }
+    }
+
+    unsubscribe(userId, res) {
+        const streams = this.clients.get(userId);
+        if (!streams) return;
+
+        streams.delete(res);
+        if (streams.size === 0) {
+            this.clients.delete(userId);
+        }
+    }
+
+    getUnreadCount(userId) {
+        return Notification.countDocuments({ recipient: userId, readAt: null });
+    }
+
+    // Persist a notification for each recipient and push it to open streams
+    async notifyUsers(recipientIds, payload) {
+        const recipients = [...new Set(recipientIds.filter(Boolean).map(id => id.toString()))];
+        if (recipients.length === 0) return [];
+
+        const notifications = await Notification.insertMany(
+            recipients.map(recipient => ({ ...payload, recipient }))
+        );
+
+        for (const notification of notifications) {
+            this.push(notification.recipient.toString(), 'notification', notification.toJSON());
+        }
+
+        return notifications;
+    }
+
+    // Notify every active user of an institution holding a permission, optionally excluding the actor
+    async notifyPermission(permission, payload, excludeUserId, institutionId = null) {
+        const users = await User.find({
+            isActive: true,
+            permissions: permission,
+            institution: institutionId
+        }).select('_id');
+
+        const recipients = users
+            .map(user => user._id.toString())
+            .filter(id => !excludeUserId || id !== excludeUserId.toString());
+
+        return this.notifyUsers(recipients, payload);
+    }
+
+    push(userId, event, data) {
+        const streams = this.clients.get(userId);
+        if (!streams) return;
+
+        for (const res of streams.keys()) {
+            writeEvent(res, event, data);
+        }
+    }
+
+    // Certificate created and waiting for a verifier
+    certificateAwaitingVerification(certificate, creatorId) {
+        return this.notifyPermission('verify_certificates', {
+            type: NOTIFICATION_TYPES.AWAITING_VERIFICATION,
+            title: 'Certificate awaiting verification',
+            message: `${certificate.title} for ${certificate.recipient.name} (${certificate.certificateId})`,
+            link: `/app/certificates/${certificate._id}`,
+            certificate: certificate._id
+        }, creatorId, certificate.institutionId);
+    }
+
+    // Several certificates created at once, summarised in a single notification
+    certificatesAwaitingVerification(count, creatorId, source, institutionId) {
+        return this.notifyPermission('verify_certificates', {
+            type: NOTIFICATION_TYPES.AWAITING_VERIFICATION,
+            title: `${count} certificate${count === 1 ? '' : 's'} awaiting verification`,
+            message: source ? `Created from ${source}` : undefined,
+            link: '/app/certificates?status=pending'
+        }, creatorId, institutionId);
+    }
+
+    // Certificate approved and waiting for an issuer
+    certificateAwaitingIssuance(certificate, verifierId) {
+        return this.notifyPermission('issue_certificates', {
+            type: NOTIFICATION_TYPES.AWAITING_ISSUANCE,
+            title: 'Certificate approved for issuance',
+            message: `${certificate.title} for ${certificate.recipient.name} (${certificate.certificateId})`,
+            link: `/app/certificates/${certificate._id}`,
+            certificate: certificate._id
+        }, verifierId, certificate.institutionId);
+    }
+
+    // Let the creator know their certificate was rejected
+    certificateRejected(certificate) {
+        const comments = certificate.verifier && certificate.verifier.comments;
+
+        return this.notifyUsers([certificate.creator._id || certificate.creator], {
+            type: NOTIFICATION_TYPES.CERTIFICATE_REJECTED,
+            title: 'Certificate rejected',
+            message: `${certificate.title} (${certificate.certificateId})${comments ? `: ${comments}` : ''}`,
+            link: `/app/certificates/${certificate._id}`,
+            certificate: certificate._id
+        });
+    }
+
+    // Let the uploader know their batch upload has finished processing
+    uploadCompleted(upload) {
+        const { succeeded, failed, error } = upload.job;
+        const partial = upload.status === UPLOAD_STATUS.PARTIALLY_FAILED;
+        const stopped = upload.status === UPLOAD_STATUS.FAILED;
+
+        return this.notifyUsers([upload.uploadedBy._id || upload.uploadedBy], {
+            type: NOTIFICATION_TYPES.UPLOAD_COMPLETED,
+            title: stopped ? 'Upload failed' : partial ? 'Upload finished with errors' : 'Upload finished',
+            message: stopped
+                ? `${upload.file.originalName}: ${error}`
+                : `${upload.file.originalName}: ${succeeded} created, ${failed} failed`,
+            link: '/app/upload',
+            upload: upload._id
+        });
+    }
+
+    // Tell admins that an on-chain operation gave up retrying and needs a resubmit; batches cover several certificates
+    async chainTransactionFailed(transaction, certificates) {
+        const [first] = certificates;
+        const payload = {
+            type: NOTIFICATION_TYPES.CHAIN_TRANSACTION_FAILED,
+            title: 'Blockchain transaction failed',
+            message: `${transaction.action} of ${certificates.length === 1 ? first.certificateId : `${certificates.length} certificates`}: ${transaction.lastError}`,
+            link: certificates.length === 1 ? `/app/certificates/${first._id}` : '/app/certificates',
+            certificate: first._id
+        };
+
+        // Platform admins run the service wallet; institution admins own the certificates
+        const notified = await this.notifyPermission('system_admin', payload, null, null);
+        const institutions = new Set(certificates.map(certificate => certificate.institutionId).filter(Boolean).map(String));
+        for (const institutionId of institutions) {
+            notified.push(...await this.notifyPermission('system_admin', payload, null, institutionId));
+        }
+
+        return notified;
+    }
+}
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -0,0 +1,232 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { CertificateTemplate } = require('../models/CertificateTemplate');
+const ipfsService = require('./ipfsService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+
+// Layout used when no template is configured (coordinates for A4 landscape)
+const DEFAULT_TEMPLATE = {
+    layout: {
+        size: 'A4',
+        orientation: 'landscape',
+        margin: 40,
+        backgroundColor: '#FFFFFF',
+        borderColor: '#1E3A8A',
+        accentColor: '#1E3A8A'
+    },
+    fonts: {
+        title: { family: 'Times-Bold', size: 34, color: '#111827' },
+        body: { family: 'Helvetica', size: 14, color: '#111827' }
+    },
+    fields: [
+        { text: '{{institution.name}}', font: 'body', size: 18, y: 150 },
+        { text: '{{title}}', font: 'title', y: 185 },
+        { text: 'This is to certify that', font: 'body', y: 250 },
+        { text: '{{recipient.name}}', font: 'title', size: 28, y: 275 },
+        { text: 'has successfully completed {{course.subject}}', font: 'body', y: 325 },
+        { text: 'Grade: {{course.grade}}', font: 'body', y: 350 },
+        { text: 'Issued on {{issuedAt}}', font: 'body', y: 390 },
+        { text: 'Certificate ID: {{certificateId}}', font: 'body', size: 10, y: 500 }
+    ],
+    logo: {},
+    qrCode: {
+        enabled: true,
+        size: 90,
+        position: 'bottom-right'
+    }
+};
+
+class PDFService {
+    // Render a certificate to a PDF buffer using the given template
+    async renderCertificate(certificate, template = null) {
+        try {
+            const settings = mergeTemplate(template);
+            const { layout, fonts } = settings;
+
+            const doc = new PDFDocument({
+                size: layout.size,
+                layout: layout.orientation,
+                margin: layout.margin,
+                info: {
+                    Title: certificate.title,
+                    Author: certificate.institution.name,
+                    Subject: `Certificate ${certificate.certificateId}`
+                }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            const finished = new Promise((resolve, reject) => {
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+            });
+
+            const pageWidth = doc.page.width;
+            const pageHeight = doc.page.height;
+            const margin = layout.margin;
+
+            // Background and border
+            doc.rect(0, 0, pageWidth, pageHeight).fill(layout.backgroundColor);
+            doc.lineWidth(4)
+                .rect(margin / 2, margin / 2, pageWidth - margin, pageHeight - margin)
+                .stroke(layout.borderColor);
+
+            // Institution logo
+            if (settings.logo && settings.logo.data) {
+                const logoWidth = settings.logo.width || 90;
+                doc.image(Buffer.from(settings.logo.data, 'base64'), (pageWidth - logoWidth) / 2, margin + 10, {
+                    width: logoWidth
+                });
+            }
+
+            // Text fields with placeholders
+            const context = buildPlaceholderContext(certificate);
+
+            settings.fields.forEach(field => {
+                const font = fonts[field.font] || fonts.body;
+                const x = field.x !== undefined && field.x !== null ? field.x : margin;
+                const width = field.width || pageWidth - x - margin;
+
+                doc.font(font.family)
+                    .fontSize(field.size || font.size)
+                    .fillColor(font.color)
+                    .text(fillPlaceholders(field.text, context), x, field.y, {
+                        width,
+                        align: field.align || 'center'
+                    });
+            });
+
+            // QR code pointing at the public verification page
+            if (settings.qrCode.enabled && certificate.verificationUrl) {
+                const size = settings.qrCode.size;
+                const qrImage = await QRCode.toBuffer(certificate.verificationUrl, {
+                    margin: 1,
+                    width: size * 2,
+                    color: { dark: layout.accentColor }
+                });
+
+                const x = settings.qrCode.position === 'bottom-left'
+                    ? margin
+                    : pageWidth - margin - size;
+                const y = pageHeight - margin - size - 15;
+
+                doc.image(qrImage, x, y, { width: size });
+                doc.font(fonts.body.family)
+                    .fontSize(8)
+                    .fillColor(fonts.body.color)
+                    .text('Scan to verify', x, y + size + 3, { width: size, align: 'center' });
+            }
+
+            doc.end();
+
+            return await finished;
+
+        } catch (error) {
+            logger.error('Certificate PDF rendering failed:', error);
+            throw new AppError('Failed to render certificate PDF', 500);
+        }
+    }
+
+    // Render with the matching template and pin the PDF to IPFS
+    async generateCertificatePdf(certificate) {
+        const template = await CertificateTemplate.findForCertificate(certificate);
+        const buffer = await this.renderCertificate(certificate, template);
+        const filename = `${certificate.certificateId}.pdf`;
+
+        const ipfsResult = await ipfsService.uploadBuffer(buffer, filename, {
+            name: `certificate-pdf-${certificate.certificateId}`,
+            keyvalues: {
+                certificateId: certificate.certificateId,
+                type: 'certificate-pdf'
+            }
+        });
+
+        certificate.files.certificatePdf = {
+            filename,
+            size: buffer.length,
+            generatedAt: new Date(),
+            cid: ipfsResult.cid
+        };
+
+        if (template) {
+            certificate.metadata.templateId = template._id.toString();
+        }
+
+        await certificate.save();
+
+        logger.info(`Certificate PDF generated: ${certificate.certificateId}, CID: ${ipfsResult.cid}`);
+
+        return { buffer, filename, cid: ipfsResult.cid };
+    }
+
+    // Fetch the stored PDF, falling back to rendering a fresh copy
+    async getCertificatePdf(certificate) {
+        const pdfCid = certificate.files.certificatePdf && certificate.files.certificatePdf.cid;
+
+        if (pdfCid) {
+            try {
+                const ipfsData = await ipfsService.getData(pdfCid);
+                return ipfsData.data;
+            } catch (error) {
+                logger.warn(`Stored PDF unavailable for ${certificate.certificateId}, regenerating: ${error.message}`);
+            }
+        }
+
+        const template = await CertificateTemplate.findForCertificate(certificate);
+        return this.renderCertificate(certificate, template);
+    }
+}
+
+// Merge a stored template over the built-in defaults
+const mergeTemplate = (template) => {
+    const stored = template ? template.toObject() : {};
+
+    return {
+        layout: { ...DEFAULT_TEMPLATE.layout, ...stored.layout },
+        fonts: {
+            title: { ...DEFAULT_TEMPLATE.fonts.title, ...(stored.fonts && stored.fonts.title) },
+            body: { ...DEFAULT_TEMPLATE.fonts.body, ...(stored.fonts && stored.fonts.body) }
+        },
+        fields: stored.fields && stored.fields.length > 0 ? stored.fields : DEFAULT_TEMPLATE.fields,
+        logo: stored.logo || DEFAULT_TEMPLATE.logo,
+        qrCode: { ...DEFAULT_TEMPLATE.qrCode, ...stored.qrCode }
+    };
+};
+
+// Values available to {{placeholder}} fields
+const buildPlaceholderContext = (certificate) => {
+    const formatDate = (date) => date
+        ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+        : '';
+
+    return {
+        certificateId: certificate.certificateId,
+        title: certificate.title,
+        type: certificate.type,
+        description: certificate.description,
+        recipient: certificate.recipient,
+        institution: certificate.institution,
+        course: {
+            ...(certificate.course.toObject ? certificate.course.toObject() : certificate.course),
+            completionDate: formatDate(certificate.course.completionDate)
+        },
+        issuedAt: formatDate(certificate.issuer && certificate.issuer.issuedAt),
+        expiryDate: formatDate(certificate.expiryDate),
+        verificationCode: certificate.verification && certificate.verification.verificationCode,
+        verificationUrl: certificate.verificationUrl
+    };
+};
+
+// Replace {{path.to.value}} with values from the context
+const fillPlaceholders = (text, context) => {
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = key.split('.').reduce((obj, part) => (obj ? obj[part] : undefined), context);
+        return value === undefined || value === null ? '' : String(value);
+    });
+};
+
+// Create singleton instance
+const pdfService = new PDFService();
+
+module.exports = pdfService;
@@ -0,0 +1,254 @@
+const { User, USER_ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('../models/User');
+const { Role } = require('../models/Role');
+const { AuditLog, AUDIT_ACTIONS } = require('../models/AuditLog');
+const { AppError } = require('../middleware/errorHandler');
+const { tenantOf } = require('../utils/tenant');
+const logger = require('../utils/logger');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+class PermissionService {
+    // Permissions a built-in role starts with
+    defaultPermissions(role) {
+        return [...(ROLE_PERMISSIONS[role] || [])];
+    }
+
+    // Reject anything that is not a known permission
+    validatePermissions(permissions, field = 'permissions') {
+        if (!Array.isArray(permissions)) {
+            throw new AppError(`${field} must be a list of permissions`, 400);
+        }
+
+        const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+        if (unknown.length > 0) {
+            throw new AppError(`Unknown permission(s): ${unknown.join(', ')}`, 400);
+        }
+
+        return [...new Set(permissions)];
+    }
+
+    // Role permissions plus individual grants, minus individual revocations
+    computePermissions(user, customRole) {
+        const base = customRole ? customRole.permissions : this.defaultPermissions(user.role);
+        const overrides = user.permissionOverrides || {};
+        const granted = overrides.granted || [];
+        const revoked = overrides.revoked || [];
+
+        return ALL_PERMISSIONS.filter(permission =>
+            (base.includes(permission) || granted.includes(permission)) && !revoked.includes(permission)
+        );
+    }
+
+    // Recompute the stored permission set of a user; the caller saves
+    async refreshUser(user) {
+        const customRole = user.customRole ? await Role.findById(user.customRole._id || user.customRole) : null;
+
+        // A role deleted from under the user falls back to the built-in role
+        if (user.customRole && !customRole) {
+            user.customRole = undefined;
+        }
+
+        user.permissions = this.computePermissions(user, customRole);
+        return user;
+    }
+
+    // What an audit entry records about a user's access
+    snapshotUser(user) {
+        const overrides = user.permissionOverrides || {};
+
+        return {
+            role: user.role,
+            customRole: user.customRole ? String(user.customRole._id || user.customRole) : null,
+            granted: [...(overrides.granted || [])],
+            revoked: [...(overrides.revoked || [])],
+            permissions: [...(user.permissions || [])]
+        };
+    }
+
+    async audit(action, actor, { institution, targetUser, targetRole, before, after, ip }) {
+        try {
+            await AuditLog.create({
+                action,
+                actor: actor._id,
+                actorEmail: actor.email,
+                ip,
+                institution,
+                targetUser,
+                targetRole,
+                before,
+                after
+            });
+        } catch (error) {
+            logger.error(`Failed to write audit entry ${action}:`, error);
+        }
+    }
+
+    // Change a user's built-in role, keeping their custom role and overrides
+    async changeUserRole(user, role, actor, ip) {
+        const before = this.snapshotUser(user);
+
+        user.role = role;
+        await this.refreshUser(user);
+        await user.save();
+
+        await this.audit(AUDIT_ACTIONS.USER_ROLE_CHANGED, actor, {
+            institution: user.institution,
+            targetUser: user._id,
+            before,
+            after: this.snapshotUser(user),
+            ip
+        });
+
+        return user;
+    }
+
+    // Assign a custom role and grant or revoke individual permissions
+    async updateUserAccess(user, { customRole, granted, revoked }, actor, ip) {
+        if (String(user._id) === String(actor._id)) {
+            throw new AppError('You cannot change your own permissions', 403);
+        }
+
+        const before = this.snapshotUser(user);
+
+        if (customRole !== undefined) {
+            if (customRole) {
+                const role = await Role.findOne({ _id: customRole, institution: tenantOf(user) });
+                if (!role) {
+                    throw new AppError('Role not found in the user\'s institution', 404);
+                }
+                user.customRole = role._id;
+            } else {
+                user.customRole = undefined;
+            }
+        }
+
+        const overrides = {
+            granted: granted !== undefined ? this.validatePermissions(granted, 'granted') : before.granted,
+            revoked: revoked !== undefined ? this.validatePermissions(revoked, 'revoked') : before.revoked
+        };
+
+        const conflicting = overrides.granted.filter(permission => overrides.revoked.includes(permission));
+        if (conflicting.length > 0) {
+            throw new AppError(`Permission(s) both granted and revoked: ${conflicting.join(', ')}`, 400);
+        }
+
+        user.permissionOverrides = overrides;
+        await this.refreshUser(user);
+        await user.save();
+
+        await this.audit(AUDIT_ACTIONS.USER_PERMISSIONS_CHANGED, actor, {
+            institution: user.institution,
+            targetUser: user._id,
+            before,
+            after: this.snapshotUser(user),
+            ip
+        });
+
+        logger.info(`Permissions of ${user.email} updated by ${actor.email}: [${user.permissions.join(', ')}]`);
+
+        return user;
+    }
+
+    // Drop a custom role that no longer applies, e.g. when the user moves institution; the caller saves
+    async detachCustomRole(user, actor, ip) {
+        const before = this.snapshotUser(user);
+
+        user.customRole = undefined;
+        await this.refreshUser(user);
+
+        await this.audit(AUDIT_ACTIONS.USER_PERMISSIONS_CHANGED, actor, {
+            institution: user.institution,
+            targetUser: user._id,
+            before,
+            after: this.snapshotUser(user),
+            ip
+        });
+    }
+
+    // Define a custom role in an institution
+    async createRole({ name, description, permissions }, institution, actor, ip) {
+        if (!name || typeof name !== 'string') {
+            throw new AppError('Role name is required', 400);
+        }
+
+        if (Object.values(USER_ROLES).includes(name.trim().toLowerCase())) {
+            throw new AppError(`"${name}" is a built-in role`, 400);
+        }
+
+        if (await Role.exists({ institution, name: name.trim().toLowerCase() })) {
+            throw new AppError(`A role named "${name}" already exists`, 409);
+        }
+
+        const role = await Role.create({
+            name,
+            description,
+            permissions: this.validatePermissions(permissions || []),
+            institution,
+            createdBy: actor._id,
+            updatedBy: actor._id
+        });
+
+        await this.audit(AUDIT_ACTIONS.ROLE_CREATED, actor, {
+            institution,
+            targetRole: role._id,
+            after: { name: role.name, description: role.description, permissions: role.permissions },
+            ip
+        });
+
+        logger.info(`Role created: ${role.name} by ${actor.email}`);
+
+        return role;
+    }
+
+    // Change a custom role and recompute the permissions of everyone who has it
+    async updateRole(role, { description, permissions }, actor, ip) {
+        const before = { name: role.name, description: role.description, permissions: [...role.permissions] };
+
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = this.validatePermissions(permissions);
+        role.updatedBy = actor._id;
+        await role.save();
+
+        const users = await User.find({ customRole: role._id });
+        for (const user of users) {
+            user.permissions = this.computePermissions(user, role);
+            await user.save();
+        }
+
+        await this.audit(AUDIT_ACTIONS.ROLE_UPDATED, actor, {
+            institution: role.institution,
+            targetRole: role._id,
+            before,
+            after: { name: role.name, description: role.description, permissions: role.permissions },
+            ip
+        });
+
+        logger.info(`Role updated: ${role.name} by ${actor.email}, ${users.length} user(s) affected`);
+
+        return { role, affectedUsers: users.length };
+    }
+
+    // Remove a custom role that nobody holds anymore
+    async deleteRole(role, actor, ip) {
+        const holders = await User.countDocuments({ customRole: role._id });
+        if (holders > 0) {
+            throw new AppError(`Role is assigned to ${holders} user(s); reassign them first`, 409);
+        }
+
+        await role.deleteOne();
+
+        await this.audit(AUDIT_ACTIONS.ROLE_DELETED, actor, {
+            institution: role.institution,
+            targetRole: role._id,
+            before: { name: role.name, description: role.description, permissions: role.permissions },
+            ip
+        });
+
+        logger.info(`Role deleted: ${role.name} by ${actor.email}`);
+    }
+}
+
+// Create singleton instance
+const permissionService = new PermissionService();
+
+module.exports = permissionService;
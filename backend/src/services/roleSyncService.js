@@ -0,0 +1,274 @@
+const { User, USER_ROLES } = require('../models/User');
+const { WalletLink } = require('../models/WalletLink');
+const { RoleDiscrepancy, DISCREPANCY_RESOLUTIONS } = require('../models/RoleDiscrepancy');
+const { AppError } = require('../middleware/errorHandler');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+// On-chain role that goes with each app role
+const ONCHAIN_ROLE_BY_APP_ROLE = {
+    [USER_ROLES.CREATOR]: 'creator',
+    [USER_ROLES.VERIFIER]: 'verifier',
+    [USER_ROLES.ISSUER]: 'issuer',
+    [USER_ROLES.ADMIN]: 'admin'
+};
+
+const ONCHAIN_ROLES = Object.values(ONCHAIN_ROLE_BY_APP_ROLE);
+
+class RoleSyncService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.lastScan = null;
+        // Syncing sends transactions from the service wallet, so it is opt-in
+        this.enabled = process.env.ONCHAIN_ROLE_SYNC === 'true';
+        this.interval = parseInt(process.env.ROLE_SYNC_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+    }
+
+    // Scan for drift now and then on a fixed interval
+    start() {
+        if (this.timer || !this.enabled) return;
+
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.timer.unref();
+
+        logger.info(`On-chain role reconciliation scheduled every ${Math.round(this.interval / 1000)}s`);
+
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const summary = await this.scan();
+            if (summary.open > 0) {
+                logger.warn(`On-chain role reconciliation found ${summary.open} discrepancy(ies)`);
+            }
+        } catch (error) {
+            logger.error('On-chain role reconciliation failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // On-chain role an account's linked wallet should hold, if any
+    onChainRoleFor(user) {
+        return ONCHAIN_ROLE_BY_APP_ROLE[user.role] || null;
+    }
+
+    // The service wallet administers the roles itself and has no account to compare with
+    isServiceWallet(address) {
+        return Boolean(blockchainService.wallet) &&
+            blockchainService.wallet.address.toLowerCase() === address.toLowerCase();
+    }
+
+    // Work out who an address belongs to and which roles it should hold
+    async expectationFor(address) {
+        const link = await WalletLink.findOne({ address, unlinkedAt: null }).populate('user');
+        const user = link && link.user;
+
+        // Only active accounts whose wallet was proven by a signed link get a role
+        if (user && user.isActive && user.walletAddress === address) {
+            const role = this.onChainRoleFor(user);
+            return { user, roles: role ? [role] : [] };
+        }
+
+        if (user) {
+            return { user, roles: [] };
+        }
+
+        // Fall back to whoever held the address last so the discrepancy can be scoped to a tenant
+        const lastLink = await WalletLink.findOne({ address }).sort({ linkedAt: -1 }).populate('user');
+        const owner = (lastLink && lastLink.user) || await User.findOne({ walletAddress: address });
+
+        return { user: owner || null, roles: [] };
+    }
+
+    // Grant the expected roles an address is missing and revoke the ones it should not hold
+    async syncAddress(address, expectedRoles) {
+        const held = await blockchainService.getRolesOf(address, ONCHAIN_ROLES);
+        const result = { granted: [], revoked: [], transactions: [] };
+
+        for (const role of expectedRoles.filter(role => !held.includes(role))) {
+            const tx = await blockchainService.grantRoleOnChain(role, address);
+            result.granted.push(role);
+            if (tx.transactionHash) result.transactions.push(tx.transactionHash);
+        }
+
+        for (const role of held.filter(role => !expectedRoles.includes(role))) {
+            const tx = await blockchainService.revokeRoleOnChain(role, address);
+            result.revoked.push(role);
+            if (tx.transactionHash) result.transactions.push(tx.transactionHash);
+        }
+
+        return result;
+    }
+
+    // Bring the on-chain roles of a user's linked wallet in line with their app role and status
+    async syncUser(user) {
+        if (!user.walletAddress || this.isServiceWallet(user.walletAddress)) {
+            return null;
+        }
+
+        const { roles } = await this.expectationFor(user.walletAddress);
+        const result = await this.syncAddress(user.walletAddress, roles);
+
+        await RoleDiscrepancy.updateMany(
+            { address: user.walletAddress, resolvedAt: null },
+            { $set: { resolvedAt: new Date(), resolution: DISCREPANCY_RESOLUTIONS.FIXED } }
+        );
+
+        if (result.granted.length || result.revoked.length) {
+            logger.info(`On-chain roles of ${user.walletAddress} synced for ${user.email}: granted [${result.granted}] revoked [${result.revoked}]`);
+        }
+
+        return result;
+    }
+
+    // Sync after an admin changes a user's role or status; failures are left for the reconciliation job
+    onUserChanged(user) {
+        if (!this.enabled || !user.walletAddress) return;
+
+        this.syncUser(user).catch(error => {
+            logger.error(`On-chain role sync for ${user.email} failed:`, error);
+        });
+    }
+
+    // Compare every known wallet's on-chain roles with its account and record the differences
+    async scan() {
+        const startedAt = new Date();
+        const addresses = new Set([
+            ...await WalletLink.distinct('address'),
+            ...await User.distinct('walletAddress', { walletAddress: { $ne: null } })
+        ]);
+
+        const summary = { startedAt, checked: 0, open: 0, failed: 0 };
+
+        for (const address of addresses) {
+            if (this.isServiceWallet(address)) continue;
+
+            try {
+                await this.checkAddress(address);
+                summary.checked++;
+            } catch (error) {
+                summary.failed++;
+                logger.error(`On-chain role check for ${address} failed:`, error);
+            }
+        }
+
+        summary.open = await RoleDiscrepancy.countDocuments({ resolvedAt: null });
+        summary.finishedAt = new Date();
+        this.lastScan = summary;
+
+        return summary;
+    }
+
+    // Record a discrepancy for each role whose on-chain state differs from the expected one
+    async checkAddress(address) {
+        const { user, roles } = await this.expectationFor(address);
+        const held = await blockchainService.getRolesOf(address, ONCHAIN_ROLES);
+        const now = new Date();
+        const mismatched = [];
+
+        for (const role of ONCHAIN_ROLES) {
+            const expected = roles.includes(role);
+            const actual = held.includes(role);
+
+            if (expected === actual) continue;
+            mismatched.push(role);
+
+            await RoleDiscrepancy.findOneAndUpdate(
+                { address, role, resolvedAt: null },
+                {
+                    $set: {
+                        expected,
+                        actual,
+                        user: user ? user._id : undefined,
+                        institution: user ? user.institution : undefined,
+                        lastCheckedAt: now
+                    },
+                    $setOnInsert: { detectedAt: now }
+                },
+                { upsert: true }
+            );
+        }
+
+        // Drift that went away without a fix from here, e.g. a role changed directly on chain
+        await RoleDiscrepancy.updateMany(
+            { address, role: { $nin: mismatched }, resolvedAt: null },
+            { $set: { resolvedAt: now, resolution: DISCREPANCY_RESOLUTIONS.CLEARED, lastCheckedAt: now } }
+        );
+    }
+
+    // Apply the expected state of one discrepancy on chain
+    async fix(discrepancy, resolvedBy) {
+        if (discrepancy.resolvedAt) {
+            throw new AppError('Discrepancy is already resolved', 400);
+        }
+
+        const { roles } = await this.expectationFor(discrepancy.address);
+        const expected = roles.includes(discrepancy.role);
+        const [actual] = await blockchainService.getRolesOf(discrepancy.address, [discrepancy.role]);
+
+        discrepancy.expected = expected;
+        discrepancy.actual = Boolean(actual);
+        discrepancy.lastCheckedAt = new Date();
+        discrepancy.resolvedBy = resolvedBy._id;
+
+        // The account changed since the scan and the chain already matches it
+        if (expected === discrepancy.actual) {
+            discrepancy.resolvedAt = new Date();
+            discrepancy.resolution = DISCREPANCY_RESOLUTIONS.CLEARED;
+            return discrepancy.save();
+        }
+
+        try {
+            const tx = expected
+                ? await blockchainService.grantRoleOnChain(discrepancy.role, discrepancy.address)
+                : await blockchainService.revokeRoleOnChain(discrepancy.role, discrepancy.address);
+
+            discrepancy.actual = expected;
+            discrepancy.fixTxHash = tx.transactionHash;
+            discrepancy.resolvedAt = new Date();
+            discrepancy.resolution = DISCREPANCY_RESOLUTIONS.FIXED;
+            discrepancy.lastError = undefined;
+        } catch (error) {
+            discrepancy.lastError = error.message;
+            await discrepancy.save();
+            throw error;
+        }
+
+        logger.info(`On-chain role ${discrepancy.role} ${expected ? 'granted to' : 'revoked from'} ${discrepancy.address} by ${resolvedBy.email}`);
+
+        return discrepancy.save();
+    }
+
+    // Fix every open discrepancy matching the filter, one transaction at a time
+    async fixAll(filter, resolvedBy) {
+        const open = await RoleDiscrepancy.find({ ...filter, resolvedAt: null }).sort({ detectedAt: 1 });
+        const result = { fixed: 0, failed: [] };
+
+        for (const discrepancy of open) {
+            try {
+                await this.fix(discrepancy, resolvedBy);
+                result.fixed++;
+            } catch (error) {
+                result.failed.push({ id: discrepancy._id, address: discrepancy.address, role: discrepancy.role, error: error.message });
+            }
+        }
+
+        return result;
+    }
+}
+
+// Create singleton instance
+const roleSyncService = new RoleSyncService();
+
+module.exports = roleSyncService;
@@ -0,0 +1,158 @@
+const jwt = require('jsonwebtoken');
+const { Session, SESSION_REVOKE_REASONS } = require('../models/Session');
+const { User } = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+
+class SessionService {
+    constructor() {
+        this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+        this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    }
+
+    // Start a session for a user who just authenticated and issue its token pair
+    async create(user, req) {
+        const session = new Session({
+            user: user._id,
+            userAgent: req.headers['user-agent'],
+            device: parseUserAgent(req.headers['user-agent']),
+            ip: req.ip,
+            lastUsedIp: req.ip,
+            expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+        });
+        const refreshToken = session.generateRefreshToken();
+        await session.save();
+
+        return {
+            session,
+            accessToken: this.signAccessToken(user, session),
+            refreshToken
+        };
+    }
+
+    // Exchange a refresh token for a new token pair
+    async refresh(token, req) {
+        const parsed = Session.parseToken(token);
+
+        if (!parsed) {
+            throw new AppError('Invalid refresh token. Please log in again.', 401);
+        }
+
+        const rotated = await Session.rotateToken(parsed.sessionId, parsed.secret, req.ip);
+
+        if (!rotated) {
+            await this.detectReuse(parsed);
+            throw new AppError('Invalid or expired refresh token. Please log in again.', 401);
+        }
+
+        const { session, refreshToken } = rotated;
+        const user = await User.findById(session.user);
+
+        if (!user || !user.isActive) {
+            await this.revoke(session, SESSION_REVOKE_REASONS.ACCOUNT_DEACTIVATED);
+            throw new AppError('Your account has been deactivated. Please contact support.', 401);
+        }
+
+        return {
+            user,
+            session,
+            accessToken: this.signAccessToken(user, session),
+            refreshToken
+        };
+    }
+
+    // A rotated-out token being presented again means it leaked; end the whole session
+    async detectReuse({ sessionId, secret }) {
+        const session = await Session.findById(sessionId).select('+previousTokenHashes');
+
+        if (!session || session.revokedAt || !session.wasRotated(secret)) {
+            return;
+        }
+
+        await this.revoke(session, SESSION_REVOKE_REASONS.TOKEN_REUSE);
+        logger.warn(`Refresh token reuse detected, session ${session._id} of user ${session.user} revoked`);
+    }
+
+    // Check the session behind an access token is still usable
+    async findActive(sessionId, userId) {
+        const session = await Session.findOne({ _id: sessionId, user: userId });
+        return session && session.isActive ? session : null;
+    }
+
+    async revoke(session, reason = SESSION_REVOKE_REASONS.REVOKED) {
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+        await session.save();
+
+        notificationService.endSessionStreams(session.user, { sessionId: session._id });
+
+        return session;
+    }
+
+    // Record that the user just confirmed their identity again
+    async markReauthenticated(session) {
+        session.reauthenticatedAt = new Date();
+        await session.save();
+        return session;
+    }
+
+    // Revoke every active session of a user, optionally keeping one
+    async revokeAll(userId, reason = SESSION_REVOKE_REASONS.REVOKED, exceptSessionId) {
+        const filter = { user: userId, revokedAt: null };
+        if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+        const result = await Session.updateMany(filter, {
+            $set: { revokedAt: new Date(), revokedReason: reason }
+        });
+
+        notificationService.endSessionStreams(userId, { exceptSessionId });
+
+        return result.modifiedCount;
+    }
+
+    // Active sessions of a user, most recently used first
+    listActive(userId) {
+        return Session.find({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+    }
+
+    signAccessToken(user, session) {
+        return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+            expiresIn: this.accessTokenExpiresIn
+        });
+    }
+}
+
+// Rough browser and OS names for the session list
+const parseUserAgent = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/],
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ];
+
+    const match = (candidates) => (candidates.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown'])[0];
+
+    return {
+        browser: match(browsers),
+        os: match(systems)
+    };
+};
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+module.exports = sessionService;
@@ -0,0 +1,134 @@
+const { ethers } = require('ethers');
+const { AuthNonce, NONCE_PURPOSES } = require('../models/AuthNonce');
+const { AppError } = require('../middleware/errorHandler');
+const { SIWE_VERSION, parseSiweMessage } = require('../utils/siwe');
+const logger = require('../utils/logger');
+
+// Statement shown in the wallet for each purpose
+const STATEMENTS = {
+    [NONCE_PURPOSES.LOGIN]: 'Sign in to Certificate Manager.',
+    [NONCE_PURPOSES.WALLET_LINK]: 'Link this wallet to your Certificate Manager account.'
+};
+
+class SiweService {
+    constructor() {
+        const frontendUrl = new URL(process.env.FRONTEND_URL || 'http://localhost:3000');
+
+        // Messages must be issued for the site the user is actually on
+        this.domain = process.env.SIWE_DOMAIN || frontendUrl.host;
+        this.uri = process.env.SIWE_URI || frontendUrl.origin;
+        this.chainIds = (process.env.SIWE_CHAIN_IDS || '1337')
+            .split(',')
+            .map(id => parseInt(id.trim(), 10))
+            .filter(Number.isInteger);
+        this.nonceExpiresMinutes = parseInt(process.env.SIWE_NONCE_EXPIRES_MINUTES) || 5;
+    }
+
+    // Issue a single-use nonce and the message fields the wallet should sign
+    async issueNonce({ chainId, purpose = NONCE_PURPOSES.LOGIN, userId, ip } = {}) {
+        const requestedChainId = chainId === undefined || chainId === '' ? this.chainIds[0] : parseInt(chainId, 10);
+
+        if (!this.chainIds.includes(requestedChainId)) {
+            throw new AppError(`Chain ID ${chainId} is not supported. Supported: ${this.chainIds.join(', ')}`, 400);
+        }
+
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.nonceExpiresMinutes * 60 * 1000);
+
+        const nonce = await AuthNonce.create({
+            nonce: AuthNonce.generateNonce(),
+            purpose,
+            user: userId,
+            domain: this.domain,
+            uri: this.uri,
+            chainId: requestedChainId,
+            issuedAt,
+            expiresAt,
+            ip
+        });
+
+        return {
+            domain: nonce.domain,
+            uri: nonce.uri,
+            version: SIWE_VERSION,
+            chainId: nonce.chainId,
+            nonce: nonce.nonce,
+            statement: STATEMENTS[purpose],
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        };
+    }
+
+    // Check a signed message and use up its nonce; returns the lowercase signing address and chain
+    async verify(message, signature, { purpose = NONCE_PURPOSES.LOGIN, userId = null } = {}) {
+        if (!message || !signature) {
+            throw new AppError('A signed sign-in message and its signature are required', 400);
+        }
+
+        let fields;
+        try {
+            fields = parseSiweMessage(message);
+        } catch (error) {
+            throw new AppError(`Invalid sign-in message: ${error.message}`, 400);
+        }
+
+        if (fields.domain !== this.domain || fields.uri !== this.uri) {
+            throw new AppError('Sign-in message was issued for a different site', 401);
+        }
+
+        if (!this.chainIds.includes(fields.chainId)) {
+            throw new AppError(`Chain ID ${fields.chainId} is not supported`, 401);
+        }
+
+        // EIP-4361 requires the checksummed address
+        let checksummed;
+        try {
+            checksummed = ethers.getAddress(fields.address);
+        } catch (error) {
+            checksummed = null;
+        }
+        if (checksummed !== fields.address) {
+            throw new AppError('Sign-in message address must be EIP-55 checksummed', 400);
+        }
+
+        let recoveredAddress;
+        try {
+            recoveredAddress = ethers.verifyMessage(message, signature);
+        } catch (error) {
+            throw new AppError('Invalid wallet signature', 401);
+        }
+        if (recoveredAddress !== checksummed) {
+            throw new AppError('Invalid wallet signature', 401);
+        }
+
+        const now = Date.now();
+        if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+            throw new AppError('Sign-in message has expired. Please sign in again.', 401);
+        }
+        if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+            throw new AppError('Sign-in message is not valid yet', 401);
+        }
+
+        // Only now use up the nonce, so a replayed or forged message cannot burn it first
+        const nonce = await AuthNonce.consume(fields.nonce, purpose, userId);
+
+        if (!nonce) {
+            logger.warn(`Rejected sign-in message with unknown, expired or used nonce for ${checksummed}`);
+            throw new AppError('Sign-in nonce is invalid, expired or already used. Please sign in again.', 401);
+        }
+
+        if (nonce.domain !== fields.domain || nonce.uri !== fields.uri || nonce.chainId !== fields.chainId) {
+            throw new AppError('Sign-in message does not match the issued nonce', 401);
+        }
+
+        return {
+            address: checksummed.toLowerCase(),
+            chainId: fields.chainId
+        };
+    }
+}
+
+// Create singleton instance
+const siweService = new SiweService();
+
+module.exports = siweService;
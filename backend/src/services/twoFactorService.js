@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User } = require('../models/User');
+const { SecurityPolicy, DEFAULT_SECURITY_POLICY } = require('../models/SecurityPolicy');
+const { AppError } = require('../middleware/errorHandler');
+const encryptionService = require('../utils/encryption');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+// Purpose claim of the short-lived token handed out between password and code
+const LOGIN_CHALLENGE_PURPOSE = '2fa_login';
+
+class TwoFactorService {
+    constructor() {
+        this.issuer = process.env.TWO_FACTOR_ISSUER || 'Certificate Manager';
+        this.challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+        this.recoveryCodeCount = 10;
+
+        // Policies are read on every authenticated request, so keep them briefly
+        this.policyCache = new Map();
+        this.policyCacheMs = 60 * 1000;
+    }
+
+    // Effective policy of an institution, falling back to the platform default
+    async getPolicy(institutionId) {
+        const cacheKey = String(institutionId || 'platform');
+        const cached = this.policyCache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.policy;
+        }
+
+        const policy = (institutionId && await SecurityPolicy.findOne({ institution: institutionId }).lean())
+            || await SecurityPolicy.findOne({ institution: null }).lean()
+            || DEFAULT_SECURITY_POLICY;
+
+        this.policyCache.set(cacheKey, { policy, expiresAt: Date.now() + this.policyCacheMs });
+
+        return policy;
+    }
+
+    async updatePolicy(institutionId, updates, user) {
+        const policy = await SecurityPolicy.findOneAndUpdate(
+            { institution: institutionId || null },
+            { ...updates, institution: institutionId || undefined, updatedBy: user._id },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        this.policyCache.clear();
+
+        return policy;
+    }
+
+    // Whether the user's role must use two-factor authentication
+    async isRequiredFor(user) {
+        const policy = await this.getPolicy(user.institution);
+        return policy.twoFactorRequiredRoles.includes(user.role);
+    }
+
+    // Start enrollment: store a pending secret and return what the authenticator app needs
+    async beginEnrollment(user) {
+        if (user.twoFactor.enabled) {
+            throw new AppError('Two-factor authentication is already enabled', 400);
+        }
+
+        const secret = totp.generateSecret();
+        const otpauthUrl = totp.buildProvisioningUri({
+            secret,
+            accountName: user.email,
+            issuer: this.issuer
+        });
+
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    // Finish enrollment with a code from the app; returns the recovery codes to show once
+    async confirmEnrollment(user, code) {
+        const record = await User.findById(user._id).select('+twoFactor.pendingSecret');
+
+        if (!record.twoFactor.pendingSecret) {
+            throw new AppError('Start two-factor setup before confirming it', 400);
+        }
+
+        const secret = decryptSecret(record.twoFactor.pendingSecret);
+        const step = totp.verifyCode(secret, code);
+
+        if (step === null) {
+            throw new AppError('Invalid two-factor code', 400);
+        }
+
+        const recoveryCodes = generateRecoveryCodes(this.recoveryCodeCount);
+
+        record.twoFactor.enabled = true;
+        record.twoFactor.enabledAt = new Date();
+        record.twoFactor.secret = record.twoFactor.pendingSecret;
+        record.twoFactor.pendingSecret = undefined;
+        record.twoFactor.lastUsedStep = step;
+        record.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        await record.save({ validateBeforeSave: false });
+
+        logger.info(`Two-factor authentication enabled for ${record.email}`);
+
+        return recoveryCodes;
+    }
+
+    // Check an authenticator or recovery code; recovery codes are used up
+    async verify(user, code) {
+        const record = await User.findById(user._id)
+            .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+        if (!record || !record.twoFactor.enabled) {
+            throw new AppError('Two-factor authentication is not enabled', 400);
+        }
+
+        const step = totp.verifyCode(decryptSecret(record.twoFactor.secret), code, {
+            lastUsedStep: record.twoFactor.lastUsedStep
+        });
+
+        if (step !== null) {
+            // Only one request can claim a time step
+            const claimed = await User.updateOne(
+                {
+                    _id: record._id,
+                    $or: [
+                        { 'twoFactor.lastUsedStep': { $lt: step } },
+                        { 'twoFactor.lastUsedStep': { $exists: false } }
+                    ]
+                },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+
+            if (claimed.modifiedCount === 1) {
+                return { method: 'totp' };
+            }
+        }
+
+        const codeHash = hashRecoveryCode(code);
+        const consumed = await User.updateOne(
+            { _id: record._id, 'twoFactor.recoveryCodes': codeHash },
+            { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+        );
+
+        if (consumed.modifiedCount === 1) {
+            const remaining = record.twoFactor.recoveryCodes.length - 1;
+            logger.warn(`Recovery code used by ${record.email}, ${remaining} remaining`);
+            return { method: 'recovery', remainingRecoveryCodes: remaining };
+        }
+
+        throw new AppError('Invalid two-factor code', 401);
+    }
+
+    async regenerateRecoveryCodes(user) {
+        if (!user.twoFactor.enabled) {
+            throw new AppError('Two-factor authentication is not enabled', 400);
+        }
+
+        const recoveryCodes = generateRecoveryCodes(this.recoveryCodeCount);
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+        );
+
+        return recoveryCodes;
+    }
+
+    async countRecoveryCodes(user) {
+        const record = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+        return record.twoFactor.recoveryCodes ? record.twoFactor.recoveryCodes.length : 0;
+    }
+
+    async disable(user) {
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: { 'twoFactor.enabled': false },
+                $unset: {
+                    'twoFactor.secret': '',
+                    'twoFactor.pendingSecret': '',
+                    'twoFactor.recoveryCodes': '',
+                    'twoFactor.lastUsedStep': '',
+                    'twoFactor.enabledAt': ''
+                }
+            }
+        );
+    }
+
+    // Token proving the password step succeeded, exchanged for a session with a code
+    createLoginChallenge(user) {
+        return jwt.sign({ id: user._id, purpose: LOGIN_CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+            expiresIn: this.challengeExpiresIn
+        });
+    }
+
+    verifyLoginChallenge(token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            if (decoded.purpose !== LOGIN_CHALLENGE_PURPOSE) {
+                throw new Error('Wrong token purpose');
+            }
+
+            return decoded.id;
+        } catch (error) {
+            throw new AppError('Your login attempt has expired. Please sign in again.', 401);
+        }
+    }
+}
+
+// Recovery codes look like 1a2b3-c4d5e and are stored as hashes
+const generateRecoveryCodes = (count) => Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code || '').toLowerCase().replace(/[^0-9a-f]/g, ''))
+    .digest('hex');
+
+const deriveSecretKey = (salt) => {
+    const secret = process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET;
+
+    if (!secret) {
+        throw new AppError('Two-factor authentication is not configured', 500);
+    }
+
+    return encryptionService.deriveKeyFromPassword(secret, salt);
+};
+
+const encryptSecret = (secret) => {
+    const salt = encryptionService.generateSalt();
+    const encrypted = encryptionService.encrypt(Buffer.from(secret, 'utf8'), deriveSecretKey(salt));
+
+    return { ...encrypted, salt: salt.toString('base64') };
+};
+
+const decryptSecret = ({ salt, ...encrypted }) => encryptionService
+    .decrypt(encrypted, deriveSecretKey(Buffer.from(salt, 'base64')))
+    .toString('utf8');
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
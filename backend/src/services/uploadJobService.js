@@ -0,0 +1,302 @@
+const { Certificate } = require('../models/Certificate');
+const { Upload, UPLOAD_STATUS, ROW_STATUS } = require('../models/Upload');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const ipfsService = require('./ipfsService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const encryptionService = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { assignTenant } = require('../utils/tenant');
+
+class UploadJobService {
+    constructor() {
+        this.queue = [];
+        this.running = false;
+        this.concurrency = parseInt(process.env.UPLOAD_COMMIT_CONCURRENCY) || 5;
+        // Runs a job may start, counting restarts that resume it, before it is failed
+        this.maxAttempts = parseInt(process.env.UPLOAD_JOB_MAX_ATTEMPTS) || 3;
+    }
+
+    // Queue an upload for certificate creation
+    enqueue(uploadId) {
+        const id = uploadId.toString();
+
+        if (!this.queue.includes(id)) {
+            this.queue.push(id);
+            logger.info(`Upload job queued: ${id} (${this.queue.length} in queue)`);
+        }
+
+        setImmediate(() => this.processNext());
+    }
+
+    // Re-queue jobs interrupted by a restart
+    async resumePendingJobs() {
+        try {
+            const uploads = await Upload.find({
+                status: { $in: [UPLOAD_STATUS.QUEUED, UPLOAD_STATUS.PROCESSING] }
+            }).select('_id uploadId');
+
+            uploads.forEach(upload => this.enqueue(upload._id));
+
+            if (uploads.length > 0) {
+                logger.info(`Resuming ${uploads.length} interrupted upload job(s)`);
+            }
+
+            return uploads.length;
+        } catch (error) {
+            logger.error('Failed to resume upload jobs:', error);
+            return 0;
+        }
+    }
+
+    // Process queued uploads one at a time
+    async processNext() {
+        if (this.running || this.queue.length === 0) {
+            return;
+        }
+
+        this.running = true;
+        const uploadId = this.queue.shift();
+
+        try {
+            await this.processUpload(uploadId);
+        } catch (error) {
+            logger.error(`Upload job failed: ${uploadId}`, error);
+            await this.markFailed(uploadId, error.message).catch(markError => {
+                logger.error(`Failed to record upload job failure: ${uploadId}`, markError);
+            });
+        } finally {
+            this.running = false;
+            setImmediate(() => this.processNext());
+        }
+    }
+
+    // Create certificates for every pending row of an upload
+    async processUpload(uploadId) {
+        const upload = await Upload.findById(uploadId)
+            .select('+rows')
+            .populate('uploadedBy', 'email')
+            .populate('institutionId', 'name');
+
+        if (!upload) {
+            logger.warn(`Upload job skipped, upload not found: ${uploadId}`);
+            return;
+        }
+
+        // A job that keeps getting interrupted, e.g. by crashing the server, is not resumed forever
+        if (upload.job.attempts >= this.maxAttempts) {
+            return this.markFailed(upload._id, `Stopped after ${upload.job.attempts} interrupted attempts`);
+        }
+
+        // Rows already created (e.g. before a crash) are skipped, failed rows are retried
+        const pendingRows = upload.rows.filter(row => row.outcome.status !== ROW_STATUS.CREATED);
+        const alreadyCreated = upload.rows.length - pendingRows.length;
+
+        await Upload.updateOne(
+            { _id: upload._id },
+            {
+                $set: {
+                    status: UPLOAD_STATUS.PROCESSING,
+                    'job.startedAt': upload.job.startedAt || new Date(),
+                    'job.heartbeatAt': new Date(),
+                    'job.processed': alreadyCreated,
+                    'job.succeeded': alreadyCreated,
+                    'job.failed': 0
+                },
+                $inc: { 'job.attempts': 1 }
+            }
+        );
+
+        logger.info(`Processing upload ${upload.uploadId}: ${pendingRows.length} pending rows, concurrency ${this.concurrency}`);
+
+        await runWithConcurrency(pendingRows, this.concurrency, row => this.processRow(upload, row));
+
+        // Recount from persisted outcomes so resumed jobs report accurate totals
+        const finished = await Upload.findById(upload._id).select('+rows');
+        const succeeded = finished.rows.filter(row => row.outcome.status === ROW_STATUS.CREATED).length;
+        const failed = finished.rows.filter(row => row.outcome.status === ROW_STATUS.FAILED).length;
+
+        finished.status = failed > 0 ? UPLOAD_STATUS.PARTIALLY_FAILED : UPLOAD_STATUS.CERTIFICATES_CREATED;
+        finished.job.processed = succeeded + failed;
+        finished.job.succeeded = succeeded;
+        finished.job.failed = failed;
+        finished.job.finishedAt = new Date();
+        finished.job.error = undefined;
+        await finished.save();
+
+        logger.info(`Upload job completed: ${upload.uploadId}, ${succeeded} created, ${failed} failed`);
+
+        const created = succeeded - alreadyCreated;
+        const notifications = [notificationService.uploadCompleted(finished)];
+        if (created > 0) {
+            notifications.push(notificationService.certificatesAwaitingVerification(created, upload.uploadedBy._id, upload.file.originalName, upload.institutionId && upload.institutionId._id));
+        }
+        await Promise.all(notifications).catch(error => {
+            logger.error(`Upload notifications failed for ${upload.uploadId}:`, error);
+        });
+    }
+
+    // Stop a job for good and tell the uploader, who can commit the upload again to retry the remaining rows
+    async markFailed(uploadId, message) {
+        const upload = await Upload.findOneAndUpdate(
+            { _id: uploadId },
+            {
+                $set: {
+                    status: UPLOAD_STATUS.FAILED,
+                    'job.error': message,
+                    'job.finishedAt': new Date()
+                }
+            },
+            { new: true }
+        );
+
+        if (!upload) return;
+
+        logger.warn(`Upload job failed: ${upload.uploadId}: ${message}`);
+
+        await notificationService.uploadCompleted(upload).catch(error => {
+            logger.error(`Upload notifications failed for ${upload.uploadId}:`, error);
+        });
+    }
+
+    // Create a single certificate and record the row outcome
+    async processRow(upload, row) {
+        let outcome;
+
+        try {
+            const certificate = await this.findOrCreateCertificate(upload, row);
+            outcome = {
+                status: ROW_STATUS.CREATED,
+                certificate: certificate._id,
+                processedAt: new Date()
+            };
+        } catch (error) {
+            logger.warn(`Upload ${upload.uploadId} row ${row.rowIndex} failed: ${error.message}`);
+            outcome = {
+                status: ROW_STATUS.FAILED,
+                error: error.message,
+                processedAt: new Date()
+            };
+        }
+
+        const counter = outcome.status === ROW_STATUS.CREATED ? 'job.succeeded' : 'job.failed';
+
+        await Upload.updateOne(
+            { _id: upload._id, 'rows._id': row._id },
+            {
+                $set: {
+                    'rows.$.outcome': outcome,
+                    'job.heartbeatAt': new Date()
+                },
+                $inc: {
+                    'job.processed': 1,
+                    [counter]: 1
+                }
+            }
+        );
+    }
+
+    // Reuse a certificate created before an interruption instead of duplicating it
+    async findOrCreateCertificate(upload, row) {
+        const existing = await Certificate.findOne({
+            'metadata.uploadId': upload.uploadId,
+            'metadata.uploadRowIndex': row.rowIndex
+        });
+
+        if (existing) {
+            return existing;
+        }
+
+        const certData = row.data;
+        const uploader = upload.uploadedBy;
+
+        // Transform upload data to certificate format, under the uploader's institution
+        const certificateData = assignTenant({
+            title: `Certificate - ${certData.subject}`,
+            type: certData.certificateType || 'academic',
+            recipient: {
+                studentId: certData.studentId,
+                name: certData.name,
+                email: certData.email || undefined,
+                walletAddress: certData.walletAddress || undefined
+            },
+            institution: {
+                name: certData.institution,
+                department: certData.department
+            },
+            course: {
+                subject: certData.subject,
+                grade: certData.grade,
+                credits: certData.credits,
+                duration: certData.duration,
+                completionDate: certData.completionDate
+            },
+            metadata: {
+                batchId: upload.batchId,
+                uploadId: upload.uploadId,
+                uploadRowIndex: row.rowIndex,
+                source: `${upload.source}_upload`
+            }
+        }, upload.institutionId);
+
+        // Generate certificate hash
+        const certificateHash = encryptionService.generateCertificateHash(certificateData);
+
+        // Encrypt certificate data
+        const encryptionPassword = encryptionService.generateSecurePassword();
+        const encryptedCertificate = encryptionService.encryptCertificate(
+            certificateData,
+            encryptionPassword
+        );
+
+        // Upload to IPFS
+        const ipfsResult = await ipfsService.uploadJSON(encryptedCertificate, {
+            name: `certificate-${certificateHash}`,
+            keyvalues: {
+                certificateId: certificateHash,
+                type: 'encrypted-certificate',
+                creator: uploader.email,
+                batchId: upload.batchId
+            }
+        });
+
+        // Create certificate record
+        const certificate = await Certificate.create({
+            ...certificateData,
+            creator: uploader._id,
+            blockchain: {
+                certificateHash,
+                network: 'Ganache'
+            },
+            ipfs: {
+                cid: ipfsResult.cid,
+                encryptionKey: encryptionPassword,
+                isEncrypted: true
+            }
+        });
+
+        await certificate.addHistoryEntry('created', uploader._id, `Certificate created from upload ${upload.uploadId}`);
+        webhookService.emit(WEBHOOK_EVENTS.CREATED, certificate, { actor: uploader, details: `Upload ${upload.uploadId}` });
+
+        return certificate;
+    }
+}
+
+// Run an async worker over items with at most `limit` in flight
+const runWithConcurrency = async (items, limit, worker) => {
+    let next = 0;
+
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+
+    await Promise.all(lanes);
+};
+
+// Create singleton instance
+const uploadJobService = new UploadJobService();
+
+module.exports = uploadJobService;
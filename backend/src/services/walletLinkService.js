@@ -0,0 +1,133 @@
+const { User } = require('../models/User');
+const { WalletLink, WALLET_UNLINK_REASONS, ONCHAIN_ROLE_STATUS } = require('../models/WalletLink');
+const { NONCE_PURPOSES } = require('../models/AuthNonce');
+const { AppError } = require('../middleware/errorHandler');
+const siweService = require('./siweService');
+const blockchainService = require('./blockchainService');
+const roleSyncService = require('./roleSyncService');
+const logger = require('../utils/logger');
+
+class WalletLinkService {
+    // Challenge the user signs with the wallet they want to link
+    issueChallenge(user, { chainId, ip } = {}) {
+        return siweService.issueNonce({
+            chainId,
+            purpose: NONCE_PURPOSES.WALLET_LINK,
+            userId: user._id,
+            ip
+        });
+    }
+
+    // Link the wallet that signed the challenge, replacing any wallet already linked
+    async link(user, { message, signature, ip }) {
+        const { address, chainId } = await siweService.verify(message, signature, {
+            purpose: NONCE_PURPOSES.WALLET_LINK,
+            userId: user._id
+        });
+
+        if (user.walletAddress === address) {
+            throw new AppError('This wallet is already linked to your account', 400);
+        }
+
+        if (await User.exists({ walletAddress: address, _id: { $ne: user._id } })) {
+            throw new AppError('This wallet is linked to another account', 409);
+        }
+
+        const previous = await WalletLink.findActive(user._id);
+
+        await User.updateOne({ _id: user._id }, { $set: { walletAddress: address } });
+
+        if (previous) {
+            await this.closeLink(previous, WALLET_UNLINK_REASONS.REPLACED);
+        }
+
+        const link = await WalletLink.create({
+            user: user._id,
+            address,
+            chainId,
+            linkedIp: ip
+        });
+
+        logger.info(`Wallet ${address} ${previous ? `replaced ${previous.address} ` : ''}linked to ${user.email}`);
+
+        this.grantOnChainRole(link, user).catch(error => {
+            logger.error(`On-chain role grant for wallet ${address} failed:`, error);
+        });
+
+        return link;
+    }
+
+    // Remove the linked wallet from the account
+    async unlink(user) {
+        if (!user.walletAddress) {
+            throw new AppError('No wallet is linked to your account', 400);
+        }
+
+        const link = await WalletLink.findActive(user._id);
+
+        await User.updateOne({ _id: user._id }, { $unset: { walletAddress: '' } });
+
+        if (link) {
+            await this.closeLink(link, WALLET_UNLINK_REASONS.UNLINKED);
+        }
+
+        logger.info(`Wallet ${user.walletAddress} unlinked from ${user.email}`);
+    }
+
+    // Wallets the user has linked, newest first
+    history(userId) {
+        return WalletLink.find({ user: userId }).sort({ linkedAt: -1 });
+    }
+
+    // End a link and take back the on-chain role it was granted
+    async closeLink(link, reason) {
+        link.unlinkedAt = new Date();
+        link.unlinkReason = reason;
+        await link.save();
+
+        if (link.onChainRole && link.onChainRole.status === ONCHAIN_ROLE_STATUS.GRANTED) {
+            this.revokeOnChainRole(link).catch(error => {
+                logger.error(`On-chain role revocation for wallet ${link.address} failed:`, error);
+            });
+        }
+    }
+
+    // Grant the on-chain role matching the user's app role to a newly linked wallet
+    async grantOnChainRole(link, user) {
+        const role = roleSyncService.onChainRoleFor(user);
+
+        if (!roleSyncService.enabled || !role) {
+            return;
+        }
+
+        link.onChainRole = { role, status: ONCHAIN_ROLE_STATUS.PENDING, updatedAt: new Date() };
+        await link.save();
+
+        try {
+            const result = await blockchainService.grantRoleOnChain(role, link.address);
+
+            link.onChainRole.status = ONCHAIN_ROLE_STATUS.GRANTED;
+            link.onChainRole.grantTxHash = result.transactionHash;
+        } catch (error) {
+            link.onChainRole.status = ONCHAIN_ROLE_STATUS.FAILED;
+            link.onChainRole.error = error.message;
+        }
+
+        link.onChainRole.updatedAt = new Date();
+        await link.save();
+    }
+
+    async revokeOnChainRole(link) {
+        const result = await blockchainService.revokeRoleOnChain(link.onChainRole.role, link.address);
+
+        link.onChainRole.status = ONCHAIN_ROLE_STATUS.REVOKED;
+        link.onChainRole.revokeTxHash = result.transactionHash;
+        link.onChainRole.updatedAt = new Date();
+        await link.save();
+    }
+}
+
+// Create singleton instance
+const walletLinkService = new WalletLinkService();
+
+module.exports = walletLinkService;
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { Webhook, ALL_EVENTS } = require('../models/Webhook');
+const { WebhookDelivery, WEBHOOK_DELIVERY_STATUS } = require('../models/WebhookDelivery');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Header carrying the payload signature
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Longest response body kept on a delivery attempt
+const MAX_RESPONSE_LENGTH = 1024;
+
+class WebhookService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        this.backoffBase = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS) || 30 * 1000;
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+        this.interval = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 30 * 1000;
+    }
+
+    // Poll for deliveries whose retry is due
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.timer.unref();
+
+        logger.info(`Webhook retry job scheduled every ${Math.round(this.interval / 1000)}s`);
+
+        this.run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const due = await WebhookDelivery.find({
+                status: WEBHOOK_DELIVERY_STATUS.PENDING,
+                nextAttemptAt: { $lte: new Date() }
+            }).select('_id').limit(100);
+
+            for (const { _id } of due) {
+                await this.attemptDelivery(_id);
+            }
+        } catch (error) {
+            logger.error('Webhook retry job failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Queue an event for every subscribed webhook without blocking the caller
+    emit(event, certificate, { actor, details } = {}) {
+        const payload = buildPayload(event, certificate, actor, details);
+
+        this.dispatch(payload, certificate).catch(error => {
+            logger.error(`Webhook dispatch failed for ${event} (${certificate.certificateId}):`, error);
+        });
+    }
+
+    // Institution webhooks receive their own certificates' events, platform-wide webhooks all of them
+    async dispatch(payload, certificate) {
+        const webhooks = await Webhook.find({
+            isActive: true,
+            events: { $in: [payload.type, ALL_EVENTS] },
+            institutionId: { $in: [certificate.institutionId || null, null] }
+        }).select('_id institutionId');
+
+        if (webhooks.length === 0) return [];
+
+        const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            eventId: payload.id,
+            event: payload.type,
+            payload,
+            certificate: certificate._id,
+            institutionId: webhook.institutionId,
+            nextAttemptAt: new Date()
+        })));
+
+        await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery._id)));
+
+        return deliveries;
+    }
+
+    // Send a pending delivery once and schedule a retry if it fails
+    async attemptDelivery(deliveryId) {
+        const now = Date.now();
+
+        // Claim the delivery so the retry job and the initial send never overlap
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            {
+                _id: deliveryId,
+                status: WEBHOOK_DELIVERY_STATUS.PENDING,
+                nextAttemptAt: { $lte: new Date(now) }
+            },
+            { $set: { nextAttemptAt: new Date(now + this.timeout * 2) } },
+            { new: true }
+        );
+
+        if (!delivery) return null;
+
+        const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+        if (!webhook || !webhook.isActive) {
+            delivery.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+            delivery.lastError = 'Webhook is disabled or was deleted';
+            delivery.nextAttemptAt = undefined;
+            await delivery.save();
+            return delivery;
+        }
+
+        const attempt = await this.send(webhook, delivery);
+        delivery.attempts.push(attempt);
+
+        if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+            delivery.status = WEBHOOK_DELIVERY_STATUS.DELIVERED;
+            delivery.deliveredAt = new Date();
+            delivery.lastError = undefined;
+            delivery.nextAttemptAt = undefined;
+        } else {
+            delivery.lastError = attempt.error || `Endpoint responded with ${attempt.statusCode}`;
+
+            if (delivery.attempts.length >= this.maxAttempts) {
+                delivery.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+                delivery.nextAttemptAt = undefined;
+                logger.warn(`Webhook delivery ${delivery._id} to ${webhook.url} failed after ${delivery.attempts.length} attempts`);
+            } else {
+                delivery.nextAttemptAt = new Date(Date.now() + this.getBackoff(delivery.attempts.length));
+            }
+        }
+
+        await delivery.save();
+
+        await Webhook.updateOne(
+            { _id: webhook._id },
+            { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: attempt.statusCode ? String(attempt.statusCode) : 'error' } }
+        );
+
+        return delivery;
+    }
+
+    // POST the signed payload and record the outcome
+    async send(webhook, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CertificateManager-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Delivery': delivery._id.toString(),
+                    [SIGNATURE_HEADER]: this.sign(webhook.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            const responseBody = await response.text().catch(() => '');
+
+            return {
+                statusCode: response.status,
+                responseBody: responseBody.slice(0, MAX_RESPONSE_LENGTH),
+                duration: Date.now() - started
+            };
+        } catch (error) {
+            return {
+                error: error.name === 'TimeoutError' ? `Timed out after ${this.timeout}ms` : error.message,
+                duration: Date.now() - started
+            };
+        }
+    }
+
+    // Signature over "<timestamp>.<body>" so receivers can reject replays
+    sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        return `t=${timestamp},v1=${digest}`;
+    }
+
+    // Exponential backoff: base, 2x base, 4x base, ...
+    getBackoff(attempts) {
+        return this.backoffBase * Math.pow(2, attempts - 1);
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    // Send an earlier delivery's payload again as a new delivery
+    async redeliver(deliveryId, scope = {}) {
+        const original = await WebhookDelivery.findOne({ ...scope, _id: deliveryId });
+
+        if (!original) {
+            throw new AppError('Delivery not found', 404);
+        }
+
+        const webhook = await Webhook.findById(original.webhook);
+
+        if (!webhook) {
+            throw new AppError('Webhook no longer exists', 404);
+        }
+
+        if (!webhook.isActive) {
+            throw new AppError('Webhook is disabled', 400);
+        }
+
+        const delivery = await WebhookDelivery.create({
+            webhook: original.webhook,
+            eventId: original.eventId,
+            event: original.event,
+            payload: original.payload,
+            certificate: original.certificate,
+            institutionId: original.institutionId,
+            redeliveryOf: original._id,
+            nextAttemptAt: new Date()
+        });
+
+        return (await this.attemptDelivery(delivery._id)) || delivery;
+    }
+}
+
+// Event envelope sent to subscribers
+const buildPayload = (event, certificate, actor, details) => ({
+    id: crypto.randomUUID(),
+    type: event,
+    createdAt: new Date().toISOString(),
+    data: {
+        certificate: {
+            id: certificate._id.toString(),
+            certificateId: certificate.certificateId,
+            title: certificate.title,
+            type: certificate.type,
+            status: certificate.status,
+            version: certificate.version,
+            recipient: {
+                name: certificate.recipient.name,
+                email: certificate.recipient.email,
+                studentId: certificate.recipient.studentId
+            },
+            institution: certificate.institution.name,
+            course: certificate.course.subject,
+            issuedAt: certificate.issuer && certificate.issuer.issuedAt,
+            expiryDate: certificate.expiryDate,
+            verificationUrl: certificate.verificationUrl,
+            blockchain: {
+                onChainId: certificate.blockchain.onChainId,
+                transactionHash: certificate.blockchain.transactionHash
+            }
+        },
+        actor: actor ? { id: actor._id.toString(), email: actor.email } : null,
+        details: details || undefined
+    }
+});
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
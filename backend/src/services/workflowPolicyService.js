@@ -0,0 +1,155 @@
+const { WorkflowPolicy, DEFAULT_WORKFLOW_POLICY, SOD_RULES } = require('../models/WorkflowPolicy');
+const { CERTIFICATE_STATUS } = require('../models/Certificate');
+const { AppError } = require('../middleware/errorHandler');
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+class WorkflowPolicyService {
+    constructor() {
+        // Policies are read on every workflow action, so keep them briefly
+        this.policyCache = new Map();
+        this.policyCacheMs = 60 * 1000;
+    }
+
+    // Effective policy of an institution, falling back to the platform default
+    async getPolicy(institutionId) {
+        const cacheKey = String(institutionId || 'platform');
+        const cached = this.policyCache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.policy;
+        }
+
+        const policy = (institutionId && await WorkflowPolicy.findOne({ institution: institutionId }).lean())
+            || await WorkflowPolicy.findOne({ institution: null }).lean()
+            || DEFAULT_WORKFLOW_POLICY;
+
+        this.policyCache.set(cacheKey, { policy, expiresAt: Date.now() + this.policyCacheMs });
+
+        return policy;
+    }
+
+    async updatePolicy(institutionId, updates, user) {
+        const policy = await WorkflowPolicy.findOneAndUpdate(
+            { institution: institutionId || null },
+            { ...updates, institution: institutionId || undefined, updatedBy: user._id },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        this.policyCache.clear();
+
+        return policy;
+    }
+
+    // Approvals from distinct verifiers a certificate type needs before it is approved
+    requiredApprovals(policy, type) {
+        const quorum = policy.approvalQuorums.find(entry => entry.type === type);
+        return quorum ? quorum.approvals : 1;
+    }
+
+    // Everyone who approved the certificate, including the single verifier of older certificates
+    approverIds(certificate) {
+        const ids = (certificate.approvals || []).map(approval => idOf(approval.userId));
+        const verifierId = idOf(certificate.verifier && certificate.verifier.userId);
+
+        if (verifierId && certificate.status !== CERTIFICATE_STATUS.REJECTED) {
+            ids.push(verifierId);
+        }
+
+        return [...new Set(ids)];
+    }
+
+    // Rule the user would break by verifying the certificate, or null
+    verifyViolation(policy, user, certificate) {
+        if (policy.creatorCannotVerify && idOf(certificate.creator) === idOf(user)) {
+            return {
+                rule: SOD_RULES.CREATOR_CANNOT_VERIFY,
+                message: 'Separation of duties: the creator of a certificate cannot verify it'
+            };
+        }
+
+        if (this.approverIds(certificate).includes(idOf(user))) {
+            return {
+                rule: SOD_RULES.ONE_APPROVAL_PER_VERIFIER,
+                message: 'Separation of duties: you already approved this certificate; the remaining approvals must come from other verifiers'
+            };
+        }
+
+        return null;
+    }
+
+    // Rule the user would break by issuing the certificate, or null
+    issueViolation(policy, user, certificate) {
+        if (policy.verifierCannotIssue && this.approverIds(certificate).includes(idOf(user))) {
+            return {
+                rule: SOD_RULES.VERIFIER_CANNOT_ISSUE,
+                message: 'Separation of duties: a verifier who approved a certificate cannot issue it'
+            };
+        }
+
+        return null;
+    }
+
+    assertCanVerify(policy, user, certificate) {
+        const violation = this.verifyViolation(policy, user, certificate);
+        if (violation) {
+            throw new AppError(violation.message, 403, violation.rule);
+        }
+    }
+
+    assertCanIssue(policy, user, certificate) {
+        const violation = this.issueViolation(policy, user, certificate);
+        if (violation) {
+            throw new AppError(violation.message, 403, violation.rule);
+        }
+    }
+
+    // Which workflow actions the user can take on a certificate and why not
+    async describe(certificate, user) {
+        const policy = await this.getPolicy(certificate.institutionId);
+        const permissions = user.permissions || [];
+
+        const describeAction = (permission, status, statusReason, violation) => {
+            if (!permissions.includes(permission)) {
+                return { allowed: false, rule: null, reason: `Requires the ${permission} permission` };
+            }
+            if (certificate.status !== status) {
+                return { allowed: false, rule: null, reason: statusReason };
+            }
+            if (violation) {
+                return { allowed: false, rule: violation.rule, reason: violation.message };
+            }
+            return { allowed: true, rule: null, reason: null };
+        };
+
+        return {
+            policy: {
+                creatorCannotVerify: policy.creatorCannotVerify,
+                verifierCannotIssue: policy.verifierCannotIssue
+            },
+            approvals: {
+                required: this.requiredApprovals(policy, certificate.type),
+                received: certificate.approvals || []
+            },
+            actions: {
+                verify: describeAction(
+                    'verify_certificates',
+                    CERTIFICATE_STATUS.PENDING,
+                    'Only pending certificates can be verified',
+                    this.verifyViolation(policy, user, certificate)
+                ),
+                issue: describeAction(
+                    'issue_certificates',
+                    CERTIFICATE_STATUS.APPROVED,
+                    'Only approved certificates can be issued',
+                    this.issueViolation(policy, user, certificate)
+                )
+            }
+        };
+    }
+}
+
+// Create singleton instance
+const workflowPolicyService = new WorkflowPolicyService();
+
+module.exports = workflowPolicyService;
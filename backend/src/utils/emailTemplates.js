@@ -0,0 +1,100 @@
+const { EMAIL_TEMPLATES } = require('../models/EmailDelivery');
+
+// Escape values interpolated into HTML bodies
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Wrap paragraphs in a minimal HTML layout
+const layout = (paragraphs) => `<!DOCTYPE html>
+<html>
+<body style="font-family: Helvetica, Arial, sans-serif; color: #111827; line-height: 1.5;">
+${paragraphs.map(p => `<p>${p}</p>`).join('\n')}
+<p style="color: #6B7280; font-size: 12px;">This message was sent by Certificate Manager.</p>
+</body>
+</html>`;
+
+const link = (url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+
+// Each template renders { subject, text, html } from its context
+const templates = {
+    [EMAIL_TEMPLATES.CERTIFICATE_ISSUED]: (ctx) => ({
+        subject: `Your certificate "${ctx.title}" has been issued`,
+        text: [
+            `Dear ${ctx.recipientName},`,
+            `${ctx.institutionName} has issued your certificate "${ctx.title}" (ID: ${ctx.certificateId}).`,
+            `Anyone can confirm its authenticity at: ${ctx.verificationUrl}`,
+            'A PDF copy of the certificate is attached to this email.'
+        ].join('\n\n'),
+        html: layout([
+            `Dear ${escapeHtml(ctx.recipientName)},`,
+            `${escapeHtml(ctx.institutionName)} has issued your certificate <strong>${escapeHtml(ctx.title)}</strong> (ID: ${escapeHtml(ctx.certificateId)}).`,
+            `Anyone can confirm its authenticity at: ${link(ctx.verificationUrl)}`,
+            'A PDF copy of the certificate is attached to this email.'
+        ])
+    }),
+
+    [EMAIL_TEMPLATES.CERTIFICATE_REVOKED]: (ctx) => ({
+        subject: `Your certificate "${ctx.title}" has been revoked`,
+        text: [
+            `Dear ${ctx.recipientName},`,
+            `${ctx.institutionName} has revoked your certificate "${ctx.title}" (ID: ${ctx.certificateId}).`,
+            `Reason: ${ctx.reason}`,
+            'Verification requests for this certificate will now report it as revoked. Please contact the issuing institution if you have questions.'
+        ].join('\n\n'),
+        html: layout([
+            `Dear ${escapeHtml(ctx.recipientName)},`,
+            `${escapeHtml(ctx.institutionName)} has revoked your certificate <strong>${escapeHtml(ctx.title)}</strong> (ID: ${escapeHtml(ctx.certificateId)}).`,
+            `Reason: ${escapeHtml(ctx.reason)}`,
+            'Verification requests for this certificate will now report it as revoked. Please contact the issuing institution if you have questions.'
+        ])
+    }),
+
+    [EMAIL_TEMPLATES.PASSWORD_RESET]: (ctx) => ({
+        subject: 'Reset your Certificate Manager password',
+        text: [
+            `Hello ${ctx.name},`,
+            `We received a request to reset your password. Use the link below within ${ctx.expiresInMinutes} minutes:`,
+            ctx.resetUrl,
+            'If you did not request a password reset, you can ignore this email.'
+        ].join('\n\n'),
+        html: layout([
+            `Hello ${escapeHtml(ctx.name)},`,
+            `We received a request to reset your password. Use the link below within ${escapeHtml(ctx.expiresInMinutes)} minutes:`,
+            link(ctx.resetUrl),
+            'If you did not request a password reset, you can ignore this email.'
+        ])
+    }),
+
+    [EMAIL_TEMPLATES.ACCOUNT_DEACTIVATED]: (ctx) => ({
+        subject: 'Your Certificate Manager account has been deactivated',
+        text: [
+            `Hello ${ctx.name},`,
+            'Your Certificate Manager account has been deactivated by an administrator. You will no longer be able to sign in.',
+            'If you believe this is a mistake, please contact your administrator.'
+        ].join('\n\n'),
+        html: layout([
+            `Hello ${escapeHtml(ctx.name)},`,
+            'Your Certificate Manager account has been deactivated by an administrator. You will no longer be able to sign in.',
+            'If you believe this is a mistake, please contact your administrator.'
+        ])
+    })
+};
+
+// Render a named template
+const renderTemplate = (name, context) => {
+    const template = templates[name];
+
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    return template(context);
+};
+
+module.exports = {
+    renderTemplate
+};
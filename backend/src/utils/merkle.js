@@ -0,0 +1,49 @@
+const { ethers } = require('ethers');
+
+// Merkle trees over certificate hashes, compatible with OpenZeppelin's MerkleProof (sorted pairs)
+
+// Leaf of a certificate hash: keccak256(abi.encodePacked(certificateHash))
+const hashLeaf = (certificateHash) => ethers.keccak256(certificateHash);
+
+// Parent of two nodes; pairs are sorted so proofs need no left/right flags
+const hashPair = (a, b) => (a < b
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a])));
+
+// Build a tree over certificate hashes; returns the root and one proof per hash, in input order
+const buildMerkleTree = (certificateHashes) => {
+    if (certificateHashes.length === 0) {
+        throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    let level = certificateHashes.map(hash => hashLeaf(hash.toLowerCase()));
+    const positions = level.map((_, i) => i);
+    const proofs = level.map(() => []);
+
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            // An odd node out moves up unchanged
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+
+        positions.forEach((position, leaf) => {
+            const sibling = position ^ 1;
+            if (sibling < level.length) proofs[leaf].push(level[sibling]);
+            positions[leaf] = position >> 1;
+        });
+
+        level = next;
+    }
+
+    return { root: level[0], proofs };
+};
+
+// Check a proof locally; the contract's verifyMerkleInclusion also checks the root was anchored
+const verifyMerkleProof = (root, certificateHash, proof) =>
+    proof.reduce(hashPair, hashLeaf(certificateHash.toLowerCase())) === root.toLowerCase();
+
+module.exports = {
+    buildMerkleTree,
+    verifyMerkleProof
+};
@@ -0,0 +1,80 @@
+const { ethers } = require('ethers');
+const { buildMerkleTree, verifyMerkleProof } = require('./merkle');
+
+// OpenZeppelin MerkleProof.processProof, as CertificateRegistry.verifyMerkleInclusion runs it:
+// leaf = keccak256(abi.encodePacked(certificateHash)), pairs hashed in ascending numeric order
+const processProofLikeContract = (certificateHash, proof) => proof.reduce((computed, sibling) => {
+    const [a, b] = BigInt(computed) < BigInt(sibling) ? [computed, sibling] : [sibling, computed];
+    return ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b]);
+}, ethers.solidityPackedKeccak256(['bytes32'], [certificateHash]));
+
+const certificateHashes = (count) => Array.from({ length: count }, (_, i) => ethers.id(`certificate-${i}`));
+
+describe('buildMerkleTree', () => {
+    it('refuses to build a tree without leaves', () => {
+        expect(() => buildMerkleTree([])).toThrow('Cannot build a Merkle tree without leaves');
+    });
+
+    it('uses the leaf as the root of a single-certificate tree', () => {
+        const [hash] = certificateHashes(1);
+        const { root, proofs } = buildMerkleTree([hash]);
+
+        expect(root).toBe(ethers.keccak256(hash));
+        expect(proofs).toEqual([[]]);
+    });
+
+    it.each(Array.from({ length: 12 }, (_, i) => i + 1))('gives every leaf of a %i-leaf tree a proof the contract accepts', (count) => {
+        const hashes = certificateHashes(count);
+        const { root, proofs } = buildMerkleTree(hashes);
+
+        expect(proofs).toHaveLength(count);
+        hashes.forEach((hash, i) => {
+            expect(processProofLikeContract(hash, proofs[i])).toBe(root);
+            expect(verifyMerkleProof(root, hash, proofs[i])).toBe(true);
+        });
+    });
+
+    it('moves an odd node up unchanged, so its proof is shorter', () => {
+        const { proofs } = buildMerkleTree(certificateHashes(5));
+
+        expect(proofs[0]).toHaveLength(3);
+        expect(proofs[4]).toHaveLength(1);
+    });
+
+    it('builds the same tree regardless of hash letter case', () => {
+        const hashes = certificateHashes(4);
+
+        expect(buildMerkleTree(hashes.map(hash => hash.toUpperCase().replace('0X', '0x'))).root)
+            .toBe(buildMerkleTree(hashes).root);
+    });
+});
+
+describe('verifyMerkleProof', () => {
+    const hashes = certificateHashes(7);
+    const { root, proofs } = buildMerkleTree(hashes);
+
+    it('rejects a proof presented for another certificate', () => {
+        expect(verifyMerkleProof(root, hashes[1], proofs[0])).toBe(false);
+        expect(verifyMerkleProof(root, ethers.id('not-in-tree'), proofs[0])).toBe(false);
+    });
+
+    it('rejects a proof against another root', () => {
+        const { root: otherRoot } = buildMerkleTree(certificateHashes(8));
+
+        expect(verifyMerkleProof(otherRoot, hashes[0], proofs[0])).toBe(false);
+    });
+
+    it('rejects a tampered or truncated proof', () => {
+        const tampered = [...proofs[2]];
+        tampered[1] = ethers.id('tampered');
+
+        expect(verifyMerkleProof(root, hashes[2], tampered)).toBe(false);
+        expect(verifyMerkleProof(root, hashes[2], proofs[2].slice(1))).toBe(false);
+    });
+
+    it('does not accept an inner node as a leaf', () => {
+        const innerNode = processProofLikeContract(hashes[0], proofs[0].slice(0, 1));
+
+        expect(verifyMerkleProof(root, innerNode, proofs[0].slice(1))).toBe(false);
+    });
+});
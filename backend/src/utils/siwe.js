@@ -0,0 +1,104 @@
+// EIP-4361 Sign-In With Ethereum messages
+const SIWE_VERSION = '1';
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Labelled fields of the message
+const FIELD_LABELS = {
+    uri: 'URI',
+    version: 'Version',
+    chainId: 'Chain ID',
+    nonce: 'Nonce',
+    issuedAt: 'Issued At',
+    expirationTime: 'Expiration Time',
+    notBefore: 'Not Before',
+    requestId: 'Request ID'
+};
+
+// Parse a signed message back into its fields; throws when it does not follow the standard
+const parseSiweMessage = (message) => {
+    if (typeof message !== 'string') {
+        throw new Error('Message must be a string');
+    }
+
+    const lines = message.split('\n');
+    const header = lines[0] || '';
+
+    if (!header.endsWith(HEADER_SUFFIX)) {
+        throw new Error('Not a Sign-In With Ethereum message');
+    }
+
+    const fields = {
+        domain: header.slice(0, -HEADER_SUFFIX.length),
+        address: lines[1],
+        resources: []
+    };
+
+    if (!fields.domain || !/^0x[0-9a-fA-F]{40}$/.test(fields.address || '') || lines[2] !== '') {
+        throw new Error('Malformed message header');
+    }
+
+    // Statement is optional: "address, blank, statement, blank" or "address, blank, blank"
+    let index = 3;
+    if (lines[index] !== '') {
+        fields.statement = lines[index];
+        index++;
+    }
+    if (lines[index] !== '') {
+        throw new Error('Malformed message statement');
+    }
+    index++;
+
+    const labelToKey = Object.fromEntries(Object.entries(FIELD_LABELS).map(([key, label]) => [label, key]));
+
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (line === 'Resources:') {
+            fields.resources = lines.slice(index + 1).map(resource => {
+                if (!resource.startsWith('- ')) {
+                    throw new Error('Malformed message resources');
+                }
+                return resource.slice(2);
+            });
+            break;
+        }
+
+        const separator = line.indexOf(': ');
+        const key = separator > 0 ? labelToKey[line.slice(0, separator)] : null;
+
+        if (!key || fields[key] !== undefined) {
+            throw new Error(`Unexpected message line: ${line}`);
+        }
+
+        fields[key] = line.slice(separator + 2);
+    }
+
+    ['uri', 'version', 'chainId', 'nonce', 'issuedAt'].forEach(key => {
+        if (!fields[key]) {
+            throw new Error(`Message is missing ${FIELD_LABELS[key]}`);
+        }
+    });
+
+    if (fields.version !== SIWE_VERSION) {
+        throw new Error(`Unsupported message version ${fields.version}`);
+    }
+
+    fields.chainId = parseInt(fields.chainId, 10);
+    if (!Number.isInteger(fields.chainId)) {
+        throw new Error('Invalid Chain ID');
+    }
+
+    ['issuedAt', 'expirationTime', 'notBefore'].forEach(key => {
+        if (fields[key] !== undefined && Number.isNaN(Date.parse(fields[key]))) {
+            throw new Error(`Invalid ${FIELD_LABELS[key]}`);
+        }
+    });
+
+    return fields;
+};
+
+module.exports = {
+    SIWE_VERSION,
+    parseSiweMessage
+};
@@ -0,0 +1,184 @@
+process.env.SIWE_DOMAIN = 'certificates.example.com';
+process.env.SIWE_URI = 'https://certificates.example.com';
+process.env.SIWE_CHAIN_IDS = '1337';
+
+const { ethers } = require('ethers');
+const { parseSiweMessage } = require('./siwe');
+const { AuthNonce } = require('../models/AuthNonce');
+const siweService = require('../services/siweService');
+
+const wallet = ethers.Wallet.createRandom();
+
+const buildMessage = (overrides = {}) => {
+    const fields = {
+        domain: 'certificates.example.com',
+        address: wallet.address,
+        statement: 'Sign in to Certificate Manager.',
+        uri: 'https://certificates.example.com',
+        version: '1',
+        chainId: 1337,
+        nonce: 'a1b2c3d4e5f6',
+        issuedAt: new Date(Date.now() - 60 * 1000).toISOString(),
+        expirationTime: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+        ...overrides
+    };
+
+    return [
+        `${fields.domain} wants you to sign in with your Ethereum account:`,
+        fields.address,
+        '',
+        fields.statement,
+        '',
+        `URI: ${fields.uri}`,
+        `Version: ${fields.version}`,
+        `Chain ID: ${fields.chainId}`,
+        `Nonce: ${fields.nonce}`,
+        `Issued At: ${fields.issuedAt}`,
+        ...(fields.expirationTime ? [`Expiration Time: ${fields.expirationTime}`] : [])
+    ].join('\n');
+};
+
+// Nonce record as issued for the test domain
+const issuedNonce = (overrides = {}) => ({
+    nonce: 'a1b2c3d4e5f6',
+    domain: 'certificates.example.com',
+    uri: 'https://certificates.example.com',
+    chainId: 1337,
+    ...overrides
+});
+
+describe('parseSiweMessage', () => {
+    it('parses every field of a well-formed message', () => {
+        const fields = parseSiweMessage(buildMessage());
+
+        expect(fields).toMatchObject({
+            domain: 'certificates.example.com',
+            address: wallet.address,
+            statement: 'Sign in to Certificate Manager.',
+            uri: 'https://certificates.example.com',
+            version: '1',
+            chainId: 1337,
+            nonce: 'a1b2c3d4e5f6',
+            resources: []
+        });
+    });
+
+    it('parses resources listed at the end', () => {
+        const message = `${buildMessage()}\nResources:\n- https://example.com/a\n- ipfs://cid`;
+
+        expect(parseSiweMessage(message).resources).toEqual(['https://example.com/a', 'ipfs://cid']);
+    });
+
+    it.each([
+        ['a non-string message', 42, 'Message must be a string'],
+        ['a missing header', 'hello\nworld', 'Not a Sign-In With Ethereum message'],
+        ['an invalid address', buildMessage({ address: '0x1234' }), 'Malformed message header'],
+        ['an unknown field', `${buildMessage()}\nColour: blue`, 'Unexpected message line: Colour: blue'],
+        ['a repeated field', `${buildMessage()}\nNonce: again`, 'Unexpected message line: Nonce: again'],
+        ['a missing nonce', buildMessage().replace(/\nNonce: .*/, ''), 'Message is missing Nonce'],
+        ['an unsupported version', buildMessage({ version: '2' }), 'Unsupported message version 2'],
+        ['a non-numeric chain ID', buildMessage({ chainId: 'mainnet' }), 'Invalid Chain ID'],
+        ['an invalid timestamp', buildMessage({ issuedAt: 'yesterday' }), 'Invalid Issued At'],
+        ['malformed resources', `${buildMessage()}\nResources:\nhttps://example.com`, 'Malformed message resources']
+    ])('rejects %s', (_, message, error) => {
+        expect(() => parseSiweMessage(message)).toThrow(error);
+    });
+});
+
+describe('siweService.verify', () => {
+    beforeEach(() => {
+        jest.spyOn(AuthNonce, 'consume').mockResolvedValue(issuedNonce());
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const signAndVerify = async (message) => siweService.verify(message, await wallet.signMessage(message));
+
+    it('returns the signing address for a valid message and uses up its nonce', async () => {
+        await expect(signAndVerify(buildMessage())).resolves.toEqual({
+            address: wallet.address.toLowerCase(),
+            chainId: 1337
+        });
+        expect(AuthNonce.consume).toHaveBeenCalledWith('a1b2c3d4e5f6', 'login', null);
+    });
+
+    it('rejects a malformed message', async () => {
+        await expect(siweService.verify('not a message', '0x00')).rejects.toMatchObject({
+            statusCode: 400,
+            message: expect.stringContaining('Invalid sign-in message')
+        });
+    });
+
+    it('rejects an expired message without using up its nonce', async () => {
+        const message = buildMessage({ expirationTime: new Date(Date.now() - 1000).toISOString() });
+
+        await expect(signAndVerify(message)).rejects.toMatchObject({
+            statusCode: 401,
+            message: expect.stringContaining('expired')
+        });
+        expect(AuthNonce.consume).not.toHaveBeenCalled();
+    });
+
+    it('rejects a message that is not valid yet', async () => {
+        const message = `${buildMessage()}\nNot Before: ${new Date(Date.now() + 60 * 1000).toISOString()}`;
+
+        await expect(signAndVerify(message)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('rejects a message issued for another domain', async () => {
+        await expect(signAndVerify(buildMessage({ domain: 'phishing.example.com' }))).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Sign-in message was issued for a different site'
+        });
+    });
+
+    it('rejects a message issued for another URI', async () => {
+        await expect(signAndVerify(buildMessage({ uri: 'https://phishing.example.com' }))).rejects.toMatchObject({
+            statusCode: 401
+        });
+    });
+
+    it('rejects an unsupported chain', async () => {
+        await expect(signAndVerify(buildMessage({ chainId: 1 }))).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Chain ID 1 is not supported'
+        });
+    });
+
+    it('rejects an address that is not checksummed', async () => {
+        await expect(signAndVerify(buildMessage({ address: wallet.address.toLowerCase() }))).rejects.toMatchObject({
+            statusCode: 400
+        });
+    });
+
+    it('rejects a signature from another wallet', async () => {
+        const message = buildMessage();
+        const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+        await expect(siweService.verify(message, signature)).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Invalid wallet signature'
+        });
+        expect(AuthNonce.consume).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown, expired or already used nonce', async () => {
+        AuthNonce.consume.mockResolvedValue(null);
+
+        await expect(signAndVerify(buildMessage())).rejects.toMatchObject({
+            statusCode: 401,
+            message: expect.stringContaining('nonce is invalid, expired or already used')
+        });
+    });
+
+    it('rejects a nonce issued for a different domain', async () => {
+        AuthNonce.consume.mockResolvedValue(issuedNonce({ domain: 'other.example.com' }));
+
+        await expect(signAndVerify(buildMessage())).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Sign-in message does not match the issued nonce'
+        });
+    });
+});
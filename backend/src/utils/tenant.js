@@ -0,0 +1,64 @@
+const { Institution } = require('../models/Institution');
+const { AppError } = require('../middleware/errorHandler');
+
+// Super-admins operate across every institution
+const isSuperAdmin = (user) => Boolean(user && user.isSuperAdmin);
+
+// Institution id of a user, or null for users not assigned to one
+const tenantOf = (user) => (user && user.institution ? user.institution._id || user.institution : null);
+
+// Limit a query to the caller's institution; super-admins are not limited
+const tenantFilter = (user, filter = {}, field = 'institutionId') => {
+    if (isSuperAdmin(user)) return filter;
+    return { ...filter, [field]: tenantOf(user) };
+};
+
+// Check whether a record belongs to the caller's institution
+const sameTenant = (user, record, field = 'institutionId') => {
+    if (isSuperAdmin(user)) return true;
+
+    const value = record[field] ? record[field]._id || record[field] : null;
+    return String(value) === String(tenantOf(user));
+};
+
+// Institution new records are created under: the caller's own, or any chosen by a super-admin
+const resolveTenant = async (user, requestedId) => {
+    const institutionId = requestedId && isSuperAdmin(user) ? requestedId : tenantOf(user);
+
+    if (!institutionId) return null;
+
+    const institution = await Institution.findById(institutionId);
+
+    if (!institution) {
+        throw new AppError('Institution not found', 404);
+    }
+
+    if (!institution.isActive) {
+        throw new AppError(`Institution ${institution.name} is inactive`, 403);
+    }
+
+    return institution;
+};
+
+// Stamp certificate data with its institution, replacing the free-text name
+const assignTenant = (certificateData, institution) => {
+    if (!institution) return certificateData;
+
+    return {
+        ...certificateData,
+        institutionId: institution._id,
+        institution: {
+            ...(certificateData.institution || {}),
+            name: institution.name
+        }
+    };
+};
+
+module.exports = {
+    isSuperAdmin,
+    tenantOf,
+    tenantFilter,
+    sameTenant,
+    resolveTenant,
+    assignTenant
+};
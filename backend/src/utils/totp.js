@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, as used by authenticator apps
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Generate a random base32 secret for a new authenticator
+const generateSecret = () => encodeBase32(crypto.randomBytes(SECRET_BYTES));
+
+// otpauth:// URI authenticator apps read from the enrollment QR code
+const buildProvisioningUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Current 30-second time step
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD);
+
+// Code for a given time step
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Check a code allowing for clock drift; steps up to lastUsedStep are rejected so codes cannot be replayed
+const verifyCode = (secret, code, { window = 1, lastUsedStep = -1 } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = step + offset;
+
+        if (candidate <= lastUsedStep) continue;
+
+        const expected = Buffer.from(generateCode(secret, candidate));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+};
+
+const encodeBase32 = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const decodeBase32 = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+module.exports = {
+    generateSecret,
+    buildProvisioningUri,
+    generateCode,
+    verifyCode,
+    currentStep
+};
@@ -0,0 +1,72 @@
+const totp = require('./totp');
+
+// RFC 6238 appendix B: SHA-1 secret "12345678901234567890"; codes are the last six of its eight digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+describe('totp', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it.each(RFC_VECTORS)('matches the RFC 6238 test vector at %i seconds', (seconds, expected) => {
+        expect(totp.generateCode(RFC_SECRET, totp.currentStep(seconds * 1000))).toBe(expected);
+    });
+
+    it('accepts the current code and returns its time step', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+
+        expect(totp.verifyCode(RFC_SECRET, '050471')).toBe(totp.currentStep());
+    });
+
+    it('accepts codes from adjacent steps for clock drift but not further', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1234567890 * 1000);
+        const step = totp.currentStep();
+
+        expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+        expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+        expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))).toBeNull();
+    });
+
+    it('rejects a code whose step was already used', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+        const step = totp.verifyCode(RFC_SECRET, '050471');
+
+        expect(totp.verifyCode(RFC_SECRET, '050471', { lastUsedStep: step })).toBeNull();
+    });
+
+    it('rejects codes from steps before the last used one', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1234567890 * 1000);
+        const step = totp.currentStep();
+        const previous = totp.generateCode(RFC_SECRET, step - 1);
+
+        expect(totp.verifyCode(RFC_SECRET, previous, { lastUsedStep: step })).toBeNull();
+    });
+
+    it('ignores spaces and rejects malformed codes', () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+
+        expect(totp.verifyCode(RFC_SECRET, '050 471')).not.toBeNull();
+        expect(totp.verifyCode(RFC_SECRET, '05047')).toBeNull();
+        expect(totp.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+        expect(totp.verifyCode(RFC_SECRET, undefined)).toBeNull();
+    });
+
+    it('generates secrets that round-trip through a provisioning URI', () => {
+        const secret = totp.generateSecret();
+        const uri = new URL(totp.buildProvisioningUri({ secret, accountName: 'user@example.com', issuer: 'Certificate Manager' }));
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.searchParams.get('secret')).toBe(secret);
+        expect(uri.searchParams.get('digits')).toBe('6');
+        expect(uri.searchParams.get('period')).toBe('30');
+    });
+});
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title CertificateRegistry
@@ -28,7 +29,8 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         Approved,   // 1: Verified and approved
         Rejected,   // 2: Rejected by verifier
         Issued,     // 3: Finalized and issued
-        Revoked     // 4: Revoked after issuance
+        Revoked,    // 4: Revoked after issuance
+        Expired     // 5: Validity period ended
     }
     
     // Certificate structure
@@ -45,12 +47,20 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         string metadata;            // Additional metadata (JSON string)
     }
     
+    // Merkle root anchoring a batch of certificate hashes
+    struct MerkleAnchor {
+        address anchorer;           // Address that anchored the root
+        uint256 leafCount;          // Number of certificate hashes under the root
+        uint256 anchoredAt;         // Anchoring timestamp
+    }
+    
     // State variables
     Counters.Counter private _certificateIds;
     mapping(uint256 => Certificate) public certificates;
     mapping(bytes32 => uint256) public hashToCertificateId;
     mapping(address => uint256[]) public creatorCertificates;
     mapping(string => bool) public usedIPFSCIDs;
+    mapping(bytes32 => MerkleAnchor) public merkleRoots;
     
     // Events
     event CertificateCreated(
@@ -77,6 +87,17 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         string reason
     );
     
+    event CertificateExpired(
+        uint256 indexed certificateId,
+        address indexed caller
+    );
+    
+    event MerkleRootAnchored(
+        bytes32 indexed root,
+        uint256 leafCount,
+        address indexed anchorer
+    );
+    
     // RoleGranted event is inherited from AccessControl
     
     // Custom errors
@@ -87,6 +108,8 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
     error UnauthorizedAccess(address caller, bytes32 role);
     error InvalidCertificateHash();
     error EmptyIPFSCID();
+    error InvalidMerkleRoot();
+    error MerkleRootAlreadyAnchored(bytes32 root);
     
     /**
      * @dev Constructor sets up initial roles and admin
@@ -116,6 +139,17 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         string calldata _ipfsCID,
         string calldata _metadata
     ) external onlyRole(CREATOR_ROLE) whenNotPaused nonReentrant returns (uint256) {
+        return _createCertificate(_certificateHash, _ipfsCID, _metadata);
+    }
+    
+    /**
+     * @dev Records a certificate for msg.sender; shared by single and batch creation
+     */
+    function _createCertificate(
+        bytes32 _certificateHash,
+        string calldata _ipfsCID,
+        string calldata _metadata
+    ) internal returns (uint256) {
         if (_certificateHash == bytes32(0)) revert InvalidCertificateHash();
         if (bytes(_ipfsCID).length == 0) revert EmptyIPFSCID();
         if (hashToCertificateId[_certificateHash] != 0) {
@@ -220,6 +254,30 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         emit CertificateRevoked(_certificateId, msg.sender, _reason);
     }
     
+    /**
+     * @dev Marks an issued certificate as expired
+     * @param _certificateId ID of the certificate to expire
+     */
+    function expireCertificate(
+        uint256 _certificateId
+    ) external whenNotPaused {
+        Certificate storage cert = certificates[_certificateId];
+        
+        if (cert.creator == address(0)) revert CertificateNotFound(_certificateId);
+        if (cert.status != CertificateStatus.Issued) {
+            revert InvalidStatus(cert.status, CertificateStatus.Issued);
+        }
+        
+        // Only issuer or admin can expire
+        if (!hasRole(ISSUER_ROLE, msg.sender) && !hasRole(ADMIN_ROLE, msg.sender)) {
+            revert UnauthorizedAccess(msg.sender, ISSUER_ROLE);
+        }
+        
+        cert.status = CertificateStatus.Expired;
+        
+        emit CertificateExpired(_certificateId, msg.sender);
+    }
+    
     /**
      * @dev Gets certificate details by ID
      * @param _certificateId ID of the certificate
@@ -350,7 +408,7 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         uint256[] memory certificateIds = new uint256[](_hashes.length);
         
         for (uint256 i = 0; i < _hashes.length; i++) {
-            certificateIds[i] = this.createCertificate(
+            certificateIds[i] = _createCertificate(
                 _hashes[i], 
                 _cids[i], 
                 _metadatas[i]
@@ -360,6 +418,44 @@ contract CertificateRegistry is AccessControl, ReentrancyGuard, Pausable {
         return certificateIds;
     }
     
+    /**
+     * @dev Anchors the Merkle root of a batch of certificate hashes
+     * @param _root Root over keccak256(abi.encodePacked(certificateHash)) leaves, sorted pairs
+     * @param _leafCount Number of certificate hashes under the root
+     */
+    function anchorMerkleRoot(
+        bytes32 _root,
+        uint256 _leafCount
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        if (_root == bytes32(0) || _leafCount == 0) revert InvalidMerkleRoot();
+        if (merkleRoots[_root].anchoredAt != 0) revert MerkleRootAlreadyAnchored(_root);
+        
+        merkleRoots[_root] = MerkleAnchor({
+            anchorer: msg.sender,
+            leafCount: _leafCount,
+            anchoredAt: block.timestamp
+        });
+        
+        emit MerkleRootAnchored(_root, _leafCount, msg.sender);
+    }
+    
+    /**
+     * @dev Verifies a certificate hash is included under an anchored Merkle root
+     * @param _root Anchored Merkle root
+     * @param _certificateHash Hash to verify
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @return True if the root is anchored and the proof is valid
+     */
+    function verifyMerkleInclusion(
+        bytes32 _root,
+        bytes32 _certificateHash,
+        bytes32[] calldata _proof
+    ) external view returns (bool) {
+        if (merkleRoots[_root].anchoredAt == 0) return false;
+        
+        return MerkleProof.verifyCalldata(_proof, _root, keccak256(abi.encodePacked(_certificateHash)));
+    }
+    
     // Admin functions
     
     /**
@@ -8,10 +8,12 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './contexts/AuthContext';
 import { Web3Provider } from './contexts/Web3Context';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { NotificationProvider } from './contexts/NotificationContext';
 
 // Components
 import Layout from './components/Layout/Layout';
 import ProtectedRoute from './components/Auth/ProtectedRoute';
+import ReauthPrompt from './components/Auth/ReauthPrompt';
 import LoadingSpinner from './components/UI/LoadingSpinner';
 
 // Pages
@@ -26,6 +28,9 @@ import VerificationPage from './pages/Verification/VerificationPage';
 import UploadPage from './pages/Upload/UploadPage';
 import ProfilePage from './pages/Profile/ProfilePage';
 import SettingsPage from './pages/Settings/SettingsPage';
+import ApiKeysPage from './pages/Settings/ApiKeysPage';
+import RoleSyncPage from './pages/Settings/RoleSyncPage';
+import PermissionsPage from './pages/Settings/PermissionsPage';
 import NotFoundPage from './pages/Error/NotFoundPage';
 
 // Styles
@@ -51,70 +56,90 @@ function App() {
       <ThemeProvider>
         <Web3Provider>
           <AuthProvider>
-            <Router>
-              <div className="App min-h-screen bg-gray-50">
-                <Routes>
-                  {/* Public Routes */}
-                  <Route path="/" element={<LandingPage />} />
-                  <Route path="/login" element={<LoginPage />} />
-                  <Route path="/register" element={<RegisterPage />} />
-                  <Route path="/verify/:certificateId?" element={<VerificationPage />} />
+            <NotificationProvider>
+              <Router>
+                <div className="App min-h-screen bg-gray-50">
+                  <Routes>
+                    {/* Public Routes */}
+                    <Route path="/" element={<LandingPage />} />
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/register" element={<RegisterPage />} />
+                    <Route path="/verify/:certificateId?" element={<VerificationPage />} />
                   
-                  {/* Protected Routes */}
-                  <Route path="/app" element={
-                    <ProtectedRoute>
-                      <Layout />
-                    </ProtectedRoute>
-                  }>
-                    <Route index element={<Navigate to="/app/dashboard" replace />} />
-                    <Route path="dashboard" element={<DashboardPage />} />
-                    <Route path="certificates" element={<CertificatesPage />} />
-                    <Route path="certificates/new" element={<CertificateFormPage />} />
-                    <Route path="certificates/:id" element={<CertificateDetailPage />} />
-                    <Route path="certificates/:id/edit" element={<CertificateFormPage />} />
-                    <Route path="upload" element={<UploadPage />} />
-                    <Route path="profile" element={<ProfilePage />} />
-                    <Route path="settings" element={<SettingsPage />} />
-                  </Route>
+                    {/* Protected Routes */}
+                    <Route path="/app" element={
+                      <ProtectedRoute>
+                        <Layout />
+                      </ProtectedRoute>
+                    }>
+                      <Route index element={<Navigate to="/app/dashboard" replace />} />
+                      <Route path="dashboard" element={<DashboardPage />} />
+                      <Route path="certificates" element={<CertificatesPage />} />
+                      <Route path="certificates/new" element={<CertificateFormPage />} />
+                      <Route path="certificates/:id" element={<CertificateDetailPage />} />
+                      <Route path="certificates/:id/edit" element={<CertificateFormPage />} />
+                      <Route path="upload" element={<UploadPage />} />
+                      <Route path="profile" element={<ProfilePage />} />
+                      <Route path="settings" element={<SettingsPage />} />
+                      <Route path="settings/api-keys" element={
+                        <ProtectedRoute roles={['admin']}>
+                          <ApiKeysPage />
+                        </ProtectedRoute>
+                      } />
+                      <Route path="settings/permissions" element={
+                        <ProtectedRoute roles={['admin']}>
+                          <PermissionsPage />
+                        </ProtectedRoute>
+                      } />
+                      <Route path="settings/roles" element={
+                        <ProtectedRoute roles={['admin']}>
+                          <RoleSyncPage />
+                        </ProtectedRoute>
+                      } />
+                    </Route>
                   
-                  {/* Catch all route */}
-                  <Route path="*" element={<NotFoundPage />} />
-                </Routes>
+                    {/* Catch all route */}
+                    <Route path="*" element={<NotFoundPage />} />
+                  </Routes>
                 
-                {/* Toast notifications */}
-                <Toaster
-                  position="top-right"
-                  reverseOrder={false}
-                  gutter={8}
-                  containerClassName=""
-                  containerStyle={{}}
-                  toastOptions={{
-                    // Define default options
-                    className: '',
-                    duration: 4000,
-                    style: {
-                      background: '#363636',
-                      color: '#fff',
-                    },
-                    // Default options for specific types
-                    success: {
-                      duration: 3000,
-                      theme: {
-                        primary: 'green',
-                        secondary: 'black',
+                  {/* Identity confirmation before sensitive actions */}
+                  <ReauthPrompt />
+
+                  {/* Toast notifications */}
+                  <Toaster
+                    position="top-right"
+                    reverseOrder={false}
+                    gutter={8}
+                    containerClassName=""
+                    containerStyle={{}}
+                    toastOptions={{
+                      // Define default options
+                      className: '',
+                      duration: 4000,
+                      style: {
+                        background: '#363636',
+                        color: '#fff',
+                      },
+                      // Default options for specific types
+                      success: {
+                        duration: 3000,
+                        theme: {
+                          primary: 'green',
+                          secondary: 'black',
+                        },
                       },
-                    },
-                    error: {
-                      duration: 5000,
-                      theme: {
-                        primary: 'red',
-                        secondary: 'black',
+                      error: {
+                        duration: 5000,
+                        theme: {
+                          primary: 'red',
+                          secondary: 'black',
+                        },
                       },
-                    },
-                  }}
-                />
-              </div>
-            </Router>
+                    }}
+                  />
+                </div>
+              </Router>
+            </NotificationProvider>
           </AuthProvider>
         </Web3Provider>
       </ThemeProvider>
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Modal } from '../UI/Modal';
+import { Button } from '../UI/Button';
+import { Input } from '../UI/Input';
+import { Alert } from '../UI/Alert';
+import { setReauthHandler } from '../../services/api';
+import { authService } from '../../services/authService';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Asks the user to confirm their identity when the server requires it before a sensitive action
+const ReauthPrompt = () => {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [value, setValue] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Requests waiting on the prompt share one confirmation
+  const pending = useRef(null);
+
+  useEffect(() => {
+    setReauthHandler(() => {
+      if (!pending.current) {
+        pending.current = {};
+        pending.current.promise = new Promise((resolve, reject) => {
+          pending.current.resolve = resolve;
+          pending.current.reject = reject;
+        });
+        setValue('');
+        setError('');
+        setIsOpen(true);
+      }
+      return pending.current.promise;
+    });
+
+    return () => setReauthHandler(null);
+  }, []);
+
+  const usesCode = Boolean(user?.twoFactor?.enabled);
+
+  const settle = (confirmed) => {
+    const { resolve, reject } = pending.current || {};
+    pending.current = null;
+    setIsOpen(false);
+
+    if (confirmed) {
+      resolve?.();
+    } else {
+      reject?.(new Error('Re-authentication cancelled'));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!value.trim()) {
+      setError(usesCode ? 'Enter a code from your authenticator app' : 'Enter your password');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await authService.reauthenticate(usesCode ? { code: value.trim() } : { password: value });
+      settle(true);
+    } catch (err) {
+      setError(err.message || 'Could not confirm your identity');
+      setValue('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={() => settle(false)}
+      title="Confirm it's you"
+      description="This action needs a recent confirmation of your identity."
+      size="sm"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <Input
+          label={usesCode ? 'Authentication Code' : 'Password'}
+          type={usesCode ? 'text' : 'password'}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={usesCode ? '123456 or a recovery code' : 'Enter your password'}
+          autoComplete={usesCode ? 'one-time-code' : 'current-password'}
+          disabled={loading}
+          autoFocus
+        />
+
+        <div className="flex justify-end gap-3">
+          <Button type="button" variant="outline" onClick={() => settle(false)} disabled={loading}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={loading}>
+            Confirm
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReauthPrompt;
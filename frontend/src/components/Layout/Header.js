@@ -13,9 +13,10 @@ import {
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import { useWeb3 } from '../../contexts/Web3Context';
+import { useNotifications } from '../../contexts/NotificationContext';
 import { Button } from '../UI/Button';
 import { Badge, NotificationBadge } from '../UI/Badge';
-import { cn, truncateText } from '../../utils/cn';
+import { cn, truncateText, formatRelativeTime } from '../../utils/cn';
 import { useNavigate } from 'react-router-dom';
 
 const Header = ({ onMenuClick, user, web3Connected, walletAddress }) => {
@@ -36,8 +37,16 @@ const Header = ({ onMenuClick, user, web3Connected, walletAddress }) => {
     disconnect();
   };
 
-  // Mock notification count - replace with actual data
-  const notificationCount = 3;
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications();
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.readAt) {
+      await markAsRead(notification._id);
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
 
   const userMenuItems = [
     {
@@ -160,19 +169,87 @@ const Header = ({ onMenuClick, user, web3Connected, walletAddress }) => {
           </div>
 
           {/* Notifications */}
-          <button
-            type="button"
-            className="relative -m-2.5 p-2.5 text-gray-400 hover:text-gray-500"
-          >
-            <span className="sr-only">View notifications</span>
-            <BellIcon className="h-6 w-6" aria-hidden="true" />
-            {notificationCount > 0 && (
-              <NotificationBadge
-                count={notificationCount}
-                className="absolute -top-1 -right-1"
-              />
-            )}
-          </button>
+          <Menu as="div" className="relative">
+            <Menu.Button className="relative -m-2.5 p-2.5 text-gray-400 hover:text-gray-500">
+              <span className="sr-only">View notifications</span>
+              <BellIcon className="h-6 w-6" aria-hidden="true" />
+              {unreadCount > 0 && (
+                <NotificationBadge
+                  count={unreadCount}
+                  className="absolute -top-1 -right-1"
+                />
+              )}
+            </Menu.Button>
+            <Transition
+              as={Fragment}
+              enter="transition ease-out duration-100"
+              enterFrom="transform opacity-0 scale-95"
+              enterTo="transform opacity-100 scale-100"
+              leave="transition ease-in duration-75"
+              leaveFrom="transform opacity-100 scale-100"
+              leaveTo="transform opacity-0 scale-95"
+            >
+              <Menu.Items className="absolute right-0 z-10 mt-2.5 w-80 origin-top-right divide-y divide-gray-100 rounded-md bg-white shadow-lg ring-1 ring-gray-900/5 focus:outline-none">
+                <div className="flex items-center justify-between px-4 py-3">
+                  <p className="text-sm font-semibold text-gray-900">Notifications</p>
+                  {unreadCount > 0 && (
+                    <button
+                      type="button"
+                      onClick={markAllAsRead}
+                      className="text-xs font-medium text-primary-600 hover:text-primary-500"
+                    >
+                      Mark all as read
+                    </button>
+                  )}
+                </div>
+                <div className="max-h-96 overflow-y-auto py-1">
+                  {notifications.length === 0 ? (
+                    <p className="px-4 py-6 text-center text-sm text-gray-500">
+                      No notifications yet
+                    </p>
+                  ) : (
+                    notifications.map((notification) => (
+                      <Menu.Item key={notification._id}>
+                        {({ active }) => (
+                          <button
+                            onClick={() => handleNotificationClick(notification)}
+                            className={cn(
+                              active ? 'bg-gray-50' : '',
+                              'flex w-full gap-x-3 px-4 py-3 text-left'
+                            )}
+                          >
+                            <span
+                              className={cn(
+                                notification.readAt ? 'bg-transparent' : 'bg-primary-600',
+                                'mt-1.5 h-2 w-2 flex-none rounded-full'
+                              )}
+                              aria-hidden="true"
+                            />
+                            <span className="min-w-0 flex-1">
+                              <span className={cn(
+                                notification.readAt ? 'font-normal text-gray-700' : 'font-semibold text-gray-900',
+                                'block text-sm'
+                              )}>
+                                {notification.title}
+                              </span>
+                              {notification.message && (
+                                <span className="block truncate text-xs text-gray-500">
+                                  {notification.message}
+                                </span>
+                              )}
+                              <span className="block text-xs text-gray-400 mt-1">
+                                {formatRelativeTime(notification.createdAt)}
+                              </span>
+                            </span>
+                          </button>
+                        )}
+                      </Menu.Item>
+                    ))
+                  )}
+                </div>
+              </Menu.Items>
+            </Transition>
+          </Menu>
 
           {/* Separator */}
           <div className="hidden lg:block lg:h-6 lg:w-px lg:bg-gray-200" aria-hidden="true" />
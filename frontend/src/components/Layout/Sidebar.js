@@ -11,6 +11,8 @@ import {
   AcademicCapIcon,
   ShieldCheckIcon,
   XMarkIcon,
+  KeyIcon,
+  ScaleIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import { Badge } from '../UI/Badge';
@@ -77,6 +79,27 @@ const Sidebar = ({ open, onClose }) => {
       icon: CogIcon, 
       description: 'Application Settings' 
     },
+    { 
+      name: 'API Keys', 
+      href: '/app/settings/api-keys', 
+      icon: KeyIcon, 
+      description: 'Service Access Keys',
+      roles: ['admin']
+    },
+    { 
+      name: 'Permissions', 
+      href: '/app/settings/permissions', 
+      icon: ShieldCheckIcon, 
+      description: 'Roles & Access',
+      roles: ['admin']
+    },
+    { 
+      name: 'On-chain Roles', 
+      href: '/app/settings/roles', 
+      icon: ScaleIcon, 
+      description: 'Wallet Role Sync',
+      roles: ['admin']
+    },
   ];
 
   // Filter navigation based on user role
@@ -85,6 +108,11 @@ const Sidebar = ({ open, onClose }) => {
     return item.roles.includes(user?.role);
   });
 
+  const filteredBottomNavigation = bottomNavigation.filter(item => {
+    if (!item.roles) return true;
+    return item.roles.includes(user?.role);
+  });
+
   const isCurrentPage = (href) => {
     return location.pathname === href || 
            (href !== '/app/dashboard' && location.pathname.startsWith(href));
@@ -201,7 +229,7 @@ const Sidebar = ({ open, onClose }) => {
                   Account
                 </div>
                 <ul role="list" className="-mx-2 space-y-1">
-                  {bottomNavigation.map((item) => (
+                  {filteredBottomNavigation.map((item) => (
                     <li key={item.name}>
                       <NavItem item={item} />
                     </li>
@@ -287,7 +315,7 @@ const Sidebar = ({ open, onClose }) => {
                       Account
                     </div>
                     <ul role="list" className="-mx-2 space-y-1">
-                      {bottomNavigation.map((item) => (
+                      {filteredBottomNavigation.map((item) => (
                         <li key={item.name}>
                           <NavItem item={item} onClick={onClose} />
                         </li>
@@ -61,6 +61,7 @@ const StatusBadge = ({ status, className, ...props }) => {
       verified: { variant: "success", text: "Verified", color: "success" },
       issued: { variant: "default", text: "Issued", color: "primary" },
       revoked: { variant: "danger", text: "Revoked", color: "danger" },
+      expired: { variant: "warning", text: "Expired", color: "warning" },
       
       // General statuses
       active: { variant: "success", text: "Active", color: "success" },
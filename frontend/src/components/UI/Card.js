@@ -284,6 +284,7 @@ const CertificateCard = ({
       verified: "bg-success-100 text-success-800",
       issued: "bg-primary-100 text-primary-800",
       revoked: "bg-danger-100 text-danger-800",
+      expired: "bg-warning-100 text-warning-800",
     };
     return colors[status] || colors.draft;
   };
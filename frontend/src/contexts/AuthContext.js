@@ -109,7 +109,12 @@ export const AuthProvider = ({ children }) => {
   // Initialize auth state on mount
   useEffect(() => {
     const initializeAuth = async () => {
-      const token = localStorage.getItem('token');
+      let token = localStorage.getItem('token');
+
+      // An expired access token is replaced using the stored refresh token
+      if (!isTokenValid(token) && localStorage.getItem('refreshToken')) {
+        token = await authService.refreshToken().catch(() => null);
+      }
       
       if (token && isTokenValid(token)) {
         try {
@@ -144,27 +149,42 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
-  // Login function
-  const login = async (credentials) => {
+  // Put a completed login into state
+  const completeLogin = (response) => {
+    const { token, data: { user } } = response;
+
+    dispatch({
+      type: AuthActionTypes.AUTH_SUCCESS,
+      payload: { user, token }
+    });
+
+    toast.success('Login successful!');
+
+    if (response.remainingRecoveryCodes !== undefined) {
+      toast(`Recovery code used. ${response.remainingRecoveryCodes} left.`, { icon: '🔑' });
+    }
+    if (response.twoFactorSetupRequired) {
+      toast.error('Your role requires two-factor authentication. Set it up in Settings.');
+    }
+
+    return { success: true, twoFactorSetupRequired: response.twoFactorSetupRequired };
+  };
+
+  // Run a first-factor login; resolves with a challenge when a two-factor code is still needed
+  const startLogin = async (request, fallbackMessage) => {
     try {
       dispatch({ type: AuthActionTypes.AUTH_START });
       
-      const response = await authService.login(credentials);
-      const { token, user } = response;
-      
-      // Store token
-      localStorage.setItem('token', token);
-      authService.setToken(token);
-      
-      dispatch({
-        type: AuthActionTypes.AUTH_SUCCESS,
-        payload: { user, token }
-      });
+      const response = await request();
+
+      if (response.twoFactorRequired) {
+        dispatch({ type: AuthActionTypes.SET_LOADING, payload: false });
+        return { success: false, twoFactorRequired: true, challengeToken: response.challengeToken };
+      }
       
-      toast.success('Login successful!');
-      return { success: true };
+      return completeLogin(response);
     } catch (error) {
-      const errorMessage = error.response?.data?.message || error.message || 'Login failed';
+      const errorMessage = error.response?.data?.message || error.message || fallbackMessage;
       dispatch({
         type: AuthActionTypes.AUTH_FAILURE,
         payload: errorMessage
@@ -174,17 +194,33 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Login function
+  const login = (credentials) => startLogin(() => authService.login(credentials), 'Login failed');
+
+  // Wallet login with a signed Sign-In With Ethereum message
+  const walletLogin = (signedMessage) => startLogin(() => authService.walletLogin(signedMessage), 'Wallet login failed');
+
+  // Second login step with an authenticator or recovery code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      dispatch({ type: AuthActionTypes.AUTH_START });
+
+      const response = await authService.verifyTwoFactorLogin(challengeToken, code);
+      return completeLogin(response);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Two-factor verification failed';
+      dispatch({ type: AuthActionTypes.SET_LOADING, payload: false });
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
       dispatch({ type: AuthActionTypes.AUTH_START });
       
       const response = await authService.register(userData);
-      const { token, user } = response;
-      
-      // Store token
-      localStorage.setItem('token', token);
-      authService.setToken(token);
+      const { token, data: { user } } = response;
       
       dispatch({
         type: AuthActionTypes.AUTH_SUCCESS,
@@ -235,6 +271,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the current user, e.g. after changing their security settings
+  const reloadUser = async () => {
+    const user = await authService.getProfile();
+    dispatch({
+      type: AuthActionTypes.UPDATE_USER,
+      payload: user
+    });
+    return user;
+  };
+
   // Clear error
   const clearError = () => {
     dispatch({ type: AuthActionTypes.CLEAR_ERROR });
@@ -250,32 +296,21 @@ export const AuthProvider = ({ children }) => {
     return roles.includes(state.user?.role);
   };
 
-  // Get user permissions
-  const getPermissions = () => {
-    if (!state.user?.role) return [];
-    
-    const rolePermissions = {
-      creator: ['create', 'read', 'update'],
-      verifier: ['read', 'verify', 'update'],
-      issuer: ['read', 'issue', 'revoke'],
-      admin: ['create', 'read', 'update', 'delete', 'verify', 'issue', 'revoke']
-    };
-    
-    return rolePermissions[state.user.role] || [];
-  };
+  // Effective permissions stored on the account: its role's plus individual grants, minus revocations
+  const getPermissions = () => state.user?.permissions || [];
 
   // Check if user has specific permission
-  const hasPermission = (permission) => {
-    const userPermissions = getPermissions();
-    return userPermissions.includes(permission);
-  };
+  const hasPermission = (permission) => getPermissions().includes(permission);
 
   const value = {
     ...state,
     login,
+    walletLogin,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
+    reloadUser,
     clearError,
     hasRole,
     hasAnyRole,
@@ -0,0 +1,268 @@
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { api, apiRequest, endpoints, refreshAccessToken } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const RECONNECT_DELAY = 5000; // 5 seconds
+
+// Initial state
+const initialState = {
+  notifications: [],
+  unreadCount: 0,
+  isLoading: false,
+  isConnected: false,
+};
+
+// Action types
+const NotificationActionTypes = {
+  LOAD_START: 'LOAD_START',
+  LOAD_SUCCESS: 'LOAD_SUCCESS',
+  LOAD_FAILURE: 'LOAD_FAILURE',
+  RECEIVED: 'RECEIVED',
+  SET_UNREAD_COUNT: 'SET_UNREAD_COUNT',
+  MARK_READ: 'MARK_READ',
+  MARK_ALL_READ: 'MARK_ALL_READ',
+  SET_CONNECTED: 'SET_CONNECTED',
+  RESET: 'RESET',
+};
+
+// Reducer
+const notificationReducer = (state, action) => {
+  switch (action.type) {
+    case NotificationActionTypes.LOAD_START:
+      return {
+        ...state,
+        isLoading: true,
+      };
+
+    case NotificationActionTypes.LOAD_SUCCESS:
+      return {
+        ...state,
+        notifications: action.payload.notifications,
+        unreadCount: action.payload.unreadCount,
+        isLoading: false,
+      };
+
+    case NotificationActionTypes.LOAD_FAILURE:
+      return {
+        ...state,
+        isLoading: false,
+      };
+
+    case NotificationActionTypes.RECEIVED:
+      return {
+        ...state,
+        notifications: [action.payload, ...state.notifications.filter(n => n._id !== action.payload._id)],
+        unreadCount: state.unreadCount + 1,
+      };
+
+    case NotificationActionTypes.SET_UNREAD_COUNT:
+      return {
+        ...state,
+        unreadCount: action.payload,
+      };
+
+    case NotificationActionTypes.MARK_READ:
+      return {
+        ...state,
+        notifications: state.notifications.map(n =>
+          n._id === action.payload.id ? { ...n, readAt: action.payload.readAt, isRead: true } : n
+        ),
+      };
+
+    case NotificationActionTypes.MARK_ALL_READ:
+      return {
+        ...state,
+        notifications: state.notifications.map(n =>
+          n.readAt ? n : { ...n, readAt: action.payload, isRead: true }
+        ),
+        unreadCount: 0,
+      };
+
+    case NotificationActionTypes.SET_CONNECTED:
+      return {
+        ...state,
+        isConnected: action.payload,
+      };
+
+    case NotificationActionTypes.RESET:
+      return initialState;
+
+    default:
+      return state;
+  }
+};
+
+// Split a Server-Sent Events buffer into complete events and the unfinished remainder
+const parseEvents = (buffer) => {
+  const blocks = buffer.split('\n\n');
+  const remainder = blocks.pop();
+
+  const events = blocks.map((block) => {
+    let event = 'message';
+    const data = [];
+
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+
+    return { event, data: data.join('\n') };
+  }).filter(({ data }) => data);
+
+  return { events, remainder };
+};
+
+// Create context
+const NotificationContext = createContext();
+
+// Notification provider component
+export const NotificationProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(notificationReducer, initialState);
+  const { isAuthenticated, token } = useAuth();
+
+  // Load the most recent notifications
+  const loadNotifications = useCallback(async () => {
+    dispatch({ type: NotificationActionTypes.LOAD_START });
+
+    try {
+      const response = await apiRequest.get(endpoints.notifications.list, { limit: 20 });
+      dispatch({
+        type: NotificationActionTypes.LOAD_SUCCESS,
+        payload: response.data,
+      });
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+      dispatch({ type: NotificationActionTypes.LOAD_FAILURE });
+    }
+  }, []);
+
+  // Stream new notifications while signed in
+  useEffect(() => {
+    if (!isAuthenticated || !token) {
+      dispatch({ type: NotificationActionTypes.RESET });
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let reconnectTimer = null;
+
+    const handleEvent = ({ event, data }) => {
+      const payload = JSON.parse(data);
+
+      if (event === 'notification') {
+        dispatch({ type: NotificationActionTypes.RECEIVED, payload });
+        toast(payload.title, { icon: '🔔' });
+      } else if (event === 'unread') {
+        dispatch({ type: NotificationActionTypes.SET_UNREAD_COUNT, payload: payload.unreadCount });
+      }
+    };
+
+    // EventSource cannot send the Authorization header, so read the stream with fetch
+    const connect = async () => {
+      try {
+        const response = await fetch(`${api.defaults.baseURL}${endpoints.notifications.stream}`, {
+          headers: {
+            Accept: 'text/event-stream',
+            // Read at connect time, the access token is replaced on every refresh
+            Authorization: `Bearer ${localStorage.getItem('token')}`,
+          },
+          signal: controller.signal,
+        });
+
+        // Expired access token: refresh before the next attempt
+        if (response.status === 401) {
+          await refreshAccessToken().catch(() => {});
+        }
+
+        if (!response.ok) {
+          throw new Error(`Notification stream failed with status ${response.status}`);
+        }
+
+        dispatch({ type: NotificationActionTypes.SET_CONNECTED, payload: true });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const { events, remainder } = parseEvents(buffer);
+          buffer = remainder;
+          events.forEach(handleEvent);
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Notification stream error:', error);
+      }
+
+      if (controller.signal.aborted) return;
+
+      // Reconnect and catch up on anything missed while disconnected
+      dispatch({ type: NotificationActionTypes.SET_CONNECTED, payload: false });
+      reconnectTimer = setTimeout(() => {
+        loadNotifications();
+        connect();
+      }, RECONNECT_DELAY);
+    };
+
+    loadNotifications();
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+    };
+  }, [isAuthenticated, token, loadNotifications]);
+
+  // Mark a single notification as read
+  const markAsRead = async (id) => {
+    try {
+      const response = await apiRequest.patch(endpoints.notifications.markRead(id));
+      dispatch({
+        type: NotificationActionTypes.MARK_READ,
+        payload: { id, readAt: response.data.notification.readAt },
+      });
+      dispatch({ type: NotificationActionTypes.SET_UNREAD_COUNT, payload: response.data.unreadCount });
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+    }
+  };
+
+  // Mark every notification as read
+  const markAllAsRead = async () => {
+    try {
+      await apiRequest.patch(endpoints.notifications.markAllRead);
+      dispatch({ type: NotificationActionTypes.MARK_ALL_READ, payload: new Date().toISOString() });
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  const value = {
+    ...state,
+    loadNotifications,
+    markAsRead,
+    markAllAsRead,
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+// Custom hook to use notification context
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
+
+export default NotificationContext;
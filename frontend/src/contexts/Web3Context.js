@@ -151,6 +151,39 @@ const NETWORKS = {
   },
 };
 
+// Render an EIP-4361 Sign-In With Ethereum message from the fields the server issued
+export const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+  notBefore,
+  requestId,
+  resources = [],
+}) => {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, address, ''];
+
+  if (statement) {
+    lines.push(statement);
+  }
+  lines.push('');
+
+  lines.push(`URI: ${uri}`, `Version: ${version}`, `Chain ID: ${chainId}`, `Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) lines.push(`Not Before: ${notBefore}`);
+  if (requestId) lines.push(`Request ID: ${requestId}`);
+  if (resources.length > 0) {
+    lines.push('Resources:', ...resources.map((resource) => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
 // Web3 provider component
 export const Web3Provider = ({ children }) => {
   const [state, dispatch] = useReducer(web3Reducer, initialState);
@@ -278,7 +311,7 @@ export const Web3Provider = ({ children }) => {
       await initializeContract(signer);
 
       toast.success('Wallet connected successfully!');
-      return { success: true };
+      return { success: true, account, chainId, signer };
     } catch (error) {
       const errorMessage = error.message || 'Failed to connect wallet';
       dispatch({ type: Web3ActionTypes.SET_ERROR, payload: errorMessage });
@@ -381,15 +414,19 @@ export const Web3Provider = ({ children }) => {
     return networkMap[state.chainId] || 'Unknown Network';
   };
 
-  // Sign message
-  const signMessage = async (message) => {
+  // Sign message; a Sign-In With Ethereum message is built when given the server-issued fields
+  const signMessage = async (message, signer = state.signer) => {
     try {
-      if (!state.signer) {
+      if (!signer) {
         throw new Error('Wallet not connected');
       }
+
+      const text = typeof message === 'string'
+        ? message
+        : buildSiweMessage({ ...message, address: ethers.utils.getAddress(await signer.getAddress()) });
       
-      const signature = await state.signer.signMessage(message);
-      return { success: true, signature };
+      const signature = await signer.signMessage(text);
+      return { success: true, signature, message: text };
     } catch (error) {
       const errorMessage = error.message || 'Failed to sign message';
       toast.error(errorMessage);
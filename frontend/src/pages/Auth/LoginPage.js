@@ -8,7 +8,7 @@ import {
   ShieldCheckIcon
 } from '@heroicons/react/24/outline';
 import { Card } from '../../components/UI/Card';
-import { apiRequest, endpoints } from '../../services/api';
+import { authService } from '../../services/authService';
 import { Button } from '../../components/UI/Button';
 import { Input } from '../../components/UI/Input';
 import { Alert } from '../../components/UI/Alert';
@@ -19,7 +19,7 @@ import { cn } from '../../utils/cn';
 
 const LoginPage = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, walletLogin, verifyTwoFactor } = useAuth();
   const { connectWallet, signMessage, isConnected, account } = useWeb3();
   
   const [formData, setFormData] = useState({
@@ -31,6 +31,11 @@ const LoginPage = () => {
   const [error, setError] = useState('');
   const [touched, setTouched] = useState({});
 
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
   const validateEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -77,59 +82,85 @@ const LoginPage = () => {
     setError('');
 
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Mock login validation
-      if (formData.email === 'admin@example.com' && formData.password === 'password') {
-        await login({
-          id: '1',
-          name: 'John Doe',
-          email: formData.email,
-          role: 'creator',
-          organization: 'Tech Academy'
-        });
+      const result = await login(formData);
+
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
+        navigate(result.twoFactorSetupRequired ? '/app/settings' : '/app/dashboard');
+      } else {
+        setError(result.error || 'Invalid email or password. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      setError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the code from your authenticator app');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim());
+
+      if (result.success) {
         navigate('/app/dashboard');
+      } else if (/expired/i.test(result.error)) {
+        // The challenge is short-lived; start again from the password
+        handleCancelTwoFactor();
+        setError(result.error);
       } else {
-        throw new Error('Invalid credentials');
+        setError(result.error);
+        setTwoFactorCode('');
       }
-    } catch (err) {
-      setError('Invalid email or password. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   const handleWeb3Login = async () => {
+    setError('');
+
     try {
-      const walletResult = await connectWallet();
-      if (walletResult.success && walletResult.account) {
-        // Create a message for the user to sign
-        const message = `Login to Certificate Manager with wallet: ${walletResult.account}`;
-        
-        // Sign the message
-        const signResult = await signMessage(message);
-        if (signResult.success) {
-          // Use wallet login endpoint with signature
-          const response = await apiRequest.post(endpoints.auth.walletLogin, {
-            walletAddress: walletResult.account,
-            signature: signResult.signature,
-            message: message
-          });
-          
-          if (response.data?.success) {
-            // Update auth context with the user data
-            await login(response.data.data.user);
-            navigate('/dashboard');
-          } else {
-            throw new Error(response.data?.message || 'Wallet login failed');
-          }
-        } else {
-          throw new Error('Failed to sign message');
-        }
+      const wallet = await connectWallet();
+      if (!wallet.success) return;
+
+      setLoading(true);
+
+      // The server issues a single-use nonce bound to this site and chain
+      const siweFields = await authService.getSiweNonce(parseInt(wallet.chainId, 16));
+      const signResult = await signMessage(siweFields, wallet.signer);
+      if (!signResult.success) {
+        throw new Error('Failed to sign message');
+      }
+
+      const result = await walletLogin({ message: signResult.message, signature: signResult.signature });
+
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
+        navigate(result.twoFactorSetupRequired ? '/app/settings' : '/app/dashboard');
+      } else {
+        setError(result.error);
       }
     } catch (err) {
       setError(err.message || 'Failed to connect wallet. Please try again.');
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -158,102 +189,164 @@ const LoginPage = () => {
               </Alert>
             )}
 
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <Input
-                label="Email Address"
-                type="email"
-                value={formData.email}
-                onChange={(e) => handleInputChange('email', e.target.value)}
-                error={touched.email && errors.email}
-                placeholder="Enter your email"
-                disabled={loading}
-                autoComplete="email"
-                required
-              />
-
-              <div className="relative">
+            {challengeToken ? (
+              <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+                <div className="text-center">
+                  <ShieldCheckIcon className="h-10 w-10 text-primary-600 mx-auto mb-2" />
+                  <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {useRecoveryCode
+                      ? 'Enter one of the recovery codes you saved when setting up two-factor authentication.'
+                      : 'Enter the 6-digit code from your authenticator app.'}
+                  </p>
+                </div>
+
                 <Input
-                  label="Password"
-                  type={showPassword ? 'text' : 'password'}
-                  value={formData.password}
-                  onChange={(e) => handleInputChange('password', e.target.value)}
-                  error={touched.password && errors.password}
-                  placeholder="Enter your password"
+                  label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setError('');
+                  }}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  maxLength={useRecoveryCode ? 11 : 6}
                   disabled={loading}
-                  autoComplete="current-password"
+                  autoFocus
                   required
                 />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-3 top-9 text-gray-400 hover:text-gray-600 transition-colors"
+
+                <Button type="submit" className="w-full" loading={loading} disabled={loading}>
+                  Verify
+                  <ArrowRightIcon className="ml-2 h-4 w-4" />
+                </Button>
+
+                <div className="flex items-center justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setTwoFactorCode('');
+                      setError('');
+                    }}
+                    className="text-primary-600 hover:text-primary-500 transition-colors"
+                    disabled={loading}
+                  >
+                    {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleCancelTwoFactor}
+                    className="text-gray-500 hover:text-gray-700 transition-colors"
+                    disabled={loading}
+                  >
+                    Back to sign in
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <Input
+                  label="Email Address"
+                  type="email"
+                  value={formData.email}
+                  onChange={(e) => handleInputChange('email', e.target.value)}
+                  error={touched.email && errors.email}
+                  placeholder="Enter your email"
                   disabled={loading}
-                >
-                  {showPassword ? (
-                    <EyeSlashIcon className="h-5 w-5" />
-                  ) : (
-                    <EyeIcon className="h-5 w-5" />
-                  )}
-                </button>
-              </div>
+                  autoComplete="email"
+                  required
+                />
 
-              <div className="flex items-center justify-between">
-                <label className="flex items-center">
-                  <input
-                    type="checkbox"
-                    className="form-checkbox h-4 w-4 text-primary-600 rounded"
+                <div className="relative">
+                  <Input
+                    label="Password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={formData.password}
+                    onChange={(e) => handleInputChange('password', e.target.value)}
+                    error={touched.password && errors.password}
+                    placeholder="Enter your password"
                     disabled={loading}
+                    autoComplete="current-password"
+                    required
                   />
-                  <span className="ml-2 text-sm text-gray-600">Remember me</span>
-                </label>
-                <Link 
-                  to="/forgot-password" 
-                  className="text-sm text-primary-600 hover:text-primary-500 transition-colors"
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-9 text-gray-400 hover:text-gray-600 transition-colors"
+                    disabled={loading}
+                  >
+                    {showPassword ? (
+                      <EyeSlashIcon className="h-5 w-5" />
+                    ) : (
+                      <EyeIcon className="h-5 w-5" />
+                    )}
+                  </button>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      className="form-checkbox h-4 w-4 text-primary-600 rounded"
+                      disabled={loading}
+                    />
+                    <span className="ml-2 text-sm text-gray-600">Remember me</span>
+                  </label>
+                  <Link 
+                    to="/forgot-password" 
+                    className="text-sm text-primary-600 hover:text-primary-500 transition-colors"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={loading || Object.keys(errors).length > 0}
+                  loading={loading}
                 >
-                  Forgot password?
-                </Link>
-              </div>
+                  {loading ? (
+                    <>
+                      <LoadingSpinner size="sm" className="mr-2" />
+                      Signing In...
+                    </>
+                  ) : (
+                    <>
+                      Sign In
+                      <ArrowRightIcon className="ml-2 h-4 w-4" />
+                    </>
+                  )}
+                </Button>
+              </form>
+            )}
 
-              <Button
-                type="submit"
-                className="w-full"
-                disabled={loading || Object.keys(errors).length > 0}
-                loading={loading}
-              >
-                {loading ? (
-                  <>
-                    <LoadingSpinner size="sm" className="mr-2" />
-                    Signing In...
-                  </>
-                ) : (
-                  <>
-                    Sign In
-                    <ArrowRightIcon className="ml-2 h-4 w-4" />
-                  </>
-                )}
-              </Button>
-            </form>
-
-            {/* Divider */}
-            <div className="relative my-6">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-200" />
-              </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-4 bg-white text-gray-500">Or continue with</span>
-              </div>
-            </div>
+            {!challengeToken && (
+              <>
+                {/* Divider */}
+                <div className="relative my-6">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-200" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-4 bg-white text-gray-500">Or continue with</span>
+                  </div>
+                </div>
 
-            {/* Web3 Login */}
-            <Button
-              variant="outline"
-              onClick={handleWeb3Login}
-              className="w-full"
-              disabled={loading}
-            >
-              <ShieldCheckIcon className="h-5 w-5 mr-2" />
-              {isConnected ? `Connected: ${account?.slice(0, 6)}...${account?.slice(-4)}` : 'Connect Wallet'}
-            </Button>
+                {/* Web3 Login */}
+                <Button
+                  variant="outline"
+                  onClick={handleWeb3Login}
+                  className="w-full"
+                  disabled={loading}
+                >
+                  <ShieldCheckIcon className="h-5 w-5 mr-2" />
+                  {isConnected ? `Connected: ${account?.slice(0, 6)}...${account?.slice(-4)}` : 'Connect Wallet'}
+                </Button>
+              </>
+            )}
           </div>
         </Card>
 
@@ -32,7 +32,6 @@ const RegisterPage = () => {
     confirmPassword: '',
     
     // Step 2: Organization
-    role: '',
     organization: '',
     organizationType: '',
     departmentSize: '',
@@ -55,13 +54,6 @@ const RegisterPage = () => {
     { id: 3, name: 'Complete Setup', description: 'Terms and confirmation' }
   ];
 
-  const roles = [
-    { value: 'creator', label: 'Certificate Creator', description: 'Create and manage certificates' },
-    { value: 'verifier', label: 'Certificate Verifier', description: 'Review and approve certificates' },
-    { value: 'issuer', label: 'Certificate Issuer', description: 'Issue verified certificates' },
-    { value: 'admin', label: 'Administrator', description: 'Full system access' }
-  ];
-
   const organizationTypes = [
     { value: 'university', label: 'University/College' },
     { value: 'school', label: 'School/K-12' },
@@ -107,7 +99,6 @@ const RegisterPage = () => {
     }
     
     if (step === 2) {
-      if (!formData.role) errors.role = 'Please select a role';
       if (!formData.organization.trim()) errors.organization = 'Organization name is required';
       if (!formData.organizationType) errors.organizationType = 'Please select organization type';
     }
@@ -153,7 +144,7 @@ const RegisterPage = () => {
       case 1:
         return ['firstName', 'lastName', 'email', 'password', 'confirmPassword'];
       case 2:
-        return ['role', 'organization', 'organizationType'];
+        return ['organization', 'organizationType'];
       case 3:
         return ['agreeTerms', 'agreePrivacy'];
       default:
@@ -179,7 +170,6 @@ const RegisterPage = () => {
         username: `${formData.firstName}${formData.lastName}`.toLowerCase(),
         email: formData.email,
         password: formData.password,
-        role: formData.role || 'creator',
         profile: {
           firstName: formData.firstName,
           lastName: formData.lastName,
@@ -309,47 +299,9 @@ const RegisterPage = () => {
 
   const renderStep2 = () => (
     <div className="space-y-6">
-      <div>
-        <label className="block text-sm font-medium text-gray-700 mb-3">Select Your Role</label>
-        <div className="grid grid-cols-1 gap-3">
-          {roles.map((role) => (
-            <label key={role.value} className="relative">
-              <input
-                type="radio"
-                name="role"
-                value={role.value}
-                checked={formData.role === role.value}
-                onChange={(e) => handleInputChange('role', e.target.value)}
-                className="sr-only"
-              />
-              <div className={cn(
-                "p-4 border-2 rounded-lg cursor-pointer transition-all",
-                formData.role === role.value 
-                  ? "border-primary-500 bg-primary-50" 
-                  : "border-gray-200 hover:border-gray-300"
-              )}>
-                <div className="flex items-start">
-                  <div className={cn(
-                    "w-5 h-5 rounded-full border-2 mr-3 mt-0.5 flex items-center justify-center",
-                    formData.role === role.value ? "border-primary-500 bg-primary-500" : "border-gray-300"
-                  )}>
-                    {formData.role === role.value && (
-                      <CheckIcon className="h-3 w-3 text-white" />
-                    )}
-                  </div>
-                  <div className="flex-1">
-                    <p className="font-medium text-gray-900">{role.label}</p>
-                    <p className="text-sm text-gray-600">{role.description}</p>
-                  </div>
-                </div>
-              </div>
-            </label>
-          ))}
-        </div>
-        {touched.role && errors.role && (
-          <p className="mt-1 text-sm text-red-600">{errors.role}</p>
-        )}
-      </div>
+      <Alert variant="info">
+        New accounts start as certificate creators. An administrator of your organization can grant verifier, issuer or admin access.
+      </Alert>
 
       <Input
         label="Organization Name"
@@ -389,7 +341,7 @@ const RegisterPage = () => {
         <div className="space-y-2 text-sm">
           <p><span className="text-gray-600">Name:</span> {formData.firstName} {formData.lastName}</p>
           <p><span className="text-gray-600">Email:</span> {formData.email}</p>
-          <p><span className="text-gray-600">Role:</span> {roles.find(r => r.value === formData.role)?.label}</p>
+          <p><span className="text-gray-600">Role:</span> Certificate Creator</p>
           <p><span className="text-gray-600">Organization:</span> {formData.organization}</p>
         </div>
       </div>
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import { 
   ArrowLeftIcon,
   PencilIcon,
@@ -13,7 +14,9 @@ import {
   XCircleIcon,
   DocumentDuplicateIcon,
   GlobeAltIcon,
-  LockClosedIcon
+  LockClosedIcon,
+  ArrowPathIcon,
+  CheckBadgeIcon
 } from '@heroicons/react/24/outline';
 import { Card, DetailCard } from '../../components/UI/Card';
 import { Button, IconButton } from '../../components/UI/Button';
@@ -23,6 +26,7 @@ import { ConfirmationModal, InfoModal } from '../../components/UI/Modal';
 import { Alert } from '../../components/UI/Alert';
 import { useAuth } from '../../contexts/AuthContext';
 import { useWeb3 } from '../../contexts/Web3Context';
+import { apiRequest, endpoints } from '../../services/api';
 import { cn, formatDate, formatDateTime } from '../../utils/cn';
 
 const CertificateDetailPage = () => {
@@ -38,6 +42,8 @@ const CertificateDetailPage = () => {
   const [shareModalOpen, setShareModalOpen] = useState(false);
   const [verificationDetails, setVerificationDetails] = useState(null);
   const [blockchainDetails, setBlockchainDetails] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [workflow, setWorkflow] = useState(null);
 
   // Mock certificate data - replace with actual API call
   useEffect(() => {
@@ -153,6 +159,64 @@ const CertificateDetailPage = () => {
     }
   }, [id]);
 
+  // Version chain for reissued certificates
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const response = await apiRequest.get(endpoints.certificates.versions(id));
+        setVersions(response.data.versions);
+      } catch (error) {
+        setVersions([]);
+      }
+    };
+
+    if (id) {
+      fetchVersions();
+    }
+  }, [id]);
+
+  // Workflow actions open to the current user, and the separation-of-duties rule blocking any of them
+  const fetchWorkflow = useCallback(async () => {
+    try {
+      const response = await apiRequest.get(endpoints.certificates.workflow(id));
+      setWorkflow(response.data.workflow);
+    } catch (error) {
+      setWorkflow(null);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (id) {
+      fetchWorkflow();
+    }
+  }, [id, fetchWorkflow]);
+
+  const runWorkflowAction = async (request) => {
+    setActionLoading(true);
+    try {
+      const response = await request();
+      toast.success(response.message);
+      fetchWorkflow();
+    } catch (error) {
+      console.error('Certificate workflow action failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleVerify = (approved) => runWorkflowAction(
+    () => apiRequest.patch(endpoints.certificates.verify(id), { approved })
+  );
+
+  const handleIssue = () => runWorkflowAction(
+    () => apiRequest.patch(endpoints.certificates.issue(id))
+  );
+
+  // Actions the user could take apart from a policy rule are shown disabled with the rule as tooltip
+  const showAction = (action) => action && (action.allowed || action.rule);
+  const verifyAction = workflow?.actions.verify;
+  const issueAction = workflow?.actions.issue;
+
   const handleEdit = () => {
     navigate(`/app/certificates/${id}/edit`);
   };
@@ -170,11 +234,30 @@ const CertificateDetailPage = () => {
     setShareModalOpen(true);
   };
 
-  const handleDownload = () => {
-    // Implement download functionality
-    console.log('Download certificate:', id);
+  const handleDownload = async () => {
+    try {
+      await apiRequest.download(endpoints.certificates.download(id), `${certificate.id}.pdf`);
+    } catch (error) {
+      console.error('Certificate download failed:', error);
+    }
   };
 
+  const handleRenew = async () => {
+    setActionLoading(true);
+    try {
+      const response = await apiRequest.post(endpoints.certificates.renew(id));
+      navigate(`/app/certificates/${response.data.certificate._id}`);
+    } catch (error) {
+      console.error('Certificate renewal failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const canRenew = hasPermission('issue_certificates') &&
+    ['issued', 'expired'].includes(certificate?.status) &&
+    !certificate?.renewedBy;
+
   const handleCopyVerificationUrl = () => {
     navigator.clipboard.writeText(verificationDetails.verificationUrl);
     // Show toast notification
@@ -197,6 +280,8 @@ const CertificateDetailPage = () => {
         return <ExclamationTriangleIcon className="h-5 w-5 text-gray-500" />;
       case 'revoked':
         return <XCircleIcon className="h-5 w-5 text-red-500" />;
+      case 'expired':
+        return <ClockIcon className="h-5 w-5 text-orange-500" />;
       default:
         return null;
     }
@@ -214,6 +299,8 @@ const CertificateDetailPage = () => {
         return 'This certificate is in draft mode and has not been submitted for verification.';
       case 'revoked':
         return 'This certificate has been revoked and is no longer valid.';
+      case 'expired':
+        return 'The validity period of this certificate has ended. An issuer can renew it.';
       default:
         return 'Unknown status';
     }
@@ -267,6 +354,11 @@ const CertificateDetailPage = () => {
           <div>
             <h1 className="text-2xl font-bold text-gray-900">{certificate.title}</h1>
             <p className="text-sm text-gray-500">Certificate ID: {certificate.id}</p>
+            {workflow && workflow.approvals.required > 1 && (
+              <p className="text-sm text-gray-500">
+                Approvals: {workflow.approvals.received.length} of {workflow.approvals.required}
+              </p>
+            )}
           </div>
         </div>
         
@@ -281,14 +373,46 @@ const CertificateDetailPage = () => {
             onClick={handleDownload}
             tooltip="Download"
           />
-          {hasPermission('update') && (
+          {showAction(verifyAction) && (
+            <>
+              <IconButton
+                icon={<CheckCircleIcon className="h-4 w-4" />}
+                onClick={() => handleVerify(true)}
+                disabled={actionLoading || !verifyAction.allowed}
+                tooltip={verifyAction.reason || 'Approve'}
+              />
+              <IconButton
+                icon={<XCircleIcon className="h-4 w-4" />}
+                onClick={() => handleVerify(false)}
+                disabled={actionLoading || !verifyAction.allowed}
+                tooltip={verifyAction.reason || 'Reject'}
+              />
+            </>
+          )}
+          {showAction(issueAction) && (
+            <IconButton
+              icon={<CheckBadgeIcon className="h-4 w-4" />}
+              onClick={handleIssue}
+              disabled={actionLoading || !issueAction.allowed}
+              tooltip={issueAction.reason || 'Issue'}
+            />
+          )}
+          {canRenew && (
+            <IconButton
+              icon={<ArrowPathIcon className="h-4 w-4" />}
+              onClick={handleRenew}
+              disabled={actionLoading}
+              tooltip="Renew"
+            />
+          )}
+          {hasPermission('create_certificates') && (
             <IconButton
               icon={<PencilIcon className="h-4 w-4" />}
               onClick={handleEdit}
               tooltip="Edit"
             />
           )}
-          {hasPermission('delete') && (
+          {hasPermission('create_certificates') && (
             <IconButton
               icon={<TrashIcon className="h-4 w-4" />}
               onClick={() => setDeleteModalOpen(true)}
@@ -301,7 +425,7 @@ const CertificateDetailPage = () => {
 
       {/* Status Alert */}
       <Alert 
-        type={certificate.status === 'issued' ? 'success' : certificate.status === 'revoked' ? 'error' : 'info'}
+        type={certificate.status === 'issued' ? 'success' : certificate.status === 'revoked' ? 'error' : certificate.status === 'expired' ? 'warning' : 'info'}
         title={`Certificate Status: ${certificate.status.replace('_', ' ').toUpperCase()}`}
         className="border-l-4"
       >
@@ -438,12 +562,18 @@ const CertificateDetailPage = () => {
                             log.action === 'created' && "bg-gray-400",
                             log.action === 'verified' && "bg-blue-500",
                             log.action === 'issued' && "bg-green-500",
-                            log.action === 'revoked' && "bg-red-500"
+                            log.action === 'revoked' && "bg-red-500",
+                            log.action === 'expired' && "bg-orange-500",
+                            log.action === 'renewed' && "bg-blue-400",
+                            log.action === 'reissued' && "bg-indigo-500"
                           )}>
                             {log.action === 'created' && <PencilIcon className="h-4 w-4 text-white" />}
                             {log.action === 'verified' && <CheckCircleIcon className="h-4 w-4 text-white" />}
                             {log.action === 'issued' && <GlobeAltIcon className="h-4 w-4 text-white" />}
                             {log.action === 'revoked' && <XCircleIcon className="h-4 w-4 text-white" />}
+                            {log.action === 'expired' && <ClockIcon className="h-4 w-4 text-white" />}
+                            {log.action === 'renewed' && <ArrowPathIcon className="h-4 w-4 text-white" />}
+                            {log.action === 'reissued' && <DocumentDuplicateIcon className="h-4 w-4 text-white" />}
                           </span>
                         </div>
                         <div className="flex min-w-0 flex-1 justify-between space-x-4 pt-1.5">
@@ -468,6 +598,42 @@ const CertificateDetailPage = () => {
             </div>
           </DetailCard>
 
+          {/* Version History */}
+          {versions.length > 1 && (
+            <DetailCard title="Version History">
+              <ul className="divide-y divide-gray-200">
+                {versions.map((version) => (
+                  <li key={version._id} className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        Version {version.version}
+                        {!version.supersededBy && (
+                          <Badge variant="success" className="ml-2">Current</Badge>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {version.certificateId}
+                        {version.issuer?.issuedAt && ` • Issued ${formatDateTime(version.issuer.issuedAt)}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <StatusBadge status={version.status} />
+                      {version._id !== id && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => navigate(`/app/certificates/${version._id}`)}
+                        >
+                          View
+                        </Button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </DetailCard>
+          )}
+
           {/* Files */}
           {certificate.files && certificate.files.length > 0 && (
             <DetailCard title="Attached Files">
@@ -165,6 +165,7 @@ const CertificatesPage = () => {
     { value: 'verified', label: 'Verified', count: certificates.filter(c => c.status === 'verified').length },
     { value: 'issued', label: 'Issued', count: certificates.filter(c => c.status === 'issued').length },
     { value: 'revoked', label: 'Revoked', count: certificates.filter(c => c.status === 'revoked').length },
+    { value: 'expired', label: 'Expired', count: certificates.filter(c => c.status === 'expired').length },
   ];
 
   const handleView = (certificate) => {
@@ -228,7 +229,7 @@ const CertificatesPage = () => {
           </p>
         </div>
         <div className="mt-4 sm:mt-0 flex items-center space-x-3">
-          {hasPermission('create') && (
+          {hasPermission('create_certificates') && (
             <Button onClick={() => navigate('/app/certificates/new')}>
               <PlusIcon className="h-5 w-5 mr-2" />
               Create Certificate
@@ -364,8 +365,8 @@ const CertificatesPage = () => {
               certificate={certificate}
               onClick={() => handleView(certificate)}
               onView={() => handleView(certificate)}
-              onEdit={hasPermission('update') ? () => handleEdit(certificate) : null}
-              onDelete={hasPermission('delete') ? () => handleDelete(certificate) : null}
+              onEdit={hasPermission('create_certificates') ? () => handleEdit(certificate) : null}
+              onDelete={hasPermission('create_certificates') ? () => handleDelete(certificate) : null}
             />
           ))}
         </div>
@@ -445,7 +446,7 @@ const CertificatesPage = () => {
                           tooltip="Download"
                           size="icon-sm"
                         />
-                        {hasPermission('update') && (
+                        {hasPermission('create_certificates') && (
                           <IconButton
                             icon={<PencilIcon className="h-4 w-4" />}
                             onClick={() => handleEdit(certificate)}
@@ -453,7 +454,7 @@ const CertificatesPage = () => {
                             size="icon-sm"
                           />
                         )}
-                        {hasPermission('delete') && (
+                        {hasPermission('create_certificates') && (
                           <IconButton
                             icon={<TrashIcon className="h-4 w-4" />}
                             onClick={() => handleDelete(certificate)}
@@ -488,7 +489,7 @@ const CertificatesPage = () => {
               }
             </p>
             <div className="mt-6">
-              {hasPermission('create') && (
+              {hasPermission('create_certificates') && (
                 <Button onClick={() => navigate('/app/certificates/new')}>
                   <PlusIcon className="h-5 w-5 mr-2" />
                   Create Certificate
@@ -1,8 +1,154 @@
-import React from 'react';
-import { Card } from '../../components/UI/Card';
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { WalletIcon } from '@heroicons/react/24/outline';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '../../components/UI/Card';
 import { Badge } from '../../components/UI/Badge';
+import { Button } from '../../components/UI/Button';
+import { ConfirmationModal } from '../../components/UI/Modal';
+import { CardLoading } from '../../components/UI/LoadingSpinner';
+import { authService } from '../../services/authService';
+import { useAuth } from '../../contexts/AuthContext';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { formatDateTime } from '../../utils/cn';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const WalletCard = () => {
+  const { reloadUser } = useAuth();
+  const { connectWallet, signMessage } = useWeb3();
+  const [wallet, setWallet] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [confirmUnlink, setConfirmUnlink] = useState(false);
+
+  const fetchWallet = useCallback(async () => {
+    try {
+      setWallet(await authService.getWallet());
+    } catch (error) {
+      console.error('Failed to load wallet:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWallet();
+  }, [fetchWallet]);
+
+  // Prove ownership by signing a challenge with the wallet selected in the browser
+  const handleLink = async () => {
+    setActionLoading(true);
+    try {
+      const connected = await connectWallet();
+      if (!connected.success) return;
+
+      const challenge = await authService.getWalletChallenge(parseInt(connected.chainId, 16));
+      const signResult = await signMessage(challenge, connected.signer);
+      if (!signResult.success) return;
+
+      await authService.linkWallet({ message: signResult.message, signature: signResult.signature });
+      toast.success('Wallet linked');
+      await reloadUser();
+      fetchWallet();
+    } catch (error) {
+      console.error('Wallet link failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleUnlink = async () => {
+    setActionLoading(true);
+    try {
+      await authService.unlinkWallet();
+      toast.success('Wallet unlinked');
+      await reloadUser();
+      fetchWallet();
+    } catch (error) {
+      console.error('Wallet unlink failed:', error);
+    } finally {
+      setActionLoading(false);
+      setConfirmUnlink(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="sm:flex-row sm:items-start sm:justify-between sm:space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle>Wallet</CardTitle>
+          <CardDescription>
+            Link an Ethereum wallet to sign in with it. You will be asked to sign a message to prove you own it.
+          </CardDescription>
+        </div>
+        {wallet && (
+          <div className="flex gap-2">
+            <Button size="sm" onClick={handleLink} loading={actionLoading}>
+              {wallet.walletAddress ? 'Replace wallet' : 'Link wallet'}
+            </Button>
+            {wallet.walletAddress && (
+              <Button variant="destructive" size="sm" onClick={() => setConfirmUnlink(true)}>
+                Unlink
+              </Button>
+            )}
+          </div>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!wallet ? (
+          <CardLoading />
+        ) : (
+          <>
+            <div className="flex items-center gap-3">
+              <WalletIcon className="h-8 w-8 text-gray-400" />
+              {wallet.walletAddress ? (
+                <div className="flex items-center gap-2">
+                  <span className="font-mono text-sm text-gray-900">{wallet.walletAddress}</span>
+                  <Badge variant={wallet.verified ? 'success' : 'warning'} size="sm">
+                    {wallet.verified ? 'Verified' : 'Unverified'}
+                  </Badge>
+                </div>
+              ) : (
+                <span className="text-sm text-gray-500">No wallet linked</span>
+              )}
+            </div>
+
+            {wallet.history.length > 0 && (
+              <div>
+                <h4 className="mb-2 text-sm font-medium text-gray-700">History</h4>
+                <ul className="divide-y divide-gray-200 text-sm">
+                  {wallet.history.map((link) => (
+                    <li key={link._id} className="flex items-center justify-between py-2">
+                      <span className="font-mono text-gray-900">{shortAddress(link.address)}</span>
+                      <span className="text-gray-500">
+                        Linked {formatDateTime(link.linkedAt)}
+                        {link.unlinkedAt && ` · ${link.unlinkReason} ${formatDateTime(link.unlinkedAt)}`}
+                        {link.onChainRole?.status && ` · on-chain ${link.onChainRole.role} role ${link.onChainRole.status}`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+
+      <ConfirmationModal
+        isOpen={confirmUnlink}
+        onClose={() => setConfirmUnlink(false)}
+        onConfirm={handleUnlink}
+        loading={actionLoading}
+        variant="destructive"
+        title="Unlink Wallet"
+        message="You will no longer be able to sign in with this wallet."
+        confirmText="Unlink"
+      />
+    </Card>
+  );
+};
 
 const ProfilePage = () => {
+  const { user } = useAuth();
+  const initials = `${user?.profile?.firstName?.[0] || ''}${user?.profile?.lastName?.[0] || ''}`.toUpperCase();
+
   return (
     <div className="space-y-6">
       <div>
@@ -14,24 +160,24 @@ const ProfilePage = () => {
 
       <Card>
         <div className="p-6">
-          <div className="flex items-center space-x-4 mb-6">
+          <div className="flex items-center space-x-4">
             <div className="w-20 h-20 bg-primary-100 rounded-full flex items-center justify-center">
-              <span className="text-2xl font-semibold text-primary-600">JD</span>
+              <span className="text-2xl font-semibold text-primary-600">{initials}</span>
             </div>
             <div>
-              <h2 className="text-xl font-semibold text-gray-900">John Doe</h2>
-              <p className="text-gray-600">john@example.com</p>
-              <Badge variant="success" className="mt-1">Creator</Badge>
+              <h2 className="text-xl font-semibold text-gray-900">
+                {user?.profile?.firstName} {user?.profile?.lastName}
+              </h2>
+              <p className="text-gray-600">{user?.email}</p>
+              <Badge variant="success" className="mt-1 capitalize">{user?.role}</Badge>
             </div>
           </div>
-
-          <div className="text-center py-12">
-            <p className="text-gray-500">Profile page coming soon...</p>
-          </div>
         </div>
       </Card>
+
+      <WalletCard />
     </div>
   );
 };
 
-export default ProfilePage;
\ No newline at end of file
+export default ProfilePage;
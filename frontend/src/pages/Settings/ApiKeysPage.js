@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  KeyIcon,
+  PlusIcon,
+  ArrowPathIcon,
+  NoSymbolIcon,
+  ClipboardDocumentIcon
+} from '@heroicons/react/24/outline';
+import { Card } from '../../components/UI/Card';
+import { Button, IconButton } from '../../components/UI/Button';
+import { Badge } from '../../components/UI/Badge';
+import { InputGroup } from '../../components/UI/Input';
+import { Modal, ConfirmationModal } from '../../components/UI/Modal';
+import { WarningAlert } from '../../components/UI/Alert';
+import { CardLoading } from '../../components/UI/LoadingSpinner';
+import { apiRequest, endpoints } from '../../services/api';
+import { formatDate, formatRelativeTime } from '../../utils/cn';
+
+const emptyForm = {
+  name: '',
+  scopes: [],
+  expiresAt: '',
+};
+
+const ApiKeysPage = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [createModalOpen, setCreateModalOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [revealedKey, setRevealedKey] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await apiRequest.get(endpoints.apiKeys.list);
+      setApiKeys(response.data.apiKeys);
+      setAvailableScopes(response.data.scopes);
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  const toggleScope = (scope) => {
+    setForm((current) => ({
+      ...current,
+      scopes: current.scopes.includes(scope)
+        ? current.scopes.filter((s) => s !== scope)
+        : [...current.scopes, scope],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setActionLoading(true);
+    try {
+      const response = await apiRequest.post(endpoints.apiKeys.create, {
+        name: form.name,
+        scopes: form.scopes,
+        expiresAt: form.expiresAt || undefined,
+      });
+      setRevealedKey({ name: response.data.apiKey.name, key: response.data.key });
+      setCreateModalOpen(false);
+      setForm(emptyForm);
+      fetchApiKeys();
+    } catch (error) {
+      console.error('API key creation failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleConfirmAction = async () => {
+    const { type, apiKey } = pendingAction;
+    setActionLoading(true);
+    try {
+      if (type === 'rotate') {
+        const response = await apiRequest.post(endpoints.apiKeys.rotate(apiKey._id));
+        setRevealedKey({ name: apiKey.name, key: response.data.key });
+      } else {
+        await apiRequest.post(endpoints.apiKeys.revoke(apiKey._id));
+        toast.success('API key revoked');
+      }
+      fetchApiKeys();
+    } catch (error) {
+      console.error(`API key ${type} failed:`, error);
+    } finally {
+      setActionLoading(false);
+      setPendingAction(null);
+    }
+  };
+
+  const handleCopyKey = () => {
+    navigator.clipboard.writeText(revealedKey.key);
+    toast.success('API key copied to clipboard');
+  };
+
+  const getKeyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return <Badge variant="danger">Revoked</Badge>;
+    if (apiKey.isExpired) return <Badge variant="warning">Expired</Badge>;
+    return <Badge variant="success">Active</Badge>;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">API Keys</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Keys let other systems call the certificate and upload APIs with the X-API-Key header
+          </p>
+        </div>
+        <Button
+          onClick={() => setCreateModalOpen(true)}
+          leftIcon={<PlusIcon className="h-4 w-4" />}
+        >
+          New API Key
+        </Button>
+      </div>
+
+      {revealedKey && (
+        <WarningAlert title={`Key for ${revealedKey.name}`}>
+          <p className="mb-2">Copy this key now. It will not be shown again.</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all rounded bg-white px-3 py-2 font-mono text-sm text-gray-900">
+              {revealedKey.key}
+            </code>
+            <IconButton onClick={handleCopyKey} aria-label="Copy API key">
+              <ClipboardDocumentIcon className="h-5 w-5" />
+            </IconButton>
+          </div>
+          <div className="mt-3">
+            <Button variant="outline" size="sm" onClick={() => setRevealedKey(null)}>
+              I have stored the key
+            </Button>
+          </div>
+        </WarningAlert>
+      )}
+
+      <Card>
+        {loading ? (
+          <CardLoading />
+        ) : apiKeys.length === 0 ? (
+          <div className="p-6 text-center py-12">
+            <KeyIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No API keys</h3>
+            <p className="text-gray-500">Create a key to give an integration access.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Owner</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scopes</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last used</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {apiKeys.map((apiKey) => (
+                  <tr key={apiKey._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{apiKey.name}</div>
+                      <div className="text-xs font-mono text-gray-500">cm_{apiKey.prefix}_…</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {apiKey.owner?.email}
+                      {apiKey.institution && (
+                        <div className="text-xs text-gray-500">{apiKey.institution.name}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex flex-wrap gap-1">
+                        {apiKey.scopes.map((scope) => (
+                          <Badge key={scope} variant="outline" size="sm">{scope}</Badge>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {apiKey.lastUsedAt ? formatRelativeTime(apiKey.lastUsedAt) : 'Never'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{getKeyStatus(apiKey)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {!apiKey.revokedAt && (
+                        <div className="flex justify-end gap-2">
+                          <IconButton
+                            onClick={() => setPendingAction({ type: 'rotate', apiKey })}
+                            aria-label="Rotate API key"
+                          >
+                            <ArrowPathIcon className="h-5 w-5" />
+                          </IconButton>
+                          <IconButton
+                            onClick={() => setPendingAction({ type: 'revoke', apiKey })}
+                            aria-label="Revoke API key"
+                          >
+                            <NoSymbolIcon className="h-5 w-5 text-danger-600" />
+                          </IconButton>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {/* Create Modal */}
+      <Modal
+        isOpen={createModalOpen}
+        onClose={() => setCreateModalOpen(false)}
+        title="New API Key"
+        description="The key acts as you, limited to the scopes selected below."
+      >
+        <form onSubmit={handleCreate} className="space-y-4">
+          <InputGroup
+            label="Name"
+            required
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Student information system"
+          />
+          <InputGroup
+            label="Expires"
+            type="date"
+            value={form.expiresAt}
+            onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+            helper="Leave empty for a key that does not expire"
+          />
+          <div className="space-y-2">
+            <span className="block text-sm font-medium text-gray-700">
+              Scopes<span className="text-danger-500 ml-1">*</span>
+            </span>
+            <div className="grid grid-cols-2 gap-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span className="font-mono">{scope}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="flex justify-end gap-3">
+            <Button variant="outline" type="button" onClick={() => setCreateModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              loading={actionLoading}
+              disabled={!form.name || form.scopes.length === 0}
+            >
+              Create Key
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Rotate / Revoke Confirmation */}
+      <ConfirmationModal
+        isOpen={!!pendingAction}
+        onClose={() => setPendingAction(null)}
+        onConfirm={handleConfirmAction}
+        loading={actionLoading}
+        variant={pendingAction?.type === 'revoke' ? 'destructive' : 'default'}
+        title={pendingAction?.type === 'revoke' ? 'Revoke API Key' : 'Rotate API Key'}
+        message={pendingAction?.type === 'revoke'
+          ? `Requests using "${pendingAction?.apiKey.name}" will be rejected immediately. This cannot be undone.`
+          : `A new key will be generated for "${pendingAction?.apiKey.name}" and the current key will stop working immediately.`}
+        confirmText={pendingAction?.type === 'revoke' ? 'Revoke' : 'Rotate'}
+      />
+    </div>
+  );
+};
+
+export default ApiKeysPage;
@@ -0,0 +1,447 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '../../components/UI/Card';
+import { Button, IconButton } from '../../components/UI/Button';
+import { Badge } from '../../components/UI/Badge';
+import { InputGroup, SelectInput } from '../../components/UI/Input';
+import { Modal, ConfirmationModal } from '../../components/UI/Modal';
+import { CardLoading } from '../../components/UI/LoadingSpinner';
+import { apiRequest, endpoints } from '../../services/api';
+import { authService } from '../../services/authService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTime } from '../../utils/cn';
+
+const emptyRole = {
+  name: '',
+  description: '',
+  permissions: [],
+};
+
+const AUDIT_LABELS = {
+  'user.role_changed': 'Role changed',
+  'user.permissions_changed': 'Permissions changed',
+  'role.created': 'Role created',
+  'role.updated': 'Role updated',
+  'role.deleted': 'Role deleted',
+};
+
+const PermissionBadges = ({ permissions }) => (
+  <div className="flex flex-wrap gap-1">
+    {permissions.length === 0 ? (
+      <span className="text-sm text-gray-400">None</span>
+    ) : permissions.map((permission) => (
+      <Badge key={permission} variant="outline" size="sm">{permission}</Badge>
+    ))}
+  </div>
+);
+
+const RoleModal = ({ role, permissions, onClose, onSaved }) => {
+  const [form, setForm] = useState(role ? { ...emptyRole, ...role } : emptyRole);
+  const [saving, setSaving] = useState(false);
+
+  const togglePermission = (permission) => {
+    setForm((current) => ({
+      ...current,
+      permissions: current.permissions.includes(permission)
+        ? current.permissions.filter((p) => p !== permission)
+        : [...current.permissions, permission],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (role?._id) {
+        await apiRequest.patch(endpoints.roles.update(role._id), {
+          description: form.description,
+          permissions: form.permissions,
+        });
+      } else {
+        await apiRequest.post(endpoints.roles.create, form);
+      }
+      toast.success(role?._id ? 'Role updated' : 'Role created');
+      onSaved();
+    } catch (error) {
+      console.error('Role save failed:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={role?._id ? `Edit ${role.name}` : 'New Role'}
+      description="Users given this role get exactly these permissions, plus any granted to them individually."
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <InputGroup
+          label="Name"
+          required
+          disabled={Boolean(role?._id)}
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="registrar"
+        />
+        <InputGroup
+          label="Description"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Creates and verifies certificates but cannot issue them"
+        />
+        <div className="space-y-2">
+          <span className="block text-sm font-medium text-gray-700">Permissions</span>
+          <div className="grid grid-cols-2 gap-2">
+            {permissions.map((permission) => (
+              <label key={permission} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  checked={form.permissions.includes(permission)}
+                  onChange={() => togglePermission(permission)}
+                />
+                <span className="font-mono">{permission}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" type="button" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={saving} disabled={!form.name}>
+            {role?._id ? 'Save' : 'Create Role'}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const UserAccessModal = ({ userId, roles, permissions, onClose, onSaved }) => {
+  const [access, setAccess] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    authService.getUserPermissions(userId)
+      .then((user) => setAccess({
+        user,
+        customRole: user.customRole?._id || '',
+        granted: user.permissionOverrides?.granted || [],
+        revoked: user.permissionOverrides?.revoked || [],
+      }))
+      .catch((error) => {
+        console.error('Failed to load user permissions:', error);
+        onClose();
+      });
+  }, [userId, onClose]);
+
+  const overrideOf = (permission) => {
+    if (access.granted.includes(permission)) return 'grant';
+    if (access.revoked.includes(permission)) return 'revoke';
+    return 'inherit';
+  };
+
+  const setOverride = (permission, value) => {
+    setAccess((current) => ({
+      ...current,
+      granted: value === 'grant'
+        ? [...current.granted.filter((p) => p !== permission), permission]
+        : current.granted.filter((p) => p !== permission),
+      revoked: value === 'revoke'
+        ? [...current.revoked.filter((p) => p !== permission), permission]
+        : current.revoked.filter((p) => p !== permission),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await authService.updateUserPermissions(userId, {
+        customRole: access.customRole || null,
+        granted: access.granted,
+        revoked: access.revoked,
+      });
+      toast.success('Permissions updated');
+      onSaved();
+    } catch (error) {
+      console.error('Permission update failed:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      size="lg"
+      title="Edit Access"
+      description={access ? `${access.user.email} · built-in role ${access.user.role}` : undefined}
+    >
+      {!access ? (
+        <CardLoading />
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <SelectInput
+            label="Custom role"
+            value={access.customRole}
+            onChange={(e) => setAccess({ ...access, customRole: e.target.value })}
+            options={[
+              { value: '', label: `None (defaults of ${access.user.role})` },
+              ...roles.map((role) => ({ value: role._id, label: role.name })),
+            ]}
+            helperText="A custom role replaces the default permissions of the built-in role"
+          />
+          <div className="space-y-2">
+            <span className="block text-sm font-medium text-gray-700">Individual permissions</span>
+            {permissions.map((permission) => (
+              <div key={permission} className="flex items-center justify-between gap-4">
+                <span className="font-mono text-sm text-gray-700">{permission}</span>
+                <select
+                  className="rounded-md border-gray-300 text-sm focus:border-primary-500 focus:ring-primary-500"
+                  value={overrideOf(permission)}
+                  onChange={(e) => setOverride(permission, e.target.value)}
+                >
+                  <option value="inherit">From role</option>
+                  <option value="grant">Granted</option>
+                  <option value="revoke">Revoked</option>
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end gap-3">
+            <Button variant="outline" type="button" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={saving}>
+              Save
+            </Button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+const PermissionsPage = () => {
+  const { user: currentUser } = useAuth();
+  const [catalogue, setCatalogue] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [editingRole, setEditingRole] = useState(null);
+  const [deletingRole, setDeletingRole] = useState(null);
+  const [editingUserId, setEditingUserId] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [rolesResponse, usersResponse, auditResponse] = await Promise.all([
+        apiRequest.get(endpoints.roles.list),
+        apiRequest.get(endpoints.auth.users, { limit: 100 }),
+        apiRequest.get(endpoints.roles.audit, { limit: 20 }),
+      ]);
+      setCatalogue(rolesResponse.data);
+      setUsers(usersResponse.data.users);
+      setAuditEntries(auditResponse.data.entries);
+    } catch (error) {
+      console.error('Failed to load permissions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const closeUserModal = useCallback(() => setEditingUserId(null), []);
+
+  const handleSaved = () => {
+    setEditingRole(null);
+    setEditingUserId(null);
+    fetchAll();
+  };
+
+  const handleDeleteRole = async () => {
+    setActionLoading(true);
+    try {
+      await apiRequest.delete(endpoints.roles.delete(deletingRole._id));
+      toast.success('Role deleted');
+      fetchAll();
+    } catch (error) {
+      console.error('Role deletion failed:', error);
+    } finally {
+      setActionLoading(false);
+      setDeletingRole(null);
+    }
+  };
+
+  const roleName = (roleId) => catalogue?.roles.find((role) => role._id === roleId)?.name;
+
+  if (!catalogue) {
+    return <CardLoading />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Roles & Permissions</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Define custom roles and adjust what individual users are allowed to do
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className="sm:flex-row sm:items-start sm:justify-between sm:space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle>Roles</CardTitle>
+            <CardDescription>Built-in roles come with fixed defaults; custom roles are yours to define.</CardDescription>
+          </div>
+          <Button
+            size="sm"
+            onClick={() => setEditingRole(emptyRole)}
+            leftIcon={<PlusIcon className="h-4 w-4" />}
+          >
+            New Role
+          </Button>
+        </CardHeader>
+        <CardContent>
+          <ul className="divide-y divide-gray-200">
+            {catalogue.builtInRoles.map((role) => (
+              <li key={role.name} className="flex items-center justify-between gap-4 py-3">
+                <div>
+                  <span className="text-sm font-medium capitalize text-gray-900">{role.name}</span>
+                  <Badge variant="secondary" size="sm" className="ml-2">Built-in</Badge>
+                </div>
+                <PermissionBadges permissions={role.permissions} />
+              </li>
+            ))}
+            {catalogue.roles.map((role) => (
+              <li key={role._id} className="flex items-center justify-between gap-4 py-3">
+                <div>
+                  <span className="text-sm font-medium text-gray-900">{role.name}</span>
+                  <span className="ml-2 text-xs text-gray-500">{role.userCount} user(s)</span>
+                  {role.description && <p className="text-xs text-gray-500">{role.description}</p>}
+                </div>
+                <div className="flex items-center gap-2">
+                  <PermissionBadges permissions={role.permissions} />
+                  <IconButton onClick={() => setEditingRole(role)} aria-label="Edit role">
+                    <PencilIcon className="h-5 w-5" />
+                  </IconButton>
+                  <IconButton onClick={() => setDeletingRole(role)} aria-label="Delete role">
+                    <TrashIcon className="h-5 w-5 text-danger-600" />
+                  </IconButton>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Users</CardTitle>
+          <CardDescription>Effective permissions are the role's, plus individual grants, minus revocations.</CardDescription>
+        </CardHeader>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Permissions</th>
+                <th className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map((user) => (
+                <tr key={user._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{user.email}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                    <span className="capitalize">{user.role}</span>
+                    {user.customRole && (
+                      <div className="text-xs text-gray-500">as {roleName(user.customRole) || 'custom role'}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">
+                    <PermissionBadges permissions={user.permissions || []} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    {user._id !== currentUser?._id && (
+                      <Button variant="outline" size="sm" onClick={() => setEditingUserId(user._id)}>
+                        Edit access
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent changes</CardTitle>
+          <CardDescription>Every change to roles and permissions is recorded.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {auditEntries.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes recorded yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 text-sm">
+              {auditEntries.map((entry) => (
+                <li key={entry._id} className="flex items-center justify-between gap-4 py-2">
+                  <span className="text-gray-900">
+                    {AUDIT_LABELS[entry.action] || entry.action}
+                    {entry.targetUser && ` · ${entry.targetUser.email}`}
+                    {entry.targetRole && ` · ${entry.targetRole.name}`}
+                    {!entry.targetRole && (entry.after?.name || entry.before?.name) && ` · ${entry.after?.name || entry.before?.name}`}
+                  </span>
+                  <span className="text-gray-500">
+                    {entry.actorEmail} · {formatDateTime(entry.createdAt)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </CardContent>
+      </Card>
+
+      {editingRole && (
+        <RoleModal
+          role={editingRole._id ? editingRole : null}
+          permissions={catalogue.permissions}
+          onClose={() => setEditingRole(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      {editingUserId && (
+        <UserAccessModal
+          userId={editingUserId}
+          roles={catalogue.roles}
+          permissions={catalogue.permissions}
+          onClose={closeUserModal}
+          onSaved={handleSaved}
+        />
+      )}
+
+      <ConfirmationModal
+        isOpen={!!deletingRole}
+        onClose={() => setDeletingRole(null)}
+        onConfirm={handleDeleteRole}
+        loading={actionLoading}
+        variant="destructive"
+        title="Delete Role"
+        message={`The role "${deletingRole?.name}" will be removed. Roles still assigned to users cannot be deleted.`}
+        confirmText="Delete"
+      />
+    </div>
+  );
+};
+
+export default PermissionsPage;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ScaleIcon,
+  ArrowPathIcon,
+  WrenchScrewdriverIcon
+} from '@heroicons/react/24/outline';
+import { Card } from '../../components/UI/Card';
+import { Button, IconButton } from '../../components/UI/Button';
+import { Badge } from '../../components/UI/Badge';
+import { ConfirmationModal } from '../../components/UI/Modal';
+import { InfoAlert } from '../../components/UI/Alert';
+import { CardLoading } from '../../components/UI/LoadingSpinner';
+import { apiRequest, endpoints } from '../../services/api';
+import { formatRelativeTime } from '../../utils/cn';
+
+const RoleSyncPage = () => {
+  const [discrepancies, setDiscrepancies] = useState([]);
+  const [sync, setSync] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [scanning, setScanning] = useState(false);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [pendingFix, setPendingFix] = useState(null);
+
+  const fetchDiscrepancies = useCallback(async () => {
+    try {
+      const response = await apiRequest.get(endpoints.blockchain.roleDiscrepancies, { limit: 100 });
+      setDiscrepancies(response.data.discrepancies);
+      setSync(response.data.sync);
+    } catch (error) {
+      console.error('Failed to load role discrepancies:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDiscrepancies();
+  }, [fetchDiscrepancies]);
+
+  const handleScan = async () => {
+    setScanning(true);
+    try {
+      const response = await apiRequest.post(endpoints.blockchain.roleScan);
+      toast.success(`Checked ${response.data.checked} wallet(s), ${response.data.open} discrepancy(ies) open`);
+      fetchDiscrepancies();
+    } catch (error) {
+      console.error('Role scan failed:', error);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  // pendingFix is a single discrepancy, or 'all'
+  const handleConfirmFix = async () => {
+    setActionLoading(true);
+    try {
+      if (pendingFix === 'all') {
+        const response = await apiRequest.post(endpoints.blockchain.fixAllRoleDiscrepancies);
+        toast.success(response.message);
+      } else {
+        await apiRequest.post(endpoints.blockchain.fixRoleDiscrepancy(pendingFix._id));
+        toast.success('Discrepancy resolved');
+      }
+      fetchDiscrepancies();
+    } catch (error) {
+      console.error('Role fix failed:', error);
+    } finally {
+      setActionLoading(false);
+      setPendingFix(null);
+    }
+  };
+
+  const describeFix = (discrepancy) => (discrepancy.expected
+    ? `Grant the ${discrepancy.role} role to ${discrepancy.address}`
+    : `Revoke the ${discrepancy.role} role from ${discrepancy.address}`);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">On-chain Roles</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Wallets whose roles on the certificate contract do not match their account's role
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={handleScan}
+            loading={scanning}
+            leftIcon={<ArrowPathIcon className="h-4 w-4" />}
+          >
+            Scan now
+          </Button>
+          <Button
+            onClick={() => setPendingFix('all')}
+            disabled={discrepancies.length === 0}
+            leftIcon={<WrenchScrewdriverIcon className="h-4 w-4" />}
+          >
+            Fix all
+          </Button>
+        </div>
+      </div>
+
+      {sync && (
+        <InfoAlert>
+          {sync.enabled
+            ? 'Role changes are synced to the contract automatically and checked on a schedule.'
+            : 'Automatic role sync is turned off. Discrepancies are only found when you scan.'}
+          {sync.lastScan && ` Last scan ${formatRelativeTime(sync.lastScan.finishedAt)}.`}
+        </InfoAlert>
+      )}
+
+      <Card>
+        {loading ? (
+          <CardLoading />
+        ) : discrepancies.length === 0 ? (
+          <div className="p-6 text-center py-12">
+            <ScaleIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No discrepancies</h3>
+            <p className="text-gray-500">On-chain roles match application roles.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Wallet</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">On-chain role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Detected</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {discrepancies.map((discrepancy) => (
+                  <tr key={discrepancy._id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">
+                      {discrepancy.address}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {discrepancy.user ? (
+                        <>
+                          {discrepancy.user.email}
+                          <div className="text-xs text-gray-500 capitalize">
+                            {discrepancy.user.role}{!discrepancy.user.isActive && ' · inactive'}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="text-gray-500">No account</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm capitalize text-gray-900">{discrepancy.role}</span>
+                        <Badge variant={discrepancy.expected ? 'warning' : 'danger'} size="sm">
+                          {discrepancy.expected ? 'Missing' : 'Unexpected'}
+                        </Badge>
+                      </div>
+                      {discrepancy.lastError && (
+                        <div className="mt-1 text-xs text-danger-600">{discrepancy.lastError}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatRelativeTime(discrepancy.detectedAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      <IconButton
+                        onClick={() => setPendingFix(discrepancy)}
+                        aria-label="Fix discrepancy"
+                      >
+                        <WrenchScrewdriverIcon className="h-5 w-5" />
+                      </IconButton>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      <ConfirmationModal
+        isOpen={!!pendingFix}
+        onClose={() => setPendingFix(null)}
+        onConfirm={handleConfirmFix}
+        loading={actionLoading}
+        title={pendingFix === 'all' ? 'Fix All Discrepancies' : 'Fix Discrepancy'}
+        message={pendingFix === 'all'
+          ? `${discrepancies.length} role change(s) will be sent to the contract, one transaction each.`
+          : pendingFix && `${describeFix(pendingFix)}. This sends a transaction to the contract.`}
+        confirmText="Fix"
+      />
+    </div>
+  );
+};
+
+export default RoleSyncPage;
@@ -1,9 +1,482 @@
-import React from 'react';
-import { Card } from '../../components/UI/Card';
-import { Button } from '../../components/UI/Button';
-import { CogIcon } from '@heroicons/react/24/outline';
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  ComputerDesktopIcon,
+  DevicePhoneMobileIcon,
+  XMarkIcon,
+  ClipboardDocumentIcon
+} from '@heroicons/react/24/outline';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '../../components/UI/Card';
+import { Button, IconButton } from '../../components/UI/Button';
+import { Badge } from '../../components/UI/Badge';
+import { Input } from '../../components/UI/Input';
+import { Alert } from '../../components/UI/Alert';
+import { ConfirmationModal } from '../../components/UI/Modal';
+import { CardLoading } from '../../components/UI/LoadingSpinner';
+import { authService } from '../../services/authService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatRelativeTime } from '../../utils/cn';
+
+const MOBILE_SYSTEMS = ['Android', 'iOS'];
+
+// Recovery codes are only shown once, right after they are generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  return (
+    <div className="space-y-4">
+      <Alert variant="warning">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator. They will not be shown again.
+      </Alert>
+      <ul className="grid grid-cols-2 gap-2 rounded-lg bg-gray-50 p-4 font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button variant="outline" size="sm" onClick={handleCopy}>
+          <ClipboardDocumentIcon className="mr-2 h-4 w-4" />
+          Copy codes
+        </Button>
+        <Button size="sm" onClick={onDone}>
+          I have saved them
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorCard = () => {
+  const { reloadUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [confirmDisable, setConfirmDisable] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await authService.getTwoFactorStatus());
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleSetup = async () => {
+    setActionLoading(true);
+    try {
+      setEnrollment(await authService.setupTwoFactor());
+      setCode('');
+    } catch (error) {
+      console.error('Two-factor setup failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setActionLoading(true);
+    try {
+      setRecoveryCodes(await authService.enableTwoFactor(code.trim()));
+      setEnrollment(null);
+      toast.success('Two-factor authentication enabled');
+      await reloadUser();
+      fetchStatus();
+    } catch (error) {
+      console.error('Two-factor enable failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setActionLoading(true);
+    try {
+      setRecoveryCodes(await authService.regenerateRecoveryCodes());
+      fetchStatus();
+    } catch (error) {
+      console.error('Recovery code regeneration failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setActionLoading(true);
+    try {
+      await authService.disableTwoFactor();
+      toast.success('Two-factor authentication disabled');
+      await reloadUser();
+      fetchStatus();
+    } catch (error) {
+      console.error('Two-factor disable failed:', error);
+    } finally {
+      setActionLoading(false);
+      setConfirmDisable(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="sm:flex-row sm:items-start sm:justify-between sm:space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle>Two-factor authentication</CardTitle>
+          <CardDescription>
+            Require a code from an authenticator app when signing in and before sensitive actions.
+          </CardDescription>
+        </div>
+        {status && (
+          <Badge variant={status.enabled ? 'success' : 'secondary'}>
+            {status.enabled ? 'Enabled' : 'Disabled'}
+          </Badge>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!status ? (
+          <CardLoading />
+        ) : recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        ) : enrollment ? (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Scan this QR code with your authenticator app, or enter the key manually, then enter
+              the 6-digit code it shows.
+            </p>
+            <div className="flex flex-col items-center gap-4 sm:flex-row">
+              <img src={enrollment.qrCode} alt="Two-factor QR code" className="h-40 w-40" />
+              <code className="break-all rounded bg-gray-50 p-2 text-xs text-gray-700">{enrollment.secret}</code>
+            </div>
+            <Input
+              label="Authentication Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              required
+            />
+            <div className="flex gap-2">
+              <Button variant="outline" type="button" onClick={() => setEnrollment(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" loading={actionLoading} disabled={code.trim().length !== 6}>
+                Enable
+              </Button>
+            </div>
+          </form>
+        ) : status.enabled ? (
+          <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+            <p className="text-sm text-gray-600">
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+              {status.required && ' Your role requires two-factor authentication.'}
+            </p>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={handleRegenerate} loading={actionLoading}>
+                New recovery codes
+              </Button>
+              {!status.required && (
+                <Button variant="destructive" size="sm" onClick={() => setConfirmDisable(true)}>
+                  Disable
+                </Button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {status.required && (
+              <Alert variant="warning">
+                Your role requires two-factor authentication. Set it up to keep using the application.
+              </Alert>
+            )}
+            <Button onClick={handleSetup} loading={actionLoading}>
+              Set up two-factor authentication
+            </Button>
+          </div>
+        )}
+      </CardContent>
+
+      <ConfirmationModal
+        isOpen={confirmDisable}
+        onClose={() => setConfirmDisable(false)}
+        onConfirm={handleDisable}
+        loading={actionLoading}
+        variant="destructive"
+        title="Disable Two-Factor Authentication"
+        message="Signing in will only need your password. Your recovery codes will stop working."
+        confirmText="Disable"
+      />
+    </Card>
+  );
+};
+
+const SecurityPolicyCard = () => {
+  const [policy, setPolicy] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    authService.getSecurityPolicy()
+      .then((data) => {
+        setPolicy({
+          twoFactorRequiredRoles: data.policy.twoFactorRequiredRoles,
+          reauthMaxAgeMinutes: data.policy.reauthMaxAgeMinutes
+        });
+        setRoles(data.roles);
+      })
+      .catch((error) => console.error('Failed to load security policy:', error));
+  }, []);
+
+  const toggleRole = (role) => {
+    setPolicy((prev) => ({
+      ...prev,
+      twoFactorRequiredRoles: prev.twoFactorRequiredRoles.includes(role)
+        ? prev.twoFactorRequiredRoles.filter((r) => r !== role)
+        : [...prev.twoFactorRequiredRoles, role]
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await authService.updateSecurityPolicy({
+        ...policy,
+        reauthMaxAgeMinutes: Number(policy.reauthMaxAgeMinutes)
+      });
+      toast.success('Security policy saved');
+    } catch (error) {
+      console.error('Security policy update failed:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Security policy</CardTitle>
+        <CardDescription>
+          Roles that must use two-factor authentication, and how long an identity confirmation lasts
+          before sensitive actions ask again.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!policy ? (
+          <CardLoading />
+        ) : (
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="space-y-2">
+              <span className="block text-sm font-medium text-gray-700">Require two-factor authentication for</span>
+              <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+                {roles.map((role) => (
+                  <label key={role} className="flex items-center gap-2 text-sm capitalize text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      checked={policy.twoFactorRequiredRoles.includes(role)}
+                      onChange={() => toggleRole(role)}
+                    />
+                    {role}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <Input
+              label="Re-authentication window (minutes)"
+              type="number"
+              min={1}
+              max={60}
+              value={policy.reauthMaxAgeMinutes}
+              onChange={(e) => setPolicy((prev) => ({ ...prev, reauthMaxAgeMinutes: e.target.value }))}
+              required
+            />
+            <Button type="submit" loading={saving}>
+              Save policy
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Quorum input values are kept as strings while editing; unset means a single approval
+const WorkflowPolicyCard = () => {
+  const [policy, setPolicy] = useState(null);
+  const [certificateTypes, setCertificateTypes] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    authService.getWorkflowPolicy()
+      .then((data) => {
+        setPolicy({
+          creatorCannotVerify: data.policy.creatorCannotVerify,
+          verifierCannotIssue: data.policy.verifierCannotIssue,
+          quorums: Object.fromEntries(
+            data.policy.approvalQuorums.map((quorum) => [quorum.type, String(quorum.approvals)])
+          )
+        });
+        setCertificateTypes(data.certificateTypes);
+      })
+      .catch((error) => console.error('Failed to load workflow policy:', error));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await authService.updateWorkflowPolicy({
+        creatorCannotVerify: policy.creatorCannotVerify,
+        verifierCannotIssue: policy.verifierCannotIssue,
+        approvalQuorums: Object.entries(policy.quorums)
+          .filter(([, approvals]) => Number(approvals) > 1)
+          .map(([type, approvals]) => ({ type, approvals: Number(approvals) }))
+      });
+      toast.success('Workflow policy saved');
+    } catch (error) {
+      console.error('Workflow policy update failed:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Certificate workflow</CardTitle>
+        <CardDescription>
+          Separation of duties between the people who create, verify and issue a certificate, and how many
+          verifiers must approve each certificate type.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!policy ? (
+          <CardLoading />
+        ) : (
+          <form onSubmit={handleSave} className="space-y-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                checked={policy.creatorCannotVerify}
+                onChange={(e) => setPolicy((prev) => ({ ...prev, creatorCannotVerify: e.target.checked }))}
+              />
+              The creator of a certificate cannot verify it
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                checked={policy.verifierCannotIssue}
+                onChange={(e) => setPolicy((prev) => ({ ...prev, verifierCannotIssue: e.target.checked }))}
+              />
+              A verifier who approved a certificate cannot issue it
+            </label>
+            <div className="space-y-2">
+              <span className="block text-sm font-medium text-gray-700">Approvals required per certificate type</span>
+              <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+                {certificateTypes.map((type) => (
+                  <Input
+                    key={type}
+                    label={<span className="capitalize">{type}</span>}
+                    type="number"
+                    min={1}
+                    max={10}
+                    value={policy.quorums[type] || '1'}
+                    onChange={(e) => setPolicy((prev) => ({
+                      ...prev,
+                      quorums: { ...prev.quorums, [type]: e.target.value }
+                    }))}
+                  />
+                ))}
+              </div>
+            </div>
+            <Button type="submit" loading={saving}>
+              Save policy
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
 
 const SettingsPage = () => {
+  const { logout, hasRole } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [confirmSignOutAll, setConfirmSignOutAll] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+
+    try {
+      await authService.revokeSession(session._id);
+      toast.success('Session signed out');
+      fetchSessions();
+    } catch (error) {
+      console.error('Session revoke failed:', error);
+    }
+  };
+
+  const handleSignOutOthers = async () => {
+    setActionLoading(true);
+    try {
+      await authService.revokeSession(null, { exceptCurrent: true });
+      toast.success('Signed out of all other sessions');
+      fetchSessions();
+    } catch (error) {
+      console.error('Session revoke failed:', error);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSignOutAll = async () => {
+    setActionLoading(true);
+    try {
+      // Other sessions first; logging out then ends this one
+      await authService.revokeSession(null, { exceptCurrent: true });
+    } catch (error) {
+      console.error('Session revoke failed:', error);
+    } finally {
+      setActionLoading(false);
+      setConfirmSignOutAll(false);
+      await logout();
+    }
+  };
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
   return (
     <div className="space-y-6">
       <div>
@@ -14,17 +487,84 @@ const SettingsPage = () => {
       </div>
 
       <Card>
-        <div className="p-6">
-          <div className="text-center py-12">
-            <CogIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-lg font-medium text-gray-900 mb-2">Settings</h3>
-            <p className="text-gray-500 mb-6">Settings page coming soon...</p>
-            <Button variant="outline">Configure Settings</Button>
+        <CardHeader className="sm:flex-row sm:items-start sm:justify-between sm:space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle>Active sessions</CardTitle>
+            <CardDescription>
+              Devices signed in to your account. Sign out any you do not recognise.
+            </CardDescription>
           </div>
-        </div>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleSignOutOthers}
+              loading={actionLoading}
+              disabled={otherSessions.length === 0}
+            >
+              Sign out other sessions
+            </Button>
+            <Button variant="destructive" size="sm" onClick={() => setConfirmSignOutAll(true)}>
+              Sign out everywhere
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="pb-0">
+          {loading ? (
+            <CardLoading />
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {sessions.map((session) => {
+                const DeviceIcon = MOBILE_SYSTEMS.includes(session.device?.os)
+                  ? DevicePhoneMobileIcon
+                  : ComputerDesktopIcon;
+
+                return (
+                  <li key={session._id} className="flex items-center justify-between py-4">
+                    <div className="flex items-center gap-3">
+                      <DeviceIcon className="h-8 w-8 text-gray-400" />
+                      <div>
+                        <div className="flex items-center gap-2 text-sm font-medium text-gray-900">
+                          {session.device?.browser || 'Unknown browser'} on {session.device?.os || 'unknown OS'}
+                          {session.current && <Badge variant="success" size="sm">This device</Badge>}
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {session.lastUsedIp || session.ip} · Last active {formatRelativeTime(session.lastUsedAt)}
+                        </p>
+                      </div>
+                    </div>
+                    <IconButton
+                      onClick={() => handleRevoke(session)}
+                      aria-label={session.current ? 'Sign out' : 'Sign out session'}
+                    >
+                      <XMarkIcon className="h-5 w-5" />
+                    </IconButton>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </CardContent>
       </Card>
+
+      <TwoFactorCard />
+
+      {hasRole('admin') && <SecurityPolicyCard />}
+
+      {hasRole('admin') && <WorkflowPolicyCard />}
+
+      <ConfirmationModal
+        isOpen={confirmSignOutAll}
+        onClose={() => setConfirmSignOutAll(false)}
+        onConfirm={handleSignOutAll}
+        loading={actionLoading}
+        variant="destructive"
+        title="Sign Out Everywhere"
+        message="Every session, including this one, will be signed out. You will need to log in again on each device."
+        confirmText="Sign out everywhere"
+      />
     </div>
   );
 };
 
-export default SettingsPage;
\ No newline at end of file
+export default SettingsPage;
@@ -34,6 +34,63 @@ if (authToken) {
   setAuthToken(authToken);
 }
 
+// Refresh token, exchanged for a new access token when the current one expires
+export const setRefreshToken = (token) => {
+  if (token) {
+    localStorage.setItem('refreshToken', token);
+  } else {
+    localStorage.removeItem('refreshToken');
+  }
+};
+
+// Requests that must not trigger a refresh when they fail with 401
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/wallet-login',
+  '/auth/refresh',
+  '/auth/2fa/verify-login',
+  '/auth/reauth',
+];
+
+// Prompt shown when the server asks the user to confirm their identity; resolves once confirmed
+let reauthHandler = null;
+
+export const setReauthHandler = (handler) => {
+  reauthHandler = handler;
+};
+
+// Single refresh shared by every request that failed while it was in flight
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: API_TIMEOUT })
+      : Promise.reject(new Error('No refresh token')))
+      .then(({ data }) => {
+        setAuthToken(data.token);
+        setRefreshToken(data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// End the local session after the server rejected it
+const expireSession = () => {
+  setAuthToken(null);
+  setRefreshToken(null);
+  toast.error('Session expired. Please log in again.');
+  window.location.href = '/login';
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -87,6 +144,54 @@ api.interceptors.response.use(
       });
     }
 
+    // Expired access token: refresh once and replay the request
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retry = true;
+
+      return refreshAccessToken()
+        .then((token) => {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        })
+        .catch(() => {
+          expireSession();
+          return Promise.reject({
+            status: 401,
+            message: error.response.data?.message || 'Session expired',
+            errors: null,
+            response: error.response,
+          });
+        });
+    }
+
+    // Sensitive action needs a recent identity check: prompt for it, then replay the request
+    if (
+      error.response?.status === 403 &&
+      error.response.data?.errorCode === 'REAUTH_REQUIRED' &&
+      reauthHandler &&
+      originalRequest &&
+      !originalRequest._reauth
+    ) {
+      originalRequest._reauth = true;
+
+      return reauthHandler().then(
+        () => api(originalRequest),
+        () => Promise.reject({
+          status: 403,
+          message: error.response.data.message,
+          errors: null,
+          response: error.response,
+        })
+      );
+    }
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
@@ -95,17 +200,22 @@ api.interceptors.response.use(
       switch (status) {
         case 401:
           // Unauthorized - token expired or invalid
-          if (authToken) {
-            setAuthToken(null);
-            toast.error('Session expired. Please log in again.');
-            // Redirect to login page
-            window.location.href = '/login';
+          if (authToken && !NO_REFRESH_URLS.includes(error.config?.url)) {
+            expireSession();
           }
           break;
         
         case 403:
-          // Forbidden - insufficient permissions
-          toast.error('You do not have permission to perform this action.');
+          if (data?.errorCode === 'TWO_FACTOR_SETUP_REQUIRED') {
+            // Role requires two-factor authentication the user has not set up yet
+            toast.error(data.message, { id: 'two-factor-setup' });
+            if (window.location.pathname !== '/app/settings') {
+              window.location.href = '/app/settings';
+            }
+          } else if (data?.errorCode !== 'REAUTH_REQUIRED') {
+            // Forbidden - insufficient permissions
+            toast.error('You do not have permission to perform this action.');
+          }
           break;
         
         case 404:
@@ -275,12 +385,29 @@ export const endpoints = {
   auth: {
     login: '/auth/login',
     register: '/auth/register',
+    nonce: '/auth/nonce',
     walletLogin: '/auth/wallet-login',
     logout: '/auth/logout',
-    profile: '/auth/profile',
+    profile: '/auth/me',
     updateProfile: '/auth/profile',
     changePassword: '/auth/change-password',
     refreshToken: '/auth/refresh',
+    sessions: '/auth/sessions',
+    revokeSession: (id) => `/auth/sessions/${id}`,
+    verifyTwoFactorLogin: '/auth/2fa/verify-login',
+    reauth: '/auth/reauth',
+    twoFactor: '/auth/2fa',
+    twoFactorSetup: '/auth/2fa/setup',
+    twoFactorEnable: '/auth/2fa/enable',
+    twoFactorDisable: '/auth/2fa/disable',
+    recoveryCodes: '/auth/2fa/recovery-codes',
+    securityPolicy: '/auth/security-policy',
+    workflowPolicy: '/auth/workflow-policy',
+    resetUserTwoFactor: (id) => `/auth/users/${id}/2fa`,
+    users: '/auth/users',
+    userPermissions: (id) => `/auth/users/${id}/permissions`,
+    wallet: '/auth/wallet',
+    walletNonce: '/auth/wallet/nonce',
   },
   
   // Certificates
@@ -293,7 +420,13 @@ export const endpoints = {
     verify: (id) => `/certificates/${id}/verify`,
     issue: (id) => `/certificates/${id}/issue`,
     revoke: (id) => `/certificates/${id}/revoke`,
+    renew: (id) => `/certificates/${id}/renew`,
+    reissue: (id) => `/certificates/${id}/reissue`,
+    versions: (id) => `/certificates/${id}/versions`,
+    workflow: (id) => `/certificates/${id}/workflow`,
     download: (id) => `/certificates/${id}/download`,
+    credential: (id) => `/certificates/${id}/vc`,
+    badge: (id, format = 'json') => `/certificates/${id}/badge?format=${format}`,
     search: '/certificates/search',
   },
   
@@ -309,6 +442,7 @@ export const endpoints = {
     verify: '/verify',
     verifyById: (id) => `/verify/${id}`,
     history: '/verify/history',
+    credential: '/verification/vc',
   },
   
   // Blockchain
@@ -317,6 +451,45 @@ export const endpoints = {
     verify: '/blockchain/verify',
     transaction: (hash) => `/blockchain/transaction/${hash}`,
     status: '/blockchain/status',
+    roleDiscrepancies: '/blockchain/roles/discrepancies',
+    roleScan: '/blockchain/roles/scan',
+    fixRoleDiscrepancy: (id) => `/blockchain/roles/discrepancies/${id}/fix`,
+    fixAllRoleDiscrepancies: '/blockchain/roles/discrepancies/fix',
+  },
+  
+  // Notifications
+  notifications: {
+    list: '/notifications',
+    stream: '/notifications/stream',
+    markRead: (id) => `/notifications/${id}/read`,
+    markAllRead: '/notifications/read-all',
+  },
+  
+  // API keys (admin)
+  apiKeys: {
+    list: '/api-keys',
+    create: '/api-keys',
+    getById: (id) => `/api-keys/${id}`,
+    update: (id) => `/api-keys/${id}`,
+    rotate: (id) => `/api-keys/${id}/rotate`,
+    revoke: (id) => `/api-keys/${id}/revoke`,
+  },
+  
+  // Custom roles and the permission audit trail (admin)
+  roles: {
+    list: '/roles',
+    create: '/roles',
+    update: (id) => `/roles/${id}`,
+    delete: (id) => `/roles/${id}`,
+    audit: '/roles/audit',
+  },
+  
+  // Institutions (admin)
+  institutions: {
+    list: '/institutions',
+    create: '/institutions',
+    getById: (id) => `/institutions/${id}`,
+    update: (id) => `/institutions/${id}`,
   },
   
   // Analytics
@@ -1,4 +1,4 @@
-import { apiRequest, endpoints, setAuthToken } from './api';
+import { apiRequest, endpoints, setAuthToken, setRefreshToken, refreshAccessToken } from './api';
 import { jwtDecode } from 'jwt-decode';
 
 class AuthService {
@@ -6,10 +6,10 @@ class AuthService {
     this.token = localStorage.getItem('token');
     this.user = null;
     
-    // Initialize token if exists
+    // Initialize token if exists; an expired one can still be refreshed
     if (this.token && this.isTokenValid(this.token)) {
       setAuthToken(this.token);
-    } else {
+    } else if (!localStorage.getItem('refreshToken')) {
       this.removeToken();
     }
   }
@@ -39,6 +39,7 @@ class AuthService {
     this.token = null;
     this.user = null;
     setAuthToken(null);
+    setRefreshToken(null);
   }
 
   // Get current token
@@ -60,14 +61,22 @@ class AuthService {
     }
   }
 
-  // Login
+  // Keep the tokens and user of a completed login
+  storeSession(response) {
+    this.setToken(response.token);
+    setRefreshToken(response.refreshToken);
+    this.user = response.data.user;
+  }
+
+  // Login; accounts with two-factor authentication get a challenge to answer instead of tokens
   async login(credentials) {
     try {
       const response = await apiRequest.post(endpoints.auth.login, credentials);
       
-      if (response.success && response.token) {
-        this.setToken(response.token);
-        this.user = response.user;
+      if (response.success && response.twoFactorRequired) {
+        return response;
+      } else if (response.success && response.token) {
+        this.storeSession(response);
         return response;
       } else {
         throw new Error(response.message || 'Login failed');
@@ -78,14 +87,55 @@ class AuthService {
     }
   }
 
+  // Fields of a Sign-In With Ethereum message, including a single-use nonce
+  async getSiweNonce(chainId) {
+    const response = await apiRequest.get(endpoints.auth.nonce, { chainId });
+    return response.data;
+  }
+
+  // Login with a signed Sign-In With Ethereum message
+  async walletLogin({ message, signature }) {
+    try {
+      const response = await apiRequest.post(endpoints.auth.walletLogin, { message, signature });
+      
+      if (response.success && response.twoFactorRequired) {
+        return response;
+      } else if (response.success && response.token) {
+        this.storeSession(response);
+        return response;
+      } else {
+        throw new Error(response.message || 'Wallet login failed');
+      }
+    } catch (error) {
+      console.error('Wallet login error:', error);
+      throw error;
+    }
+  }
+
+  // Second login step with an authenticator or recovery code
+  async verifyTwoFactorLogin(challengeToken, code) {
+    try {
+      const response = await apiRequest.post(endpoints.auth.verifyTwoFactorLogin, { challengeToken, code });
+      
+      if (response.success && response.token) {
+        this.storeSession(response);
+        return response;
+      } else {
+        throw new Error(response.message || 'Two-factor verification failed');
+      }
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      throw error;
+    }
+  }
+
   // Register
   async register(userData) {
     try {
       const response = await apiRequest.post(endpoints.auth.register, userData);
       
       if (response.success && response.token) {
-        this.setToken(response.token);
-        this.user = response.user;
+        this.storeSession(response);
         return response;
       } else {
         throw new Error(response.message || 'Registration failed');
@@ -117,8 +167,8 @@ class AuthService {
       const response = await apiRequest.get(endpoints.auth.profile);
       
       if (response.success) {
-        this.user = response.user;
-        return response.user;
+        this.user = response.data.user;
+        return response.data.user;
       } else {
         throw new Error(response.message || 'Failed to get profile');
       }
@@ -145,6 +195,105 @@ class AuthService {
     }
   }
 
+  // Get active sessions of the current user
+  async getSessions() {
+    const response = await apiRequest.get(endpoints.auth.sessions);
+    return response.data.sessions;
+  }
+
+  // Sign out one session, or every session when no id is given
+  async revokeSession(sessionId, { exceptCurrent = false } = {}) {
+    if (sessionId) {
+      return apiRequest.delete(endpoints.auth.revokeSession(sessionId));
+    }
+    return apiRequest.delete(`${endpoints.auth.sessions}?exceptCurrent=${exceptCurrent}`);
+  }
+
+  // Two-factor status of the current user
+  async getTwoFactorStatus() {
+    const response = await apiRequest.get(endpoints.auth.twoFactor);
+    return response.data;
+  }
+
+  // Start two-factor enrollment; returns the secret and its QR code
+  async setupTwoFactor() {
+    const response = await apiRequest.post(endpoints.auth.twoFactorSetup);
+    return response.data;
+  }
+
+  // Confirm enrollment with a code; returns the recovery codes
+  async enableTwoFactor(code) {
+    const response = await apiRequest.post(endpoints.auth.twoFactorEnable, { code });
+    return response.data.recoveryCodes;
+  }
+
+  async disableTwoFactor() {
+    return apiRequest.post(endpoints.auth.twoFactorDisable);
+  }
+
+  async regenerateRecoveryCodes() {
+    const response = await apiRequest.post(endpoints.auth.recoveryCodes);
+    return response.data.recoveryCodes;
+  }
+
+  // Confirm identity before a sensitive action, with a two-factor code or the password
+  async reauthenticate({ password, code }) {
+    return apiRequest.post(endpoints.auth.reauth, { password, code });
+  }
+
+  // Security policy of the admin's institution
+  async getSecurityPolicy() {
+    const response = await apiRequest.get(endpoints.auth.securityPolicy);
+    return response.data;
+  }
+
+  async updateSecurityPolicy(policy) {
+    const response = await apiRequest.put(endpoints.auth.securityPolicy, policy);
+    return response.data.policy;
+  }
+
+  async getWorkflowPolicy() {
+    const response = await apiRequest.get(endpoints.auth.workflowPolicy);
+    return response.data;
+  }
+
+  async updateWorkflowPolicy(policy) {
+    const response = await apiRequest.put(endpoints.auth.workflowPolicy, policy);
+    return response.data.policy;
+  }
+
+  // Admin: a user's custom role, permission overrides and effective permissions
+  async getUserPermissions(userId) {
+    const response = await apiRequest.get(endpoints.auth.userPermissions(userId));
+    return response.data.user;
+  }
+
+  async updateUserPermissions(userId, access) {
+    const response = await apiRequest.put(endpoints.auth.userPermissions(userId), access);
+    return response.data.user;
+  }
+
+  // Linked wallet and the history of wallets linked to the account
+  async getWallet() {
+    const response = await apiRequest.get(endpoints.auth.wallet);
+    return response.data;
+  }
+
+  // Challenge to sign with the wallet being linked
+  async getWalletChallenge(chainId) {
+    const response = await apiRequest.get(endpoints.auth.walletNonce, { chainId });
+    return response.data;
+  }
+
+  async linkWallet({ message, signature }) {
+    const response = await apiRequest.post(endpoints.auth.wallet, { message, signature });
+    return response.data;
+  }
+
+  async unlinkWallet() {
+    return apiRequest.delete(endpoints.auth.wallet);
+  }
+
   // Change password
   async changePassword(passwordData) {
     try {
@@ -161,17 +310,11 @@ class AuthService {
     }
   }
 
-  // Refresh token
+  // Refresh token; the refresh token is rotated on every use
   async refreshToken() {
     try {
-      const response = await apiRequest.post(endpoints.auth.refreshToken);
-      
-      if (response.success && response.token) {
-        this.setToken(response.token);
-        return response;
-      } else {
-        throw new Error(response.message || 'Token refresh failed');
-      }
+      this.token = await refreshAccessToken();
+      return this.token;
     } catch (error) {
       console.error('Token refresh error:', error);
       this.removeToken(); // Clear invalid token
@@ -211,25 +354,14 @@ class AuthService {
     return roles.includes(userRole);
   }
 
-  // Get user permissions based on role
+  // Effective permissions stored on the account
   getPermissions() {
-    const role = this.getUserRole();
-    if (!role) return [];
-
-    const rolePermissions = {
-      creator: ['create', 'read', 'update'],
-      verifier: ['read', 'verify', 'update'],
-      issuer: ['read', 'issue', 'revoke'],
-      admin: ['create', 'read', 'update', 'delete', 'verify', 'issue', 'revoke']
-    };
-
-    return rolePermissions[role] || [];
+    return this.user?.permissions || [];
   }
 
   // Check if user has specific permission
   hasPermission(permission) {
-    const userPermissions = this.getPermissions();
-    return userPermissions.includes(permission);
+    return this.getPermissions().includes(permission);
   }
 
   // Auto-refresh token before it expires